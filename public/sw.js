@@ -0,0 +1,302 @@
+/* sw.js — offline support, scoped to wherever the app is served from
+   (GitHub Pages project path, a custom domain root, or vite preview).
+   Everything is resolved against self.registration.scope; no absolute paths.
+
+   Caches:
+   - shell: index.html + the hashed assets it references, manifest, icons; one per
+     build (VERSION), and activate drops older ones plus anything the index no
+     longer references
+   - data:  last good USGS / Open-Meteo / NWS / Overpass / Nominatim responses
+     (network-first, trimmed: every Overpass map view is a new key)
+   - tiles: OSM tiles as you browse (cache-first, trimmed)
+   - areas: tiles from "Download this area for offline" (never trimmed)
+   - alerts: the alert queue the app writes (offline.js) and what fired from it
+
+   Responses we store carry an "x-fp-cached-at" header; when one is served because
+   the network failed, the page gets a { type: "fp:cache-hit", url, cachedAt } message.
+
+   Alerts: "fp-alerts" periodic syncs become { type: "fp:check-alerts" } messages to open
+   windows; with none open, queued alerts that have come due are shown here. Notification
+   clicks send { type: "fp:open-link", hash } (or open the app there).
+*/
+
+const VERSION = "dev"; // stamped with a hash of each build by vite.config.js
+const SHELL = `fp-shell-${VERSION}`;
+const DATA = "fp-data";
+const TILES = "fp-tiles";
+const AREAS = "fp-areas";
+const ALERTS = "fp-alerts";
+const MAX_BROWSED_TILES = 1500;
+const MAX_DATA_RESPONSES = 300;
+
+const SCOPE = self.registration.scope;
+const DATA_HOSTS = [
+  "waterservices.usgs.gov",
+  "api.open-meteo.com",
+  "api.weather.gov",
+  "overpass-api.de",
+  "overpass.openstreetmap.fr",
+  "nominatim.openstreetmap.org",
+];
+const TILE_HOST = /(^|\.)tile\.openstreetmap\.org$/;
+const CDN_HOSTS = ["unpkg.com"];
+
+// ---------------------------- Lifecycle ----------------------------
+
+/** index.html → the shell URLs: the same-origin assets it links (hashed names change
+ *  per deploy), CDN files, manifest and icons */
+function shellUrlsFrom(html) {
+  const urls = new Set([SCOPE, new URL("manifest.webmanifest", SCOPE).href]);
+  for (const m of (html || "").matchAll(/(?:src|href)="([^"]+)"/g)) {
+    const u = new URL(m[1], SCOPE);
+    if (u.href.startsWith(SCOPE) || CDN_HOSTS.includes(u.hostname)) urls.add(u.href);
+  }
+  ["icons/icon-192.png", "icons/icon-512.png"].forEach((p) => urls.add(new URL(p, SCOPE).href));
+  return [...urls];
+}
+
+async function shellUrls() {
+  try {
+    return shellUrlsFrom(await (await fetch(SCOPE, { cache: "no-cache" })).text());
+  } catch {
+    return shellUrlsFrom(""); // offline install: cache what we can at runtime
+  }
+}
+
+/** Drop shell entries the cached index no longer references (runtime-cached old assets) */
+async function pruneShell() {
+  const cache = await caches.open(SHELL);
+  const index = await cache.match(SCOPE);
+  if (!index) return;
+  const keep = new Set(shellUrlsFrom(await index.text()));
+  const keys = await cache.keys();
+  await Promise.all(keys.filter((k) => !keep.has(k.url)).map((k) => cache.delete(k)));
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL);
+    const urls = await shellUrls();
+    // one missing file shouldn't abort the whole install
+    await Promise.all(urls.map((u) => cache.add(new Request(u, { cache: "no-cache" })).catch(() => {})));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter((k) => k.startsWith("fp-shell-") && k !== SHELL).map((k) => caches.delete(k)));
+    await pruneShell();
+    await self.clients.claim();
+  })());
+});
+
+// ----------------------------- Helpers -----------------------------
+
+async function stamp(res) {
+  const headers = new Headers(res.headers);
+  headers.set("x-fp-cached-at", String(Date.now()));
+  return new Response(await res.blob(), { status: res.status, statusText: res.statusText, headers });
+}
+
+async function notifyCacheHit(url, res) {
+  const cachedAt = Number(res.headers.get("x-fp-cached-at")) || null;
+  const clients = await self.clients.matchAll({ type: "window" });
+  clients.forEach((c) => c.postMessage({ type: "fp:cache-hit", url, cachedAt }));
+}
+
+/** Overpass is POSTed; key it as a GET carrying the query so it can be cached */
+async function cacheKey(request) {
+  if (request.method !== "POST") return request;
+  const body = await request.clone().text();
+  return new Request(`${request.url}?fp-body=${encodeURIComponent(body)}`);
+}
+
+/** Tiles come from a/b/c subdomains; store them under one host */
+function tileKey(url) {
+  const u = new URL(url);
+  return `https://tile.openstreetmap.org${u.pathname}`;
+}
+
+async function trim(cacheName, max) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map((k) => cache.delete(k)));
+}
+
+// ---------------------------- Strategies ----------------------------
+
+async function networkFirst(request, cacheName) {
+  const key = await cacheKey(request);
+  try {
+    const res = await fetch(request);
+    if (res.ok) {
+      const cache = await caches.open(cacheName);
+      await cache.put(key, await stamp(res.clone()));
+      trim(cacheName, MAX_DATA_RESPONSES);
+    }
+    return res;
+  } catch (e) {
+    const hit = await caches.match(key);
+    if (!hit) throw e;
+    notifyCacheHit(request.url, hit);
+    return hit;
+  }
+}
+
+async function tileFirst(request) {
+  const key = tileKey(request.url);
+  const hit = (await caches.match(key, { cacheName: AREAS })) || (await caches.match(key, { cacheName: TILES }));
+  if (hit) return hit;
+  const res = await fetch(request);
+  if (res.ok || res.type === "opaque") {
+    const cache = await caches.open(TILES);
+    await cache.put(key, res.clone());
+    trim(TILES, MAX_BROWSED_TILES);
+  }
+  return res;
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const hit = await cache.match(request);
+  const update = fetch(request)
+    .then((res) => { if (res.ok) cache.put(request, res.clone()); return res; })
+    .catch(() => null);
+  return hit || (await update) || Response.error();
+}
+
+async function navigation(request) {
+  try {
+    const res = await fetch(request);
+    if (res.ok) (await caches.open(SHELL)).put(SCOPE, res.clone());
+    return res;
+  } catch {
+    return (await caches.match(SCOPE)) || Response.error();
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.mode === "navigate" && request.url.startsWith(SCOPE)) {
+    event.respondWith(navigation(request));
+  } else if (DATA_HOSTS.includes(url.hostname) && (request.method === "GET" || request.method === "POST")) {
+    event.respondWith(networkFirst(request, DATA));
+  } else if (TILE_HOST.test(url.hostname) && request.method === "GET") {
+    event.respondWith(tileFirst(request));
+  } else if (request.method === "GET" && (request.url.startsWith(SCOPE) || CDN_HOSTS.includes(url.hostname))) {
+    event.respondWith(staleWhileRevalidate(request, SHELL));
+  }
+});
+
+// ------------------------- Area downloads -------------------------
+
+// The OSM tile usage policy discourages bulk downloads: areas are capped in
+// offline.js (MAX_AREA_TILES), fetched one tile at a time with a pause between
+// requests, and only one area downloads at a time.
+const MAX_AREA_TILES = 250;
+const AREA_TILE_GAP_MS = 250;
+let areaBusy = false;
+
+/** { type: "fp:download-area", id, tiles: [url] } → progress/done messages back */
+async function downloadArea(source, { id, tiles }) {
+  const list = tiles.slice(0, MAX_AREA_TILES);
+  if (areaBusy) {
+    source.postMessage({ type: "fp:area-done", id, done: 0, failed: list.length, total: list.length });
+    return;
+  }
+  areaBusy = true;
+  try {
+    const cache = await caches.open(AREAS);
+    let done = 0, failed = 0;
+    for (const url of list) {
+      const key = tileKey(url);
+      try {
+        if (!(await cache.match(key))) {
+          const res = await fetch(url, { mode: "cors" });
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          await cache.put(key, res);
+          await new Promise((r) => setTimeout(r, AREA_TILE_GAP_MS));
+        }
+      } catch {
+        failed++;
+      }
+      done++;
+      if (done % 20 === 0) source.postMessage({ type: "fp:area-progress", id, done, total: list.length });
+    }
+    source.postMessage({ type: "fp:area-done", id, done, failed, total: list.length });
+  } finally {
+    areaBusy = false;
+  }
+}
+
+self.addEventListener("message", (event) => {
+  const msg = event.data || {};
+  if (msg.type === "fp:download-area" && event.source) {
+    event.waitUntil(downloadArea(event.source, msg));
+  }
+});
+
+// ------------------------------ Alerts ------------------------------
+
+/* Alert rules are scored with the app's own code, so a periodic sync asks any open
+   window (background tabs included) to check. With none open, the worker fires what
+   the last check queued from its forecast: { key, title, body, hash, start, due, end }
+   entries under "alerts-pending"; what it shows moves to "alerts-fired" for the app to
+   put in its history on the next launch. */
+const alertQueueUrl = (name) => new URL(`__fp/alerts-${name}`, SCOPE).href;
+
+async function readQueue(cache, name) {
+  const res = await cache.match(alertQueueUrl(name));
+  return res ? res.json() : [];
+}
+
+function writeQueue(cache, name, list) {
+  return cache.put(alertQueueUrl(name), new Response(JSON.stringify(list), { headers: { "content-type": "application/json" } }));
+}
+
+async function fireQueuedAlerts(now = Date.now()) {
+  const cache = await caches.open(ALERTS);
+  const pending = await readQueue(cache, "pending");
+  const due = pending.filter((a) => a.due <= now && a.end > now);
+  if (!due.length) return;
+  const icon = new URL("icons/icon-192.png", SCOPE).href;
+  const fired = await readQueue(cache, "fired");
+  for (const { due: _due, end: _end, ...a } of due) {
+    let notified = false;
+    try {
+      await self.registration.showNotification(a.title, { body: a.body, tag: a.key, icon, data: { hash: a.hash } });
+      notified = true;
+    } catch { /* permission withdrawn: it still lands in the history */ }
+    fired.push({ ...a, firedAt: now, notified });
+  }
+  await writeQueue(cache, "fired", fired);
+  await writeQueue(cache, "pending", pending.filter((a) => !due.includes(a)));
+}
+
+self.addEventListener("periodicsync", (event) => {
+  if (event.tag !== "fp-alerts") return;
+  event.waitUntil((async () => {
+    const clients = await self.clients.matchAll({ type: "window" });
+    if (clients.length) clients.forEach((c) => c.postMessage({ type: "fp:check-alerts" }));
+    else await fireQueuedAlerts();
+  })());
+});
+
+/** Clicking an alert focuses the app (or opens it) at the alert's deep link */
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const hash = event.notification.data?.hash || "";
+  event.waitUntil((async () => {
+    const clients = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    const open = clients.find((c) => c.url.startsWith(SCOPE));
+    if (open) {
+      await open.focus();
+      if (hash) open.postMessage({ type: "fp:open-link", hash });
+    } else {
+      await self.clients.openWindow(new URL(hash, SCOPE).href);
+    }
+  })());
+});
@@ -0,0 +1,131 @@
+import React, { useState } from "react";
+import { ALL_GAME_FISH } from "./lib.js";
+import { ALERT_KINDS, MAX_ALERT_DAYS, normalizeRule, describeRule } from "./alerts.js";
+import { formatAge } from "./offline.js";
+import { t, speciesName } from "./i18n.js";
+
+const PERMISSION_NOTES = {
+  denied: "Notifications are blocked for this site — alerts still land in the history below.",
+  unsupported: "This browser can't show notifications — alerts still land in the history below.",
+};
+
+/** Alerts: per-spot rules ("score ≥ 75% in the next 3 days", "front on the way"),
+ *  notification permission and the history of fired alerts. The parent stores rules
+ *  (onRulesChange(list)) and runs the checks.
+ *  status = { checking, checkedAt, error }
+ */
+export default function Alerts({ rules, favorites, history, permission, status, onRulesChange, onEnableNotifications, onOpen, onClearHistory }) {
+  const [form, setForm] = useState(null); // null = closed; rule draft otherwise
+  const favById = new Map(favorites.map((f) => [f.id, f]));
+  const visible = history.filter((a) => !a.hidden);
+
+  function startNew() {
+    const f = favorites[0];
+    setForm({ favId: f.id, species: speciesName(f.species), kind: "score", minScore: 75, days: 3 });
+  }
+
+  function save() {
+    const r = normalizeRule(form);
+    if (!r) return;
+    console.info("[Alerts] Saved rule:", favById.get(r.favId)?.name, describeRule(r));
+    onRulesChange([...rules, r]);
+    setForm(null);
+  }
+
+  const set = (k) => (e) => setForm((f) => ({ ...f, [k]: e.target.value }));
+  const pickSpot = (e) => setForm((f) => ({ ...f, favId: e.target.value, species: speciesName(favById.get(e.target.value)?.species) || f.species }));
+  const input = "w-full bg-slate-800 rounded px-2 py-1 outline-none";
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <button className="bg-blue-500 hover:bg-blue-600 px-3 py-2 rounded disabled:opacity-50" onClick={startNew} disabled={!favorites.length || !!form}>
+          {t("Add alert")}
+        </button>
+        {permission === "default" && (
+          <button className="bg-slate-700 hover:bg-slate-600 px-3 py-2 rounded" onClick={onEnableNotifications}>{t("Enable notifications")}</button>
+        )}
+        <span className="text-xs text-slate-400">
+          {status.checking ? t("Checking forecasts…") : status.checkedAt ? t("Checked {age}", { age: formatAge(status.checkedAt) }) : ""}
+        </span>
+      </div>
+      {PERMISSION_NOTES[permission] && rules.length > 0 && <div className="text-xs text-yellow-300">{t(PERMISSION_NOTES[permission])}</div>}
+      {status.error && <div className="text-xs text-red-300" role="alert">{t("Alert check: {error}", { error: status.error })}</div>}
+      {!favorites.length && <p className="text-sm text-slate-400">{t("Save a favorite spot to set alerts on it.")}</p>}
+
+      {form && (
+        <div className="bg-slate-800/60 rounded p-3 grid md:grid-cols-5 gap-2 text-sm">
+          <label className="md:col-span-2">{t("Spot")}
+            <select className={input} value={form.favId} onChange={pickSpot}>
+              {favorites.map((f) => <option key={f.id} value={f.id}>{f.name}</option>)}
+            </select>
+          </label>
+          <label>{t("Species")}
+            <input className={input} list="fp-alert-species" value={form.species} onChange={set("species")} />
+          </label>
+          <label>{t("When")}
+            <select className={input} value={form.kind} onChange={set("kind")}>
+              {Object.entries(ALERT_KINDS).map(([k, v]) => <option key={k} value={k}>{t(v.label)}</option>)}
+            </select>
+          </label>
+          <div className="flex gap-2">
+            {form.kind === "score" && (
+              <label className="flex-1">{t("Score ≥")}
+                <input className={input} type="number" min="50" max="100" step="5" value={form.minScore} onChange={set("minScore")} />
+              </label>
+            )}
+            <label className="flex-1">{t("Days")}
+              <select className={input} value={form.days} onChange={set("days")}>
+                {[...Array(MAX_ALERT_DAYS).keys()].map((i) => <option key={i} value={i + 1}>{i + 1}</option>)}
+              </select>
+            </label>
+          </div>
+          <div className="md:col-span-5 flex items-center gap-2">
+            <button className="bg-blue-500 hover:bg-blue-600 px-3 py-1 rounded disabled:opacity-50" onClick={save} disabled={!String(form.species).trim()}>{t("Save")}</button>
+            <button className="bg-slate-700 hover:bg-slate-600 px-3 py-1 rounded" onClick={() => setForm(null)}>{t("Cancel")}</button>
+          </div>
+          <datalist id="fp-alert-species">{ALL_GAME_FISH.map((s) => <option key={s} value={speciesName(s)} />)}</datalist>
+        </div>
+      )}
+
+      {rules.length > 0 && (
+        <ul className="space-y-1 text-sm">
+          {rules.map((r) => (
+            <li key={r.id} className="flex flex-wrap items-center gap-x-3 gap-y-1 bg-slate-800 rounded px-3 py-2">
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={r.enabled}
+                  onChange={(e) => onRulesChange(rules.map((x) => (x.id === r.id ? { ...x, enabled: e.target.checked } : x)))}
+                />
+                <span className="font-medium">{favById.get(r.favId)?.name ?? t("Removed spot")}</span>
+              </label>
+              <span className="text-slate-300">{speciesName(r.species)} · {describeRule(r)}</span>
+              <button className="ml-auto underline text-xs text-red-300" onClick={() => onRulesChange(rules.filter((x) => x.id !== r.id))}>{t("Remove")}</button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {visible.length > 0 && (
+        <div className="space-y-1">
+          <div className="flex items-center justify-between text-sm">
+            <h3 className="font-medium">{t("Alert history")}</h3>
+            <button className="underline text-xs" onClick={onClearHistory}>{t("Clear")}</button>
+          </div>
+          <ul className="space-y-1 text-sm">
+            {visible.map((a) => (
+              <li key={a.key} className="bg-slate-800/60 rounded px-3 py-2">
+                <button className="text-left font-medium hover:underline" onClick={() => onOpen(a.hash)}>{a.title}</button>
+                <div className="text-xs text-slate-300">{a.body}</div>
+                <div className="text-xs text-slate-500">
+                  {formatAge(a.firedAt)}{a.notified ? "" : ` · ${t("not shown as a notification")}`}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
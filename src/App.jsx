@@ -1,25 +1,75 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import L from "leaflet";
 import {
   ALL_GAME_FISH,
-  top20ForType,
+  speciesForWater,
   successScore,
+  scoreBreakdown,
   suggestGear,
   bboxFromCenterRadius,
-  cacheGet,
-  cacheSet,
+  prefGet,
+  prefSet,
+  dropLegacyCache,
   haversineMiles,
   bestWindows,
+  pressureTrend,
+  seasonalPhase,
+  spawnEthicsNote,
+  PHASE_LABELS,
+  flowPercentile,
+  flowState,
+  FACTOR_LABELS,
+  ymd,
 } from "./lib.js";
+import { solunarPeriods, solunarActivity } from "./solunar.js";
+import { resolveSpecies, speciesKey } from "./species.js";
+import { estimateWaterTemp, waterClass, validateEstimate, addValidation, WATER_CLASSES } from "./waterTemp.js";
+import CatchLog from "./CatchLog.jsx";
+import { fitCalibration, calibratedScore, MIN_TRIPS } from "./calibration.js";
+import { cached, cacheRead, cacheWrite, sweepExpired } from "./cache.js";
+import { request, throttled, isAbort, errorMessage, HttpError } from "./request.js";
+import { mergeCatalog, osmWaterBodies } from "./catalog.js";
+import { osmShapes, measureShapes } from "./geometry.js";
+import { encodeLink, decodeLink } from "./deepLink.js";
+import { DISTANCE_WEIGHTS, weatherCell, weatherCells, weatherPoint, weatherPoints, rankValue, sortRows } from "./ranking.js";
+import { POI_TYPES, PARKING_RADIUS_MI, poiQuery, parsePois, navLinks, clusterPoints } from "./poi.js";
+import {
+  WEATHER_PROVIDERS,
+  forecastForDay,
+  weatherSettings,
+  saveWeatherSettings,
+  providerBaseUrl,
+  providerKey,
+} from "./weatherProviders.js";
+import WeatherSettings from "./WeatherSettings.jsx";
+import CacheSettings from "./CacheSettings.jsx";
+import Favorites from "./Favorites.jsx";
+import Alerts from "./Alerts.jsx";
+import ManualReadings from "./ManualReadings.jsx";
+import WhatIf from "./WhatIf.jsx";
+import { loadReadings, saveReadings, readingValues, applyOverrides } from "./manual.js";
+import { UNIT_SYSTEMS, defaultUnitSystem, fmt, fmtRange, fmtArea, toUnit, fromUnit, unitSymbol } from "./units.js";
+import { listFavorites, saveFavorites } from "./favorites.js";
+import { LOCALES, initLocale, setLocale, t, speciesName, fmtDate, fmtClock, fmtDateTime, ordinal } from "./i18n.js";
+import {
+  MAX_ALERT_DAYS, listAlertRules, saveAlertRules, evaluateRule, upcomingMatches, alertText, alertHistory, unseenAlerts, recordAlerts, clearAlertHistory,
+} from "./alerts.js";
+import {
+  downloadArea, onWorkerMessage, savedAreas, formatAge, notificationPermission, requestNotifications, showNotification, setAlertSync,
+  queueBackgroundAlerts, takeBackgroundAlerts,
+} from "./offline.js";
 
 const USGS_SITE_URL = "https://waterservices.usgs.gov/nwis/site/";
 const USGS_IV_URL = "https://waterservices.usgs.gov/nwis/iv/";
-const OPEN_METEO_URL = "https://api.open-meteo.com/v1/forecast";
+const USGS_STAT_URL = "https://waterservices.usgs.gov/nwis/stat/";
 const OVERPASS_MIRRORS = [
   "https://overpass-api.de/api/interpreter",
   "https://overpass.openstreetmap.fr/api/interpreter",
 ];
 const NOMINATIM_URL = "https://nominatim.openstreetmap.org/search";
+const OUTLINE_RADIUS_MI = 10;
+/** Travel-radius slider in the display unit, by symbol; the radius itself stays in miles */
+const RADIUS_SLIDERS = { mi: { min: 10, max: 100, step: 5 }, km: { min: 10, max: 160, step: 5 } };
 
 // -------- Geolocation hook --------
 function useGeolocation() {
@@ -27,7 +77,7 @@ function useGeolocation() {
   const [err, setErr] = useState(null);
   const get = () => {
     if (!navigator.geolocation) {
-      setErr("Geolocation not supported");
+      setErr(t("Geolocation not supported"));
       return;
     }
     navigator.geolocation.getCurrentPosition(
@@ -40,56 +90,181 @@ function useGeolocation() {
 }
 
 // -------- Leaflet Map with click-to-set --------
-function Map({ center, wb, radiusMi, onMapClick }) {
+const SHAPE_STYLE = { color: "#38bdf8", weight: 1.5, fillOpacity: 0.15 };
+const UNCLUSTER_ZOOM = 16; // past this, stacked markers open a list instead of zooming
+const DEFAULT_POI_LAYERS = { ramp: true, bait: true, pier: true, access: true, parking: false };
+
+const escapeHtml = (str) => String(str).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+function poiIcon(type) {
+  const pt = POI_TYPES[type];
+  return L.divIcon({
+    className: "",
+    html: `<div class="flex items-center justify-center w-7 h-7 rounded-full border-2 border-white text-sm font-bold text-white shadow" style="background:${pt.color}">${pt.glyph}</div>`,
+    iconSize: [28, 28], iconAnchor: [14, 14], popupAnchor: [0, -14],
+  });
+}
+
+function clusterIcon(n) {
+  const size = n < 10 ? 30 : n < 50 ? 36 : 42;
+  return L.divIcon({
+    className: "",
+    html: `<div class="flex items-center justify-center rounded-full border-2 border-white bg-sky-700 text-xs font-semibold text-white shadow" style="width:${size}px;height:${size}px">${n}</div>`,
+    iconSize: [size, size], iconAnchor: [size / 2, size / 2],
+  });
+}
+
+function poiPopup(p) {
+  const nav = navLinks(p.lat, p.lon);
+  const link = (href, label) => `<a href="${href}" target="_blank" rel="noreferrer">${label}</a>`;
+  return `<strong>${escapeHtml(t(p.name))}</strong><br>${t(POI_TYPES[p.type].unnamed)}<br>`
+    + `${t("Directions:")} ${link(nav.google, "Google")} · ${link(nav.apple, "Apple")} · ${link(nav.osm, "OSM")}`;
+}
+const SELECTED_SHAPE_STYLE = { color: "#fbbf24", weight: 3, fillOpacity: 0.3 };
+
+function Map({ center, wb, radiusMi, shapes = [], selectedShapes = [], pois = [], ranked = [], onMapClick, onShapeClick, onSiteClick }) {
+  const [map, setMap] = useState(null);
+  // handlers are fresh closures every render; keep the map itself stable
+  const handlers = useRef({});
+  handlers.current = { onMapClick, onShapeClick, onSiteClick };
+
   useEffect(() => {
-    const map = L.map("map", { attributionControl: true }).setView(
+    const map = L.map("map", { attributionControl: true, preferCanvas: true }).setView(
       [center.lat, center.lon], 10
     );
     L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", { maxZoom: 19 }).addTo(map);
 
     const centerMarker = L.marker([center.lat, center.lon]).addTo(map);
-    centerMarker.bindPopup("Your location");
+    // popups as functions so they're built (and translated) when opened
+    centerMarker.bindPopup(() => t("Your location"));
 
-    L.circle([center.lat, center.lon], { radius: radiusMi * 1609.344, color: "#60a5fa" }).addTo(map);
+    L.circle([center.lat, center.lon], { radius: radiusMi * 1609.344, color: "#60a5fa", fill: false, interactive: false }).addTo(map);
 
-    let wbMarker = null;
-    if (wb && wb.lat && wb.lon) {
-      wbMarker = L.marker([wb.lat, wb.lon]).addTo(map).bindPopup(`${wb.name}`);
-      map.fitBounds(L.latLngBounds([[center.lat, center.lon], [wb.lat, wb.lon]]), { padding: [30, 30] });
-    }
-
-    const handleClick = (e) => onMapClick && onMapClick({ lat: e.latlng.lat, lon: e.latlng.lng });
+    const handleClick = (e) => handlers.current.onMapClick?.({ lat: e.latlng.lat, lon: e.latlng.lng });
     map.on("click", handleClick);
+    setMap(map);
 
     return () => {
       map.off("click", handleClick);
-      if (wbMarker) wbMarker.remove();
+      setMap(null);
       map.remove();
     };
-  }, [center.lat, center.lon, wb?.lat, wb?.lon, radiusMi, onMapClick]);
+  }, [center.lat, center.lon, radiusMi]);
+
+  // water outlines + the selected body, redrawn without rebuilding the map
+  useEffect(() => {
+    if (!map) return;
+    const layer = L.layerGroup().addTo(map);
+    const selectedRefs = new Set(selectedShapes.map((s) => s.ref));
+    const draw = (s, style) => {
+      const opts = { ...style, bubblingMouseEvents: false };
+      const l = s.kind === "area" ? L.polygon(s.polygons, opts) : L.polyline(s.lines, opts);
+      if (s.name) l.bindTooltip(s.name, { sticky: true });
+      l.on("click", () => handlers.current.onShapeClick?.(s.ref));
+      return l.addTo(layer);
+    };
+    shapes.filter((s) => !selectedRefs.has(s.ref)).forEach((s) => draw(s, SHAPE_STYLE));
+    selectedShapes.forEach((s) => draw(s, SELECTED_SHAPE_STYLE));
+    if (wb && wb.lat && wb.lon) L.marker([wb.lat, wb.lon]).addTo(layer).bindPopup(`${wb.name}`);
+    return () => layer.remove();
+  }, [map, shapes, selectedShapes, wb?.lat, wb?.lon, wb?.name]);
+
+  // ranking mode: every scored site as a dot colored by its score
+  useEffect(() => {
+    if (!map || !ranked.length) return;
+    const layer = L.layerGroup().addTo(map);
+    ranked.forEach((r) => {
+      L.circleMarker([r.lat, r.lon], {
+        radius: 7, weight: 1.5, color: "#fff", fillColor: colorForScore(r.score), fillOpacity: 0.9, bubblingMouseEvents: false,
+      })
+        .bindTooltip(`${escapeHtml(r.name)} · ${r.score ?? "–"}%`)
+        .on("click", () => handlers.current.onSiteClick?.(r.id))
+        .addTo(layer);
+    });
+    return () => layer.remove();
+  }, [map, ranked]);
+
+  // access points, re-clustered whenever the zoom changes
+  useEffect(() => {
+    if (!map) return;
+    const layer = L.layerGroup().addTo(map);
+    const draw = () => {
+      layer.clearLayers();
+      clusterPoints(pois, map.getZoom()).forEach((c) => {
+        if (c.items.length === 1) {
+          const p = c.items[0];
+          L.marker([p.lat, p.lon], { icon: poiIcon(p.type), title: t(p.name) }).bindPopup(() => poiPopup(p)).addTo(layer);
+          return;
+        }
+        const m = L.marker([c.lat, c.lon], { icon: clusterIcon(c.items.length) }).addTo(layer);
+        if (map.getZoom() >= UNCLUSTER_ZOOM) m.bindPopup(() => c.items.map(poiPopup).join("<hr>"));
+        else m.on("click", () => map.fitBounds(L.latLngBounds(c.items.map((p) => [p.lat, p.lon])), { padding: [40, 40] }));
+      });
+    };
+    draw();
+    map.on("zoomend", draw);
+    return () => { map.off("zoomend", draw); layer.remove(); };
+  }, [map, pois]);
 
-  return <div id="map" className="w-full h-80 bg-slate-800" aria-label="Map of location and water body" />;
+  // frame the selection (not on every outline refresh, so panning sticks)
+  useEffect(() => {
+    if (!map || !wb || !wb.lat || !wb.lon) return;
+    const bounds = L.latLngBounds([[center.lat, center.lon], [wb.lat, wb.lon]]);
+    selectedShapes.forEach((s) => (s.kind === "area" ? s.polygons.flat(2) : s.lines.flat()).forEach((p) => bounds.extend(p)));
+    map.fitBounds(bounds, { padding: [30, 30] });
+  }, [map, selectedShapes, wb?.lat, wb?.lon]);
+
+  return <div id="map" className="w-full h-80 bg-slate-800" aria-label={t("Map of location and water body")} />;
 }
 
 // -------- Remote fetch helpers --------
-async function fetchOverpass(query) {
+// Every helper takes { signal } (and { onRefresh } when cached) and rejects with
+// a typed error from request.js; effects abort their signal on cleanup.
+async function fetchOverpass(query, signal) {
   let lastErr = null;
   for (const base of OVERPASS_MIRRORS) {
     try {
-      const r = await fetch(base, { method: "POST", headers: { "Content-Type": "text/plain" }, body: query });
-      if (!r.ok) throw new Error(`Overpass ${base} HTTP ${r.status}`);
-      const j = await r.json();
+      const init = { method: "POST", headers: { "Content-Type": "text/plain" }, body: query };
+      const j = await request("overpass", base, { signal, init });
       console.info("[OSM] Overpass ok:", base, "elements:", j?.elements?.length ?? 0);
       return j;
     } catch (e) {
+      if (isAbort(e)) throw e;
       console.warn("[OSM] Overpass failed:", base, e);
       lastErr = e;
     }
   }
-  throw lastErr || new Error("All Overpass mirrors failed");
+  throw lastErr;
+}
+
+/** Every water body near center: USGS gauges and OSM features merged into one
+ *  de-duplicated list (catalog.js), sorted by distance. Either source may fail;
+ *  only both failing is an error. onRefresh(list) fires when a stale cached half
+ *  is replaced by a newer one.
+ */
+async function fetchWaterCatalog(center, radiusMi, { signal, onRefresh } = {}) {
+  const parts = {};
+  const combine = () => mergeCatalog(parts.usgs || [], parts.osm || [], center);
+  const refresh = (name) => (fresh) => { parts[name] = fresh; onRefresh?.(combine()); };
+  const [usgs, osm] = await Promise.allSettled([
+    fetchUSGSSites(center, radiusMi, { signal, onRefresh: refresh("usgs") }),
+    fetchOSMWater(center, radiusMi, { signal, onRefresh: refresh("osm") }),
+  ]);
+  const aborted = [usgs, osm].find((r) => r.status === "rejected" && isAbort(r.reason));
+  if (aborted) throw aborted.reason;
+  if (usgs.status === "rejected" && osm.status === "rejected") throw usgs.reason;
+  if (usgs.status === "rejected") console.error("[USGS] Sites failed; OSM only:", usgs.reason);
+  if (osm.status === "rejected") console.error("[OSM] Water failed; USGS only:", osm.reason);
+  // a background refresh may already have landed a newer half
+  parts.usgs ??= usgs.value;
+  parts.osm ??= osm.value;
+  const list = combine();
+  console.info("[Sites] Catalog:", list.length, "from", parts.usgs?.length ?? 0, "gauges +", parts.osm?.length ?? 0, "OSM features");
+  return list;
 }
 
-async function fetchUSGSSites(center, radiusMi) {
+/** Active USGS stream/lake gauges in the bbox around center */
+async function fetchUSGSSites(center, radiusMi, { signal, onRefresh } = {}) {
   const bbox = bboxFromCenterRadius(center.lat, center.lon, radiusMi);
   const params = new URLSearchParams({
     format: "json",
@@ -98,17 +273,17 @@ async function fetchUSGSSites(center, radiusMi) {
     siteStatus: "active",
   });
   const url = `${USGS_SITE_URL}?${params.toString()}`;
-  const key = `sites:${params.toString()}`;
-
-  const cached = cacheGet(key);
-  if (cached) return cached;
-
-  try {
+  return cached("sites", `sites:${params.toString()}`, async () => {
     console.info("[USGS] Fetch:", url);
-    const r = await fetch(url);
-    if (!r.ok) throw new Error(`USGS HTTP ${r.status}`);
-    const j = await r.json();
-    let list = (j?.value?.site || [])
+    let j;
+    try {
+      j = await request("usgs", url, { signal });
+    } catch (e) {
+      // the site service answers "no sites found" with a 404
+      if (e instanceof HttpError && e.status === 404) return [];
+      throw e;
+    }
+    const list = (j?.value?.site || [])
       .map((s) => ({
         id: s.siteCode?.[0]?.value,
         name: s.siteName,
@@ -119,96 +294,67 @@ async function fetchUSGSSites(center, radiusMi) {
         source: "USGS",
       }))
       .filter((s) => Number.isFinite(s.lat) && Number.isFinite(s.lon));
-
     console.info("[USGS] Sites returned:", list.length);
+    return list;
+  }, { onRefresh });
+}
 
-    if (list.length === 0) {
-      const radiusM = Math.floor(radiusMi * 1609.344);
-      const { lat, lon } = center;
-      const query = `[out:json][timeout:25];
-        (
-          way["natural"="water"](around:${radiusM},${lat},${lon});
-          way["water"="lake"](around:${radiusM},${lat},${lon});
-          way["water"="reservoir"](around:${radiusM},${lat},${lon});
-          way["waterway"="river"](around:${radiusM},${lat},${lon});
-        );
-        out center;`;
-      const jj = await fetchOverpass(query);
-      list = (jj.elements || [])
-        .map((e) => ({
-          id: String(e.id),
-          name: e.tags?.name || "Unnamed Water",
-          lat: e.center?.lat || e.lat,
-          lon: e.center?.lon || e.lon,
-          type: e.tags?.waterway ? "River" : e.tags?.water || "Water",
-          source: "OSM",
-        }))
-        .filter((s) => Number.isFinite(s.lat) && Number.isFinite(s.lon));
-      console.info("[OSM] Water bodies:", list.length);
-    }
-
-    list.sort(
-      (a, b) =>
-        haversineMiles(center, { lat: a.lat, lon: a.lon }) -
-        haversineMiles(center, { lat: b.lat, lon: b.lon })
+/** Overpass query for the water bodies the catalog lists; `out` picks centers or full geometry */
+function osmWaterQuery(center, radiusMi, out) {
+  const around = `(around:${Math.floor(radiusMi * 1609.344)},${center.lat},${center.lon})`;
+  return `[out:json][timeout:25];
+    (
+      way["natural"="water"]${around};
+      relation["natural"="water"]${around};
+      way["waterway"="river"]${around};
     );
+    out ${out};`;
+}
 
-    cacheSet(key, list, 6 * 60 * 60 * 1000);
+/** OSM lakes, reservoirs and rivers within radiusMi; river segments collapsed by name */
+async function fetchOSMWater(center, radiusMi, { signal, onRefresh } = {}) {
+  const query = osmWaterQuery(center, radiusMi, "bb center");
+  return cached("sites", `osm:${center.lat.toFixed(3)},${center.lon.toFixed(3)}:${radiusMi}`, async () => {
+    const j = await fetchOverpass(query, signal);
+    const list = osmWaterBodies(j?.elements, center);
+    console.info("[OSM] Water bodies:", list.length, "from", j?.elements?.length ?? 0, "elements");
     return list;
-  } catch (err) {
-    console.error("[USGS] error; falling back to OSM:", err);
-    try {
-      const radiusM = Math.floor(radiusMi * 1609.344);
-      const { lat, lon } = center;
-      const query = `[out:json][timeout:25];
-        (
-          way["natural"="water"](around:${radiusM},${lat},${lon});
-          way["water"="lake"](around:${radiusM},${lat},${lon});
-          way["water"="reservoir"](around:${radiusM},${lat},${lon});
-          way["waterway"="river"](around:${radiusM},${lat},${lon});
-        );
-        out center;`;
-      const jj = await fetchOverpass(query);
-      const list = (jj.elements || [])
-        .map((e) => ({
-          id: String(e.id),
-          name: e.tags?.name || "Unnamed Water",
-          lat: e.center?.lat || e.lat,
-          lon: e.center?.lon || e.lon,
-          type: e.tags?.waterway ? "River" : e.tags?.water || "Water",
-          source: "OSM",
-        }))
-        .filter((s) => Number.isFinite(s.lat) && Number.isFinite(s.lon))
-        .sort((a, b) =>
-          haversineMiles(center, { lat: a.lat, lon: a.lon }) -
-          haversineMiles(center, { lat: b.lat, lon: b.lon })
-        );
-      console.info("[OSM] Fallback water bodies:", list.length);
-      cacheSet(key, list, 6 * 60 * 60 * 1000);
-      return list;
-    } catch (osmErr) {
-      console.error("[OSM] Fallback failed:", osmErr);
-      return [];
-    }
-  }
+  }, { onRefresh });
 }
 
-async function fetchUSGSConditions(siteId) {
-  const params = new URLSearchParams({
-    format: "json",
-    parameterCd: "00060,00065,00010,63680",
-    sites: siteId,
-  });
-  const url = `${USGS_IV_URL}?${params.toString()}`;
-  const key = `iv:${siteId}`;
-  const cached = cacheGet(key);
-  if (cached) return cached;
-  console.info("[USGS] Conditions:", siteId);
-  const r = await fetch(url);
-  const j = await r.json();
-  const out = { flowCfs: null, stageFt: null, waterTempF: null, turbidityFnu: null };
-  const ts = j?.value?.timeSeries || [];
-  ts.forEach((s) => {
+/** Outlines of every water body near center (radius capped: full geometry is heavy) */
+async function fetchWaterShapes(center, radiusMi, { signal, onRefresh } = {}) {
+  const r = Math.min(radiusMi, OUTLINE_RADIUS_MI);
+  const query = osmWaterQuery(center, r, "geom");
+  return cached("geometry", `area:${center.lat.toFixed(3)},${center.lon.toFixed(3)}:${r}`, async () => {
+    const shapes = osmShapes((await fetchOverpass(query, signal))?.elements);
+    console.info("[OSM] Outlines:", shapes.length);
+    return shapes;
+  }, { onRefresh });
+}
+
+/** Outlines for specific OSM refs ("way/1", "relation/2") — the selected water body */
+async function fetchShapesByRef(refs, { signal } = {}) {
+  const ids = (type) => refs.filter((r) => r.startsWith(`${type}/`)).map((r) => r.split("/")[1]);
+  const ways = ids("way"), rels = ids("relation");
+  const query = `[out:json][timeout:25];
+    (
+      ${ways.length ? `way(id:${ways.join(",")});` : ""}
+      ${rels.length ? `relation(id:${rels.join(",")});` : ""}
+    );
+    out geom;`;
+  return cached("geometry", `refs:${[...refs].sort().join(",")}`, async () => osmShapes((await fetchOverpass(query, signal))?.elements));
+}
+
+const IV_PARAMS = "00060,00065,00010,63680";
+
+/** Instantaneous-values response → Map(siteId → { flowCfs, stageFt, waterTempF, turbidityFnu }) */
+function parseIV(j) {
+  const bySite = new Map();
+  (j?.value?.timeSeries || []).forEach((s) => {
+    const id = s?.sourceInfo?.siteCode?.[0]?.value;
+    if (!bySite.has(id)) bySite.set(id, { flowCfs: null, stageFt: null, waterTempF: null, turbidityFnu: null });
+    const out = bySite.get(id);
     const code = s?.variable?.variableCode?.[0]?.value;
     const val = parseFloat(s?.values?.[0]?.value?.[0]?.value);
     if (code === "00060") out.flowCfs = val;
@@ -216,119 +362,285 @@ async function fetchUSGSConditions(siteId) {
     if (code === "00010") out.waterTempF = (val * 9) / 5 + 32;
     if (code === "63680") out.turbidityFnu = val;
   });
-  cacheSet(key, out, 60 * 60 * 1000);
-  return out;
+  return bySite;
 }
 
-async function fetchWeather(lat, lon, dateISO) {
-  const d = new Date(dateISO);
-  const y = d.getUTCFullYear(), m = d.getUTCMonth() + 1, day = d.getUTCDate();
+async function fetchUSGSConditions(siteId, { signal, onRefresh } = {}) {
+  const params = new URLSearchParams({ format: "json", parameterCd: IV_PARAMS, sites: siteId });
+  const url = `${USGS_IV_URL}?${params.toString()}`;
+  return cached("gauges", `iv:${siteId}`, async () => {
+    console.info("[USGS] Conditions:", siteId);
+    const j = await request("usgs", url, { signal });
+    return parseIV(j).get(siteId) || { flowCfs: null, stageFt: null, waterTempF: null, turbidityFnu: null };
+  }, { onRefresh });
+}
+
+/** Daily discharge (00060) statistics for a site, keyed "M-D":
+ *  { count, min, p05, p10, p20, p25, p50, p75, p80, p90, p95, max, mean }
+ *  The stat service only speaks RDB (tab-separated with # comments).
+ */
+async function fetchUSGSFlowStats(siteId, { signal } = {}) {
+  return cached("flowstats", `flowstats:${siteId}`, () => loadFlowStats(siteId, signal));
+}
+
+async function loadFlowStats(siteId, signal) {
   const params = new URLSearchParams({
-    latitude: lat, longitude: lon,
-    hourly: "temperature_2m,cloudcover,windspeed_10m,pressure_msl",
-    daily: "sunrise,sunset",
-    start_date: `${y}-${String(m).padStart(2,"0")}-${String(day).padStart(2,"0")}`,
-    end_date: `${y}-${String(m).padStart(2,"0")}-${String(day).padStart(2,"0")}`,
+    format: "rdb",
+    sites: siteId,
+    statReportType: "daily",
+    statTypeCd: "all",
+    parameterCd: "00060",
+  });
+  console.info("[USGS] Flow stats:", siteId);
+  const text = await request("usgs", `${USGS_STAT_URL}?${params.toString()}`, { signal, as: "text" });
+  const lines = text.split("\n").filter((l) => l && !l.startsWith("#"));
+  const [header, , ...rows] = lines; // second line is the RDB column-format row
+  const cols = (header || "").split("\t");
+  const out = {};
+  rows.forEach((line) => {
+    const v = Object.fromEntries(line.split("\t").map((x, i) => [cols[i], x]));
+    const num = (k) => (v[k] === "" || v[k] == null ? null : parseFloat(v[k]));
+    out[`${v.month_nu}-${v.day_nu}`] = {
+      count: num("count_nu"), min: num("min_va"), max: num("max_va"), mean: num("mean_va"),
+      p05: num("p05_va"), p10: num("p10_va"), p20: num("p20_va"), p25: num("p25_va"), p50: num("p50_va"),
+      p75: num("p75_va"), p80: num("p80_va"), p90: num("p90_va"), p95: num("p95_va"),
+    };
+  });
+  return out;
+}
+
+/** Selectable fishing dates: today + 7, labelled in the active locale */
+function dateOptionsFrom(today) {
+  return [...Array(8).keys()].map((d) => {
+    const dt = new Date(today); dt.setDate(dt.getDate() + d);
+    return { iso: dt.toISOString(), day: ymd(dt), label: d === 0 ? t("Today") : fmtDate(dt) };
+  });
+}
+
+function isTodaySelected(dateISO) {
+  return ymd(dateISO) === ymd(new Date());
+}
+
+function addDays(dayStr, n) {
+  const d = new Date(`${dayStr}T12:00:00`); // local noon: clear of DST shifts
+  d.setDate(d.getDate() + n);
+  return ymd(d);
+}
+
+/** Weather for the selected day plus the surrounding days, from the chosen
+ *  provider (weatherProviders.js). hourly: the selected day only (24 rows);
+ *  series: every hour from 3 days before to 1 day after, used for pressure
+ *  tendency + front detection (forecast-only providers start at today).
+ */
+async function fetchWeather(lat, lon, dateISO, { settings, providerId = settings.provider, signal, onRefresh } = {}) {
+  const dayStr = ymd(new Date(dateISO));
+  const adapter = WEATHER_PROVIDERS[providerId];
+  const baseUrl = providerBaseUrl(settings, providerId);
+  const key = `wx:${providerKey(settings, providerId)}:${lat.toFixed(3)},${lon.toFixed(3)}:${dayStr}:series`;
+  return cached("weather", key, async () => {
+    const fc = await adapter.fetchRange(lat, lon, addDays(dayStr, -3), addDays(dayStr, 1), { baseUrl, signal });
+    return forecastForDay(fc, dayStr);
+  }, { onRefresh });
+}
+
+/** Multi-day outlook in ONE request: returns [{ date, hourly, daily, series }]
+ *  for each day in dayStrs (consecutive), sharing one series for pressure trends.
+ */
+async function fetchOutlook(lat, lon, dayStrs, { settings, signal, onRefresh } = {}) {
+  if (!dayStrs.length) return [];
+  const first = dayStrs[0], last = dayStrs[dayStrs.length - 1];
+  const id = settings.provider;
+  const baseUrl = providerBaseUrl(settings, id);
+  const key = `wxo:${providerKey(settings, id)}:${lat.toFixed(3)},${lon.toFixed(3)}:${first}:${dayStrs.length}`;
+  const slice = (fc) => dayStrs.map((d) => forecastForDay(fc, d));
+  // cache the normalized forecast once; the per-day slices share one series
+  const fc = await cached("weather", key, () => WEATHER_PROVIDERS[id].fetchRange(lat, lon, addDays(first, -3), last, { baseUrl, signal }), {
+    onRefresh: onRefresh && ((fresh) => onRefresh(slice(fresh))),
+  });
+  return slice(fc);
+}
+
+function airHistoryParams(lats, lons) {
+  return new URLSearchParams({
+    latitude: lats, longitude: lons,
+    daily: "temperature_2m_mean",
+    past_days: "60",
+    forecast_days: "9",
     timezone: "auto",
   });
-  const url = `${OPEN_METEO_URL}?${params.toString()}`;
-  const key = `wx:${lat.toFixed(3)},${lon.toFixed(3)}:${dateISO}`;
-  const cached = cacheGet(key);
-  if (cached) return cached;
-  console.info("[WX] Fetch:", lat.toFixed(3), lon.toFixed(3), dateISO.slice(0,10));
-  const r = await fetch(url);
-  const j = await r.json();
-  const hourly = (j?.hourly?.time || []).map((t, i) => ({
-    time: t,
-    airTempF: Math.round(((j.hourly.temperature_2m?.[i] ?? 0) * 9) / 5 + 32),
-    windMph: Math.round((j.hourly.windspeed_10m?.[i] ?? 0) * 0.621371),
-    cloudPct: Math.round(j.hourly.cloudcover?.[i] ?? 0),
-    pressure_msl: j.hourly.pressure_msl?.[i],
+}
+
+function parseAirHistory(j) {
+  return (j?.daily?.time || []).map((date, i) => ({
+    date,
+    airTempF: Number.isFinite(j.daily.temperature_2m_mean?.[i]) ? (j.daily.temperature_2m_mean[i] * 9) / 5 + 32 : null,
   }));
-  const sunrise = j?.daily?.sunrise?.[0];
-  const sunset = j?.daily?.sunset?.[0];
-  const daily = {
-    sunriseTs: sunrise ? new Date(sunrise).getTime() : null,
-    sunsetTs: sunset ? new Date(sunset).getTime() : null,
-  };
-  const out = { hourly, daily };
-  cacheSet(key, out, 60 * 60 * 1000);
+}
+
+/** Daily mean air temp for the last 60 days through the forecast horizon,
+ *  feeding the water-temperature lag model: [{ date, airTempF }]
+ */
+async function fetchAirHistory(lat, lon, { settings, signal } = {}) {
+  const params = airHistoryParams(lat, lon);
+  const key = `airhist:${lat.toFixed(2)},${lon.toFixed(2)}:${ymd(new Date())}`;
+  return cached("airhist", key, async () => {
+    console.info("[WX] Air history:", lat.toFixed(3), lon.toFixed(3));
+    // daily means for past days are Open-Meteo-only, whichever provider drives the forecast
+    const j = await request("openmeteo", `${providerBaseUrl(settings, "openmeteo")}/v1/forecast?${params.toString()}`, { signal });
+    return parseAirHistory(j);
+  });
+}
+
+// -------- Bulk lookups for the site ranking --------
+// One cache entry per point (same keys as the single-site helpers), fresh hits
+// skipped, the rest fetched in throttled chunks so a wide radius stays polite.
+const OPEN_METEO_BATCH = 25; // locations per Open-Meteo request
+const MAX_SINGLE_POINT_CELLS = 30; // forecast cells fetched from providers with no batch endpoint (NWS), nearest first
+const USGS_BATCH = 50;       // sites per USGS instantaneous-values request
+
+/** Map(key → value) for items; chunks that fail are logged and left out.
+ *  Rejects only when nothing could be loaded (or on abort). */
+async function loadBatched(source, items, { keyOf, loadChunk, chunkSize, concurrency = 1, gapMs = 1000, signal, onProgress }) {
+  const out = new Map();
+  const missing = [];
+  for (const it of items) {
+    const hit = await cacheRead(keyOf(it));
+    if (hit?.fresh) out.set(keyOf(it), hit.v);
+    else missing.push(it);
+  }
+  let done = items.length - missing.length, lastErr = null;
+  onProgress?.(done, items.length);
+  const chunks = [];
+  for (let i = 0; i < missing.length; i += chunkSize) chunks.push(missing.slice(i, i + chunkSize));
+  await throttled(chunks, async (chunk) => {
+    try {
+      const values = await loadChunk(chunk);
+      chunk.forEach((it, i) => {
+        if (values[i] == null) return;
+        out.set(keyOf(it), values[i]);
+        cacheWrite(keyOf(it), source, values[i]);
+      });
+    } catch (e) {
+      if (isAbort(e)) throw e;
+      console.warn(`[Rank] ${source} chunk failed:`, e);
+      lastErr = e;
+    }
+    done += chunk.length;
+    onProgress?.(done, items.length);
+  }, { concurrency, gapMs, signal });
+  if (!out.size && items.length && lastErr) throw lastErr;
   return out;
 }
 
-async function fetchPOIs(lat, lon, radiusMi, types = ["boat_ramp", "shop_fishing"]) {
-  const radiusM = Math.floor(radiusMi * 1609.344);
-  const parts = [];
-  if (types.includes("boat_ramp")) parts.push('node["amenity"="boat_ramp"]');
-  if (types.includes("shop_fishing")) parts.push('node["shop"="fishing"]');
-  if (parts.length === 0) return [];
-  const query = `[out:json][timeout:25];(${parts
-    .map((p) => `${p}(around:${radiusM},${lat},${lon});`).join(" ")})out body;`;
-  const key = `pois:${lat.toFixed(3)},${lon.toFixed(3)}:${radiusMi}:${types.join(",")}`;
-  const cached = cacheGet(key);
-  if (cached) return cached;
-  try {
-    const j = await fetchOverpass(query);
-    const items = (j.elements || []).map((e) => ({
-      id: e.id,
-      lat: e.lat,
-      lon: e.lon,
-      name: e.tags?.name || e.tags?.brand || "(Unnamed)",
-      type: e.tags?.amenity || e.tags?.shop,
-    }));
-    cacheSet(key, items, 12 * 60 * 60 * 1000);
+/** Day forecasts for many points: Map(point.key → { date, hourly, daily, series }) */
+async function fetchWeatherMany(points, dateISO, { settings, signal, onProgress } = {}) {
+  const dayStr = ymd(new Date(dateISO));
+  const id = settings.provider;
+  const adapter = WEATHER_PROVIDERS[id];
+  const baseUrl = providerBaseUrl(settings, id);
+  const start = addDays(dayStr, -3), end = addDays(dayStr, 1);
+  const keyOf = (p) => `wx:${providerKey(settings, id)}:${p.lat.toFixed(3)},${p.lon.toFixed(3)}:${dayStr}:series`;
+  const byKey = await loadBatched("weather", points, {
+    keyOf,
+    // providers without a batch endpoint get one point per request, two at a time
+    chunkSize: adapter.fetchBatch ? OPEN_METEO_BATCH : 1,
+    concurrency: adapter.fetchBatch ? 1 : 2,
+    gapMs: adapter.fetchBatch ? 1000 : 300,
+    loadChunk: async (chunk) => {
+      const fcs = adapter.fetchBatch
+        ? await adapter.fetchBatch(chunk, start, end, { baseUrl, signal })
+        : [await adapter.fetchRange(chunk[0].lat, chunk[0].lon, start, end, { baseUrl, signal })];
+      return fcs.map((fc) => forecastForDay(fc, dayStr));
+    },
+    signal, onProgress,
+  });
+  return new Map(points.map((p) => [p.key, byKey.get(keyOf(p))]).filter(([, v]) => v));
+}
+
+/** Air-temperature histories for many points (Open-Meteo batch): Map(point.key → [{ date, airTempF }]) */
+async function fetchAirHistoryMany(points, { settings, signal, onProgress } = {}) {
+  const keyOf = (p) => `airhist:${p.lat.toFixed(2)},${p.lon.toFixed(2)}:${ymd(new Date())}`;
+  const byKey = await loadBatched("airhist", points, {
+    keyOf,
+    chunkSize: OPEN_METEO_BATCH,
+    loadChunk: async (chunk) => {
+      const params = airHistoryParams(chunk.map((p) => p.lat.toFixed(4)).join(","), chunk.map((p) => p.lon.toFixed(4)).join(","));
+      console.info("[WX] Air history batch:", chunk.length, "points");
+      const j = await request("openmeteo", `${providerBaseUrl(settings, "openmeteo")}/v1/forecast?${params.toString()}`, { signal });
+      return (Array.isArray(j) ? j : [j]).map(parseAirHistory);
+    },
+    signal, onProgress,
+  });
+  return new Map(points.map((p) => [p.key, byKey.get(keyOf(p))]).filter(([, v]) => v));
+}
+
+/** Current readings for many gauges in few requests: Map(siteId → readings) */
+async function fetchUSGSConditionsMany(siteIds, { signal, onProgress } = {}) {
+  return loadBatched("gauges", siteIds, {
+    keyOf: (id) => `iv:${id}`,
+    chunkSize: USGS_BATCH,
+    loadChunk: async (chunk) => {
+      const params = new URLSearchParams({ format: "json", parameterCd: IV_PARAMS, sites: chunk.join(",") });
+      console.info("[USGS] Conditions batch:", chunk.length, "sites");
+      const bySite = parseIV(await request("usgs", `${USGS_IV_URL}?${params.toString()}`, { signal }));
+      return chunk.map((id) => bySite.get(id) || { flowCfs: null, stageFt: null, waterTempF: null, turbidityFnu: null });
+    },
+    signal, onProgress,
+  }).then((byKey) => new Map(siteIds.map((id) => [id, byKey.get(`iv:${id}`)]).filter(([, v]) => v)));
+}
+
+/** Everything the ranking scores from, fetched one source after another:
+ *  { weather: Map(point.key → …), air: Map(cell.key → …), gauges: Map(siteId → …), perSite }
+ *  Forecasts are per site (weatherPoint) when the provider batches; otherwise per cell,
+ *  for the nearest MAX_SINGLE_POINT_CELLS cells (sites arrive sorted by distance). */
+async function loadRankingData(sites, dateISO, { settings, signal, onProgress } = {}) {
+  const perSite = !!WEATHER_PROVIDERS[settings.provider]?.fetchBatch;
+  const points = weatherPoints(sites, perSite).slice(0, perSite ? Infinity : MAX_SINGLE_POINT_CELLS);
+  const cells = weatherCells(sites);
+  const gaugeIds = [...new Set(sites.map((s) => s.gaugeId).filter(Boolean))];
+  const step = (label) => (done, total) => onProgress?.(`${label} ${done}/${total}`);
+  const weather = await fetchWeatherMany(points, dateISO, { settings, signal, onProgress: step(t("Weather")) });
+  const air = await fetchAirHistoryMany(cells, { settings, signal, onProgress: step(t("Air-temperature history")) })
+    .catch((e) => { if (isAbort(e)) throw e; return new Map(); });
+  const gauges = await fetchUSGSConditionsMany(gaugeIds, { signal, onProgress: step(t("Gauges")) })
+    .catch((e) => { if (isAbort(e)) throw e; return new Map(); });
+  console.info("[Rank] Loaded:", points.length, perSite ? "site forecasts," : "weather cells,", gaugeIds.length, "gauges for", sites.length, "sites");
+  return { weather, air, gauges, perSite };
+}
+
+/** Ramps, slipways, bait shops, piers, fishing access and parking near water (poi.js) */
+async function fetchPOIs(lat, lon, radiusMi, { signal, onRefresh } = {}) {
+  const query = poiQuery(lat, lon, radiusMi);
+  return cached("pois", `pois:${lat.toFixed(3)},${lon.toFixed(3)}:${radiusMi}`, async () => {
+    const items = parsePois((await fetchOverpass(query, signal))?.elements);
     console.info("[POI] count:", items.length);
     return items;
-  } catch (e) {
-    console.warn("[POI] Overpass failed:", e);
-    return [];
-  }
+  }, { onRefresh });
 }
 
-async function geocodePlace(q) {
+async function geocodePlace(q, { signal } = {}) {
   const params = new URLSearchParams({ q, format: "json", limit: "1", addressdetails: "0" });
   const url = `${NOMINATIM_URL}?${params.toString()}`;
   console.info("[Geo] Geocoding:", q);
-  const r = await fetch(url, { headers: { "Accept-Language": "en" } });
-  if (!r.ok) throw new Error(`Geocoding HTTP ${r.status}`);
-  const arr = await r.json();
+  const arr = await request("nominatim", url, { signal, init: { headers: { "Accept-Language": "en" } } });
   if (!arr || arr.length === 0) return null;
   const { lat, lon } = arr[0];
   return { lat: parseFloat(lat), lon: parseFloat(lon) };
 }
 
-// -------- Temperature-based filtering (within App) --------
-const WARM_SET = [
-  "Largemouth Bass","Smallmouth Bass","Striped Bass","White Bass","Walleye",
-  "Crappie","Bluegill","Sunfish","Perch","Catfish","Carp","Hybrid Striper","Northern Pike","Muskellunge"
-];
-const COLD_SET = [
-  "Rainbow Trout","Brown Trout","Brook Trout","Lake Trout","Steelhead",
-  "Walleye","Perch","Northern Pike","Muskellunge","Smallmouth Bass"
-];
+// -------- Water classification (within App) --------
 function isColdWater(waterType, waterTempF) {
   if (!Number.isFinite(waterTempF)) return null;
   if (/River|Stream/i.test(waterType)) return waterTempF < 60;
   return waterTempF < 55;
 }
-function top20ForTypeAndTemp(waterType, waterTempF) {
-  const base = top20ForType(waterType || "Water");
-  const cold = isColdWater(waterType || "Water", waterTempF);
-  if (cold === null) return base.slice(0, 20);
-  const allow = cold ? COLD_SET : WARM_SET;
-  const primary = base.filter(s => allow.includes(s));
-  const remainder = base.filter(s => !primary.includes(s));
-  return [...primary, ...remainder].slice(0, 20);
-}
-function normName(s) { return (s || "").trim().toLowerCase().replace(/\s+/g, " "); }
-const KNOWN_SET = new Set(ALL_GAME_FISH.map(normName));
 
 // -------- Speedometer Gauge (SVG) --------
 function labelForScore(sc) {
-  if (sc >= 80) return "Excellent";
-  if (sc >= 60) return "Good";
-  if (sc >= 40) return "Average";
-  return "Poor";
+  if (sc >= 80) return t("Excellent");
+  if (sc >= 60) return t("Good");
+  if (sc >= 40) return t("Average");
+  return t("Poor");
 }
 function colorForScore(sc) {
   if (sc >= 80) return "#3B82F6"; // blue
@@ -345,8 +657,8 @@ function Speedometer({ value }) {
   const [angle, setAngle] = useState(-90);
 
   useEffect(() => {
-    const t = setTimeout(() => setAngle(needleAngle), 50);
-    return () => clearTimeout(t);
+    const timer = setTimeout(() => setAngle(needleAngle), 50);
+    return () => clearTimeout(timer);
   }, [needleAngle]);
 
   // Arc geometry constants
@@ -356,7 +668,7 @@ function Speedometer({ value }) {
 
   return (
     <div className="w-full flex items-center justify-center">
-      <svg width="260" height="150" viewBox="0 0 260 150" role="img" aria-label={`Success ${v}% ${label}`}>
+      <svg width="260" height="150" viewBox="0 0 260 150" role="img" aria-label={t("Success {score}% {label}", { score: v, label })}>
         {/* Base background arc */}
         <path
           d={`M${cx - radius} ${cy} A${radius} ${radius} 0 0 1 ${cx + radius} ${cy}`}
@@ -384,8 +696,8 @@ function Speedometer({ value }) {
         </defs>
 
         {/* Tick marks */}
-        {[0, 25, 50, 75, 100].map((t, i) => {
-          const a = (-90 + (t * 180 / 100)) * Math.PI / 180;
+        {[0, 25, 50, 75, 100].map((tick, i) => {
+          const a = (-90 + (tick * 180 / 100)) * Math.PI / 180;
           const x1 = cx + Math.cos(a) * (radius - 18);
           const y1 = cy + Math.sin(a) * (radius - 18);
           const x2 = cx + Math.cos(a) * (radius);
@@ -411,38 +723,573 @@ function Speedometer({ value }) {
   );
 }
 
+/** ScoreTimeline: 24 tappable bars, one per hour of the selected day */
+function ScoreTimeline({ timeline, activeHour, onPick }) {
+  if (!timeline || timeline.length === 0) return null;
+  return (
+    <div className="space-y-1">
+      <div className="flex items-end gap-px h-20" role="group" aria-label={t("Hourly success score")}>
+        {timeline.map((h) => {
+          const sc = h.score ?? 0;
+          const active = h.hour === activeHour;
+          return (
+            <button
+              key={h.hour}
+              type="button"
+              className={`flex-1 h-full flex items-end rounded-sm ${active ? "bg-slate-700" : "hover:bg-slate-800"}`}
+              onClick={() => onPick(h.hour)}
+              aria-label={`${fmtTime(h.time)}: ${sc}%`}
+              aria-pressed={active}
+              title={`${fmtTime(h.time)} · ${sc}%`}
+            >
+              <span
+                className="block w-full rounded-sm"
+                style={{ height: `${Math.max(4, sc)}%`, background: colorForScore(sc), opacity: active ? 1 : 0.6 }}
+              />
+            </button>
+          );
+        })}
+      </div>
+      <div className="flex justify-between text-[10px] text-slate-400">
+        {[0, 6, 12, 18, 23].map((i) => <span key={i}>{timeline[i] ? fmtTime(timeline[i].time) : ""}</span>)}
+      </div>
+    </div>
+  );
+}
+
+const SOURCE_BADGES = {
+  measured: { label: "measured", className: "bg-emerald-900 text-emerald-200" },
+  estimated: { label: "estimated", className: "bg-sky-900 text-sky-200" },
+  default: { label: "no data", className: "bg-amber-900 text-amber-200" },
+  calculated: { label: "calculated", className: "bg-slate-700 text-slate-300" },
+  manual: { label: "manual", className: "bg-violet-900 text-violet-200" },
+  "what-if": { label: "what-if", className: "bg-fuchsia-900 text-fuchsia-200" },
+};
+
+/** ScoreBreakdown: scoreBreakdown's factors as bars (points out of each factor's
+ *  maximum; penalties in red) with the reason for each underneath */
+function ScoreBreakdown({ breakdown }) {
+  if (!breakdown) return null;
+  const defaults = breakdown.factors.filter((f) => f.source === "default").length;
+  return (
+    <details className="bg-slate-800/60 rounded p-3 text-sm" open>
+      <summary className="cursor-pointer font-medium">
+        {t("Why {score}%?", { score: breakdown.score })}
+        <span className="text-xs text-slate-400 font-normal">
+          {" "}{t("{n} points", { n: breakdown.raw })}{breakdown.raw > 100 ? ` ${t("(capped at 100)")}` : ""}
+          {defaults > 0 ? ` · ${defaults === 1 ? t("1 factor without data") : t("{n} factors without data", { n: defaults })}` : ""}
+        </span>
+      </summary>
+      <ul className="mt-2 space-y-2">
+        {breakdown.factors.map((f) => {
+          const badge = SOURCE_BADGES[f.source];
+          const neg = f.points < 0;
+          const width = neg ? (f.points / f.min) * 100 : (f.points / f.max) * 100;
+          return (
+            <li key={f.key}>
+              <div className="flex items-center gap-2">
+                <span className="w-32 shrink-0">{f.label}</span>
+                <div className="flex-1 h-2 bg-slate-700 rounded" role="img" aria-label={t("{label}: {points} of {max} points", { label: f.label, points: f.points, max: f.max })}>
+                  <div className={`h-2 rounded ${neg ? "bg-red-500" : "bg-emerald-500"}`} style={{ width: `${Math.min(100, Math.max(0, width))}%` }} />
+                </div>
+                <span className={`w-16 text-right tabular-nums ${neg ? "text-red-300" : ""}`}>{f.points > 0 ? "+" : ""}{f.points}/{f.max}</span>
+                <span className={`text-[10px] px-1.5 rounded-full w-20 text-center ${badge.className}`}>{t(badge.label)}</span>
+              </div>
+              <div className="text-xs text-slate-400 pl-1">{f.reason}</div>
+            </li>
+          );
+        })}
+      </ul>
+    </details>
+  );
+}
+
+/** OutlookTable: one row per forecast day, best day starred */
+function OutlookTable({ rows, bestIso, selectedIso, onPick, units }) {
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead className="text-xs text-slate-400 text-left">
+          <tr>
+            <th className="py-1 pr-3 font-normal">{t("Day")}</th>
+            <th className="py-1 pr-3 font-normal">{t("Peak")}</th>
+            <th className="py-1 pr-3 font-normal">{t("Best window")}</th>
+            <th className="py-1 pr-3 font-normal">{t("Water")}</th>
+            <th className="py-1 pr-3 font-normal">{t("Wind")}</th>
+            <th className="py-1 pr-3 font-normal">{t("Pressure")}</th>
+            <th className="py-1 font-normal">{t("Moon")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r) => {
+            const best = r.iso === bestIso;
+            return (
+              <tr
+                key={r.iso}
+                className={`cursor-pointer border-t border-slate-800 hover:bg-slate-800 ${r.iso === selectedIso ? "bg-slate-800" : ""} ${best ? "ring-1 ring-inset ring-blue-500" : ""}`}
+                onClick={() => onPick(r.iso)}
+              >
+                <td className="py-1 pr-3 whitespace-nowrap">{best ? "★ " : ""}{r.label}</td>
+                <td className="py-1 pr-3 whitespace-nowrap">
+                  <span style={{ color: colorForScore(r.peakScore) }}>{r.peakScore}%</span>
+                  <span className="text-slate-400"> @ {fmtTime(r.peakTime)}</span>
+                </td>
+                <td className="py-1 pr-3 whitespace-nowrap">
+                  {r.bestWindow ? `${fmtTime(r.bestWindow.time)}${r.bestWindow.solunar ? ` (${t(r.bestWindow.solunar)})` : ""}` : "—"}
+                </td>
+                <td className="py-1 pr-3 whitespace-nowrap">{fmt("temp", r.waterTempF, units)}{r.estimated ? "*" : ""}</td>
+                <td className="py-1 pr-3 whitespace-nowrap">{fmtRange("speed", r.windMin, r.windMax, units)}</td>
+                <td className="py-1 pr-3 whitespace-nowrap" title={r.trend?.note && t(r.trend.note)}>
+                  {r.trend ? `${TREND_ARROWS[r.trend.tendency]} ${r.trend.front ? t(`front ${r.trend.front}`) : t(r.trend.tendency)}` : "—"}
+                </td>
+                <td className="py-1 whitespace-nowrap">{r.moon?.name ? t(r.moon.name) : "—"}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <p className="text-xs text-slate-500 mt-1">* {t("estimated water temperature")}</p>
+    </div>
+  );
+}
+
+/** Every site ranked for one day; sortable columns, click a row to open that site */
+function RankingTable({ rows, sort, onSort, selectedId, onPick, units }) {
+  const th = (key, label) => (
+    <th className="py-1 pr-3 font-normal">
+      <button className="hover:text-slate-200" onClick={() => onSort(key)} aria-sort={sort.key === key ? (sort.dir > 0 ? "ascending" : "descending") : "none"}>
+        {label}{sort.key === key ? (sort.dir > 0 ? " ▲" : " ▼") : ""}
+      </button>
+    </th>
+  );
+  return (
+    <div className="overflow-x-auto max-h-96 overflow-y-auto">
+      <table className="w-full text-sm">
+        <thead className="text-xs text-slate-400 text-left sticky top-0 bg-slate-900">
+          <tr>
+            <th className="py-1 pr-3 font-normal">#</th>
+            {th("name", t("Water body"))}
+            {th("distMi", t("Distance"))}
+            {th("score", t("Peak score"))}
+            <th className="py-1 pr-3 font-normal">{t("Water")}</th>
+            {th("value", t("Rank"))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r, i) => (
+            <tr
+              key={r.site.id}
+              className={`cursor-pointer border-t border-slate-800 hover:bg-slate-800 ${r.site.id === selectedId ? "bg-slate-800" : ""}`}
+              onClick={() => onPick(r.site.id)}
+            >
+              <td className="py-1 pr-3 text-slate-400">{r.score == null ? "–" : i + 1}</td>
+              <td className="py-1 pr-3">
+                {r.site.name} <span className="text-xs text-slate-400">· {t(r.site.type)}{r.site.gaugeId ? ` · ${t("gauged")}` : ""}</span>
+              </td>
+              <td className="py-1 pr-3 whitespace-nowrap">{fmt("distance", r.distMi, units)}</td>
+              {r.score == null ? (
+                <td className="py-1 pr-3 text-xs text-slate-400" colSpan={3}>{t("No weather for this spot")}</td>
+              ) : (
+                <>
+                  <td className="py-1 pr-3 whitespace-nowrap">
+                    <span style={{ color: colorForScore(r.score) }}>{r.score}%</span>
+                    <span className="text-slate-400"> @ {fmtTime(r.peakTime)}</span>
+                  </td>
+                  <td className="py-1 pr-3 whitespace-nowrap">{fmt("temp", r.waterTempF, units)}{r.estimated ? "*" : ""}</td>
+                  <td className="py-1 pr-3 font-semibold">{r.value}</td>
+                </>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-xs text-slate-500 mt-1">* {t("estimated water temperature")} · {t("Rank = peak score minus the distance penalty")}</p>
+    </div>
+  );
+}
+
+/** CalibrationPanel: how far the fitted calibration moved each factor */
+function CalibrationPanel({ cal, waterName, units }) {
+  if (!cal.ok) {
+    return (
+      <p className="text-sm text-slate-400">
+        {cal.trips === 1
+          ? t("Based on 1 trip so far — log at least {min} (including skunked trips, count 0) to calibrate.", { min: MIN_TRIPS })
+          : t("Based on {n} trips so far — log at least {min} (including skunked trips, count 0) to calibrate.", { n: cal.trips, min: MIN_TRIPS })}
+      </p>
+    );
+  }
+  const shifts = Object.entries(cal.tempShiftF);
+  return (
+    <div className="text-sm space-y-2">
+      <div className="text-slate-300">
+        {cal.scope === "water"
+          ? t("Based on {n} trips ({fish} with fish, {skunks} skunked) at {water}.", { n: cal.trips, fish: cal.successes, skunks: cal.skunks, water: waterName })
+          : t("Based on {n} trips ({fish} with fish, {skunks} skunked) across all your waters.", { n: cal.trips, fish: cal.successes, skunks: cal.skunks })}
+        {cal.skunks === 0 && <span className="text-yellow-300"> {t("Log skunked trips too so factor weights can be learned.")}</span>}
+      </div>
+      <ul className="space-y-1">
+        {Object.entries(cal.weights).map(([f, m]) => {
+          const pct = Math.round((m - 1) * 100);
+          return (
+            <li key={f} className="flex items-center gap-2">
+              <span className="w-40">{t(FACTOR_LABELS[f] || f)}</span>
+              <span className="flex-1 h-2 bg-slate-800 rounded relative">
+                <span
+                  className={`absolute top-0 h-2 rounded ${pct >= 0 ? "bg-emerald-500" : "bg-red-500"}`}
+                  style={{ left: pct >= 0 ? "50%" : `${50 + pct}%`, width: `${Math.abs(pct)}%` }}
+                />
+              </span>
+              <span className="w-14 text-right text-slate-300">{pct > 0 ? "+" : ""}{pct}%</span>
+            </li>
+          );
+        })}
+      </ul>
+      {shifts.length > 0 && (
+        <div className="text-slate-300">
+          {t("Temperature bands:")} {shifts.map(([sp, d]) => `${speciesName(sp)} ${d > 0 ? "+" : ""}${fmt("tempDelta", d, units)}`).join(", ")}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/** dayConditions(wx, { measured, solunar, lat, waterEst })
+ * Day-level inputs: measured USGS water temp/turbidity when present, else the
+ * lag-model estimate (waterTemp.js), else the day's mean air temp minus 5°F.
+ */
+function dayConditions(wx, { measured, solunar, lat, waterEst }) {
+  const avgAir = wx.hourly.reduce((a, b) => a + (b.airTempF || 0), 0) / Math.max(wx.hourly.length, 1);
+  const estWater = waterEst ? Math.round(waterEst.tempF) : Math.round(avgAir - 5);
+  const turb = measured?.turbidityFnu ?? null;
+  return {
+    waterTempF: measured?.waterTempF ?? estWater,
+    waterTempRangeF: !measured?.waterTempF && waterEst ? [waterEst.lowF, waterEst.highF] : null,
+    turbidityFnu: turb,
+    flowPercentile: measured?.flowPercentile ?? null,
+    estimated: !measured?.waterTempF,
+    solunar,
+    lat,
+    sources: {
+      temp: measured?.waterTempF ? "measured" : "estimated",
+      turbidity: turb != null ? "measured" : "default",
+      flow: measured?.flowPercentile != null ? "measured" : "default",
+    },
+  };
+}
+
+/** conditionsForHour(wx, i, dayBase)
+ * Scoring inputs for wx.hourly[i]: per-hour wind, cloud, pressure (+ trend) and
+ * solunar activity on top of the day-level water temp/turbidity in dayBase.
+ */
+function conditionsForHour(wx, i, { waterTempF, waterTempRangeF, turbidityFnu, flowPercentile, estimated, solunar, lat, sources }) {
+  const h = wx.hourly[i];
+  const windMph = h?.windMph ?? 5;
+  const cloudPct = h?.cloudPct ?? 50;
+  const pressureInHg = h?.pressure_msl ? h.pressure_msl * 0.02953 : 29.92;
+  const hourTs = h?.time ? new Date(h.time).getTime() : NaN;
+  const lunar = solunar
+    ? { phase: solunar.moon.phase, activity: solunarActivity(solunar, hourTs, hourTs + 60 * 60 * 1000 - 1) }
+    : null;
+  const trend = pressureTrend(wx.series, hourTs);
+  // what scoreBreakdown reports as each input's origin; the fallbacks above are "default"
+  const forecast = (v) => (v != null ? "estimated" : "default");
+  return {
+    waterTempF, windMph, cloudPct, barometerInHg: Math.round(pressureInHg * 100) / 100, pressureTrend: trend, turbidityFnu, flowPercentile, lunar, time: h?.time ?? null, lat, estimated, waterTempRangeF,
+    sources: { ...sources, wind: forecast(h?.windMph), cloud: forecast(h?.cloudPct), pressure: h?.pressure_msl ? "estimated" : "default" },
+  };
+}
+
+/** scoreSiteDay(site, data, { dateIso, species, solByCell }) → { hours: [score], base, wx } | null
+ * One site's day from bulk-loaded data (loadRankingData): its forecast (weatherPoint),
+ * its gauge (readings only describe today; turbidity carries forward like the outlook)
+ * and the lag-model water temp from its cell's air history. solByCell memoizes
+ * solunar periods across sites.
+ */
+function scoreSiteDay(site, data, { dateIso, species, solByCell = new Map() }) {
+  const cell = weatherCell(site.lat, site.lon);
+  const wx = data.weather.get(weatherPoint(site, data.perSite).key);
+  if (!wx?.hourly.length) return null;
+  if (!solByCell.has(cell.key)) solByCell.set(cell.key, solunarPeriods(cell.lat, cell.lon, new Date(dateIso)));
+  const g = site.gaugeId ? data.gauges.get(site.gaugeId) : null;
+  const air = data.air.get(cell.key);
+  const est = air ? estimateWaterTemp(air, ymd(new Date(dateIso)), waterClass(site), { biasF: prefGet(`wtval:site:${site.id}`)?.biasF ?? 0 }) : null;
+  const base = dayConditions(wx, {
+    measured: isTodaySelected(dateIso) ? { waterTempF: g?.waterTempF ?? null, turbidityFnu: g?.turbidityFnu ?? null } : { turbidityFnu: g?.turbidityFnu ?? null },
+    solunar: solByCell.get(cell.key),
+    lat: site.lat,
+    waterEst: est,
+  });
+  const hours = wx.hourly.map((h, i) => successScore(species, site.type, conditionsForHour(wx, i, base)) ?? 0);
+  return { hours, base, wx };
+}
+
+// -------- Favorite alerts --------
+
+/** A favorite as a scorable site: its water body, or a custom point */
+function favoriteSite(f) {
+  return { ...(f.site || { id: `fav:${f.id}`, name: f.name, type: "Water" }), lat: f.lat, lon: f.lon };
+}
+
+/** loadAlertDays(fav, speciesList, count, { settings, signal }) → { [species]: [Day] }
+ * The next `count` days at a favorite (one outlook request), scored hour by hour for
+ * each species, with pressureTrend's front flag per hour (alerts.js Day shape).
+ */
+async function loadAlertDays(fav, speciesList, count, { settings, signal }) {
+  const site = favoriteSite(fav);
+  const cell = weatherCell(site.lat, site.lon);
+  const point = weatherPoint(site);
+  const opts = dateOptionsFrom(new Date()).slice(0, count);
+  const optional = (p) => p.catch((e) => { if (isAbort(e)) throw e; return null; }); // the forecast alone can score
+  const [days, air, gauge] = await Promise.all([
+    fetchOutlook(site.lat, site.lon, opts.map((o) => o.day), { settings, signal }),
+    optional(fetchAirHistory(cell.lat, cell.lon, { settings, signal })),
+    site.gaugeId ? optional(fetchUSGSConditions(site.gaugeId, { signal })) : null,
+  ]);
+  const perDay = opts.map((o, i) => ({
+    o,
+    wx: days[i],
+    data: { weather: new Map([[point.key, days[i]]]), air: new Map([[cell.key, air]]), gauges: new Map([[site.gaugeId, gauge]]), perSite: true },
+    solByCell: new Map(),
+    fronts: (days[i]?.hourly || []).map((h) => pressureTrend(days[i].series, new Date(h.time).getTime())?.front ?? null),
+  }));
+  return Object.fromEntries(speciesList.map((sp) => [sp, perDay.map(({ o, wx, data, solByCell, fronts }) => {
+    const day = scoreSiteDay(site, data, { dateIso: o.iso, species: sp, solByCell });
+    return { date: o.day, hours: (wx?.hourly || []).map((h, j) => ({ time: h.time, score: day?.hours[j] ?? 0, front: fronts[j] })) };
+  })]));
+}
+
+/** checkAlerts(rules, favorites, { settings, signal }) → [Alert] that fired for the first time
+ * One forecast per favorite with enabled rules, spaced out like the other bulk loads;
+ * new matches are shown as notifications (where allowed) and added to the history.
+ * Alerts the worker fired while the app was closed join the history first, and the
+ * matches not due yet are queued for it (offline.js).
+ */
+async function checkAlerts(rules, favorites, { settings, signal }) {
+  const background = await takeBackgroundAlerts();
+  if (background.length) recordAlerts(background);
+  const favById = new Map(favorites.map((f) => [f.id, f]));
+  const byFav = new Map();
+  rules.forEach((r) => {
+    if (!r.enabled || !favById.has(r.favId)) return;
+    if (!byFav.has(r.favId)) byFav.set(r.favId, []);
+    byFav.get(r.favId).push(r);
+  });
+  const now = Date.now();
+  const alerts = [];
+  const queued = [];
+  await throttled([...byFav], async ([favId, favRules]) => {
+    const fav = favById.get(favId);
+    // the whole forecast, so matches beyond a rule's horizon can be queued too
+    const days = await loadAlertDays(fav, [...new Set(favRules.map((r) => r.species))], MAX_ALERT_DAYS + 1, { settings, signal });
+    const toAlert = (r, m) => {
+      const link = { center: { lat: fav.lat, lon: fav.lon }, radius: fav.radiusMi, day: m.date, siteId: fav.site?.id };
+      return {
+        key: m.key, ruleId: r.id, favId, start: m.start,
+        hash: encodeLink({ ...link, ...(ALL_GAME_FISH.includes(r.species) ? { species: r.species } : { customSpecies: r.species }) }),
+        ...alertText(r, m, fav.name),
+      };
+    };
+    favRules.forEach((r) => {
+      const due = evaluateRule(r, days[r.species], now);
+      due.forEach((m) => alerts.push({ ...toAlert(r, m), firedAt: now }));
+      const dueKeys = new Set(due.map((m) => m.key));
+      upcomingMatches(r, days[r.species], now)
+        .filter((m) => !dueKeys.has(m.key))
+        .forEach((m) => queued.push({ ...toAlert(r, m), due: m.due, end: m.end }));
+    });
+  }, { concurrency: 1, gapMs: 500, signal });
+  const fresh = unseenAlerts(alerts);
+  for (const a of fresh) a.notified = await showNotification(a.title, { body: a.body, tag: a.key, hash: a.hash });
+  if (fresh.length) {
+    console.info("[Alerts] Fired:", fresh.map((a) => a.title));
+    recordAlerts(fresh);
+  }
+  await queueBackgroundAlerts(unseenAlerts(queued));
+  return fresh;
+}
+
+const PHASE_BADGE_CLASSES = {
+  "pre-spawn": "bg-emerald-800 text-emerald-100",
+  spawn: "bg-amber-700 text-amber-50",
+  "post-spawn": "bg-sky-800 text-sky-100",
+  summer: "bg-orange-800 text-orange-100",
+  fall: "bg-red-900 text-red-100",
+  winter: "bg-slate-600 text-slate-100",
+};
+
+const FLOW_STATE_CLASSES = {
+  "blown out": "text-red-400",
+  "high and muddy": "text-yellow-300",
+  normal: "text-emerald-300",
+  "low and clear": "text-sky-300",
+};
+
+const TREND_ARROWS = { rising: "↑", falling: "↓", stable: "→" };
+
+/** Small "manual" / "what-if" tag next to a condition that didn't come from the fetch */
+const OVERRIDDEN = new Set(["manual", "what-if"]);
+
+function InputMarker({ source }) {
+  if (!OVERRIDDEN.has(source)) return null;
+  const badge = SOURCE_BADGES[source];
+  return <span className={`ml-1 text-[10px] px-1.5 rounded-full ${badge.className}`}>{t(badge.label)}</span>;
+}
+
+/** Inline notice for a failed load (messages come from request.js errorMessage) */
+function LoadError({ msg }) {
+  if (!msg) return null;
+  return <div className="text-xs text-red-300" role="alert">{msg}</div>;
+}
+
+function fmtTime(time) {
+  return fmtClock(time);
+}
 
 // ============================== App ==============================
 export default function App() {
   const { pos, get } = useGeolocation();
 
   // Location & geocoding
-  const [center, setCenter] = useState(null);
+  const [link] = useState(() => decodeLink(window.location.hash)); // state from a shared link, if any
+  const [center, setCenter] = useState(() => link.center ?? null);
   const [searchText, setSearchText] = useState("");
   const [geoError, setGeoError] = useState("");
 
   // Controls & data
-  const [radius, setRadius] = useState(25);
-  const [dateIso, setDateIso] = useState(() => new Date().toISOString());
+  const [radius, setRadius] = useState(() => link.radius ?? 25);
+  const [today] = useState(() => new Date());
+  const [dateIso, setDateIso] = useState(() => dateOptionsFrom(today).find((o) => o.day === link.day)?.iso ?? today.toISOString());
   const [sites, setSites] = useState([]);
-  const [selectedSiteId, setSelectedSiteId] = useState("center"); // default to Current Location
+  const [selectedSiteId, setSelectedSiteId] = useState(() => link.siteId ?? "center"); // default to Current Location
   const [siteInfo, setSiteInfo] = useState(null);
 
-  const [species, setSpecies] = useState("Largemouth Bass"); // dropdown choice
-  const [customSpecies, setCustomSpecies] = useState("");     // typed override
+  const [species, setSpecies] = useState(() => link.species ?? "Largemouth Bass"); // dropdown choice
+  const [customSpecies, setCustomSpecies] = useState(() => link.customSpecies ?? ""); // typed override
   const [unknownCustom, setUnknownCustom] = useState(false);
 
   const [wx, setWx] = useState(null);
   const [hydro, setHydro] = useState(null);
   const [pois, setPois] = useState([]);
-  const [showBait, setShowBait] = useState(true);
-  const [showRamps, setShowRamps] = useState(true);
+  const [shapes, setShapes] = useState([]);         // outlines of nearby water (map)
+  const [siteShapes, setSiteShapes] = useState([]); // outline of the selected water body
+  const [poiLayers, setPoiLayers] = useState(() => ({ ...DEFAULT_POI_LAYERS, ...prefGet("pref:poiLayers") }));
+  const [pickedHour, setPickedHour] = useState(null); // hour index tapped on the timeline
+  const [outlookWx, setOutlookWx] = useState(null);   // 8 days from one request
+  const [catches, setCatches] = useState([]);         // mirrored from the catch log
+  const [airHist, setAirHist] = useState(null);       // daily mean air temps for the water-temp model
+  const [waterVal, setWaterVal] = useState(() => prefGet("wtval:all")); // model-vs-gauge running stats
+  const [useCalibrated, setUseCalibrated] = useState(() => prefGet("pref:calibrated") === true);
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [cachedSince, setCachedSince] = useState(null); // oldest response the worker served from cache
+  const [areaMsg, setAreaMsg] = useState("");
+  const [areas, setAreas] = useState(() => savedAreas());
+  const [wxSettings, setWxSettings] = useState(() => weatherSettings());
+  const [compareWx, setCompareWx] = useState({}); // { [providerId]: { wx } | { error } }
+  const [whatIf, setWhatIf] = useState(null);       // what-if slider values (manual.js Values) or null
+  const [units, setUnits] = useState(() => (UNIT_SYSTEMS[prefGet("pref:units")] ? prefGet("pref:units") : defaultUnitSystem()));
+  const radiusSlider = RADIUS_SLIDERS[unitSymbol("distance", units)];
+  const [locale, setLocaleState] = useState(() => initLocale(prefGet("pref:locale"))); // i18n.js holds the active one
+  const [rankOn, setRankOn] = useState(false);      // "Where should I go?" mode
+  const [rankData, setRankData] = useState(null);   // { weather, air, gauges } for every site
+  const [rankProgress, setRankProgress] = useState("");
+  const [rankWeight, setRankWeight] = useState(() => prefGet("pref:rankWeight") || "some");
+  const [rankSort, setRankSort] = useState({ key: "value", dir: -1 });
+  const [favorites, setFavorites] = useState(() => listFavorites());
+  const [favData, setFavData] = useState(null);     // bulk-loaded conditions for every favorite, today
+  const [alertRules, setAlertRules] = useState(() => listAlertRules());
+  const [alertLog, setAlertLog] = useState(() => alertHistory());
+  const [alertStatus, setAlertStatus] = useState({ checking: false, checkedAt: null, error: "" });
+  const [alertTick, setAlertTick] = useState(0);    // bumped to re-check alerts
+  const [notifyPermission, setNotifyPermission] = useState(() => notificationPermission());
+
+  // Selectable fishing dates (today + 7), stable for the session so <select> values match
+  const dateOptions = useMemo(() => dateOptionsFrom(today), [today, locale]);
+
+  // Deep link: mirror the prediction state into the hash. The first write replaces
+  // the entry; later changes push one (debounced, so typing a species isn't dozens)
+  const linkHash = center ? encodeLink({
+    center, radius, day: ymd(new Date(dateIso)), siteId: selectedSiteId, species, customSpecies,
+  }) : "";
+  const linkWritten = useRef(false);
+  useEffect(() => {
+    if (!linkHash || linkHash === window.location.hash) return;
+    const first = !linkWritten.current; // normalizes the opened link instead of stacking on it
+    const timer = setTimeout(() => {
+      window.history[first ? "replaceState" : "pushState"](null, "", linkHash);
+      linkWritten.current = true;
+    }, first ? 0 : 500);
+    return () => clearTimeout(timer);
+  }, [linkHash]);
+
+  // Back/forward: restore whatever state that entry's hash describes
+  useEffect(() => {
+    const onPop = () => {
+      const l = decodeLink(window.location.hash);
+      if (l.center) setCenter((c) => (c && c.lat.toFixed(5) === l.center.lat.toFixed(5) && c.lon.toFixed(5) === l.center.lon.toFixed(5) ? c : l.center));
+      if (l.radius) setRadius(l.radius);
+      const opt = dateOptions.find((o) => o.day === l.day);
+      if (opt) setDateIso(opt.iso);
+      setSelectedSiteId(l.siteId ?? "center");
+      if (l.species) setSpecies(l.species);
+      setCustomSpecies(l.customSpecies ?? "");
+    };
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, [dateOptions]);
 
   // Synthetic "Current Location" site
   const syntheticFromCenter = useMemo(() => {
     if (!center) return null;
-    return { id: "center", name: "Current Location", lat: center.lat, lon: center.lon, type: "Water", source: "CENTER" };
-  }, [center]);
+    return { id: "center", name: t("Current Location"), lat: center.lat, lon: center.lon, type: "Water", source: "CENTER" };
+  }, [center, locale]);
+
+  // Offline state: connectivity + which responses came from the worker's cache
+  useEffect(() => {
+    const up = () => { setOnline(true); setCachedSince(null); };
+    const down = () => setOnline(false);
+    window.addEventListener("online", up);
+    window.addEventListener("offline", down);
+    const off = onWorkerMessage((m) => {
+      if (m.type === "fp:cache-hit") setCachedSince((since) => (since && m.cachedAt ? Math.min(since, m.cachedAt) : since || m.cachedAt));
+      if (m.type === "fp:check-alerts") setAlertTick((n) => n + 1);
+      if (m.type === "fp:open-link" && m.hash) window.location.hash = m.hash; // popstate applies it
+    });
+    return () => { window.removeEventListener("online", up); window.removeEventListener("offline", down); off(); };
+  }, []);
+
+  async function handleDownloadArea() {
+    if (!center) return;
+    setAreaMsg(t("Downloading map tiles…"));
+    try {
+      const r = await downloadArea(
+        { name: siteInfo?.name || t("Current Location"), lat: center.lat, lon: center.lon, radiusMi: radius, bbox: bboxFromCenterRadius(center.lat, center.lon, radius) },
+        (done, total) => setAreaMsg(`${t("Downloading map tiles…")} ${done}/${total}`)
+      );
+      setAreaMsg(`${t("Saved {n} map tiles for offline use", { n: r.total - r.failed })}${r.failed ? ` ${t("({n} failed)", { n: r.failed })}` : ""}. ${t("Weather and gauge data for sites you open are cached as you go.")}`);
+      setAreas(savedAreas());
+    } catch (e) {
+      console.warn("[SW] Area download failed:", e);
+      setAreaMsg(e.message);
+    }
+  }
+
+  // Weather provider choice; refetch only when the provider or its base URL changes
+  const wxSourceKey = providerKey(wxSettings, wxSettings.provider);
+  const openMeteoBase = providerBaseUrl(wxSettings, "openmeteo"); // air history always comes from here
+  const updateWxSettings = (next) => { setWxSettings(next); saveWeatherSettings(next); };
+
+  // Per-source load errors, shown next to the section they affect
+  const [loadErrors, setLoadErrors] = useState({});
+  const loaded = (key) => setLoadErrors((m) => (m[key] ? { ...m, [key]: null } : m));
+  const failed = (key, e) => {
+    if (isAbort(e)) return; // superseded by a newer request
+    console.warn(`[Net] ${key} failed:`, e);
+    setLoadErrors((m) => ({ ...m, [key]: errorMessage(e) }));
+  };
+
+  // Cache housekeeping: old localStorage blobs out, expired IndexedDB entries swept
+  useEffect(() => { dropLegacyCache(); sweepExpired(); }, []);
 
   // Init from browser geolocation
   useEffect(() => { if (pos && !center) setCenter(pos); }, [pos, center]);
@@ -450,15 +1297,20 @@ export default function App() {
   // Fetch sites + POIs on center/radius change
   useEffect(() => {
     if (!center) return;
-    (async () => {
-      setSiteInfo({ id: "center", name: "Current Location", lat: center.lat, lon: center.lon, type: "Water", source: "CENTER" });
-      const s = await fetchUSGSSites(center, radius);
-      setSites(s);
-      const p = await fetchPOIs(center.lat, center.lon, Math.min(radius, 10),
-        [showRamps ? "boat_ramp" : null, showBait ? "shop_fishing" : null].filter(Boolean));
-      setPois(p);
-    })();
-  }, [center, radius, showBait, showRamps]);
+    const ctl = new AbortController();
+    const live = () => !ctl.signal.aborted; // refreshes must not land on a newer selection
+    setSiteInfo({ id: "center", name: t("Current Location"), lat: center.lat, lon: center.lon, type: "Water", source: "CENTER" });
+    fetchWaterCatalog(center, radius, { signal: ctl.signal, onRefresh: (fresh) => live() && setSites(fresh) })
+      .then((s) => { setSites(s); loaded("sites"); })
+      .catch((e) => { if (!isAbort(e)) setSites([]); failed("sites", e); });
+    fetchPOIs(center.lat, center.lon, radius, { signal: ctl.signal, onRefresh: (fresh) => live() && setPois(fresh) })
+      .then((p) => { setPois(p); loaded("pois"); })
+      .catch((e) => { if (!isAbort(e)) setPois([]); failed("pois", e); });
+    fetchWaterShapes(center, radius, { signal: ctl.signal, onRefresh: (fresh) => live() && setShapes(fresh) })
+      .then((sh) => { setShapes(sh); loaded("shapes"); })
+      .catch((e) => { if (!isAbort(e)) setShapes([]); failed("shapes", e); });
+    return () => ctl.abort();
+  }, [center, radius]);
 
   // Selection syncing
   useEffect(() => {
@@ -468,63 +1320,401 @@ export default function App() {
     if (s) setSiteInfo(s);
   }, [selectedSiteId, sites, syntheticFromCenter, center]);
 
+  // Selected water body outline: from the nearby outlines when they cover it, else by id
+  useEffect(() => {
+    const refs = siteInfo?.osmIds;
+    if (!refs?.length) { setSiteShapes([]); return; }
+    const have = shapes.filter((sh) => refs.includes(sh.ref));
+    if (have.length === refs.length) { setSiteShapes(have); return; }
+    const ctl = new AbortController();
+    fetchShapesByRef(refs, { signal: ctl.signal })
+      .then(setSiteShapes)
+      .catch((e) => { if (!isAbort(e)) { console.warn("[OSM] Outline failed:", e); setSiteShapes(have); } });
+    return () => ctl.abort();
+  }, [siteInfo?.id, shapes]);
+
+  const siteSize = useMemo(() => (siteShapes.length ? measureShapes(siteShapes) : null), [siteShapes]);
+
   // Weather + hydrology
   useEffect(() => {
     if (!siteInfo || !dateIso) return;
-    (async () => {
-      const wxData = await fetchWeather(siteInfo.lat, siteInfo.lon, dateIso);
-      setWx(wxData);
-      if (siteInfo.source === "USGS") {
-        const h = await fetchUSGSConditions(siteInfo.id);
-        setHydro(h);
-      } else {
-        setHydro(null);
+    const ctl = new AbortController();
+    const { signal } = ctl;
+    // where the current flow sits among the selected calendar day's history
+    const withFlow = async (h) => {
+      if (!Number.isFinite(h.flowCfs)) return h;
+      try {
+        const stats = await fetchUSGSFlowStats(siteInfo.gaugeId, { signal });
+        const [, month, day] = ymd(dateIso).split("-").map(Number);
+        const flowStats = stats[`${month}-${day}`] || null;
+        return { ...h, flowStats, flowPercentile: flowPercentile(h.flowCfs, flowStats) };
+      } catch (e) {
+        if (isAbort(e)) throw e;
+        console.warn("[USGS] Flow stats failed:", e);
+        return h;
       }
-    })();
-  }, [siteInfo?.id, siteInfo?.lat, siteInfo?.lon, siteInfo?.source, dateIso]);
-
-  // Derived conditions
-  const hourNow = new Date().getHours();
-  const measured = { waterTempF: hydro?.waterTempF ?? null, turbidityFnu: hydro?.turbidityFnu ?? null };
-  const derived = useMemo(() => {
-    if (!wx) return null;
-    const avgAir = wx.hourly.reduce((a, b) => a + (b.airTempF || 0), 0) / Math.max(wx.hourly.length, 1);
-    const estWater = measured.waterTempF ?? Math.round(avgAir - 5);
-    const windNow = wx.hourly[hourNow]?.windMph ?? 5;
-    const cloudNow = wx.hourly[hourNow]?.cloudPct ?? 50;
-    const pressureNow = wx.hourly[hourNow]?.pressure_msl ? wx.hourly[hourNow].pressure_msl * 0.02953 : 29.92;
-    const turb = measured.turbidityFnu ?? null;
-    return { waterTempF: estWater, windMph: windNow, cloudPct: cloudNow, barometerInHg: Math.round(pressureNow * 100) / 100, turbidityFnu: turb, estimated: !measured.waterTempF };
-  }, [wx, measured.waterTempF, measured.turbidityFnu, hourNow]);
+    };
+    fetchWeather(siteInfo.lat, siteInfo.lon, dateIso, { settings: wxSettings, signal, onRefresh: (fresh) => !signal.aborted && setWx(fresh) })
+      .then((wxData) => { setWx(wxData); loaded("weather"); })
+      .catch((e) => { if (!isAbort(e)) setWx(null); failed("weather", e); });
+    if (siteInfo.gaugeId) {
+      const onRefresh = (fresh) => withFlow(fresh).then((next) => !signal.aborted && setHydro(next)).catch(() => {});
+      fetchUSGSConditions(siteInfo.gaugeId, { signal, onRefresh })
+        .then(withFlow)
+        .then((h) => { setHydro(h); loaded("gauge"); })
+        .catch((e) => { if (!isAbort(e)) setHydro(null); failed("gauge", e); });
+    } else {
+      setHydro(null);
+      loaded("gauge");
+    }
+    return () => ctl.abort();
+  }, [siteInfo?.id, siteInfo?.lat, siteInfo?.lon, siteInfo?.gaugeId, dateIso, wxSourceKey]);
+
+  // Other providers for the side-by-side comparison
+  useEffect(() => {
+    if (!siteInfo || !wxSettings.compare) { setCompareWx({}); return; }
+    const ctl = new AbortController();
+    const others = Object.keys(WEATHER_PROVIDERS).filter((id) => id !== wxSettings.provider);
+    setCompareWx({});
+    others.forEach((id) => {
+      fetchWeather(siteInfo.lat, siteInfo.lon, dateIso, { settings: wxSettings, providerId: id, signal: ctl.signal })
+        .then((w) => setCompareWx((m) => ({ ...m, [id]: { wx: w } })))
+        .catch((e) => { if (!isAbort(e)) setCompareWx((m) => ({ ...m, [id]: { error: errorMessage(e) } })); });
+    });
+    return () => ctl.abort();
+  }, [siteInfo?.lat, siteInfo?.lon, dateIso, wxSourceKey, wxSettings.compare]);
+
+  // Air-temperature history for the water-temperature estimate
+  useEffect(() => {
+    if (!siteInfo) return;
+    const ctl = new AbortController();
+    fetchAirHistory(siteInfo.lat, siteInfo.lon, { settings: wxSettings, signal: ctl.signal })
+      .then((h) => { setAirHist(h); loaded("airhist"); })
+      .catch((e) => { if (!isAbort(e)) setAirHist(null); failed("airhist", e); });
+    return () => ctl.abort();
+  }, [siteInfo?.lat, siteInfo?.lon, openMeteoBase]);
+
+  // Multi-day outlook for the selected spot (one request for all dates)
+  useEffect(() => {
+    if (!siteInfo) return;
+    const ctl = new AbortController();
+    fetchOutlook(siteInfo.lat, siteInfo.lon, dateOptions.map((o) => o.day),
+      { settings: wxSettings, signal: ctl.signal, onRefresh: (fresh) => !ctl.signal.aborted && setOutlookWx(fresh) })
+      .then((days) => { setOutlookWx(days); loaded("outlook"); })
+      .catch((e) => { if (!isAbort(e)) setOutlookWx(null); failed("outlook", e); });
+    return () => ctl.abort();
+  }, [siteInfo?.lat, siteInfo?.lon, dateOptions, wxSourceKey]);
+
+  // Ranking: conditions for every site on the selected date (throttled, mostly cached)
+  useEffect(() => {
+    if (!rankOn || sites.length === 0) { setRankData(null); return; }
+    const ctl = new AbortController();
+    loadRankingData(sites, dateIso, { settings: wxSettings, signal: ctl.signal, onProgress: (m) => !ctl.signal.aborted && setRankProgress(m) })
+      .then((d) => { setRankData(d); setRankProgress(""); loaded("ranking"); })
+      .catch((e) => { if (!isAbort(e)) { setRankData(null); setRankProgress(""); } failed("ranking", e); });
+    return () => ctl.abort();
+  }, [rankOn, sites, dateIso, wxSourceKey, openMeteoBase]);
+
+  // Favorites: today's conditions for every saved spot (same bulk loader as the ranking)
+  const favSites = useMemo(() => favorites.map(favoriteSite), [favorites]);
+  useEffect(() => {
+    if (!favSites.length) { setFavData(null); return; }
+    const ctl = new AbortController();
+    setFavData(null);
+    loadRankingData(favSites, today.toISOString(), { settings: wxSettings, signal: ctl.signal })
+      .then(setFavData)
+      .catch((e) => { if (!isAbort(e)) { console.warn("[Fav] Scores failed:", e); setFavData({ error: errorMessage(e) }); } });
+    return () => ctl.abort();
+  }, [favSites, today, wxSourceKey, openMeteoBase]);
+
+  // Alerts: check every enabled rule now, every half hour while open, and whenever
+  // the worker's periodic sync asks; fired alerts go to the history either way (with
+  // the app closed the worker fires what the last check queued)
+  const alertsOn = alertRules.some((r) => r.enabled);
+  useEffect(() => {
+    if (!alertsOn) return;
+    const timer = setInterval(() => setAlertTick((n) => n + 1), 30 * 60 * 1000);
+    return () => clearInterval(timer);
+  }, [alertsOn]);
+  useEffect(() => {
+    setAlertSync(alertsOn && notifyPermission === "granted");
+  }, [alertsOn, notifyPermission]);
+  useEffect(() => {
+    if (!alertsOn) { queueBackgroundAlerts([]); return; }
+    const ctl = new AbortController();
+    setAlertStatus((s) => ({ ...s, checking: true }));
+    checkAlerts(alertRules, favorites, { settings: wxSettings, signal: ctl.signal })
+      .then(() => {
+        setAlertLog(alertHistory());
+        setAlertStatus({ checking: false, checkedAt: Date.now(), error: "" });
+      })
+      .catch((e) => {
+        if (isAbort(e)) return;
+        console.warn("[Alerts] Check failed:", e);
+        setAlertStatus((s) => ({ ...s, checking: false, error: errorMessage(e) }));
+      });
+    return () => ctl.abort();
+  }, [alertsOn, alertRules, favorites, alertTick, wxSourceKey, openMeteoBase]);
+
+  // Moon phase + solunar periods for the selected spot/day (computed offline)
+  const solunar = useMemo(
+    () => (siteInfo ? solunarPeriods(siteInfo.lat, siteInfo.lon, new Date(dateIso)) : null),
+    [siteInfo?.lat, siteInfo?.lon, dateIso]
+  );
+
+  // Water-temperature estimate (thermal lag model), validated against USGS gauges where both exist
+  const siteClass = waterClass(siteInfo);
+  const waterBias = siteInfo ? prefGet(`wtval:site:${siteInfo.id}`)?.biasF ?? 0 : 0;
+  // the gauge is checked against the uncorrected model; validating the corrected one
+  // would feed the bias back into itself and it would never settle
+  const waterModel = useMemo(
+    () => (airHist ? estimateWaterTemp(airHist, ymd(new Date(dateIso)), siteClass) : null),
+    [airHist, dateIso, siteClass]
+  );
+  const waterEst = useMemo(
+    () => (airHist ? estimateWaterTemp(airHist, ymd(new Date(dateIso)), siteClass, { biasF: waterBias }) : null),
+    [airHist, dateIso, siteClass, waterBias]
+  );
+  const waterCheck = isTodaySelected(dateIso) ? validateEstimate(waterModel, hydro?.waterTempF) : null;
+  useEffect(() => {
+    if (!waterCheck || !siteInfo) return;
+    // record each site's check once per day; 3+ checks start correcting the displayed
+    // estimate for that site by the model's mean error
+    const key = `wtval:site:${siteInfo.id}`;
+    const site = prefGet(key) || { stats: null, lastDay: null, biasF: 0 };
+    const today = ymd(new Date());
+    if (site.lastDay === today) return;
+    const stats = addValidation(site.stats, waterCheck);
+    const biasF = stats.n >= 3 ? -stats.meanErrF : 0;
+    prefSet(key, { stats, lastDay: today, biasF });
+    const all = addValidation(prefGet("wtval:all"), waterCheck);
+    prefSet("wtval:all", all);
+    setWaterVal(all);
+    console.info("[Water] Model vs gauge:", waterCheck);
+  }, [waterCheck?.errorF, siteInfo?.id]);
+
+  // On-site readings for this spot today (manual.js); they override what was fetched
+  const selectedDay = ymd(new Date(dateIso));
+  const [manual, setManual] = useState(null);
+  useEffect(() => {
+    setManual(siteInfo ? loadReadings(siteInfo.id, selectedDay) : null);
+    setWhatIf(null);
+  }, [siteInfo?.id, selectedDay]);
+  const updateManual = (r) => { setManual(r); saveReadings(siteInfo.id, selectedDay, r); };
+
+  // Day-level conditions (water temp + turbidity don't change hour to hour)
+  const measured = useMemo(() => ({
+    waterTempF: hydro?.waterTempF ?? null,
+    turbidityFnu: hydro?.turbidityFnu ?? null,
+    flowPercentile: hydro?.flowPercentile ?? null,
+  }), [hydro]);
+  const dayBase = useMemo(
+    () => (wx && siteInfo
+      ? applyOverrides(dayConditions(wx, { measured, solunar, lat: siteInfo.lat, waterEst }), readingValues(manual), "manual")
+      : null),
+    [wx, measured, solunar, siteInfo?.lat, waterEst, manual]
+  );
+  // One hour's scoring inputs, with manual wind/sky on the hour they were observed
+  const hourConditions = (i) => applyOverrides(conditionsForHour(wx, i, dayBase), readingValues(manual, { hour: i }), "manual");
 
   // Species list filtered by water type + temperature
-  const logicWaterTempF = derived?.waterTempF ?? null;
+  const logicWaterTempF = dayBase?.waterTempF ?? null;
   const filteredSpeciesList = useMemo(
-    () => top20ForTypeAndTemp(siteInfo?.type || "Water", logicWaterTempF),
+    () => speciesForWater(siteInfo?.type || "Water", logicWaterTempF),
     [siteInfo?.type, logicWaterTempF]
   );
 
-  // Effective species (typed overrides dropdown)
+  // Effective species (typed overrides dropdown); a typed name in any supported
+  // language becomes the English one, so scoring and display see a known species
   const effectiveSpecies = useMemo(() => {
     const typed = customSpecies.trim();
     if (typed.length === 0) { setUnknownCustom(false); return species; }
-    const known = KNOWN_SET.has(normName(typed));
+    const known = resolveSpecies(typed) != null;
     setUnknownCustom(!known);
     console.info("[Species] Using custom:", typed, "known?", known);
-    return typed;
+    return speciesKey(typed);
   }, [customSpecies, species]);
 
   const selectedWaterType = siteInfo?.type || "Water";
+
+  // Hour-by-hour score for the selected day
+  const timeline = useMemo(() => {
+    if (!wx || !dayBase || !siteInfo) return [];
+    return wx.hourly.map((h, i) => ({
+      time: h.time,
+      hour: i,
+      score: successScore(effectiveSpecies, selectedWaterType, hourConditions(i)),
+    }));
+  }, [wx, dayBase, manual, siteInfo, effectiveSpecies, selectedWaterType]);
+
+  // Active hour: tapped on the timeline, else "now" for today or the day's peak for other dates
+  useEffect(() => { setPickedHour(null); }, [dateIso, siteInfo?.id]);
+  const isToday = isTodaySelected(dateIso);
+  const defaultHour = useMemo(() => {
+    if (isToday || timeline.length === 0) return new Date().getHours();
+    return timeline.reduce((a, b) => ((b.score ?? 0) > (a.score ?? 0) ? b : a)).hour;
+  }, [isToday, timeline]);
+  const activeHour = pickedHour ?? defaultHour;
+
+  // Conditions for the active hour as observed (forecast, gauge, manual readings)…
+  const observed = useMemo(
+    () => (wx && dayBase ? hourConditions(activeHour) : null),
+    [wx, dayBase, manual, activeHour]
+  );
+  // …and as scored: the what-if sliders, while on, replace those inputs
+  const derived = useMemo(() => (whatIf ? applyOverrides(observed, whatIf, "what-if") : observed), [observed, whatIf]);
+
   const score = useMemo(() => (derived && siteInfo ? successScore(effectiveSpecies, selectedWaterType, derived) : null),
     [derived, effectiveSpecies, selectedWaterType, siteInfo]);
+  const breakdown = useMemo(() => (derived && siteInfo ? scoreBreakdown(effectiveSpecies, selectedWaterType, derived, { units }) : null),
+    [derived, effectiveSpecies, selectedWaterType, siteInfo, units, locale]);
+
+  // Same hour scored with each provider's weather, for the comparison table
+  const providerRows = useMemo(() => {
+    if (!wxSettings.compare || !wx || !dayBase || !siteInfo) return [];
+    const at = wx.hourly[activeHour]?.time;
+    return Object.keys(WEATHER_PROVIDERS).map((id) => {
+      const entry = id === wxSettings.provider ? { wx } : compareWx[id];
+      if (!entry?.wx) return { id, error: entry?.error, loading: !entry };
+      const i = entry.wx.hourly.findIndex((h) => h.time === at);
+      if (i < 0) return { id, error: t("No forecast for this hour.") };
+      const d = conditionsForHour(entry.wx, i, dayBase);
+      return { id, derived: d, airTempF: entry.wx.hourly[i].airTempF, score: successScore(effectiveSpecies, selectedWaterType, d) };
+    });
+  }, [wxSettings.compare, wxSettings.provider, wx, compareWx, dayBase, activeHour, effectiveSpecies, selectedWaterType, siteInfo, locale]);
+
+  // Seasonal phase (pre-spawn … winter) for the target species at the active hour
+  const phase = useMemo(() => (derived ? seasonalPhase(effectiveSpecies, derived) : null), [derived, effectiveSpecies]);
+  const ethicsNote = spawnEthicsNote(effectiveSpecies, phase);
+
+  // Personal calibration fitted from logged trips (opt-in)
+  const calibration = useMemo(
+    () => fitCalibration(catches, { siteId: siteInfo && siteInfo.source !== "CENTER" ? siteInfo.id : null }),
+    [catches, siteInfo?.id, siteInfo?.source]
+  );
+  const calScore = useMemo(
+    () => (useCalibrated && derived && siteInfo ? calibratedScore(effectiveSpecies, selectedWaterType, derived, calibration) : null),
+    [useCalibrated, derived, siteInfo, effectiveSpecies, selectedWaterType, calibration]
+  );
+  useEffect(() => { prefSet("pref:calibrated", useCalibrated); }, [useCalibrated]);
+
+  const gear = useMemo(() => (derived && siteInfo ? suggestGear(effectiveSpecies, selectedWaterType, derived, { units }) : null),
+    [derived, effectiveSpecies, selectedWaterType, siteInfo, units, locale]);
+
+  // Outlook rows: peak hour, best window and key conditions per day
+  const outlook = useMemo(() => {
+    if (!outlookWx || !siteInfo) return [];
+    return outlookWx.map((dayWx, d) => {
+      const sol = solunarPeriods(siteInfo.lat, siteInfo.lon, new Date(dateOptions[d].iso));
+      // a live gauge reading only describes today; later days use the air-temp estimate
+      const est = airHist ? estimateWaterTemp(airHist, dayWx.date, siteClass, { biasF: waterBias }) : null;
+      const base = dayConditions(dayWx, {
+        measured: d === 0 ? measured : { turbidityFnu: measured.turbidityFnu, flowPercentile: measured.flowPercentile },
+        solunar: sol,
+        lat: siteInfo.lat,
+        waterEst: est,
+      });
+      const hours = dayWx.hourly.map((h, i) => ({
+        hour: i,
+        score: successScore(effectiveSpecies, selectedWaterType, conditionsForHour(dayWx, i, base)) ?? 0,
+      }));
+      if (hours.length === 0) return null;
+      const peak = hours.reduce((a, b) => (b.score > a.score ? b : a));
+      const winds = dayWx.hourly.map((h) => h.windMph);
+      const [bestWindow] = bestWindows({ sunriseTs: dayWx.daily.sunriseTs, sunsetTs: dayWx.daily.sunsetTs, hourly: dayWx.hourly, solunar: sol, species: effectiveSpecies });
+      return {
+        iso: dateOptions[d].iso,
+        label: dateOptions[d].label,
+        peakScore: peak.score,
+        peakTime: dayWx.hourly[peak.hour].time,
+        bestWindow,
+        waterTempF: base.waterTempF,
+        estimated: base.estimated,
+        windMin: Math.min(...winds),
+        windMax: Math.max(...winds),
+        trend: conditionsForHour(dayWx, peak.hour, base).pressureTrend,
+        moon: sol?.moon,
+      };
+    }).filter(Boolean);
+  }, [outlookWx, siteInfo, dateOptions, measured, effectiveSpecies, selectedWaterType, airHist, siteClass, waterBias]);
+  // "Where should I go?": each site's peak hour on the selected date
+  const rankScores = useMemo(() => {
+    if (!rankData || !center) return [];
+    const solByCell = new Map();
+    return sites.map((s) => {
+      const distMi = haversineMiles(center, s);
+      const day = scoreSiteDay(s, rankData, { dateIso, species: effectiveSpecies, solByCell });
+      if (!day) return { site: s, distMi, score: null };
+      const peak = day.hours.indexOf(Math.max(...day.hours));
+      return { site: s, distMi, score: day.hours[peak], peakTime: day.wx.hourly[peak].time, waterTempF: day.base.waterTempF, estimated: day.base.estimated };
+    });
+  }, [rankData, sites, center, dateIso, effectiveSpecies]);
+  const rankRows = useMemo(
+    () => sortRows(rankScores.map((r) => ({ ...r, value: rankValue(r.score, r.distMi, rankWeight) })), rankSort.key, rankSort.dir),
+    [rankScores, rankWeight, rankSort]
+  );
+  const rankMarkers = useMemo(
+    () => rankScores.filter((r) => r.score != null).map((r) => ({ id: r.site.id, name: r.site.name, lat: r.site.lat, lon: r.site.lon, score: r.score })),
+    [rankScores]
+  );
+  // Each favorite's score at the current hour, for its own species
+  const favScores = useMemo(() => {
+    const hour = new Date().getHours();
+    return Object.fromEntries(favorites.map((f, i) => {
+      if (!favData) return [f.id, { loading: true }];
+      if (favData.error) return [f.id, { error: favData.error }];
+      const day = scoreSiteDay(favSites[i], favData, { dateIso: today.toISOString(), species: f.species });
+      const sc = day?.hours[Math.min(hour, day.hours.length - 1)];
+      return [f.id, sc == null ? { error: t("no forecast") } : { score: sc, label: labelForScore(sc), color: colorForScore(sc) }];
+    }));
+  }, [favorites, favSites, favData, today, locale]);
+
+  const updateAlertRules = (list) => { setAlertRules(list); saveAlertRules(list); };
+  const updateFavorites = (list) => {
+    setFavorites(list);
+    saveFavorites(list);
+    // a removed spot takes its alerts with it
+    const ids = new Set(list.map((f) => f.id));
+    if (alertRules.some((r) => !ids.has(r.favId))) updateAlertRules(alertRules.filter((r) => ids.has(r.favId)));
+  };
 
-  const gear = useMemo(() => (derived && siteInfo ? suggestGear(effectiveSpecies, selectedWaterType, derived) : null),
-    [derived, effectiveSpecies, selectedWaterType, siteInfo]);
+  async function enableNotifications() {
+    setNotifyPermission(await requestNotifications());
+  }
+
+  // What "Save this spot" stores: the selected water body, or the map point
+  const favDraft = center ? {
+    name: siteInfo && siteInfo.source !== "CENTER" ? siteInfo.name : "",
+    species: effectiveSpecies,
+    radiusMi: radius,
+    ...(siteInfo && siteInfo.source !== "CENTER"
+      ? { lat: siteInfo.lat, lon: siteInfo.lon, site: { id: siteInfo.id, name: siteInfo.name, type: siteInfo.type, gaugeId: siteInfo.gaugeId ?? null } }
+      : { lat: center.lat, lon: center.lon, site: null }),
+  } : null;
+
+  const activeFavId = favorites.find((f) => (f.site
+    ? f.site.id === selectedSiteId
+    : selectedSiteId === "center" && center && f.lat.toFixed(4) === center.lat.toFixed(4) && f.lon.toFixed(4) === center.lon.toFixed(4)))?.id;
+
+  // Jump to a favorite: recenter on it, then the site list re-selects its water body
+  function openFavorite(f) {
+    setCenter({ lat: f.lat, lon: f.lon });
+    setRadius(f.radiusMi);
+    setSelectedSiteId(f.site?.id ?? "center");
+    if (ALL_GAME_FISH.includes(f.species)) { setSpecies(f.species); setCustomSpecies(""); }
+    else setCustomSpecies(f.species);
+  }
+
+  const sortRankBy = (key) => setRankSort((cur) => ({ key, dir: cur.key === key ? -cur.dir : key === "name" || key === "distMi" ? 1 : -1 }));
+
+  const bestOutlookIso = outlook.length
+    ? outlook.reduce((a, b) => (b.peakScore > a.peakScore ? b : a)).iso
+    : null;
 
   const bestTimes = useMemo(() => {
     if (!wx) return [];
-    return bestWindows({ sunriseTs: wx.daily.sunriseTs, sunsetTs: wx.daily.sunsetTs, hourly: wx.hourly });
-  }, [wx]);
+    return bestWindows({ sunriseTs: wx.daily.sunriseTs, sunsetTs: wx.daily.sunsetTs, hourly: wx.hourly, solunar, species: effectiveSpecies });
+  }, [wx, solunar, effectiveSpecies]);
 
   // Species recommendations (Good/Excellent)
   const speciesSuggestions = useMemo(() => {
@@ -543,16 +1733,63 @@ export default function App() {
     if (!q) return;
     try {
       const ll = await geocodePlace(q);
-      if (!ll) { setGeoError("Couldn’t find that location. Try city and state (e.g., Boise, Idaho)."); return; }
+      if (!ll) { setGeoError(t("Couldn’t find that location. Try city and state (e.g., Boise, Idaho).")); return; }
       console.info("[Geo] Found:", ll);
       setCenter(ll);
       setSelectedSiteId("center");
     } catch (e) {
       console.error("[Geo] Error:", e);
-      setGeoError("Search failed. Please try again in a moment.");
+      setGeoError(`${t("Search failed.")} ${errorMessage(e)}`);
     }
   }
 
+  // Share the prediction: Web Share sheet where available, else copy the link
+  const [shareMsg, setShareMsg] = useState("");
+  async function handleShare() {
+    const url = window.location.href.split("#")[0] + linkHash;
+    const day = dateOptions.find((o) => o.iso === dateIso)?.label ?? "";
+    const title = t("{species} at {site}", { species: speciesName(effectiveSpecies), site: siteInfo?.name ?? t("this spot") });
+    const text = score != null ? `${title}: ${score}% (${labelForScore(score)}) · ${day}` : title;
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: `Fishing Predictor · ${title}`, text, url });
+        return;
+      }
+      await navigator.clipboard.writeText(url);
+      setShareMsg(t("Link copied to clipboard."));
+    } catch (e) {
+      if (e?.name === "AbortError") return; // share sheet dismissed
+      console.warn("[Share] failed:", e);
+      window.prompt(t("Copy this link:"), url);
+    }
+  }
+  useEffect(() => { setShareMsg(""); }, [linkHash]);
+
+  // What a new catch-log entry records about "now" in the app
+  const catchContext = useMemo(() => (siteInfo ? {
+    species: effectiveSpecies,
+    waterBody: siteInfo.source === "CENTER" ? "" : siteInfo.name,
+    siteId: siteInfo.source === "CENTER" ? null : siteInfo.id,
+    lat: siteInfo.lat,
+    lon: siteInfo.lon,
+    snapshot: { conditions: observed, score: observed && successScore(effectiveSpecies, selectedWaterType, observed), site: siteInfo },
+  } : null), [siteInfo, effectiveSpecies, selectedWaterType, observed]);
+
+  // POI layers the user has switched on, nearest first
+  const visiblePois = useMemo(
+    () => center
+      ? pois.filter((p) => poiLayers[p.type])
+        .map((p) => ({ ...p, distMi: haversineMiles(center, p) }))
+        .sort((a, b) => a.distMi - b.distMi)
+      : [],
+    [pois, poiLayers, center]
+  );
+  const togglePoiLayer = (type) => setPoiLayers((l) => {
+    const next = { ...l, [type]: !l[type] };
+    prefSet("pref:poiLayers", next);
+    return next;
+  });
+
   const mapsLinks = useMemo(() => {
     if (!siteInfo) return null;
     const q = `${siteInfo.lat},${siteInfo.lon}`;
@@ -562,20 +1799,29 @@ export default function App() {
   return (
     <div className="max-w-6xl mx-auto p-4 space-y-6">
       <header className="flex flex-col gap-1">
-        <h1 className="text-3xl font-bold">Freshwater Fishing Predictor</h1>
+        <h1 className="text-3xl font-bold">{t("Freshwater Fishing Predictor")}</h1>
         <p className="text-slate-300 text-sm">
-          Brought to you by Mike Jones and Jim Weaver. May your lure always find a fish! Copyright 2025.
+          {t("Brought to you by Mike Jones and Jim Weaver. May your lure always find a fish! Copyright 2025.")}
         </p>
       </header>
 
+      {(!online || cachedSince) && (
+        <div className="bg-yellow-900/40 border border-yellow-700 text-yellow-200 text-sm rounded-xl px-4 py-2" role="status">
+          {online ? t("Some data couldn’t be refreshed") : t("You’re offline")} — {cachedSince
+            ? t("showing cached data from {age} ({time}).", { age: formatAge(cachedSince), time: fmtDateTime(cachedSince) })
+            : t("showing cached data.")}
+          {" "}{t("Scores reflect those conditions, not live ones.")}
+        </div>
+      )}
+
       <section className="grid md:grid-cols-3 gap-4">
         {/* Location */}
         <div className="bg-slate-900 p-4 rounded-xl space-y-3">
-          <h2 className="font-semibold">Location</h2>
+          <h2 className="font-semibold">{t("Location")}</h2>
 
           <div className="flex gap-2">
             <button className="bg-slate-700 hover:bg-slate-600 px-3 py-2 rounded" onClick={() => { get(); }}>
-              Use Current Location
+              {t("Use Current Location")}
             </button>
             {center && <span className="text-xs text-slate-400 self-center">{center.lat.toFixed(3)}, {center.lon.toFixed(3)}</span>}
           </div>
@@ -583,75 +1829,127 @@ export default function App() {
           <div className="flex gap-2">
             <input
               className="flex-1 bg-slate-800 rounded px-3 py-2 outline-none"
-              placeholder="City / State or Landmark (e.g., Marion, Indiana)"
+              placeholder={t("City / State or Landmark (e.g., Marion, Indiana)")}
               value={searchText}
               onChange={(e) => setSearchText(e.target.value)}
-              aria-label="City or state or landmark"
+              aria-label={t("City or state or landmark")}
             />
             <button className="bg-blue-500 hover:bg-blue-600 px-3 py-2 rounded" onClick={handleFindPlace}>
-              Find
+              {t("Find")}
             </button>
           </div>
           {geoError && <div className="text-xs text-yellow-300">{geoError}</div>}
 
-          <label className="block text-sm mt-2">Travel radius: {radius} mi</label>
+          <label className="block text-sm mt-2">{t("Travel radius: {radius}", { radius: fmt("distance", radius, units, { digits: 0 }) })}</label>
           <input
-            aria-label="Radius"
+            aria-label={t("Radius")}
             type="range"
-            min="10"
-            max="100"
-            step="5"
-            value={radius}
-            onChange={(e) => { setRadius(parseInt(e.target.value)); setSelectedSiteId("center"); }}
+            min={radiusSlider.min}
+            max={radiusSlider.max}
+            step={radiusSlider.step}
+            value={Math.round(toUnit("distance", radius, units, { digits: 2 }) / radiusSlider.step) * radiusSlider.step}
+            onChange={(e) => {
+              setRadius(Math.round(fromUnit("distance", e.target.value, units) * 100) / 100);
+              setSelectedSiteId("center");
+            }}
             className="w-full"
           />
 
-          <label className="block text-sm mt-2">Fishing date</label>
+          <label className="block text-sm mt-2">{t("Units")}</label>
+          <select
+            className="w-full bg-slate-800 rounded px-3 py-2"
+            value={units}
+            onChange={(e) => { setUnits(e.target.value); prefSet("pref:units", e.target.value); }}
+            aria-label={t("Unit system")}
+          >
+            {Object.entries(UNIT_SYSTEMS).map(([k, v]) => <option key={k} value={k}>{t(v.label)}</option>)}
+          </select>
+
+          <label className="block text-sm mt-2">{t("Language")}</label>
+          <select
+            className="w-full bg-slate-800 rounded px-3 py-2"
+            value={locale}
+            onChange={(e) => { const l = setLocale(e.target.value); prefSet("pref:locale", l); setLocaleState(l); }}
+            aria-label={t("Language")}
+          >
+            {Object.entries(LOCALES).map(([k, v]) => <option key={k} value={k}>{v.label}</option>)}
+          </select>
+
+          <label className="block text-sm mt-2">{t("Fishing date")}</label>
           <select
             className="w-full bg-slate-800 rounded px-3 py-2"
             value={dateIso}
             onChange={(e) => setDateIso(e.target.value)}
-            aria-label="Date selector"
+            aria-label={t("Date selector")}
           >
-            {[...Array(8).keys()].map((d) => {
-              const dt = new Date(); dt.setDate(dt.getDate() + d);
-              const iso = dt.toISOString();
-              return <option key={d} value={iso}>{d === 0 ? "Today" : dt.toLocaleDateString()}</option>;
-            })}
+            {dateOptions.map((o) => <option key={o.iso} value={o.iso}>{o.label}</option>)}
           </select>
+
+          <button
+            className="bg-slate-700 hover:bg-slate-600 px-3 py-2 rounded text-sm w-full disabled:opacity-50"
+            onClick={handleDownloadArea}
+            disabled={!center || !online}
+          >
+            {t("Download this area for offline")}
+          </button>
+          {areaMsg && <div className="text-xs text-slate-300">{areaMsg}</div>}
+          {areas.length > 0 && (
+            <div className="text-xs text-slate-400">
+              {t("Offline areas:")} {areas.map((a) => `${a.name} (${fmt("distance", a.radiusMi, units, { digits: 0 })}, ${formatAge(a.savedAt)})`).join(" · ")}
+            </div>
+          )}
         </div>
 
         {/* Water Body */}
         <div className="bg-slate-900 p-4 rounded-xl space-y-3">
-          <h2 className="font-semibold">Water Body</h2>
-          <p className="text-xs text-slate-400">Tip: Click anywhere on the map to set your location manually.</p>
+          <h2 className="font-semibold">{t("Water Body")}</h2>
+          <LoadError msg={loadErrors.sites} />
+          <LoadError msg={loadErrors.shapes && `${t("Map outlines:")} ${loadErrors.shapes}`} />
+          <p className="text-xs text-slate-400">{t("Tip: Click a water outline on the map to select it, or anywhere else to set your location manually.")}</p>
 
           <select
             className="w-full bg-slate-800 rounded px-3 py-2"
             value={selectedSiteId}
             onChange={(e) => setSelectedSiteId(e.target.value)}
-            aria-label="Water body selector"
+            aria-label={t("Water body selector")}
           >
-            <option value="center">Current Location</option>
+            <option value="center">{t("Current Location")}</option>
             {sites.length === 0 && (
-              <option value="__nodata" disabled>No nearby water bodies found.</option>
+              <option value="__nodata" disabled>{t("No nearby water bodies found.")}</option>
             )}
             {sites.map((s) => (
               <option key={s.id} value={s.id}>
-                {s.name} · {s.type} · {center ? haversineMiles(center, { lat: s.lat, lon: s.lon }).toFixed(1) : "?"} mi {s.source === "OSM" ? "(OSM)" : ""}
+                {s.name} · {t(s.type)} · {center ? fmt("distance", haversineMiles(center, { lat: s.lat, lon: s.lon }), units) : "?"}{s.source === "OSM" ? (s.gaugeId ? ` · ${t("gauged")}` : " (OSM)") : ""}
               </option>
             ))}
           </select>
 
           {siteInfo && (
             <div className="text-xs text-slate-300 space-y-1">
-              <div><strong>Name:</strong> {siteInfo.name}</div>
-              <div><strong>Type:</strong> {siteInfo.type}</div>
-              <div><strong>Coords:</strong> {siteInfo.lat.toFixed(4)}, {siteInfo.lon.toFixed(4)}</div>
+              <div><strong>{t("Name:")}</strong> {siteInfo.name}</div>
+              <div><strong>{t("Type:")}</strong> {t(siteInfo.type)}{siteInfo.segments > 1 ? ` · ${t("{n} mapped segments", { n: siteInfo.segments })}` : ""}</div>
+              {siteInfo.gauge && (
+                <div>
+                  <strong>{t("Gauge:")}</strong> {siteInfo.gauge.name} (USGS {siteInfo.gauge.id}
+                  {siteInfo.gauge.distMi > 0.5 ? `, ${t("{distance} away", { distance: fmt("distance", siteInfo.gauge.distMi, units) })}` : ""})
+                </div>
+              )}
+              {siteSize?.areaAcres != null && (
+                <div>
+                  <strong>{t("Surface area:")}</strong>{" "}
+                  {fmtArea(siteSize.areaAcres, units)}
+                </div>
+              )}
+              {siteSize?.lengthMi != null && (
+                <div><strong>{t("Length:")}</strong> {t("{length} mapped in the {radius} search area", { length: fmt("distance", siteSize.lengthMi, units), radius: fmt("distance", radius, units, { digits: 0 }) })}</div>
+              )}
+              <div><strong>{t("Coords:")}</strong> {siteInfo.lat.toFixed(4)}, {siteInfo.lon.toFixed(4)}</div>
               <div className="flex gap-3 mt-2">
-                <a className="underline" href={mapsLinks?.google} target="_blank" rel="noreferrer">Open in Google Maps</a>
-                <a className="underline" href={mapsLinks?.apple}>Open in Apple Maps</a>
+                <a className="underline" href={mapsLinks?.google} target="_blank" rel="noreferrer">{t("Open in Google Maps")}</a>
+                <a className="underline" href={mapsLinks?.apple}>{t("Open in Apple Maps")}</a>
+                <button className="underline" onClick={handleShare}>{t("Share this prediction")}</button>
               </div>
+              {shareMsg && <div className="text-slate-400">{shareMsg}</div>}
             </div>
           )}
 
@@ -661,94 +1959,261 @@ export default function App() {
                 center={center}
                 wb={siteInfo}
                 radiusMi={radius}
+                shapes={shapes}
+                selectedShapes={siteShapes}
+                pois={visiblePois}
+                ranked={rankOn ? rankMarkers : []}
+                onSiteClick={setSelectedSiteId}
                 onMapClick={(pt) => { setCenter(pt); setSelectedSiteId("center"); }}
+                onShapeClick={(ref) => {
+                  const s = sites.find((x) => x.osmIds?.includes(ref));
+                  if (s) setSelectedSiteId(s.id);
+                }}
               />
             )}
+            <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-xs" role="group" aria-label={t("Map layers")}>
+              {Object.entries(POI_TYPES).map(([type, pt]) => (
+                <label key={type} className="flex items-center gap-1">
+                  <input type="checkbox" checked={!!poiLayers[type]} onChange={() => togglePoiLayer(type)} />
+                  <span className="inline-block w-3 h-3 rounded-full" style={{ background: pt.color }} />
+                  {t(pt.label)} ({pois.filter((p) => p.type === type).length})
+                </label>
+              ))}
+            </div>
           </div>
         </div>
 
         {/* Species & Predictions */}
         <div className="bg-slate-900 p-4 rounded-xl space-y-4">
-          <h2 className="font-semibold">Target Species</h2>
+          <h2 className="font-semibold">{t("Target Species")}</h2>
+          <LoadError msg={loadErrors.weather && `${t("Weather:")} ${loadErrors.weather}`} />
+          <LoadError msg={loadErrors.gauge && `${t("Gauge readings:")} ${loadErrors.gauge}`} />
+          <LoadError msg={loadErrors.airhist && `${t("Water-temperature estimate:")} ${loadErrors.airhist}`} />
+          <LoadError msg={loadErrors.outlook && `${t("8-day outlook:")} ${loadErrors.outlook}`} />
 
           <select
             className="w-full bg-slate-800 rounded px-3 py-2"
             value={species}
             onChange={(e) => setSpecies(e.target.value)}
-            aria-label="Species selector"
+            aria-label={t("Species selector")}
           >
-            {filteredSpeciesList.map((s) => <option key={s} value={s}>{s}</option>)}
+            {filteredSpeciesList.map((s) => <option key={s} value={s}>{speciesName(s)}</option>)}
           </select>
 
           <input
             className="w-full bg-slate-800 rounded px-3 py-2 outline-none"
-            placeholder="Or type a specific fish species"
+            placeholder={t("Or type a specific fish species")}
             value={customSpecies}
             onChange={(e) => setCustomSpecies(e.target.value)}
-            aria-label="Type a specific fish species"
+            aria-label={t("Type a specific fish species")}
           />
           <div className="text-xs text-slate-400">
-            Species list estimated for {isColdWater(siteInfo?.type || "Water", derived?.waterTempF ?? null) ? "cold" : "warm"}-water conditions based on temperature.
+            {isColdWater(siteInfo?.type || "Water", derived?.waterTempF ?? null)
+              ? t("Species list estimated for cold-water conditions based on temperature.")
+              : t("Species list estimated for warm-water conditions based on temperature.")}
           </div>
-          {unknownCustom && <div className="text-xs text-yellow-300 mt-1">Unknown species — using general freshwater model.</div>}
+          {unknownCustom && <div className="text-xs text-yellow-300 mt-1">{t("Unknown species — using general freshwater model.")}</div>}
+          {phase && (
+            <div className="flex flex-wrap items-center gap-2">
+              <span className={`text-xs px-2 py-0.5 rounded-full ${PHASE_BADGE_CLASSES[phase]}`}>{t(PHASE_LABELS[phase])}</span>
+              <span className="text-xs text-slate-400">{t("seasonal phase for {species}", { species: speciesName(effectiveSpecies) })}</span>
+            </div>
+          )}
+          {ethicsNote && <div className="text-xs text-amber-200 bg-amber-900/40 rounded p-2">{ethicsNote}</div>}
 
           {/* Speedometer gauge */}
           {typeof score === "number" && <Speedometer value={score} />}
+          {typeof calScore === "number" && (
+            <div className="text-sm text-center">
+              {t("Calibrated for you:")} <span className="font-semibold" style={{ color: colorForScore(calScore) }}>{calScore}%</span>
+              <span className="text-slate-400"> ({t("default {score}%", { score })})</span>
+            </div>
+          )}
+          {typeof score === "number" && wx?.hourly[activeHour] && (
+            <div className="text-xs text-slate-400 text-center">
+              {t("Conditions at {time} — tap an hour below to change", { time: fmtTime(wx.hourly[activeHour].time) })}
+            </div>
+          )}
+          <ScoreBreakdown breakdown={breakdown} />
+          <ScoreTimeline timeline={timeline} activeHour={activeHour} onPick={setPickedHour} />
 
           {/* Conditions + Gear */}
           {wx && siteInfo && (
             <div className="bg-slate-800 rounded p-3 space-y-3">
               <div className="flex flex-wrap gap-3 text-sm">
                 <span>
-                  Water { (hydro?.waterTempF ? Math.round(hydro.waterTempF) : Math.round(derived?.waterTempF ?? 0)) }°F
-                  {derived?.estimated && !hydro?.waterTempF ? <em className="text-yellow-300"> (estimated)</em> : null}
+                  {t("Water")} {fmt("temp", hydro?.waterTempF && !OVERRIDDEN.has(derived?.sources?.temp) ? hydro.waterTempF : derived?.waterTempF ?? 0, units)}
+                  <InputMarker source={derived?.sources?.temp} />
+                  {derived?.estimated && !hydro?.waterTempF ? (
+                    derived?.waterTempRangeF ? (
+                      <em
+                        className="text-yellow-300"
+                        title={t("Lag model for a {water} (τ ≈ {tau} days) from {days} days of air temps", {
+                          water: t(WATER_CLASSES[siteClass].label), tau: WATER_CLASSES[siteClass].tauDays, days: waterEst?.days ?? "?",
+                        })}
+                      >
+                        {" "}({t("est. {range}", { range: fmtRange("temp", derived.waterTempRangeF[0], derived.waterTempRangeF[1], units) })})
+                      </em>
+                    ) : <em className="text-yellow-300"> ({t("rough estimate: air − {delta}", { delta: fmt("tempDelta", 5, units, { digits: 0 }) })})</em>
+                  ) : null}
+                  {waterCheck && (
+                    <em className="text-slate-400"> · {t("model {temp} ({diff} vs gauge)", { temp: fmt("temp", waterEst.tempF, units), diff: `${waterCheck.errorF > 0 ? "+" : ""}${fmt("tempDelta", waterCheck.errorF, units)}` })}</em>
+                  )}
+                </span>
+                <span>{t("Wind")} {derived ? fmt("speed", derived.windMph, units) : "…"}<InputMarker source={derived?.sources?.wind} /></span>
+                {OVERRIDDEN.has(derived?.sources?.cloud) && (
+                  <span>{t("Cloud")} {derived?.cloudPct}%<InputMarker source={derived?.sources?.cloud} /></span>
+                )}
+                <span>
+                  {t("Pressure")} {derived ? fmt("pressure", derived.barometerInHg, units) : "…"}<InputMarker source={derived?.sources?.pressure} />
+                  {derived?.pressureTrend && (
+                    <>
+                      {" "}<span aria-label={`${t("Pressure")} ${t(derived.pressureTrend.tendency)}`}>{TREND_ARROWS[derived.pressureTrend.tendency]}</span>
+                      <em className={derived.pressureTrend.bluebird || derived.pressureTrend.front === "passed" ? "text-yellow-300" : "text-slate-400"}>
+                        {" "}{t(derived.pressureTrend.note)}
+                      </em>
+                    </>
+                  )}
                 </span>
-                <span>Wind {derived?.windMph ?? "…"} mph</span>
-                <span>Pressure {derived?.barometerInHg ?? "…"} inHg</span>
-                {hydro?.flowCfs != null && <span>Flow {hydro.flowCfs} cfs</span>}
-                {derived?.turbidityFnu != null && <span>Turbidity {derived.turbidityFnu} FNU</span>}
+                {hydro?.flowCfs != null && (
+                  <span>
+                    {t("Flow")} {fmt("flow", hydro.flowCfs, units)}
+                    {Number.isFinite(hydro.flowPercentile) && (
+                      <em
+                        className={FLOW_STATE_CLASSES[flowState(hydro.flowPercentile)]}
+                        title={hydro.flowStats?.p50 != null ? t("Median for this date: {flow} ({n} yrs)", { flow: fmt("flow", hydro.flowStats.p50, units), n: hydro.flowStats.count }) : undefined}
+                      >
+                        {" "}· {t("{pct} percentile for today — {state}", { pct: ordinal(Math.round(hydro.flowPercentile)), state: t(flowState(hydro.flowPercentile)) })}
+                      </em>
+                    )}
+                  </span>
+                )}
+                {derived?.turbidityFnu != null && <span>{t("Turbidity")} {derived.turbidityFnu} FNU<InputMarker source={derived.sources?.turbidity} /></span>}
               </div>
+              {waterVal?.n > 0 && derived?.estimated && (
+                <div className="text-xs text-slate-400">
+                  {(() => {
+                    const vars = { err: fmt("tempDelta", waterVal.meanAbsErrF, units), n: waterVal.n, pct: Math.round((waterVal.hits / waterVal.n) * 100) };
+                    return waterVal.n === 1
+                      ? t("Water-temp model vs USGS gauges: ±{err} average error over 1 check ({pct}% inside the range).", vars)
+                      : t("Water-temp model vs USGS gauges: ±{err} average error over {n} checks ({pct}% inside the range).", vars);
+                  })()}
+                </div>
+              )}
 
               {gear && (
                 <>
                   <div className="space-y-2 text-sm">
-                    <div><strong>Rod (conventional):</strong> {gear.rodAndLine}</div>
+                    <div><strong>{t("Rod (conventional):")}</strong> {gear.rodAndLine}</div>
                     <div>
-                      <strong>Lures/Baits:</strong>
+                      <strong>{t("Lures/Baits:")}</strong>
                       <ul className="list-disc pl-5">{gear.lures.map((l,i)=><li key={i}>{l}</li>)}</ul>
                     </div>
                     <div>
-                      <strong>Locations:</strong>
+                      <strong>{t("Locations:")}</strong>
                       <ul className="list-disc pl-5">{gear.locations.map((l,i)=><li key={i}>{l}</li>)}</ul>
                     </div>
+                    <div className="text-xs text-slate-400">{gear.feeding}</div>
                   </div>
 
                   <div className="pt-2 border-t border-slate-700 space-y-2 text-sm">
-                    <div className="font-semibold">Fly Fishing Recommendations</div>
-                    <div><strong>Fly Rod/Line:</strong> {gear.flySetup}</div>
+                    <div className="font-semibold">{t("Fly Fishing Recommendations")}</div>
+                    <div><strong>{t("Fly Rod/Line:")}</strong> {gear.flySetup}</div>
                     <div>
-                      <strong>Flies:</strong>
+                      <strong>{t("Flies:")}</strong>
                       <ul className="list-disc pl-5">{gear.flies.map((f,i)=><li key={i}>{f}</li>)}</ul>
                     </div>
-                    <div><strong>Presentation:</strong> {gear.flyPresentation}</div>
+                    <div><strong>{t("Presentation:")}</strong> {gear.flyPresentation}</div>
                   </div>
                 </>
               )}
             </div>
           )}
+
+          {/* On-site readings + what-if */}
+          {wx && siteInfo && (
+            <div className="bg-slate-800 rounded p-3 space-y-4">
+              <ManualReadings key={`${siteInfo.id}|${selectedDay}|${units}`} readings={manual} onChange={updateManual} disabled={!isToday} units={units} />
+              <WhatIf values={whatIf} base={observed} onChange={setWhatIf} units={units} />
+            </div>
+          )}
+        </div>
+      </section>
+
+      {/* Favorites */}
+      <section className="bg-slate-900 p-4 rounded-xl space-y-3">
+        <h2 className="font-semibold">{t("Favorite Spots")}</h2>
+        <Favorites
+          favorites={favorites}
+          scores={favScores}
+          current={favDraft}
+          activeId={activeFavId}
+          onOpen={openFavorite}
+          onChange={updateFavorites}
+          units={units}
+        />
+        <h3 className="font-semibold pt-2">{t("Alerts")}</h3>
+        <Alerts
+          rules={alertRules}
+          favorites={favorites}
+          history={alertLog}
+          permission={notifyPermission}
+          status={alertStatus}
+          onRulesChange={updateAlertRules}
+          onEnableNotifications={enableNotifications}
+          onOpen={(hash) => { window.location.hash = hash; }}
+          onClearHistory={() => setAlertLog(clearAlertHistory())}
+        />
+      </section>
+
+      {/* Where should I go? */}
+      <section className="bg-slate-900 p-4 rounded-xl space-y-3">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <h2 className="font-semibold">{t("Where Should I Go?")} · {speciesName(effectiveSpecies)}</h2>
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={rankOn} onChange={(e) => setRankOn(e.target.checked)} disabled={sites.length === 0} />
+            {t("Rank all {n} water bodies", { n: sites.length })}
+          </label>
         </div>
+        {rankOn && (
+          <>
+            <LoadError msg={loadErrors.ranking} />
+            <div className="flex flex-wrap items-center gap-3 text-sm">
+              <label className="flex items-center gap-2">{t("Distance")}
+                <select
+                  className="bg-slate-800 rounded px-2 py-1"
+                  value={rankWeight}
+                  onChange={(e) => { setRankWeight(e.target.value); prefSet("pref:rankWeight", e.target.value); }}
+                >
+                  {Object.entries(DISTANCE_WEIGHTS).map(([k, w]) => <option key={k} value={k}>{t(w.label)}</option>)}
+                </select>
+              </label>
+              {rankProgress && <span className="text-xs text-slate-400">{t("Loading {what}…", { what: rankProgress })}</span>}
+            </div>
+            {rankRows.length > 0 && (
+              <RankingTable rows={rankRows} sort={rankSort} onSort={sortRankBy} selectedId={selectedSiteId} onPick={setSelectedSiteId} units={units} />
+            )}
+            <p className="text-xs text-slate-400">
+              {!WEATHER_PROVIDERS[wxSettings.provider]?.fetchBatch
+                ? t("{provider} has no batch lookup, so sites within about {cell} share one forecast and only the nearest {n} areas are fetched. River-flow percentiles aren’t part of the ranking; open a site to see them.", {
+                    provider: WEATHER_PROVIDERS[wxSettings.provider]?.label ?? wxSettings.provider, cell: fmt("distance", 7, units), n: MAX_SINGLE_POINT_CELLS,
+                  })
+                : t("Each site’s forecast is fetched for its own location in small throttled batches and cached. River-flow percentiles aren’t part of the ranking; open a site to see them.")}
+            </p>
+          </>
+        )}
       </section>
 
       {/* Species suggestions */}
       <section className="bg-slate-900 p-4 rounded-xl">
-        <h2 className="font-semibold mb-2">Species you might try today (If available in your area)</h2>
+        <h2 className="font-semibold mb-2">{t("Species you might try today (If available in your area)")}</h2>
         {speciesSuggestions.length === 0 ? (
-          <p className="text-sm text-slate-400">No standouts right now. Try adjusting time, radius, or target water.</p>
+          <p className="text-sm text-slate-400">{t("No standouts right now. Try adjusting time, radius, or target water.")}</p>
         ) : (
           <ul className="space-y-1">
             {speciesSuggestions.map(({ sp, sc }) => (
               <li key={sp} className="text-sm">
-                <span className="font-medium" style={{ color: colorForScore(sc) }}>{sp}</span>
+                <span className="font-medium" style={{ color: colorForScore(sc) }}>{speciesName(sp)}</span>
                 <span className="text-slate-300"> — {labelForScore(sc)} ({sc}%)</span>
               </li>
             ))}
@@ -756,49 +2221,121 @@ export default function App() {
         )}
       </section>
 
+      {/* Multi-day outlook */}
+      {outlook.length > 0 && (
+        <section className="bg-slate-900 p-4 rounded-xl">
+          <h2 className="font-semibold mb-2">{t("8-Day Outlook")} · {t("{species} at {site}", { species: speciesName(effectiveSpecies), site: siteInfo?.name })}</h2>
+          <p className="text-xs text-slate-400 mb-2">{t("Tap a day to load it above. ★ marks the best day to go.")}</p>
+          <OutlookTable rows={outlook} bestIso={bestOutlookIso} selectedIso={dateIso} onPick={setDateIso} units={units} />
+        </section>
+      )}
+
       {/* Nearby Access */}
       <section className="bg-slate-900 p-4 rounded-xl">
-        <h2 className="font-semibold mb-2">Nearby Access</h2>
-        <p className="text-xs text-slate-400">From OpenStreetMap via Overpass (free). Click to navigate.</p>
+        <h2 className="font-semibold mb-2">{t("Nearby Access")}</h2>
+        <p className="text-xs text-slate-400">
+          {t("From OpenStreetMap via Overpass (free), within {radius} ({parking} for parking). Use the map layer toggles to filter.", {
+            radius: fmt("distance", radius, units, { digits: 0 }),
+            parking: fmt("distance", Math.min(radius, PARKING_RADIUS_MI), units, { digits: 0 }),
+          })}
+        </p>
+        <LoadError msg={loadErrors.pois} />
 
-        {pois.length === 0 ? (
+        {visiblePois.length === 0 ? (
           <p className="text-sm text-slate-300 mt-3">
-            No public access information is currently available. Check local regulations and fishery management for public access information.
+            {t("No public access information is currently available. Check local regulations and fishery management for public access information.")}
           </p>
         ) : (
           <div className="grid md:grid-cols-2 gap-3 mt-3">
-            {pois.map((p) => (
-              <a
-                key={p.id}
-                className="block bg-slate-800 rounded p-3 hover:bg-slate-700"
-                href={`https://www.google.com/maps/search/?api=1&query=${p.lat},${p.lon}`}
-                target="_blank"
-                rel="noreferrer"
-              >
-                <div className="text-sm font-medium">{p.name}</div>
-                <div className="text-xs text-slate-400">{p.type} · {p.lat.toFixed(4)}, {p.lon.toFixed(4)}</div>
-              </a>
-            ))}
+            {visiblePois.map((p) => {
+              const nav = navLinks(p.lat, p.lon);
+              return (
+                <div key={p.id} className="bg-slate-800 rounded p-3">
+                  <div className="text-sm font-medium">{POI_TYPES[p.type].glyph} {t(p.name)}</div>
+                  <div className="text-xs text-slate-400">{t(POI_TYPES[p.type].unnamed)} · {fmt("distance", p.distMi, units)}</div>
+                  <div className="flex gap-3 mt-1 text-xs">
+                    <a className="underline" href={nav.google} target="_blank" rel="noreferrer">Google Maps</a>
+                    <a className="underline" href={nav.apple} target="_blank" rel="noreferrer">Apple Maps</a>
+                    <a className="underline" href={nav.osm} target="_blank" rel="noreferrer">OSM</a>
+                  </div>
+                </div>
+              );
+            })}
           </div>
         )}
       </section>
 
       {/* Best times */}
-      {bestTimes.length > 0 && (
-        <section className="bg-slate-900 p-4 rounded-xl">
-          <h2 className="font-semibold mb-2">Best Times (today)</h2>
-          <ul className="list-disc pl-5 text-sm">
-            {bestTimes.map((b,i)=>(
-              <li key={i}>
-                {new Date(b.time).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })} · score {b.score}
-              </li>
-            ))}
-          </ul>
+      {(bestTimes.length > 0 || solunar) && (
+        <section className="bg-slate-900 p-4 rounded-xl space-y-3">
+          <h2 className="font-semibold mb-2">{t("Best Times (today)")}</h2>
+          {bestTimes.length > 0 && (
+            <ul className="list-disc pl-5 text-sm">
+              {bestTimes.map((b,i)=>(
+                <li key={i}>
+                  {fmtTime(b.time)} · {t("score {score}", { score: b.score })}
+                  {b.solunar && <span className="text-slate-400"> · {t(`solunar ${b.solunar}`)}</span>}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {solunar && (
+            <div className="text-sm space-y-1 border-t border-slate-800 pt-3">
+              <div>
+                <strong>{t("Moon:")}</strong> {t(solunar.moon.name)} · {t("{pct}% illuminated", { pct: Math.round(solunar.moon.illumination * 100) })}
+              </div>
+              <div>
+                <strong>{t("Major periods:")}</strong>{" "}
+                {solunar.major.length === 0 ? t("none") : solunar.major.map((p) =>
+                  `${fmtTime(p.start)}–${fmtTime(p.end)} (${p.kind === "transit" ? t("moon overhead") : t("moon underfoot")})`
+                ).join(", ")}
+              </div>
+              <div>
+                <strong>{t("Minor periods:")}</strong>{" "}
+                {solunar.minor.length === 0 ? t("none") : solunar.minor.map((p) =>
+                  `${fmtTime(p.start)}–${fmtTime(p.end)} (${t(`moon${p.kind}`)})`
+                ).join(", ")}
+              </div>
+            </div>
+          )}
         </section>
       )}
 
+      {/* Catch log */}
+      <section className="bg-slate-900 p-4 rounded-xl">
+        <h2 className="font-semibold mb-2">{t("Catch Log")}</h2>
+        <p className="text-xs text-slate-400 mb-3">{t("Saved on this device. Each entry keeps a snapshot of the conditions and score shown when you logged it.")}</p>
+        <CatchLog current={catchContext} onChange={setCatches} units={units} />
+      </section>
+
+      {/* Personal calibration */}
+      <section className="bg-slate-900 p-4 rounded-xl space-y-3">
+        <h2 className="font-semibold">{t("Score Calibration")}</h2>
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={useCalibrated} onChange={(e) => setUseCalibrated(e.target.checked)} />
+          {t("Show a calibrated score learned from my logged trips")}
+        </label>
+        <CalibrationPanel cal={calibration} waterName={siteInfo?.name} units={units} />
+      </section>
+
+      {/* Weather source */}
+      <section className="bg-slate-900 p-4 rounded-xl space-y-3">
+        <h2 className="font-semibold">{t("Weather Source")}</h2>
+        <WeatherSettings settings={wxSettings} onChange={updateWxSettings} rows={providerRows} hourLabel={derived?.time ? fmtTime(derived.time) : null} units={units} />
+      </section>
+
+      {/* Cache settings */}
+      <section className="bg-slate-900 p-4 rounded-xl space-y-3">
+        <h2 className="font-semibold">{t("Cached Data")}</h2>
+        <p className="text-xs text-slate-400">
+          {t("Responses are kept on this device and shown right away; anything past its fresh window is refreshed in the background. Least-recently-used entries are dropped once the cache passes 20 MB.")}
+        </p>
+        <CacheSettings />
+      </section>
+
       <footer className="text-xs text-slate-500 text-center py-6">
-        v1.0 • Data: Open-Meteo, USGS, OpenStreetMap. Some values may be estimated when hydrology is unavailable.
+        v1.0 • {t("Data: Open-Meteo, National Weather Service, USGS, OpenStreetMap. Some values may be estimated when hydrology is unavailable.")}
       </footer>
     </div>
   );
@@ -0,0 +1,116 @@
+import React, { useEffect, useState } from "react";
+import { CACHE_POLICIES, cacheUsage, clearCache } from "./cache.js";
+import { formatAge, forgetAreas } from "./offline.js";
+import { t, fmtNumber } from "./i18n.js";
+
+// Cache Storage buckets owned by public/sw.js
+const SW_CACHES = { tiles: ["fp-tiles", "fp-areas"], responses: ["fp-data"] };
+
+function fmtBytes(n) {
+  if (n < 1024) return `${n} B`;
+  const one = { minimumFractionDigits: 1, maximumFractionDigits: 1 };
+  if (n < 1024 * 1024) return `${fmtNumber(n / 1024, one)} KB`;
+  return `${fmtNumber(n / 1024 / 1024, one)} MB`;
+}
+
+function fmtTtl(ms) {
+  const h = ms / 3600000;
+  return h < 48 ? t("{n} h", { n: h }) : t("{n} d", { n: Math.round(h / 24) });
+}
+
+/** CacheSettings: per-source usage of the IndexedDB response cache with clear
+ *  buttons, plus the service worker's offline copies and the browser's quota.
+ */
+export default function CacheSettings() {
+  const [usage, setUsage] = useState(null);
+  const [estimate, setEstimate] = useState(null);
+  const [msg, setMsg] = useState("");
+
+  async function refresh() {
+    try {
+      setUsage(await cacheUsage());
+    } catch (e) {
+      console.warn("[Cache] Usage failed:", e);
+      setMsg(t("Cache unavailable in this browser (IndexedDB blocked)."));
+    }
+    if (navigator.storage?.estimate) setEstimate(await navigator.storage.estimate().catch(() => null));
+  }
+  useEffect(() => { refresh(); }, []);
+
+  async function clear(source) {
+    try {
+      await clearCache(source);
+      console.info("[Cache] Cleared:", source || "all");
+      setMsg(source ? t("Cleared {source}.", { source: t(CACHE_POLICIES[source]?.label ?? source) }) : t("Cleared all cached data."));
+    } catch (e) {
+      console.warn("[Cache] Clear failed:", source || "all", e);
+      setMsg(t("Couldn’t clear the cached data."));
+    }
+    await refresh();
+  }
+
+  async function clearWorker(kind) {
+    if (typeof caches === "undefined") return;
+    try {
+      await Promise.all(SW_CACHES[kind].map((name) => caches.delete(name)));
+      if (kind === "tiles") forgetAreas();
+      setMsg(kind === "tiles" ? t("Cleared offline map tiles.") : t("Cleared offline copies of API responses."));
+    } catch (e) {
+      console.warn("[Cache] Clearing offline copies failed:", kind, e);
+      setMsg(t("Couldn’t clear the offline copies."));
+    }
+    await refresh();
+  }
+
+  const btn = "underline text-xs text-red-300 disabled:opacity-40 disabled:no-underline";
+
+  return (
+    <div className="space-y-3">
+      {usage && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="text-xs text-slate-400 text-left">
+              <tr>
+                <th className="py-1 pr-3 font-normal">{t("Source")}</th>
+                <th className="py-1 pr-3 font-normal">{t("Fresh for")}</th>
+                <th className="py-1 pr-3 font-normal">{t("Entries")}</th>
+                <th className="py-1 pr-3 font-normal">{t("Size")}</th>
+                <th className="py-1 pr-3 font-normal">{t("Oldest")}</th>
+                <th className="py-1 font-normal" />
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(usage.sources).map(([source, u]) => (
+                <tr key={source} className="border-t border-slate-800">
+                  <td className="py-1 pr-3">{t(CACHE_POLICIES[source]?.label ?? source)}</td>
+                  <td className="py-1 pr-3">{CACHE_POLICIES[source] ? fmtTtl(CACHE_POLICIES[source].ttlMs) : "—"}</td>
+                  <td className="py-1 pr-3">{u.entries}</td>
+                  <td className="py-1 pr-3">{fmtBytes(u.bytes)}</td>
+                  <td className="py-1 pr-3">{u.oldest ? formatAge(u.oldest) : "—"}</td>
+                  <td className="py-1 text-right">
+                    <button className={btn} onClick={() => clear(source)} disabled={!u.entries}>{t("Clear")}</button>
+                  </td>
+                </tr>
+              ))}
+              <tr className="border-t border-slate-700 font-medium">
+                <td className="py-1 pr-3" colSpan={2}>{t("Total")}</td>
+                <td className="py-1 pr-3">{usage.total.entries}</td>
+                <td className="py-1 pr-3">{fmtBytes(usage.total.bytes)}</td>
+                <td />
+                <td className="py-1 text-right">
+                  <button className={btn} onClick={() => clear()} disabled={!usage.total.entries}>{t("Clear all")}</button>
+                </td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+      <div className="flex flex-wrap gap-3 text-xs text-slate-400 items-center">
+        {estimate && <span>{t("Browser storage in use: {used} of {quota}", { used: fmtBytes(estimate.usage || 0), quota: fmtBytes(estimate.quota || 0) })}</span>}
+        <button className={btn} onClick={() => clearWorker("tiles")}>{t("Clear offline map tiles")}</button>
+        <button className={btn} onClick={() => clearWorker("responses")}>{t("Clear offline API copies")}</button>
+      </div>
+      {msg && <div className="text-xs text-yellow-300">{msg}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,240 @@
+import React, { useEffect, useRef, useState } from "react";
+import { ALL_GAME_FISH, ymd } from "./lib.js";
+import { toUnit, fromUnit, unitSymbol, fmt } from "./units.js";
+import { t, speciesName, fmtDate, fmtDateTime } from "./i18n.js";
+import {
+  listCatches,
+  putCatch,
+  deleteCatch,
+  importCatches,
+  catchesToCsv,
+  csvToCatches,
+  catchesToGpx,
+  gpxToCatches,
+} from "./catchStore.js";
+
+// datetime-local wants "YYYY-MM-DDTHH:mm" in local time
+function toLocalInput(iso) {
+  const d = iso ? new Date(iso) : new Date();
+  const off = d.getTimezoneOffset() * 60 * 1000;
+  return new Date(d.getTime() - off).toISOString().slice(0, 16);
+}
+
+export function download(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/** CatchLog: journal of catches (and skunked trips) stored in IndexedDB.
+ *  `current` pre-fills new entries and supplies the conditions snapshot:
+ *  { species, waterBody, siteId, lat, lon, snapshot: { conditions, score, site } }
+ */
+export default function CatchLog({ current, onChange, units }) {
+  const [entries, setEntries] = useState([]);
+  const [form, setForm] = useState(null); // null = closed; entry draft otherwise
+  const [msg, setMsg] = useState("");
+  const fileRef = useRef(null);
+
+  async function reload() {
+    try {
+      const list = await listCatches();
+      setEntries(list);
+      onChange && onChange(list);
+    } catch (e) {
+      console.error("[Log] Load failed:", e);
+      setMsg(t("Catch log unavailable in this browser (IndexedDB blocked)."));
+    }
+  }
+  useEffect(() => { reload(); }, []);
+
+  function startNew() {
+    setMsg("");
+    setForm({
+      species: current?.species ? speciesName(current.species) : "",
+      count: 1,
+      sizeIn: "",
+      weightLb: "",
+      lure: "",
+      waterBody: current?.waterBody || "",
+      siteId: current?.siteId || null,
+      lat: current?.lat ?? "",
+      lon: current?.lon ?? "",
+      notes: "",
+      time: toLocalInput(),
+      snapshot: current?.snapshot || null,
+    });
+  }
+
+  function startEdit(e) {
+    setMsg("");
+    // length/weight are edited in the chosen units and stored in inches/pounds
+    setForm({
+      ...e,
+      species: speciesName(e.species),
+      sizeIn: toUnit("fishLength", e.sizeIn, units) ?? "",
+      weightLb: toUnit("weight", e.weightLb, units) ?? "",
+      lat: e.lat ?? "",
+      lon: e.lon ?? "",
+      time: toLocalInput(e.time),
+    });
+  }
+
+  async function save() {
+    try {
+      const canonical = (kind, v) => { const x = fromUnit(kind, v, units); return x == null ? null : Math.round(x * 100) / 100; };
+      await putCatch({
+        ...form,
+        sizeIn: canonical("fishLength", form.sizeIn),
+        weightLb: canonical("weight", form.weightLb),
+        time: new Date(form.time).toISOString(),
+      });
+      console.info("[Log] Saved:", form.species, form.count);
+      setForm(null);
+      await reload();
+    } catch (e) {
+      console.error("[Log] Save failed:", e);
+      setMsg(t("Couldn’t save that entry."));
+    }
+  }
+
+  async function remove(e) {
+    if (!window.confirm(t("Delete {species} on {date}?", { species: speciesName(e.species), date: fmtDate(e.time) }))) return;
+    try {
+      await deleteCatch(e.id);
+      console.info("[Log] Deleted:", e.id);
+    } catch (err) {
+      console.error("[Log] Delete failed:", err);
+      setMsg(t("Couldn’t delete that entry."));
+    }
+    await reload();
+  }
+
+  function exportAs(kind) {
+    const stamp = ymd(new Date());
+    if (kind === "csv") download(`catch-log-${stamp}.csv`, catchesToCsv(entries), "text/csv");
+    else download(`catch-log-${stamp}.gpx`, catchesToGpx(entries), "application/gpx+xml");
+  }
+
+  async function importFile(file) {
+    if (!file) return;
+    try {
+      const text = await file.text();
+      const list = /\.gpx$/i.test(file.name) || /<gpx[\s>]/.test(text) ? gpxToCatches(text) : csvToCatches(text);
+      const n = await importCatches(list);
+      setMsg(n === 1 ? t("Imported 1 entry.") : t("Imported {n} entries.", { n }));
+      await reload();
+    } catch (e) {
+      console.error("[Log] Import failed:", e);
+      setMsg(t("Import failed — expected a CSV or GPX exported by this app or a mapping tool."));
+    } finally {
+      if (fileRef.current) fileRef.current.value = "";
+    }
+  }
+
+  const set = (k) => (e) => setForm((f) => ({ ...f, [k]: e.target.value }));
+  const input = "w-full bg-slate-800 rounded px-2 py-1 outline-none";
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-2">
+        <button className="bg-blue-500 hover:bg-blue-600 px-3 py-2 rounded text-sm" onClick={startNew}>{t("Log a catch")}</button>
+        <button className="bg-slate-700 hover:bg-slate-600 px-3 py-2 rounded text-sm" onClick={() => exportAs("csv")} disabled={!entries.length}>{t("Export CSV")}</button>
+        <button className="bg-slate-700 hover:bg-slate-600 px-3 py-2 rounded text-sm" onClick={() => exportAs("gpx")} disabled={!entries.length}>{t("Export GPX")}</button>
+        <label className="bg-slate-700 hover:bg-slate-600 px-3 py-2 rounded text-sm cursor-pointer">
+          {t("Import CSV/GPX")}
+          <input ref={fileRef} type="file" accept=".csv,.gpx,text/csv,application/gpx+xml" className="hidden" onChange={(e) => importFile(e.target.files?.[0])} />
+        </label>
+      </div>
+      {msg && <div className="text-xs text-yellow-300">{msg}</div>}
+
+      {form && (
+        <div className="bg-slate-800/60 rounded p-3 grid md:grid-cols-4 gap-2 text-sm">
+          <label className="md:col-span-2">{t("Species")}
+            <input className={input} list="fp-species" value={form.species} onChange={set("species")} />
+          </label>
+          <label>{t("Count (0 = skunked)")}
+            <input className={input} type="number" min="0" value={form.count} onChange={set("count")} />
+          </label>
+          <label>{t("When")}
+            <input className={input} type="datetime-local" value={form.time} onChange={set("time")} />
+          </label>
+          <label>{t("Length ({unit})", { unit: unitSymbol("fishLength", units) })}
+            <input className={input} type="number" min="0" step="0.25" value={form.sizeIn} onChange={set("sizeIn")} />
+          </label>
+          <label>{t("Weight ({unit})", { unit: unitSymbol("weight", units) })}
+            <input className={input} type="number" min="0" step="0.1" value={form.weightLb} onChange={set("weightLb")} />
+          </label>
+          <label className="md:col-span-2">{t("Lure / fly")}
+            <input className={input} value={form.lure} onChange={set("lure")} />
+          </label>
+          <label className="md:col-span-2">{t("Water body")}
+            <input className={input} value={form.waterBody} onChange={set("waterBody")} />
+          </label>
+          <label>{t("Lat")}
+            <input className={input} type="number" step="any" value={form.lat} onChange={set("lat")} />
+          </label>
+          <label>{t("Lon")}
+            <input className={input} type="number" step="any" value={form.lon} onChange={set("lon")} />
+          </label>
+          <label className="md:col-span-4">{t("Notes")}
+            <textarea className={input} rows="2" value={form.notes} onChange={set("notes")} />
+          </label>
+          <div className="md:col-span-4 flex items-center gap-2">
+            <button className="bg-blue-500 hover:bg-blue-600 px-3 py-1 rounded" onClick={save}>{t("Save")}</button>
+            <button className="bg-slate-700 hover:bg-slate-600 px-3 py-1 rounded" onClick={() => setForm(null)}>{t("Cancel")}</button>
+            {form.snapshot && (
+              <span className="text-xs text-slate-400">
+                {t("Conditions snapshot: score {score}% · water {temp} at {site}", {
+                  score: form.snapshot.score ?? "?",
+                  temp: fmt("temp", form.snapshot.conditions?.waterTempF ?? 0, units),
+                  site: form.snapshot.site?.name ?? "?",
+                })}
+              </span>
+            )}
+          </div>
+          <datalist id="fp-species">{ALL_GAME_FISH.map((s) => <option key={s} value={speciesName(s)} />)}</datalist>
+        </div>
+      )}
+
+      {entries.length === 0 ? (
+        <p className="text-sm text-slate-400">{t("No catches logged yet.")}</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="text-xs text-slate-400 text-left">
+              <tr>
+                <th className="py-1 pr-3 font-normal">{t("When")}</th>
+                <th className="py-1 pr-3 font-normal">{t("Catch")}</th>
+                <th className="py-1 pr-3 font-normal">{t("Size")}</th>
+                <th className="py-1 pr-3 font-normal">{t("Lure / fly")}</th>
+                <th className="py-1 pr-3 font-normal">{t("Water")}</th>
+                <th className="py-1 pr-3 font-normal">{t("Score then")}</th>
+                <th className="py-1 font-normal" />
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((e) => (
+                <tr key={e.id} className="border-t border-slate-800">
+                  <td className="py-1 pr-3 whitespace-nowrap">{fmtDateTime(e.time)}</td>
+                  <td className="py-1 pr-3">{e.count === 0 ? <em className="text-slate-400">{t("Skunked ({species})", { species: speciesName(e.species) })}</em> : `${speciesName(e.species)} ×${e.count}`}</td>
+                  <td className="py-1 pr-3 whitespace-nowrap">{[e.sizeIn && fmt("fishLength", e.sizeIn, units), e.weightLb && fmt("weight", e.weightLb, units)].filter(Boolean).join(" · ") || "—"}</td>
+                  <td className="py-1 pr-3">{e.lure || "—"}</td>
+                  <td className="py-1 pr-3">{e.waterBody || "—"}</td>
+                  <td className="py-1 pr-3">{e.snapshot?.score != null ? `${e.snapshot.score}%` : "—"}</td>
+                  <td className="py-1 whitespace-nowrap text-right">
+                    <button className="underline text-xs mr-2" onClick={() => startEdit(e)}>{t("Edit")}</button>
+                    <button className="underline text-xs text-red-300" onClick={() => remove(e)}>{t("Delete")}</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,136 @@
+import React, { useRef, useState } from "react";
+import { ALL_GAME_FISH, ymd } from "./lib.js";
+import { normalizeFavorite, favoritesToJson, jsonToFavorites } from "./favorites.js";
+import { download } from "./CatchLog.jsx";
+import { fmt } from "./units.js";
+import { t, speciesName } from "./i18n.js";
+
+const RADII = Array.from({ length: 19 }, (_, i) => 10 + i * 5); // the radius slider's stops, miles
+
+/** Favorites: saved spots with notes, a preferred species and radius, and each
+ *  spot's score right now. Storage is the parent's job (onChange(list)).
+ *  current = favorite draft for "Save this spot" ({ name, species, radiusMi, lat, lon, site })
+ *  scores = { [id]: { score, label, color } | { loading } | { error } }
+ */
+export default function Favorites({ favorites, scores, current, activeId, onOpen, onChange, units }) {
+  const [form, setForm] = useState(null); // null = closed; favorite draft otherwise
+  const [msg, setMsg] = useState("");
+  const fileRef = useRef(null);
+
+  function startNew() {
+    setMsg("");
+    setForm({ ...current, species: speciesName(current.species), notes: "" });
+  }
+
+  function save() {
+    const f = normalizeFavorite(form);
+    if (!f) { setMsg(t("That spot has no position to save.")); return; }
+    const exists = favorites.some((x) => x.id === f.id);
+    onChange(exists ? favorites.map((x) => (x.id === f.id ? f : x)) : [...favorites, f]);
+    console.info("[Fav] Saved:", f.name);
+    setForm(null);
+  }
+
+  function remove(f) {
+    if (!window.confirm(t("Remove {name} from favorites?", { name: f.name }))) return;
+    onChange(favorites.filter((x) => x.id !== f.id));
+  }
+
+  async function importFile(file) {
+    if (!file) return;
+    try {
+      const list = jsonToFavorites(await file.text());
+      const byId = new Map(favorites.map((f) => [f.id, f]));
+      list.forEach((f) => byId.set(f.id, f));
+      onChange([...byId.values()]);
+      setMsg(list.length === 1 ? t("Imported 1 favorite.") : t("Imported {n} favorites.", { n: list.length }));
+    } catch (e) {
+      console.error("[Fav] Import failed:", e);
+      setMsg(t("Import failed — expected a favorites JSON exported by this app."));
+    } finally {
+      if (fileRef.current) fileRef.current.value = "";
+    }
+  }
+
+  const set = (k) => (e) => setForm((f) => ({ ...f, [k]: e.target.value }));
+  const input = "w-full bg-slate-800 rounded px-2 py-1 outline-none";
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-2">
+        <button className="bg-blue-500 hover:bg-blue-600 px-3 py-2 rounded text-sm disabled:opacity-50" onClick={startNew} disabled={!current}>
+          {t("Save this spot")}
+        </button>
+        <button
+          className="bg-slate-700 hover:bg-slate-600 px-3 py-2 rounded text-sm"
+          onClick={() => download(`favorites-${ymd(new Date())}.json`, favoritesToJson(favorites), "application/json")}
+          disabled={!favorites.length}
+        >
+          {t("Export JSON")}
+        </button>
+        <label className="bg-slate-700 hover:bg-slate-600 px-3 py-2 rounded text-sm cursor-pointer">
+          {t("Import JSON")}
+          <input ref={fileRef} type="file" accept=".json,application/json" className="hidden" onChange={(e) => importFile(e.target.files?.[0])} />
+        </label>
+      </div>
+      {msg && <div className="text-xs text-yellow-300">{msg}</div>}
+
+      {form && (
+        <div className="bg-slate-800/60 rounded p-3 grid md:grid-cols-4 gap-2 text-sm">
+          <label className="md:col-span-2">{t("Name")}
+            <input className={input} value={form.name} onChange={set("name")} />
+          </label>
+          <label>{t("Species")}
+            <input className={input} list="fp-fav-species" value={form.species} onChange={set("species")} />
+          </label>
+          <label>{t("Radius")}
+            <select className={input} value={form.radiusMi} onChange={set("radiusMi")}>
+              {RADII.map((mi) => <option key={mi} value={mi}>{fmt("distance", mi, units, { digits: 0 })}</option>)}
+            </select>
+          </label>
+          <label className="md:col-span-4">{t("Notes")}
+            <textarea className={input} rows="2" value={form.notes} onChange={set("notes")} placeholder={t("Launch spots, what worked, regulations…")} />
+          </label>
+          <div className="md:col-span-4 flex items-center gap-2">
+            <button className="bg-blue-500 hover:bg-blue-600 px-3 py-1 rounded" onClick={save}>{t("Save")}</button>
+            <button className="bg-slate-700 hover:bg-slate-600 px-3 py-1 rounded" onClick={() => setForm(null)}>{t("Cancel")}</button>
+            <span className="text-xs text-slate-400">
+              {form.site ? `${form.site.name} · ${t(form.site.type)}` : t("Point {coords}", { coords: `${Number(form.lat).toFixed(4)}, ${Number(form.lon).toFixed(4)}` })}
+            </span>
+          </div>
+          <datalist id="fp-fav-species">{ALL_GAME_FISH.map((s) => <option key={s} value={speciesName(s)} />)}</datalist>
+        </div>
+      )}
+
+      {favorites.length === 0 ? (
+        <p className="text-sm text-slate-400">{t("No favorites yet. Pick a water body (or click the map) and save it here.")}</p>
+      ) : (
+        <div className="grid md:grid-cols-3 gap-3">
+          {favorites.map((f) => {
+            const sc = scores[f.id];
+            return (
+              <div key={f.id} className={`bg-slate-800 rounded p-3 space-y-1 ${f.id === activeId ? "ring-1 ring-blue-500" : ""}`}>
+                <div className="flex items-start justify-between gap-2">
+                  <button className="text-left font-medium hover:underline" onClick={() => onOpen(f)}>{f.name}</button>
+                  <span className="text-sm font-semibold whitespace-nowrap" style={sc?.color ? { color: sc.color } : undefined}>
+                    {sc?.score != null ? `${sc.score}%` : sc?.loading ? "…" : "—"}
+                  </span>
+                </div>
+                <div className="text-xs text-slate-400">
+                  {speciesName(f.species)} · {f.site ? t(f.site.type) : t("Custom point")} · {fmt("distance", f.radiusMi, units, { digits: 0 })}
+                  {sc?.label ? ` · ${t("{label} now", { label: sc.label })}` : sc?.error ? ` · ${sc.error}` : ""}
+                </div>
+                {f.notes && <div className="text-xs text-slate-300 whitespace-pre-line">{f.notes}</div>}
+                <div className="flex gap-3 text-xs pt-1">
+                  <button className="underline" onClick={() => onOpen(f)}>{t("Open")}</button>
+                  <button className="underline" onClick={() => { setMsg(""); setForm({ ...f, species: speciesName(f.species) }); }}>{t("Edit")}</button>
+                  <button className="underline text-red-300" onClick={() => remove(f)}>{t("Remove")}</button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+import React, { useState } from "react";
+import { CLARITY_LEVELS, SKY_LEVELS, normalizeReadings, secchiToFnu } from "./manual.js";
+import { toUnit, fromUnit, unitSymbol } from "./units.js";
+import { t } from "./i18n.js";
+
+/** Readings fields typed in display units: field → units.js quantity kind */
+const FIELD_KINDS = { waterTempF: "temp", secchiFt: "depth", windMph: "speed" };
+
+/** ManualReadings: what you measured or see at the water. Water temp and clarity
+ *  replace the gauge/estimate for the whole day; wind and sky replace the forecast
+ *  for the hour they were entered. Storage is the parent's job (onChange(readings | null));
+ *  key it by site + day (and unit system) so the form resets when any changes.
+ */
+export default function ManualReadings({ readings, onChange, disabled, units }) {
+  // as typed, in display units; converted and normalized on the way out
+  const [r, setR] = useState(() => {
+    const shown = { ...readings };
+    Object.entries(FIELD_KINDS).forEach(([k, kind]) => { shown[k] = toUnit(kind, readings?.[k], units, { digits: 1 }); });
+    return shown;
+  });
+  const set = (k) => (e) => {
+    const next = { ...r, [k]: e.target.value };
+    // wind/sky describe the moment they were entered
+    if (k === "windMph" || k === "sky") next.hour = new Date().getHours();
+    setR(next);
+    const canonical = { ...next };
+    Object.entries(FIELD_KINDS).forEach(([f, kind]) => { canonical[f] = fromUnit(kind, next[f], units); });
+    onChange(normalizeReadings(canonical));
+  };
+  const clear = () => { setR({}); onChange(null); };
+  const input = "w-full bg-slate-800 rounded px-2 py-1 outline-none disabled:opacity-50";
+  const secchiFnu = secchiToFnu(readings?.secchiFt);
+
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="flex items-center justify-between">
+        <h3 className="font-medium">{t("My readings")} <span className="text-xs px-1.5 rounded-full bg-violet-900 text-violet-200">{t("manual")}</span></h3>
+        {readings && <button className="underline text-xs" onClick={clear}>{t("Clear")}</button>}
+      </div>
+      {disabled ? (
+        <p className="text-xs text-slate-400">{t("On-site readings describe today — switch the date to Today to enter them.")}</p>
+      ) : (
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+          <label>{t("Water temp ({unit})", { unit: unitSymbol("temp", units) })}
+            <input className={input} type="number" step="0.5" value={r.waterTempF ?? ""} onChange={set("waterTempF")} />
+          </label>
+          <label>{t("Clarity")}
+            <select className={input} value={r.clarity ?? ""} onChange={set("clarity")}>
+              <option value="">—</option>
+              {Object.entries(CLARITY_LEVELS).map(([k, v]) => <option key={k} value={k}>{t(v.label)}</option>)}
+            </select>
+          </label>
+          <label title={secchiFnu != null ? `≈ ${secchiFnu} FNU` : undefined}>{t("Secchi depth ({unit})", { unit: unitSymbol("depth", units) })}
+            <input className={input} type="number" min="0" step={unitSymbol("depth", units) === "m" ? "0.1" : "0.5"} value={r.secchiFt ?? ""} onChange={set("secchiFt")} />
+          </label>
+          <label>{t("Wind ({unit})", { unit: unitSymbol("speed", units) })}
+            <input className={input} type="number" min="0" step="1" value={r.windMph ?? ""} onChange={set("windMph")} />
+          </label>
+          <label>{t("Sky")}
+            <select className={input} value={r.sky ?? ""} onChange={set("sky")}>
+              <option value="">—</option>
+              {Object.entries(SKY_LEVELS).map(([k, v]) => <option key={k} value={k}>{t(v.label)}</option>)}
+            </select>
+          </label>
+        </div>
+      )}
+      {readings && !disabled && (
+        <p className="text-xs text-slate-400">
+          {readings.windMph != null || readings.sky
+            ? t("Saved for this spot today. Water temp and clarity apply all day; wind and sky to the {hour}:00 hour.", { hour: String(readings.hour).padStart(2, "0") })
+            : t("Saved for this spot today. Water temp and clarity apply all day.")}
+          {secchiFnu != null && readings.clarity ? ` ${t("Secchi depth is used over the clarity pick.")}` : ""}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+import React, { useState } from "react";
+import { WEATHER_PROVIDERS } from "./weatherProviders.js";
+import { fmt } from "./units.js";
+import { t } from "./i18n.js";
+
+/** WeatherSettings: provider picker, per-provider base URLs (e.g. a local
+ *  stand-in server) and the side-by-side comparison for the active hour.
+ *  rows = [{ id, score, airTempF, derived } | { id, error } | { id, loading }]
+ */
+export default function WeatherSettings({ settings, onChange, rows, hourLabel, units }) {
+  const [urls, setUrls] = useState(settings.baseUrls);
+  const input = "w-full bg-slate-800 rounded px-2 py-1 outline-none text-sm";
+
+  function applyUrl(id) {
+    const next = { ...settings.baseUrls, [id]: (urls[id] || "").trim() };
+    if (!next[id]) delete next[id];
+    onChange({ ...settings, baseUrls: next });
+  }
+
+  function resetUrl(id) {
+    setUrls((u) => ({ ...u, [id]: "" }));
+    const next = { ...settings.baseUrls };
+    delete next[id];
+    onChange({ ...settings, baseUrls: next });
+  }
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="grid md:grid-cols-2 gap-3">
+        {Object.values(WEATHER_PROVIDERS).map((p) => (
+          <div key={p.id} className="bg-slate-800/60 rounded p-3 space-y-2">
+            <label className="flex items-center gap-2">
+              <input
+                type="radio"
+                name="wx-provider"
+                checked={settings.provider === p.id}
+                onChange={() => onChange({ ...settings, provider: p.id })}
+              />
+              <span className="font-medium">{p.label}</span>
+            </label>
+            <div className="text-xs text-slate-400">
+              {t(p.coverage)}{p.hasPressure ? "" : ` · ${t("no pressure data, so no front detection")}`}
+            </div>
+            <label className="block text-xs text-slate-400">{t("Base URL")}
+              <div className="flex gap-2 mt-1">
+                <input
+                  className={input}
+                  placeholder={p.defaultBaseUrl}
+                  value={urls[p.id] || ""}
+                  onChange={(e) => setUrls((u) => ({ ...u, [p.id]: e.target.value }))}
+                  onBlur={() => applyUrl(p.id)}
+                  onKeyDown={(e) => e.key === "Enter" && applyUrl(p.id)}
+                  aria-label={t("{provider} base URL", { provider: p.label })}
+                />
+                {settings.baseUrls[p.id] && (
+                  <button className="underline text-xs" onClick={() => resetUrl(p.id)}>{t("Reset")}</button>
+                )}
+              </div>
+            </label>
+          </div>
+        ))}
+      </div>
+
+      <label className="flex items-center gap-2">
+        <input type="checkbox" checked={settings.compare} onChange={(e) => onChange({ ...settings, compare: e.target.checked })} />
+        {t("Compare providers side by side")}
+      </label>
+
+      {settings.compare && rows.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="text-xs text-slate-400 text-left">
+              <tr>
+                <th className="py-1 pr-3 font-normal">{t("Provider")}{hourLabel ? ` · ${hourLabel}` : ""}</th>
+                <th className="py-1 pr-3 font-normal">{t("Score")}</th>
+                <th className="py-1 pr-3 font-normal">{t("Air")}</th>
+                <th className="py-1 pr-3 font-normal">{t("Wind")}</th>
+                <th className="py-1 pr-3 font-normal">{t("Cloud")}</th>
+                <th className="py-1 pr-3 font-normal">{t("Pressure")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr key={r.id} className="border-t border-slate-800">
+                  <td className="py-1 pr-3">
+                    {WEATHER_PROVIDERS[r.id].label}
+                    {r.id === settings.provider && <span className="text-xs text-slate-400"> ({t("in use")})</span>}
+                  </td>
+                  {r.derived ? (
+                    <>
+                      <td className="py-1 pr-3 font-semibold">{r.score}%</td>
+                      <td className="py-1 pr-3">{fmt("temp", r.airTempF, units)}</td>
+                      <td className="py-1 pr-3">{fmt("speed", r.derived.windMph, units)}</td>
+                      <td className="py-1 pr-3">{r.derived.cloudPct}%</td>
+                      <td className="py-1 pr-3">{r.derived.pressureTrend ? `${fmt("pressure", r.derived.barometerInHg, units)} · ${t(r.derived.pressureTrend.tendency)}` : "—"}</td>
+                    </>
+                  ) : (
+                    <td className={`py-1 pr-3 text-xs ${r.error ? "text-red-300" : "text-slate-400"}`} colSpan={5}>
+                      {r.error || t("Loading…")}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+import React from "react";
+import { toUnit, fromUnit, unitSymbol } from "./units.js";
+import { t } from "./i18n.js";
+
+/** min/max/step in the canonical units; `kind` = units.js quantity for the ones that convert */
+const SLIDERS = [
+  { key: "waterTempF", label: "Water temp", kind: "temp", min: 32, max: 95, step: 1 },
+  { key: "turbidityFnu", label: "Turbidity", unit: "FNU", min: 0, max: 100, step: 1 },
+  { key: "windMph", label: "Wind", kind: "speed", min: 0, max: 30, step: 1 },
+  { key: "cloudPct", label: "Cloud cover", unit: "%", min: 0, max: 100, step: 5 },
+  { key: "barometerInHg", label: "Pressure", kind: "pressure", min: 29.2, max: 30.7, step: 0.01 },
+];
+
+/** Slider step in the other systems' units, by symbol */
+const UNIT_STEPS = { "°C": 0.5, "km/h": 1, hPa: 1, kPa: 0.1 };
+
+const snap = (v, step) => Number((Math.round(v / step) * step).toFixed(2));
+
+/** A slider as shown in `units`: { min, max, step, unit, show(canonical), read(shown) } */
+function inUnits(s, units) {
+  const unit = s.kind ? unitSymbol(s.kind, units) : s.unit;
+  if (!s.kind || !(unit in UNIT_STEPS)) {
+    return { min: s.min, max: s.max, step: s.step, unit, show: (v) => v, read: (x) => x };
+  }
+  const step = UNIT_STEPS[unit];
+  const conv = (v) => toUnit(s.kind, v, units, { digits: 2 });
+  return {
+    min: snap(conv(s.min), step), max: snap(conv(s.max), step), step, unit,
+    show: (v) => snap(conv(v), step),
+    read: (x) => fromUnit(s.kind, x, units),
+  };
+}
+
+/** Starting slider positions: the conditions being shown, rounded to each slider's step */
+export function whatIfFrom(derived) {
+  return Object.fromEntries(SLIDERS.map(({ key, min, max, step }) => {
+    const v = Number.isFinite(derived?.[key]) ? derived[key] : (min + max) / 2;
+    return [key, Math.min(max, Math.max(min, snap(v, step)))];
+  }));
+}
+
+/** WhatIf: sliders over the scoring inputs. values = null (off) or manual.js Values;
+ *  the parent scores and picks gear from them while on. */
+export default function WhatIf({ values, base, onChange, units }) {
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <label className="flex items-center gap-2 font-medium">
+          <input type="checkbox" checked={!!values} onChange={(e) => onChange(e.target.checked ? whatIfFrom(base) : null)} disabled={!base} />
+          {t("What-if mode")}
+        </label>
+        {values && <button className="underline text-xs" onClick={() => onChange(whatIfFrom(base))}>{t("Reset to current")}</button>}
+      </div>
+      {values && (
+        <>
+          <p className="text-xs text-fuchsia-300">{t("Exploring — the gauge, breakdown and gear show these made-up conditions, not the forecast.")}</p>
+          <div className="grid md:grid-cols-2 gap-x-4 gap-y-1">
+            {SLIDERS.map((s) => {
+              const u = inUnits(s, units);
+              return (
+                <label key={s.key} className="flex items-center gap-2">
+                  <span className="w-24 shrink-0">{t(s.label)}</span>
+                  <input
+                    type="range" className="flex-1" min={u.min} max={u.max} step={u.step} value={u.show(values[s.key])}
+                    onChange={(e) => onChange({ ...values, [s.key]: u.read(Number(e.target.value)) })}
+                  />
+                  <span className="w-20 text-right tabular-nums">{u.show(values[s.key])} {u.unit}</span>
+                </label>
+              );
+            })}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,172 @@
+/* alerts.js — threshold alerts for favorite spots: the rules, checking them against
+   the hourly forecast, and the alert history. Pure apart from prefGet/prefSet;
+   App.jsx loads and scores the forecast, offline.js shows the notifications.
+
+   Rule  = { id, favId, species, kind: key of ALERT_KINDS, minScore, days, enabled }
+   Day   = { date: "YYYY-MM-DD", hours: [{ time, score, front }] }  // one spot, one species
+   Match = { key, ruleId, date, start, end, score }                    // start/end: ms
+   Alert = { key, ruleId, favId, title, body, hash, start, firedAt, notified }
+   Queued = Alert without firedAt/notified, plus { due, end }: a match further out than
+            its rule's horizon, handed to the worker (offline.js) to fire at `due`
+            from the last fetched forecast while the app is closed
+   Alert text is written in the locale active when it's checked (i18n.js).
+
+   Dedupe keys (one per rule per day) live apart from the displayed history, which is
+   trimmed and can be cleared; they're dropped once their day can't match again.
+*/
+
+import { prefGet, prefSet } from "./lib.js";
+import { speciesKey } from "./species.js";
+import { t, speciesName, fmtDate, fmtClock } from "./i18n.js";
+
+const RULES_KEY = "pref:alertRules";
+const HISTORY_KEY = "pref:alertHistory";
+const SEEN_KEY = "pref:alertSeen"; // { [alert key]: start ms }
+const HISTORY_MAX = 50;
+const HOUR_MS = 60 * 60 * 1000;
+
+/** The forecast reaches today + 7 */
+export const MAX_ALERT_DAYS = 7;
+
+export const ALERT_KINDS = {
+  score: { label: "Score reaches" },
+  front: { label: "Pressure falling ahead of a front" },
+};
+
+function newId() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
+  return `a${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// ------------------------------- Rules -------------------------------
+
+/** Normalize form/storage input into a rule; null without a favorite or species */
+export function normalizeRule(r) {
+  const species = speciesKey(r?.species);
+  if (!r?.favId || !species) return null;
+  const minScore = Math.round(Number(r.minScore) / 5) * 5;
+  const days = Math.round(Number(r.days));
+  return {
+    id: r.id || newId(),
+    favId: String(r.favId),
+    species,
+    kind: ALERT_KINDS[r.kind] ? r.kind : "score",
+    minScore: Math.min(100, Math.max(50, Number.isFinite(minScore) ? minScore : 75)),
+    days: Math.min(MAX_ALERT_DAYS, Math.max(1, Number.isFinite(days) ? days : 3)),
+    enabled: r.enabled !== false,
+  };
+}
+
+export function listAlertRules() {
+  return (prefGet(RULES_KEY) || []).map(normalizeRule).filter(Boolean);
+}
+
+export function saveAlertRules(list) {
+  prefSet(RULES_KEY, list);
+}
+
+/** "Score ≥ 75% · next 3 days" */
+export function describeRule(rule) {
+  const when = rule.days === 1 ? t("next 24 h") : t("next {n} days", { n: rule.days });
+  return rule.kind === "front" ? `${t(ALERT_KINDS.front.label)} · ${when}` : `${t("Score ≥ {score}%", { score: rule.minScore })} · ${when}`;
+}
+
+// ----------------------------- Evaluation -----------------------------
+
+/** The run of consecutive hours around hours[i] that pass `ok` → { start, end } in ms */
+function runAround(hours, i, ok) {
+  let a = i, b = i;
+  while (a > 0 && ok(hours[a - 1])) a--;
+  while (b < hours.length - 1 && ok(hours[b + 1])) b++;
+  return { start: Date.parse(hours[a].time), end: Date.parse(hours[b].time) + HOUR_MS };
+}
+
+/** evaluateRule(rule, days, now) → [Match], at most one per calendar day
+ *  score: the day's best hour within the horizon reaches rule.minScore
+ *  front: pressureTrend flags a front approaching at some hour within the horizon
+ */
+export function evaluateRule(rule, days, now = Date.now()) {
+  const from = now - HOUR_MS; // the hour already under way still counts
+  const until = now + rule.days * 24 * HOUR_MS;
+  const out = [];
+  (days || []).forEach((d) => {
+    const hours = d.hours.filter((h) => {
+      const t = Date.parse(h.time);
+      return t >= from && t < until;
+    });
+    if (!hours.length) return;
+    let i;
+    let ok;
+    if (rule.kind === "front") {
+      ok = (h) => h.front === "approaching";
+      i = hours.findIndex(ok);
+    } else {
+      ok = (h) => h.score >= rule.minScore;
+      i = hours.reduce((best, h, j) => (h.score > hours[best].score ? j : best), 0);
+      if (!ok(hours[i])) i = -1;
+    }
+    if (i < 0) return;
+    out.push({ key: `${rule.id}:${d.date}`, ruleId: rule.id, date: d.date, ...runAround(hours, i, ok), score: hours[i].score });
+  });
+  return out;
+}
+
+/** upcomingMatches(rule, days, now) → [Match + { due }] over the whole forecast, each
+ *  due when its start comes within the rule's horizon; what the worker fires later */
+export function upcomingMatches(rule, days, now = Date.now()) {
+  return evaluateRule({ ...rule, days: MAX_ALERT_DAYS }, days, now)
+    .map((m) => ({ ...m, due: m.start - rule.days * 24 * HOUR_MS }))
+    .filter((m) => m.due > now);
+}
+
+/** Notification text for a match: { title, body } */
+export function alertText(rule, match, spotName) {
+  const day = fmtDate(match.start, { weekday: "short", month: "short", day: "numeric" });
+  const hm = (ts) => fmtClock(ts, { hour: "numeric", minute: "2-digit" });
+  const span = `${day} ${hm(match.start)}–${hm(match.end)}`;
+  const species = speciesName(rule.species);
+  if (rule.kind === "front") {
+    return {
+      title: t("{spot}: front on the way", { spot: spotName }),
+      body: t("Pressure falling ahead of a front {span} — {species} often feed hard ({score}%).", { span, species, score: match.score }),
+    };
+  }
+  return {
+    title: `${spotName}: ${species} ${match.score}%`,
+    body: t("{span} at or above your {score}% alert.", { span, score: rule.minScore }),
+  };
+}
+
+// ------------------------------- History -------------------------------
+
+/** Fired alerts, newest first */
+export function alertHistory() {
+  return prefGet(HISTORY_KEY) || [];
+}
+
+/** Keys of everything fired so far (pruned by recordAlerts) */
+function seenKeys() {
+  return prefGet(SEEN_KEY) || {};
+}
+
+/** Alerts from `alerts` that haven't fired before (one per rule per day) */
+export function unseenAlerts(alerts, seen = seenKeys()) {
+  return alerts.filter((a) => !(a.key in seen));
+}
+
+/** Prepend fired alerts, keeping the newest HISTORY_MAX, and remember their keys until
+ *  their day is past; returns the new history */
+export function recordAlerts(alerts, now = Date.now()) {
+  const seen = Object.fromEntries(Object.entries(seenKeys()).filter(([, start]) => start >= now - 2 * 24 * HOUR_MS));
+  alerts.forEach((a) => { seen[a.key] = a.start; });
+  prefSet(SEEN_KEY, seen);
+  const next = [...alerts, ...alertHistory()].slice(0, HISTORY_MAX);
+  prefSet(HISTORY_KEY, next);
+  return next;
+}
+
+/** Empty the displayed history; the dedupe keys stay, so nothing fires again */
+export function clearAlertHistory() {
+  prefSet(HISTORY_KEY, []);
+  return [];
+}
@@ -0,0 +1,81 @@
+/* alerts.test.js — alert rules against a forecast, and the dedupe keys (node --test) */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+// prefs live in localStorage; an in-memory one stands in for the browser's
+const store = new Map();
+globalThis.localStorage = {
+  getItem: (k) => (store.has(k) ? store.get(k) : null),
+  setItem: (k, v) => { store.set(k, String(v)); },
+  removeItem: (k) => { store.delete(k); },
+};
+
+const { evaluateRule, upcomingMatches, unseenAlerts, recordAlerts, alertHistory, clearAlertHistory } = await import("./alerts.js");
+
+const H = 60 * 60 * 1000;
+const DAY = 24 * H;
+const NOW = Date.parse("2026-05-01T06:00:00Z");
+
+/** Day `d` after NOW's date, hourly from 00:00Z; scores(i) → score at hour i */
+function day(d, scores, front = () => null) {
+  const start = Date.parse("2026-05-01T00:00:00Z") + d * DAY;
+  return {
+    date: new Date(start).toISOString().slice(0, 10),
+    hours: [...Array(24).keys()].map((i) => ({ time: new Date(start + i * H).toISOString(), score: scores(i), front: front(i) })),
+  };
+}
+
+const rule = { id: "r1", favId: "f1", species: "Walleye", kind: "score", minScore: 75, days: 2, enabled: true };
+const eveningPeak = (i) => (i >= 18 && i <= 20 ? 80 : 50);
+
+test("a score rule matches the run of hours around the day's best", () => {
+  const [m, ...rest] = evaluateRule(rule, [day(0, eveningPeak)], NOW);
+  assert.equal(rest.length, 0);
+  assert.equal(m.key, "r1:2026-05-01");
+  assert.equal(m.score, 80);
+  assert.equal(m.start, Date.parse("2026-05-01T18:00:00Z"));
+  assert.equal(m.end, Date.parse("2026-05-01T21:00:00Z"));
+});
+
+test("hours past the rule's horizon or already gone don't match", () => {
+  const days = [day(0, (i) => (i < 4 ? 90 : 50)), day(3, eveningPeak)];
+  assert.deepEqual(evaluateRule(rule, days, NOW), []);
+});
+
+test("a front rule matches the first hour flagged approaching", () => {
+  const days = [day(1, () => 60, (i) => (i >= 9 ? "approaching" : null))];
+  const [m] = evaluateRule({ ...rule, kind: "front" }, days, NOW);
+  assert.equal(m.start, Date.parse("2026-05-02T09:00:00Z"));
+  assert.equal(m.end, Date.parse("2026-05-03T00:00:00Z"));
+});
+
+test("upcoming matches are the ones beyond the horizon, due when they come within it", () => {
+  const days = [day(0, eveningPeak), day(4, eveningPeak), day(6, eveningPeak)];
+  const up = upcomingMatches(rule, days, NOW);
+  assert.deepEqual(up.map((m) => m.date), ["2026-05-05", "2026-05-07"]);
+  up.forEach((m) => assert.equal(m.due, m.start - rule.days * DAY));
+});
+
+test("a fired alert's key stops it firing again, even after the history is cleared", () => {
+  store.clear();
+  const [m] = evaluateRule(rule, [day(0, eveningPeak)], NOW);
+  const alert = { ...m, favId: "f1", title: "", body: "", hash: "", firedAt: NOW, notified: true };
+  assert.equal(unseenAlerts([alert]).length, 1);
+  recordAlerts([alert], NOW);
+  assert.equal(alertHistory().length, 1);
+  assert.deepEqual(unseenAlerts([alert]), []);
+  clearAlertHistory();
+  assert.deepEqual(alertHistory(), []);
+  assert.deepEqual(unseenAlerts([alert]), []);
+});
+
+test("dedupe keys expire two days after their alert's start", () => {
+  store.clear();
+  const old = { key: "r1:2026-05-01", start: NOW };
+  recordAlerts([old], NOW);
+  recordAlerts([], NOW + DAY);
+  assert.deepEqual(unseenAlerts([old]), []);
+  recordAlerts([], NOW + 2 * DAY + H);
+  assert.equal(unseenAlerts([old]).length, 1);
+});
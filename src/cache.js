@@ -0,0 +1,255 @@
+/* cache.js — response cache in IndexedDB with per-source TTLs, LRU eviction
+   and stale-while-revalidate. Browser-only; falls back to "no cache" (always
+   fetch) when IndexedDB is unavailable.
+
+   Entry shape: { key, source, v, size, savedAt, exp, lastUsed }
+   - size is the JSON length of v, used for the byte budget; the running total is
+     kept in the meta store, updated in the same transaction as each write/delete,
+     and the [lastUsed, size] index is walked (keys only) just when it's over budget
+   - entries past exp are still served (stale) while a refresh runs, until
+     exp + policy.staleMs, after which sweepExpired() drops them
+*/
+
+const DB_NAME = "fishing-predictor-cache";
+const DB_VERSION = 1;
+const STORE = "entries";
+const META = "meta";
+const BYTES_KEY = "bytes"; // meta record: { key, total }
+const MAX_BYTES = 20 * 1024 * 1024;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/** TTL (fresh) and how long a stale copy may still be shown, per data source */
+export const CACHE_POLICIES = {
+  sites: { label: "Water body lists (USGS / OSM)", ttlMs: 6 * HOUR, staleMs: 14 * DAY },
+  gauges: { label: "USGS gauge readings", ttlMs: 1 * HOUR, staleMs: 2 * DAY },
+  flowstats: { label: "USGS flow statistics", ttlMs: 7 * DAY, staleMs: 60 * DAY },
+  weather: { label: "Open-Meteo forecasts", ttlMs: 1 * HOUR, staleMs: 3 * DAY },
+  airhist: { label: "Air temperature history", ttlMs: 6 * HOUR, staleMs: 7 * DAY },
+  pois: { label: "Nearby access (Overpass)", ttlMs: 12 * HOUR, staleMs: 30 * DAY },
+  geometry: { label: "Water body outlines (OSM)", ttlMs: 7 * DAY, staleMs: 60 * DAY },
+};
+
+// ---------------------------- IndexedDB ----------------------------
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") { reject(new Error("IndexedDB not supported")); return; }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      const os = db.createObjectStore(STORE, { keyPath: "key" });
+      os.createIndex("source", "source");
+      os.createIndex("lastUsed", "lastUsed");
+      os.createIndex("lru", ["lastUsed", "size"]);
+      db.createObjectStore(META, { keyPath: "key" }).put({ key: BYTES_KEY, total: 0 });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const t = db.transaction(STORE, mode);
+    const req = fn(t.objectStore(STORE));
+    t.oncomplete = () => resolve(req ? req.result : undefined);
+    t.onerror = () => reject(t.error);
+    t.onabort = () => reject(t.error);
+  });
+}
+
+/** tx(stores, mode, fn): fn(transaction, setResult) queues requests; resolves with
+ *  the result once the transaction commits */
+async function tx(stores, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const t = db.transaction(stores, mode);
+    let result;
+    fn(t, (v) => { result = v; });
+    t.oncomplete = () => resolve(result);
+    t.onerror = () => reject(t.error);
+    t.onabort = () => reject(t.error);
+  });
+}
+
+/** Add delta to the stored byte total within t; onTotal(newTotal) */
+function addBytes(t, delta, onTotal) {
+  const meta = t.objectStore(META);
+  const req = meta.get(BYTES_KEY);
+  req.onsuccess = () => {
+    const total = Math.max(0, (req.result?.total || 0) + delta);
+    meta.put({ key: BYTES_KEY, total });
+    if (onTotal) onTotal(total);
+  };
+}
+
+/** Walk every entry (optionally via an index), oldest lastUsed first */
+async function eachEntry(mode, fn, indexName = "lastUsed") {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const t = db.transaction(STORE, mode);
+    const req = t.objectStore(STORE).index(indexName).openCursor();
+    req.onsuccess = () => {
+      const cur = req.result;
+      if (!cur) return;
+      fn(cur.value, cur);
+      cur.continue();
+    };
+    t.oncomplete = () => resolve();
+    t.onerror = () => reject(t.error);
+  });
+}
+
+function policy(source) {
+  return CACHE_POLICIES[source] || { label: source, ttlMs: HOUR, staleMs: DAY };
+}
+
+// ------------------------------ Read/Write ------------------------------
+
+/** cacheRead(key) → { v, fresh, savedAt } | null (bumps lastUsed for LRU) */
+export async function cacheRead(key) {
+  try {
+    const e = await withStore("readonly", (os) => os.get(key));
+    if (!e) return null;
+    const now = Date.now();
+    if (now > e.exp + policy(e.source).staleMs) return null;
+    withStore("readwrite", (os) => os.put({ ...e, lastUsed: now })).catch(() => {});
+    return { v: e.v, fresh: now <= e.exp, savedAt: e.savedAt };
+  } catch {
+    return null;
+  }
+}
+
+/** cacheWrite(key, source, v) — stores with the source's TTL, then evicts LRU entries over budget */
+export async function cacheWrite(key, source, v) {
+  const now = Date.now();
+  const size = JSON.stringify(v ?? null).length;
+  if (size > MAX_BYTES / 2) {
+    console.warn("[Cache] Not caching oversized entry:", key, size);
+    return;
+  }
+  try {
+    const total = await tx([STORE, META], "readwrite", (t, done) => {
+      const os = t.objectStore(STORE);
+      const old = os.get(key);
+      old.onsuccess = () => {
+        os.put({ key, source, v, size, savedAt: now, exp: now + policy(source).ttlMs, lastUsed: now });
+        addBytes(t, size - (old.result?.size || 0), done);
+      };
+    });
+    if (total > MAX_BYTES) await evictOverBudget();
+  } catch (e) {
+    console.warn("[Cache] Write failed:", key, e);
+  }
+}
+
+/** Drop least-recently-used entries to 90% of the budget (headroom, so we don't evict on
+ *  every write). Walks the lru index's keys, so stored values aren't read. */
+async function evictOverBudget() {
+  const dropped = await tx([STORE, META], "readwrite", (t, done) => {
+    const meta = t.objectStore(META).get(BYTES_KEY);
+    meta.onsuccess = () => {
+      let total = meta.result?.total || 0;
+      let freed = 0, n = 0;
+      const os = t.objectStore(STORE);
+      const cur = os.index("lru").openKeyCursor();
+      cur.onsuccess = () => {
+        const c = cur.result;
+        if (!c || total - freed <= MAX_BYTES * 0.9) { addBytes(t, -freed); done(n); return; }
+        os.delete(c.primaryKey);
+        freed += c.key[1];
+        n++;
+        c.continue();
+      };
+    };
+  });
+  if (dropped) console.info("[Cache] Evicted", dropped, "least-recently-used entries");
+}
+
+/** cached(source, key, fetcher, { onRefresh })
+ * Stale-while-revalidate: fresh hit → value; stale hit → value now, fetcher in
+ * the background and onRefresh(newValue) when it lands; miss → await fetcher.
+ * Fetcher results of null/undefined are returned but not cached.
+ */
+export async function cached(source, key, fetcher, { onRefresh } = {}) {
+  const hit = await cacheRead(key);
+  if (hit?.fresh) return hit.v;
+  const refresh = async () => {
+    const v = await fetcher();
+    if (v != null) await cacheWrite(key, source, v);
+    return v;
+  };
+  if (hit) {
+    refresh()
+      .then((v) => { if (v != null && onRefresh) onRefresh(v); })
+      .catch((e) => { if (e?.name !== "AbortError") console.warn("[Cache] Background refresh failed:", key, e); });
+    return hit.v;
+  }
+  return refresh();
+}
+
+// ---------------------------- Maintenance ----------------------------
+
+/** Drop entries past their stale window; returns how many were removed */
+export async function sweepExpired() {
+  const now = Date.now();
+  let n = 0;
+  try {
+    await tx([STORE, META], "readwrite", (t) => {
+      let freed = 0;
+      const cur = t.objectStore(STORE).openCursor();
+      cur.onsuccess = () => {
+        const c = cur.result;
+        if (!c) { if (freed) addBytes(t, -freed); return; }
+        if (now > c.value.exp + policy(c.value.source).staleMs) { c.delete(); n++; freed += c.value.size || 0; }
+        c.continue();
+      };
+    });
+  } catch { return 0; }
+  if (n) console.info("[Cache] Swept", n, "expired entries");
+  return n;
+}
+
+/** Per-source usage: { total: { entries, bytes }, sources: { [source]: { entries, bytes, oldest } } } */
+export async function cacheUsage() {
+  const sources = Object.fromEntries(Object.keys(CACHE_POLICIES).map((s) => [s, { entries: 0, bytes: 0, oldest: null }]));
+  const total = { entries: 0, bytes: 0 };
+  await eachEntry("readonly", (e) => {
+    const s = (sources[e.source] = sources[e.source] || { entries: 0, bytes: 0, oldest: null });
+    s.entries++;
+    s.bytes += e.size || 0;
+    s.oldest = s.oldest == null ? e.savedAt : Math.min(s.oldest, e.savedAt);
+    total.entries++;
+    total.bytes += e.size || 0;
+  });
+  return { total, sources };
+}
+
+/** Clear one source, or everything when source is omitted */
+export async function clearCache(source) {
+  await tx([STORE, META], "readwrite", (t) => {
+    const os = t.objectStore(STORE);
+    if (!source) {
+      os.clear();
+      t.objectStore(META).put({ key: BYTES_KEY, total: 0 });
+      return;
+    }
+    let freed = 0;
+    const cur = os.index("source").openCursor(IDBKeyRange.only(source));
+    cur.onsuccess = () => {
+      const c = cur.result;
+      if (!c) { addBytes(t, -freed); return; }
+      freed += c.value.size || 0;
+      c.delete();
+      c.continue();
+    };
+  });
+}
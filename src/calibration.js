@@ -0,0 +1,104 @@
+/* calibration.js — personal score calibration fitted from the catch log
+   Pure and browser-safe. Learns from entries that carry a conditions snapshot
+   (see catchStore.js): trips with count > 0 are successes, count 0 is a skunk.
+
+   Model:
+   - factor weights: a multiplier per successScore component, nudged up when the
+     factor scored higher on successful trips than on skunked ones (and down
+     when it didn't), shrunk toward 1 while trips are few
+   - temperature bands: per-species shift of the profile's optimal range (species.js)
+     toward the temps you actually caught that species at
+*/
+
+import { COMPONENT_RANGES, scoreComponents } from "./lib.js";
+import { speciesProfile } from "./species.js";
+
+export const MIN_TRIPS = 5;       // below this, no calibration is applied
+const SHRINK_TRIPS = 10;          // trips at which an adjustment reaches half strength
+const MIN_SPECIES_CATCHES = 3;    // successful trips needed to move a species' band
+const MAX_TEMP_SHIFT_F = 10;
+const FACTORS = Object.keys(COMPONENT_RANGES);
+
+function clamp(v, lo, hi) { return Math.min(hi, Math.max(lo, v)); }
+function normName(s) { return (s || "").trim().toLowerCase().replace(/\s+/g, " "); }
+function mean(xs) { return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null; }
+
+function normalized(factor, pts) {
+  const { min, max } = COMPONENT_RANGES[factor];
+  return clamp((pts - min) / (max - min), 0, 1);
+}
+
+/** Entries usable for fitting: have a snapshot with conditions */
+function usableTrips(entries) {
+  return (entries || []).filter((e) => e?.snapshot?.conditions && e.species);
+}
+
+/** fitCalibration(entries, { siteId })
+ * Fits on the given water body when it has enough trips, else on all trips.
+ * returns {
+ *   ok, scope: "water" | "user", trips, successes, skunks,
+ *   weights: { temp, wind, cloud, pressure, turbidity, lunar },  // multipliers
+ *   tempShiftF: { [normalized species]: °F },
+ * }
+ */
+export function fitCalibration(entries, { siteId } = {}) {
+  const all = usableTrips(entries);
+  const local = siteId ? all.filter((e) => e.siteId === siteId) : [];
+  const scope = local.length >= MIN_TRIPS ? "water" : "user";
+  const trips = scope === "water" ? local : all;
+  const wins = trips.filter((e) => e.count > 0);
+  const skunks = trips.filter((e) => e.count === 0);
+  const shrink = trips.length / (trips.length + SHRINK_TRIPS);
+
+  const weights = Object.fromEntries(FACTORS.map((f) => [f, 1]));
+  if (wins.length && skunks.length) {
+    const comps = (list) => list.map((e) =>
+      scoreComponents(e.species, e.snapshot.site?.type || "Water", e.snapshot.conditions));
+    const cw = comps(wins), cs = comps(skunks);
+    FACTORS.forEach((f) => {
+      const d = mean(cw.map((c) => normalized(f, c[f]))) - mean(cs.map((c) => normalized(f, c[f])));
+      weights[f] = Math.round(clamp(1 + 2 * d * shrink, 0.5, 1.5) * 100) / 100;
+    });
+  }
+
+  const tempShiftF = {};
+  const bySpecies = {};
+  wins.forEach((e) => {
+    const t = e.snapshot.conditions.waterTempF;
+    if (!Number.isFinite(t)) return;
+    const k = normName(e.species);
+    (bySpecies[k] = bySpecies[k] || []).push({ e, t });
+  });
+  Object.entries(bySpecies).forEach(([sp, list]) => {
+    if (list.length < MIN_SPECIES_CATCHES) return;
+    const { optimalLow, optimalHigh } = speciesProfile(list[0].e.species).tempF;
+    const ideal = (optimalLow + optimalHigh) / 2;
+    const caughtAt = list.reduce((a, x) => a + x.t * x.e.count, 0) / list.reduce((a, x) => a + x.e.count, 0);
+    const k = list.length / (list.length + SHRINK_TRIPS);
+    tempShiftF[sp] = Math.round(clamp((caughtAt - ideal) * k, -MAX_TEMP_SHIFT_F, MAX_TEMP_SHIFT_F) * 10) / 10;
+  });
+
+  return {
+    ok: trips.length >= MIN_TRIPS,
+    scope,
+    trips: trips.length,
+    successes: wins.length,
+    skunks: skunks.length,
+    weights,
+    tempShiftF,
+  };
+}
+
+/** calibratedScore(species, waterType, derived, cal)
+ * Same scale as successScore: weighted components rescaled so a perfect day
+ * still tops out where the default model does. null when cal isn't usable.
+ */
+export function calibratedScore(species, waterType, derived, cal) {
+  if (!species || !derived || !cal?.ok) return null;
+  const shift = cal.tempShiftF[normName(species)] ?? 0;
+  const c = scoreComponents(species, waterType, derived, { tempShiftF: shift });
+  const maxDefault = FACTORS.reduce((a, f) => a + COMPONENT_RANGES[f].max, 0);
+  const maxWeighted = FACTORS.reduce((a, f) => a + COMPONENT_RANGES[f].max * cal.weights[f], 0);
+  const raw = FACTORS.reduce((a, f) => a + c[f] * cal.weights[f], 0) * (maxDefault / maxWeighted);
+  return Math.round(clamp(raw, 0, 100));
+}
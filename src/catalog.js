@@ -0,0 +1,160 @@
+/* catalog.js — one water-body list from USGS gauges + OpenStreetMap features
+   Pure and browser-safe. App.jsx fetches both sources; this merges them.
+
+   Entry shape:
+   { id, name, lat, lon, type: "River" | "Lake" | "Reservoir" | "Pond" | "Water",
+     source: "USGS" | "OSM", bbox?: { minLat, minLon, maxLat, maxLon },
+     osmIds?: ["way/123" | "relation/456"], segments?: n (rivers),
+     gaugeId?: USGS site id with live readings for this water,
+     gauge?: { id, name, distMi } }
+
+   Rules:
+   - OSM river ways sharing a name collapse into one river entry
+   - names match on the same words in any order, water kind included: "Monroe
+     Lake" = "LAKE MONROE", but "Rock Creek" ≠ "ROCK R"
+   - a USGS gauge matching an OSM water body (same kind, similar name, and
+     inside its bounds or within MERGE_MI) is folded into it: the OSM entry
+     keeps its geometry and gains gaugeId
+   - unmatched OSM water bodies get the nearest same-kind gauge with a similar
+     name (rivers) or inside/next to their bounds (lakes) — a gauge on another
+     water would report the wrong conditions, so there's no bare "nearest"
+*/
+
+import { haversineMiles } from "./lib.js";
+
+const MERGE_MI = 0.5;          // same-name features closer than this are one water body
+const RIVER_GAUGE_MI = 30;     // how far along a named river a gauge may be
+const LAKE_GAUGE_MARGIN = 0.01; // ° padding around lake bounds for shoreline/dam gauges
+
+// ------------------------------ Names ------------------------------
+
+const ABBREVIATIONS = {
+  r: "river", riv: "river", cr: "creek", ck: "creek", crk: "creek", lk: "lake", res: "reservoir",
+  fk: "fork", br: "branch", trib: "tributary", n: "north", s: "south", e: "east", w: "west",
+  mf: "middle fork", nf: "north fork", sf: "south fork", st: "saint", mt: "mount",
+};
+// what kind of water a name is; kept when comparing so "Rock Creek" ≠ "Rock River"
+const WATER_KINDS = new Set(["river", "creek", "lake", "reservoir", "pond", "stream", "run", "brook"]);
+const FILLER = new Set(["the", "of"]);
+
+/** "WABASH R AT LAFAYETTE, IN" → "wabash river"; drops the gauge's location clause */
+export function normalizeWaterName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/\s+(at|near|nr|abv|above|ab|below|blw|bl|@|upstream|downstream|inflow|outflow|outlet|tailwater)\b.*$/, "")
+    .replace(/,.*$/, "")
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((t) => ABBREVIATIONS[t] || t)
+    .join(" ");
+}
+
+function nameTokens(name) {
+  return normalizeWaterName(name).split(" ").filter((t) => t && !FILLER.has(t)).sort();
+}
+
+/** Same water by name: the same words, kind included, in any order ("Lake Monroe" =
+ *  "MONROE LAKE"), but "Wabash River" ≠ "Little Wabash River" and "Rock Creek" ≠ "ROCK R" */
+export function similarNames(a, b) {
+  const ta = nameTokens(a), tb = nameTokens(b);
+  if (!ta.some((t) => !WATER_KINDS.has(t))) return false;
+  return ta.length === tb.length && ta.every((t, i) => t === tb[i]);
+}
+
+// ----------------------------- Geometry -----------------------------
+
+function inBounds(p, bbox, pad = 0) {
+  return !!bbox && p.lat >= bbox.minLat - pad && p.lat <= bbox.maxLat + pad && p.lon >= bbox.minLon - pad && p.lon <= bbox.maxLon + pad;
+}
+
+function unionBounds(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return {
+    minLat: Math.min(a.minLat, b.minLat), minLon: Math.min(a.minLon, b.minLon),
+    maxLat: Math.max(a.maxLat, b.maxLat), maxLon: Math.max(a.maxLon, b.maxLon),
+  };
+}
+
+const isRiver = (t) => /river|stream/i.test(t || "");
+
+// ------------------------------- OSM -------------------------------
+
+const OSM_TYPES = { lake: "Lake", reservoir: "Reservoir", pond: "Pond", river: "River", stream: "River", oxbow: "Lake" };
+
+/** Overpass elements (out center bb) → entries; named rivers collapsed */
+export function osmWaterBodies(elements, center) {
+  const items = (elements || [])
+    .map((e) => {
+      const b = e.bounds;
+      return {
+        id: String(e.id),
+        name: e.tags?.name || "Unnamed Water",
+        named: !!e.tags?.name,
+        lat: e.center?.lat ?? e.lat,
+        lon: e.center?.lon ?? e.lon,
+        type: e.tags?.waterway ? "River" : OSM_TYPES[e.tags?.water] || "Water",
+        source: "OSM",
+        bbox: b ? { minLat: b.minlat, minLon: b.minlon, maxLat: b.maxlat, maxLon: b.maxlon } : null,
+        osmIds: [`${e.type}/${e.id}`],
+      };
+    })
+    .filter((s) => Number.isFinite(s.lat) && Number.isFinite(s.lon));
+
+  const out = [];
+  const rivers = new Map();
+  items.forEach((s) => {
+    if (!isRiver(s.type) || !s.named) { out.push(s); return; }
+    const key = normalizeWaterName(s.name);
+    const r = rivers.get(key);
+    if (!r) { rivers.set(key, { ...s, id: `osm-river:${key}`, segments: 1 }); return; }
+    r.segments++;
+    r.osmIds.push(...s.osmIds);
+    r.bbox = unionBounds(r.bbox, s.bbox);
+    // represent the river by the segment closest to the user
+    if (center && haversineMiles(center, s) < haversineMiles(center, r)) { r.lat = s.lat; r.lon = s.lon; }
+  });
+  out.push(...rivers.values());
+
+  // several ways for one lake (e.g. split at a causeway): same name, touching bounds
+  const merged = [];
+  out.forEach((s) => {
+    const twin = s.named && !isRiver(s.type) && merged.find((m) =>
+      m.named && !isRiver(m.type) && normalizeWaterName(m.name) === normalizeWaterName(s.name) &&
+      (inBounds(s, m.bbox, LAKE_GAUGE_MARGIN) || haversineMiles(m, s) < MERGE_MI));
+    if (!twin) { merged.push(s); return; }
+    twin.bbox = unionBounds(twin.bbox, s.bbox);
+    twin.osmIds.push(...s.osmIds);
+  });
+  return merged;
+}
+
+// ------------------------------ Merge ------------------------------
+
+function gaugeMatches(g, w) {
+  if (isRiver(g.type) !== isRiver(w.type)) return false;
+  if (!similarNames(g.name, w.name)) return false;
+  if (isRiver(w.type)) return haversineMiles(g, w) <= RIVER_GAUGE_MI || inBounds(g, w.bbox, LAKE_GAUGE_MARGIN);
+  return inBounds(g, w.bbox, LAKE_GAUGE_MARGIN) || haversineMiles(g, w) <= MERGE_MI;
+}
+
+/** mergeCatalog(usgsSites, osmBodies, center) → entries sorted by distance from center */
+export function mergeCatalog(usgsSites, osmBodies, center) {
+  const gauges = (usgsSites || []).map((g) => ({ ...g, gaugeId: g.id }));
+  const used = new Set();
+  const water = (osmBodies || []).map((w) => {
+    const candidates = gauges
+      .filter((g) => gaugeMatches(g, w))
+      .map((g) => ({ g, d: haversineMiles(g, w) }))
+      .sort((a, b) => a.d - b.d);
+    if (!candidates.length) return w;
+    const { g, d } = candidates[0];
+    // a gauge inside the feature (or right by it) is the same place: fold it in
+    if (inBounds(g, w.bbox, LAKE_GAUGE_MARGIN) || d <= MERGE_MI) used.add(g.id);
+    return { ...w, gaugeId: g.id, gauge: { id: g.id, name: g.name, distMi: Math.round(d * 10) / 10 } };
+  });
+  const all = [...gauges.filter((g) => !used.has(g.id)), ...water];
+  if (center) all.sort((a, b) => haversineMiles(center, a) - haversineMiles(center, b));
+  return all;
+}
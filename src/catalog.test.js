@@ -0,0 +1,23 @@
+/* catalog.test.js — name matching between USGS gauges and OSM water bodies (node --test) */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { similarNames, mergeCatalog } from "./catalog.js";
+
+test("word order doesn't matter", () => {
+  assert.ok(similarNames("Lake Monroe", "MONROE LAKE"));
+  assert.ok(similarNames("Wabash River", "WABASH R AT LAFAYETTE, IN"));
+});
+
+test("a creek is not the river or lake of the same name", () => {
+  assert.ok(!similarNames("Rock Creek", "ROCK R NR Y"));
+  assert.ok(!similarNames("Buffalo Lake", "Buffalo Creek"));
+  assert.ok(!similarNames("Wabash River", "Little Wabash River"));
+});
+
+test("a creek doesn't pick up a gauge on the river of the same name", () => {
+  const gauge = { id: "03300000", name: "ROCK R NR Y", lat: 40.1, lon: -86.1, type: "River", source: "USGS" };
+  const creek = { id: "osm-river:rock creek", name: "Rock Creek", lat: 40.2, lon: -86.2, type: "River", source: "OSM" };
+  const [, merged] = mergeCatalog([gauge], [creek], null);
+  assert.equal(merged.gaugeId, undefined);
+});
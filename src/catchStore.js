@@ -0,0 +1,219 @@
+/* catchStore.js — catch log persistence (IndexedDB) + CSV/GPX import/export
+   Browser-only (IndexedDB, DOMParser). No external deps.
+
+   Entry shape:
+   { id, time (ISO), species, count (0 = skunked trip), sizeIn, weightLb, lure,
+     waterBody, siteId, lat, lon, notes,
+     snapshot: { conditions, score, site } }  // what the app showed when logged
+   species: the English name when typed in any shipped language (species.js speciesKey)
+*/
+
+import { speciesKey } from "./species.js";
+
+const DB_NAME = "fishing-predictor";
+const DB_VERSION = 1;
+const STORE = "catches";
+
+// ---------------------------- IndexedDB ----------------------------
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") { reject(new Error("IndexedDB not supported")); return; }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE)) {
+        const os = db.createObjectStore(STORE, { keyPath: "id" });
+        os.createIndex("time", "time");
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  dbPromise.catch(() => { dbPromise = null; }); // allow a retry after a failed open
+  return dbPromise;
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const t = db.transaction(STORE, mode);
+    const req = fn(t.objectStore(STORE)); // an IDBRequest, or nothing for batch writes
+    t.oncomplete = () => resolve(req ? req.result : undefined);
+    t.onerror = () => reject(t.error);
+    t.onabort = () => reject(t.error);
+  });
+}
+
+function newId() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
+  return `c${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function toNum(v) {
+  if (v === "" || v == null) return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+/** Normalize user/import input into a storable entry */
+export function normalizeCatch(e) {
+  return {
+    id: e.id || newId(),
+    time: e.time ? new Date(e.time).toISOString() : new Date().toISOString(),
+    species: speciesKey(e.species) || "Unknown",
+    count: Math.max(0, Math.round(toNum(e.count) ?? 1)),
+    sizeIn: toNum(e.sizeIn),
+    weightLb: toNum(e.weightLb),
+    lure: String(e.lure || "").trim(),
+    waterBody: String(e.waterBody || "").trim(),
+    siteId: e.siteId ? String(e.siteId) : null,
+    lat: toNum(e.lat),
+    lon: toNum(e.lon),
+    notes: String(e.notes || "").trim(),
+    snapshot: e.snapshot || null,
+  };
+}
+
+/** All entries, newest first */
+export async function listCatches() {
+  const all = await withStore("readonly", (os) => os.getAll());
+  return (all || []).sort((a, b) => (a.time < b.time ? 1 : a.time > b.time ? -1 : 0));
+}
+
+export async function putCatch(entry) {
+  const e = normalizeCatch(entry);
+  await withStore("readwrite", (os) => os.put(e));
+  return e;
+}
+
+export async function deleteCatch(id) {
+  await withStore("readwrite", (os) => os.delete(id));
+}
+
+/** Upsert many entries in one transaction; returns how many were written */
+export async function importCatches(entries) {
+  const list = entries.map(normalizeCatch);
+  await withStore("readwrite", (os) => { list.forEach((e) => os.put(e)); });
+  return list.length;
+}
+
+// ------------------------------- CSV -------------------------------
+
+const CSV_COLUMNS = [
+  "id", "time", "species", "count", "sizeIn", "weightLb", "lure", "waterBody", "siteId", "lat", "lon", "notes",
+  // flattened snapshot for spreadsheets; the full snapshot rides along as JSON
+  "score", "waterTempF", "windMph", "cloudPct", "barometerInHg", "turbidityFnu", "snapshot",
+];
+
+function csvCell(v) {
+  if (v == null) return "";
+  const s = String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function catchesToCsv(entries) {
+  const rows = entries.map((e) => {
+    const c = e.snapshot?.conditions || {};
+    const flat = {
+      ...e,
+      score: e.snapshot?.score,
+      waterTempF: c.waterTempF, windMph: c.windMph, cloudPct: c.cloudPct,
+      barometerInHg: c.barometerInHg, turbidityFnu: c.turbidityFnu,
+      snapshot: e.snapshot ? JSON.stringify(e.snapshot) : "",
+    };
+    return CSV_COLUMNS.map((k) => csvCell(flat[k])).join(",");
+  });
+  return [CSV_COLUMNS.join(","), ...rows].join("\r\n");
+}
+
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(cell); cell = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    } else cell += ch;
+  }
+  if (cell !== "" || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+export function csvToCatches(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+  const cols = header.map((h) => h.trim());
+  return rows.map((r) => {
+    const o = Object.fromEntries(cols.map((c, i) => [c, r[i] ?? ""]));
+    let snapshot = null;
+    try { snapshot = o.snapshot ? JSON.parse(o.snapshot) : null; } catch { /* keep flattened only */ }
+    return normalizeCatch({ ...o, snapshot });
+  });
+}
+
+// ------------------------------- GPX -------------------------------
+
+const FP_NS = "https://github.com/Parable-Pictures-LLC/Fishing-Predictor/catch";
+
+function xmlEscape(s) {
+  return String(s ?? "").replace(/[<>&"']/g, (ch) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" }[ch]));
+}
+
+/** GPX 1.1 waypoints; entries without coordinates are skipped */
+export function catchesToGpx(entries) {
+  const wpts = entries
+    .filter((e) => Number.isFinite(e.lat) && Number.isFinite(e.lon))
+    .map((e) => {
+      const name = e.count === 0 ? `Skunked · ${e.species}` : `${e.species} ×${e.count}`;
+      const desc = [e.waterBody, e.lure && `Lure: ${e.lure}`, e.sizeIn && `${e.sizeIn} in`, e.notes].filter(Boolean).join(" · ");
+      return [
+        `  <wpt lat="${e.lat}" lon="${e.lon}">`,
+        `    <time>${xmlEscape(e.time)}</time>`,
+        `    <name>${xmlEscape(name)}</name>`,
+        desc ? `    <desc>${xmlEscape(desc)}</desc>` : null,
+        `    <type>catch</type>`,
+        `    <extensions><fp:catch>${xmlEscape(JSON.stringify(e))}</fp:catch></extensions>`,
+        `  </wpt>`,
+      ].filter(Boolean).join("\n");
+    });
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<gpx version="1.1" creator="Fishing Predictor" xmlns="http://www.topografix.com/GPX/1/1" xmlns:fp="${FP_NS}">`,
+    ...wpts,
+    `</gpx>`,
+  ].join("\n");
+}
+
+/** Reads our own waypoints losslessly and other apps' waypoints as best-effort catches */
+export function gpxToCatches(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw new Error("Invalid GPX file");
+  return Array.from(doc.getElementsByTagName("wpt")).map((w) => {
+    const ext = w.getElementsByTagNameNS(FP_NS, "catch")[0];
+    if (ext) {
+      try { return normalizeCatch(JSON.parse(ext.textContent)); } catch { /* fall through */ }
+    }
+    const text = (tag) => w.getElementsByTagName(tag)[0]?.textContent ?? "";
+    const name = text("name");
+    const m = name.match(/^(.*?)\s*[×x](\d+)$/);
+    return normalizeCatch({
+      time: text("time") || undefined,
+      species: m ? m[1] : name,
+      count: m ? m[2] : 1,
+      lat: w.getAttribute("lat"),
+      lon: w.getAttribute("lon"),
+      notes: text("desc"),
+    });
+  });
+}
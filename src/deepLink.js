@@ -0,0 +1,40 @@
+/* deepLink.js — the prediction state in the URL hash, so a shared link reopens the
+   same spot, radius, day, water body and species. A hash (not a query string) keeps
+   GH Pages and the service worker serving the one cached index.html.
+
+   #lat=41.07312&lon=-85.13941&r=25&date=2026-10-19&site=04182000&sp=Walleye&csp=white+crappie
+   Every field is optional; decodeLink drops anything malformed.
+*/
+
+const RADIUS_MIN = 6; // miles; the metric slider bottoms out at 10 km
+const RADIUS_MAX = 100;
+
+/** encodeLink({ center, radius, day, siteId, species, customSpecies }) → "#…" */
+export function encodeLink({ center, radius, day, siteId, species, customSpecies }) {
+  const p = new URLSearchParams();
+  if (center) {
+    p.set("lat", center.lat.toFixed(5));
+    p.set("lon", center.lon.toFixed(5));
+  }
+  if (radius) p.set("r", String(radius));
+  if (day) p.set("date", day);
+  if (siteId && siteId !== "center") p.set("site", siteId);
+  if (species) p.set("sp", species);
+  if (customSpecies?.trim()) p.set("csp", customSpecies.trim());
+  return `#${p.toString()}`;
+}
+
+/** decodeLink(hash) → { center?, radius?, day?, siteId?, species?, customSpecies? } */
+export function decodeLink(hash) {
+  const p = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  const out = {};
+  const lat = parseFloat(p.get("lat")), lon = parseFloat(p.get("lon"));
+  if (Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180) out.center = { lat, lon };
+  const r = parseFloat(p.get("r"));
+  if (r >= RADIUS_MIN && r <= RADIUS_MAX) out.radius = r;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(p.get("date") || "")) out.day = p.get("date");
+  if (p.get("site")) out.siteId = p.get("site");
+  if (p.get("sp")) out.species = p.get("sp");
+  if (p.get("csp")) out.customSpecies = p.get("csp");
+  return out;
+}
@@ -0,0 +1,62 @@
+/* favorites.js — saved spots (a water body or a map-clicked point) in preferences,
+   with JSON export/import. Browser-safe; storage goes through prefGet/prefSet.
+
+   Favorite shape:
+   { id, name, notes, species, radiusMi,
+     lat, lon,                                   // where the app centers when opened
+     site: { id, name, type, gaugeId } | null,   // null = a custom point
+     createdAt (ISO) }
+*/
+
+import { prefGet, prefSet } from "./lib.js";
+import { speciesKey } from "./species.js";
+
+const KEY = "pref:favorites";
+const EXPORT_KIND = "fishing-predictor/favorites";
+
+function newId() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
+  return `f${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/** Normalize user/import input into a storable favorite; null if it has no usable position */
+export function normalizeFavorite(f) {
+  const lat = Number(f?.lat), lon = Number(f?.lon);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+  const radius = Math.round(Number(f.radiusMi) * 100) / 100; // metric radii land between whole miles
+  const site = f.site?.id
+    ? { id: String(f.site.id), name: String(f.site.name || ""), type: String(f.site.type || "Water"), gaugeId: f.site.gaugeId ? String(f.site.gaugeId) : null }
+    : null;
+  return {
+    id: f.id || newId(),
+    name: String(f.name || "").trim() || site?.name || `Spot ${lat.toFixed(3)}, ${lon.toFixed(3)}`,
+    notes: String(f.notes || "").trim(),
+    species: speciesKey(f.species) || "Largemouth Bass",
+    radiusMi: Math.min(100, Math.max(6, Number.isFinite(radius) ? radius : 25)),
+    lat, lon,
+    site,
+    createdAt: f.createdAt ? new Date(f.createdAt).toISOString() : new Date().toISOString(),
+  };
+}
+
+export function listFavorites() {
+  return (prefGet(KEY) || []).map(normalizeFavorite).filter(Boolean);
+}
+
+export function saveFavorites(list) {
+  prefSet(KEY, list);
+}
+
+// ------------------------------- JSON -------------------------------
+
+export function favoritesToJson(list) {
+  return JSON.stringify({ kind: EXPORT_KIND, version: 1, exportedAt: new Date().toISOString(), favorites: list }, null, 2);
+}
+
+/** Parse an export (or a bare array of favorites); throws on anything else */
+export function jsonToFavorites(text) {
+  const j = JSON.parse(text);
+  const list = Array.isArray(j) ? j : j?.kind === EXPORT_KIND ? j.favorites : null;
+  if (!Array.isArray(list)) throw new Error("Not a favorites export");
+  return list.map(normalizeFavorite).filter(Boolean);
+}
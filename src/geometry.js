@@ -0,0 +1,126 @@
+/* geometry.js — water body shapes from Overpass `out geom`, and their size
+   Pure and browser-safe. Coordinates are [lat, lon] pairs, the order Leaflet takes.
+
+   Shape = {
+     ref: "way/123" | "relation/456" (matches catalog osmIds),
+     name, kind: "area" | "line",
+     polygons: [[outerRing, ...holes]]   (areas),
+     lines: [[[lat, lon], ...]]          (rivers)
+   }
+*/
+
+import { haversineMiles } from "./lib.js";
+
+const EARTH_RADIUS_M = 6378137;
+const SQ_M_PER_ACRE = 4046.8564;
+const SQ_M_PER_SQ_MI = 2589988.11;
+
+// ------------------------------ Rings ------------------------------
+
+const pt = (g) => [g.lat, g.lon];
+const same = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+/** Stitch multipolygon member ways end-to-end into closed rings */
+function joinRings(segments) {
+  const left = segments.filter((s) => s.length > 1).map((s) => [...s]);
+  const rings = [];
+  while (left.length) {
+    const ring = left.shift();
+    let grown = true;
+    while (!same(ring[0], ring[ring.length - 1]) && grown) {
+      grown = false;
+      const end = ring[ring.length - 1];
+      const i = left.findIndex((s) => same(s[0], end) || same(s[s.length - 1], end));
+      if (i >= 0) {
+        const next = left.splice(i, 1)[0];
+        if (!same(next[0], end)) next.reverse();
+        ring.push(...next.slice(1));
+        grown = true;
+      }
+    }
+    // a member cut off by the query area: close it so it still draws
+    if (!same(ring[0], ring[ring.length - 1])) ring.push(ring[0]);
+    if (ring.length >= 4) rings.push(ring);
+  }
+  return rings;
+}
+
+function pointInRing([lat, lon], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [yi, xi] = ring[i], [yj, xj] = ring[j];
+    if (yi > lat !== yj > lat && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// ------------------------------ Shapes ------------------------------
+
+/** Overpass elements (out geom) → shapes; elements without geometry are skipped */
+export function osmShapes(elements) {
+  const out = [];
+  (elements || []).forEach((e) => {
+    const ref = `${e.type}/${e.id}`;
+    const name = e.tags?.name || null;
+    if (e.type === "way" && e.geometry?.length > 1) {
+      const coords = e.geometry.map(pt);
+      const closed = same(coords[0], coords[coords.length - 1]);
+      if (e.tags?.waterway || !closed) out.push({ ref, name, kind: "line", lines: [coords] });
+      else out.push({ ref, name, kind: "area", polygons: [[coords]] });
+    } else if (e.type === "relation") {
+      const ways = (role) => (e.members || [])
+        .filter((m) => m.type === "way" && m.geometry && (m.role || "outer") === role)
+        .map((m) => m.geometry.map(pt));
+      const outers = joinRings(ways("outer"));
+      const inners = joinRings(ways("inner"));
+      if (!outers.length) return;
+      const polygons = outers.map((o) => [o, ...inners.filter((r) => pointInRing(r[0], o))]);
+      out.push({ ref, name, kind: "area", polygons });
+    }
+  });
+  return out;
+}
+
+// ------------------------------ Size ------------------------------
+
+/** Spherical ring area in m² (the GeoJSON / turf formula) */
+function ringAreaM2(ring) {
+  const rad = (d) => (d * Math.PI) / 180;
+  const n = ring.length - 1; // closed: last point repeats the first
+  if (n < 3) return 0;
+  let sum = 0;
+  for (let i = 0; i < n; i++) {
+    const p1 = ring[i], p2 = ring[(i + 1) % n], p3 = ring[(i + 2) % n];
+    sum += (rad(p3[1]) - rad(p1[1])) * Math.sin(rad(p2[0]));
+  }
+  return Math.abs((sum * EARTH_RADIUS_M * EARTH_RADIUS_M) / 2);
+}
+
+function lineMiles(line) {
+  let mi = 0;
+  for (let i = 1; i < line.length; i++) {
+    mi += haversineMiles({ lat: line[i - 1][0], lon: line[i - 1][1] }, { lat: line[i][0], lon: line[i][1] });
+  }
+  return mi;
+}
+
+/** measureShapes(shapes) → { areaAcres, areaSqMi, lengthMi } (null where not applicable) */
+export function measureShapes(shapes) {
+  let areaM2 = 0, lengthMi = 0, hasArea = false, hasLine = false;
+  (shapes || []).forEach((s) => {
+    if (s.kind === "area") {
+      hasArea = true;
+      s.polygons.forEach(([outer, ...holes]) => {
+        areaM2 += ringAreaM2(outer) - holes.reduce((a, h) => a + ringAreaM2(h), 0);
+      });
+    } else {
+      hasLine = true;
+      s.lines.forEach((l) => { lengthMi += lineMiles(l); });
+    }
+  });
+  return {
+    areaAcres: hasArea ? areaM2 / SQ_M_PER_ACRE : null,
+    areaSqMi: hasArea ? areaM2 / SQ_M_PER_SQ_MI : null,
+    lengthMi: hasLine ? lengthMi : null,
+  };
+}
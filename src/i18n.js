@@ -0,0 +1,99 @@
+/* i18n.js — message catalogs, locale detection and locale-aware formatting.
+   Messages are keyed by their English text (gettext style): English needs no
+   catalog, and anything a catalog lacks falls back to English. "{name}" placeholders
+   are filled from vars. Species keep their English (ALL_GAME_FISH) names everywhere
+   in state and storage; speciesName() is for display only.
+
+   The active locale is module state. App.jsx keeps the choice in "pref:locale",
+   calls setLocale, and re-renders; components call t() while rendering, so memos
+   holding translated text need the locale in their deps.
+
+   Catalog = { messages: { [english]: text }, species: { [english name]: name } }
+*/
+
+import es from "./messages-es.js";
+import fr from "./messages-fr.js";
+
+export const LOCALES = {
+  en: { label: "English", catalog: { messages: {}, species: {} } },
+  es: { label: "Español", catalog: es },
+  fr: { label: "Français", catalog: fr },
+};
+
+let current = "en";
+
+/** First supported language in the browser's preference list, else English */
+export function detectLocale(langs = typeof navigator !== "undefined" ? navigator.languages || [navigator.language] : []) {
+  for (const l of langs) {
+    const base = String(l || "").split(/[-_]/)[0].toLowerCase();
+    if (LOCALES[base]) return base;
+  }
+  return "en";
+}
+
+export function setLocale(locale) {
+  current = LOCALES[locale] ? locale : "en";
+  if (typeof document !== "undefined") document.documentElement.lang = current;
+  return current;
+}
+
+/** A saved choice if it's still supported, else the detected one; applied and returned */
+export function initLocale(saved) {
+  return setLocale(LOCALES[saved] ? saved : detectLocale());
+}
+
+export function getLocale() {
+  return current;
+}
+
+/** t("Checked {age}", { age }) → the active locale's text, placeholders filled */
+export function t(msg, vars) {
+  const text = LOCALES[current].catalog.messages[msg] ?? msg;
+  if (!vars) return text;
+  return text.replace(/\{(\w+)\}/g, (m, k) => (vars[k] != null ? String(vars[k]) : m));
+}
+
+/** Display name for a species; names we don't know (typed ones) come back as given */
+export function speciesName(name) {
+  return LOCALES[current].catalog.species[name] ?? name;
+}
+
+/** Every catalog's localized species names: [[localized, english]] for species lookups */
+export function localizedSpeciesNames() {
+  return Object.values(LOCALES).flatMap(({ catalog }) => Object.entries(catalog.species).map(([en, local]) => [local, en]));
+}
+
+// ---- Formatting ----
+
+/** The BCP 47 tag for Intl: the browser's own regional tag when it's the same
+ *  language (en-GB dates for an English pick in the UK), else the bare language */
+function intlLocale() {
+  const nav = typeof navigator !== "undefined" ? navigator.language : "";
+  return nav && nav.split("-")[0].toLowerCase() === current ? nav : current;
+}
+
+export function fmtNumber(v, opts) {
+  return new Intl.NumberFormat(intlLocale(), opts).format(v);
+}
+
+/** fmtDate(t, opts) with toLocaleDateString's options, in the active locale */
+export function fmtDate(t, opts) {
+  return new Date(t).toLocaleDateString(intlLocale(), opts);
+}
+
+/** fmtClock(t, opts): time of day, 2-digit hour and minute unless opts say otherwise */
+export function fmtClock(t, opts = { hour: "2-digit", minute: "2-digit" }) {
+  return new Date(t).toLocaleTimeString(intlLocale(), opts);
+}
+
+export function fmtDateTime(t, opts = { dateStyle: "short", timeStyle: "short" }) {
+  return new Date(t).toLocaleString(intlLocale(), opts);
+}
+
+/** ordinal(21) → "21st" / "21.º" / "21e" (1er in French) */
+export function ordinal(n) {
+  if (current === "es") return `${n}.º`;
+  if (current === "fr") return n === 1 ? "1er" : `${n}e`;
+  const s = n % 100 >= 11 && n % 100 <= 13 ? "th" : ({ 1: "st", 2: "nd", 3: "rd" }[n % 10] || "th");
+  return `${n}${s}`;
+}
@@ -1,5 +1,12 @@
 /* lib.js — utility + domain logic for Fishing Predictor
-   All functions are pure and browser-safe. No external deps. */
+   Browser-safe, no external deps. Pure apart from two pieces of state: the active
+   locale (i18n.js), which words breakdown reasons, gear and labels, and the
+   localStorage-backed preference helpers. */
+
+import { solunarActivity } from "./solunar.js";
+import { SPECIES_PROFILES, speciesProfile } from "./species.js";
+import { fmt, fmtRange, lineRating } from "./units.js";
+import { t, speciesName, ordinal } from "./i18n.js";
 
 // ---------------------------- Constants ----------------------------
 
@@ -13,55 +20,53 @@ export const ALL_GAME_FISH = [
   "Burbot","Whitefish","Grayling","Gar","Bowfin","Hybrid Striper"
 ];
 
-// Lightweight “top 20” lists by water body type. These are broad, then refined in the app by temp.
+// “Top 20” per water body type, ranked by each species profile. Broad; refined by temp below.
 export function top20ForType(type = "Water") {
   const t = String(type || "Water").toLowerCase();
-  if (t.includes("river") || t.includes("stream")) {
-    return [
-      "Smallmouth Bass","Largemouth Bass","Walleye","Sauger","Northern Pike","Muskellunge",
-      "Channel Catfish","Flathead Catfish","Blue Catfish","Crappie","Bluegill","Sunfish",
-      "Common Carp","Rainbow Trout","Brown Trout","Brook Trout","Steelhead","Burbot",
-      "Perch","White Bass"
-    ];
-  }
-  // Lake / Reservoir / general
-  return [
-    "Largemouth Bass","Smallmouth Bass","Walleye","Northern Pike","Muskellunge","Striped Bass","White Bass",
-    "Crappie","Bluegill","Sunfish","Yellow Perch","White Perch","Channel Catfish","Flathead Catfish","Blue Catfish",
-    "Common Carp","Rainbow Trout","Brown Trout","Lake Trout","Kokanee Salmon"
-  ];
+  const key = t.includes("river") || t.includes("stream") ? "river" : "lake"; // lake/reservoir/general
+  return ALL_GAME_FISH
+    .filter((name) => SPECIES_PROFILES[name]?.rank?.[key] != null)
+    .sort((a, b) => SPECIES_PROFILES[a].rank[key] - SPECIES_PROFILES[b].rank[key])
+    .slice(0, 20);
 }
 
-// ---------------------------- Scoring ----------------------------
-
-/** Basic preferences (°F) and style by species family to score success.
- *  Very simple heuristic: closer water temp to preference → higher score.
- */
-const PREFS = {
-  warm: { ideal: 68, low: 55, high: 82 }, // bass/panfish/catfish
-  cool: { ideal: 62, low: 50, high: 75 }, // walleye/pike/muskie
-  cold: { ideal: 54, low: 40, high: 62 }, // trout/salmon/grayling/whitefish
-};
-
-function bandForSpecies(species) {
-  const s = String(species || "").toLowerCase();
-  if (/(trout|salmon|grayling|whitefish|steelhead|kokanee|lake trout)/.test(s)) return "cold";
-  if (/(walleye|sauger|pike|musk|pickerel)/.test(s)) return "cool";
-  // default warm
-  return "warm";
+/** top20ForType, with species whose tolerable temp range covers the water temp first */
+export function speciesForWater(waterType, waterTempF) {
+  const base = top20ForType(waterType || "Water");
+  if (!Number.isFinite(waterTempF)) return base;
+  const fits = (name) => {
+    const { tolerableLow, tolerableHigh } = speciesProfile(name).tempF;
+    return waterTempF >= tolerableLow && waterTempF <= tolerableHigh;
+  };
+  const primary = base.filter(fits);
+  const remainder = base.filter((name) => !primary.includes(name));
+  return [...primary, ...remainder].slice(0, 20);
 }
 
+// ---------------------------- Scoring ----------------------------
+
 function clamp(v, lo, hi) { return Math.min(hi, Math.max(lo, v)); }
 
-function tempComponent(tempF, species) {
+/** Temperature score from the species profile: full marks across the optimal
+ *  range, half at the tolerable limits, nothing at the lethal limits.
+ */
+function tempComponent(tempF, species, shiftF = 0) {
   if (!Number.isFinite(tempF)) return 45; // unknown → middling
-  const band = PREFS[bandForSpecies(species)];
-  const { ideal, low, high } = band;
-  // triangular falloff around ideal
-  const spread = (tempF <= ideal) ? (ideal - low) : (high - ideal);
-  const d = Math.abs(tempF - ideal);
-  const pct = clamp(1 - d / Math.max(8, spread), 0, 1); // 8°F minimum shoulder
-  return 35 + pct * 50; // 35–85 points from temperature
+  // a calibration shift slides the whole profile warmer/colder
+  const p = speciesProfile(species).tempF;
+  const t = tempF - shiftF;
+  let pct;
+  if (t >= p.optimalLow && t <= p.optimalHigh) pct = 1;
+  else if (t < p.optimalLow) {
+    pct = t >= p.tolerableLow
+      ? 1 - 0.5 * (p.optimalLow - t) / Math.max(1, p.optimalLow - p.tolerableLow)
+      : 0.5 * (t - p.lethalLow) / Math.max(1, p.tolerableLow - p.lethalLow);
+  } else {
+    pct = t <= p.tolerableHigh
+      ? 1 - 0.5 * (t - p.optimalHigh) / Math.max(1, p.tolerableHigh - p.optimalHigh)
+      : 0.5 * (p.lethalHigh - t) / Math.max(1, p.lethalHigh - p.tolerableHigh);
+  }
+  return 35 + clamp(pct, 0, 1) * 50; // 35–85 points from temperature
 }
 
 function windComponent(windMph, waterType) {
@@ -73,66 +78,546 @@ function windComponent(windMph, waterType) {
   return pct * 10; // up to 10 pts
 }
 
+const CLOUD_TARGET = { low: 65, moderate: 45, bright: 25 }; // % cover each light preference likes
+
 function cloudComponent(cloudPct, species) {
   if (!Number.isFinite(cloudPct)) return 5;
-  const isTrout = bandForSpecies(species) === "cold";
-  // trout like low light; warmwater can tolerate more sun if wind/chop exists.
-  const target = isTrout ? 60 : 40;
+  // low-light feeders (trout, walleye, cats) like overcast; sight feeders tolerate sun
+  const target = CLOUD_TARGET[speciesProfile(species).light] ?? 45;
   const d = Math.abs((cloudPct || 0) - target);
   const pct = clamp(1 - d / 50, 0, 1);
   return pct * 8; // up to 8 pts
 }
 
-function pressureComponent(inHg) {
-  if (!Number.isFinite(inHg)) return 5;
-  // steady/moderate pressure ~29.8–30.1 scores best; extremes lower
-  const center = 29.95;
-  const d = Math.abs(inHg - center);
-  const pct = clamp(1 - d / 0.35, 0, 1);
-  return pct * 7; // up to 7 pts
+function pressureComponent(inHg, trend) {
+  let pts = 5;
+  if (Number.isFinite(inHg)) {
+    // steady/moderate pressure ~29.8–30.1 scores best; extremes lower
+    const center = 29.95;
+    const d = Math.abs(inHg - center);
+    const pct = clamp(1 - d / 0.35, 0, 1);
+    pts = pct * 7; // up to 7 pts
+  }
+  if (!trend) return pts;
+  // tendency matters more than the absolute reading
+  if (trend.front === "approaching") pts += 5;     // pre-front feeding spree
+  else if (trend.bluebird) pts -= 8;               // high, clear, post-front lockjaw
+  else if (trend.front === "passed") pts -= 4;
+  else if (trend.tendency === "falling") pts += 3;
+  else if (trend.tendency === "stable") pts += 1;
+  return pts; // about −8…12 pts
 }
 
 function turbidityComponent(fnu, species) {
   if (!Number.isFinite(fnu)) return 5;
-  const isTrout = bandForSpecies(species) === "cold";
-  // trout like clear: fnu < 10. warmwater can handle stain better
-  const ideal = isTrout ? 5 : 15;
-  const d = Math.abs((fnu || 0) - ideal);
-  const pct = clamp(1 - d / (isTrout ? 10 : 25), 0, 1);
+  // trout want it clear; catfish/carp barely care
+  const { idealFnu, toleranceFnu } = speciesProfile(species).turbidity;
+  const d = Math.abs((fnu || 0) - idealFnu);
+  const pct = clamp(1 - d / toleranceFnu, 0, 1);
   return pct * 5; // up to 5 pts
 }
 
+/** Optional solunar term: only scored when derived.lunar is supplied.
+ *  lunar = { phase (0–1, 0 = new), activity: "major" | "minor" | null }
+ *  Centred on zero, so it nudges the score either way instead of only ever
+ *  adding on top.
+ */
+function lunarComponent(lunar) {
+  if (!lunar) return 0;
+  // new & full moons rate strongest, quarters weakest
+  const phasePct = Number.isFinite(lunar.phase) ? Math.abs(Math.cos(2 * Math.PI * lunar.phase)) : 0.5;
+  const periodPts = lunar.activity === "major" ? 4 : lunar.activity === "minor" ? 2 : 0;
+  return phasePct * 2 + periodPts - 3; // −3 to +3 pts
+}
+
+/** Point range of each component, used to normalize for calibration */
+export const COMPONENT_RANGES = {
+  temp: { min: 35, max: 85 },
+  wind: { min: 0, max: 10 },
+  cloud: { min: 0, max: 8 },
+  pressure: { min: -8, max: 12 },
+  turbidity: { min: 0, max: 5 },
+  lunar: { min: -3, max: 3 },
+  phase: { min: -6, max: 6 },
+  flow: { min: -10, max: 8 },
+};
+
+/** Seasonal phase term: only scored when derived carries a time (see seasonalPhase) */
+const PHASE_POINTS = { "pre-spawn": 6, spawn: -6, "post-spawn": -4, summer: 0, fall: 3, winter: -4 };
+
+function phaseComponent(species, derived) {
+  const phase = seasonalPhase(species, derived);
+  return phase ? PHASE_POINTS[phase] : 0;
+}
+
+/** River flow vs. this calendar day's history; rivers with a flow percentile only */
+const FLOW_POINTS = { normal: 8, "low and clear": 3, "high and muddy": 0, "blown out": -10 };
+
+function flowComponent(pct, waterType) {
+  if (!Number.isFinite(pct) || !/river|stream/i.test(String(waterType || ""))) return 0;
+  if (pct > 75 && pct <= 85) return 5; // a little extra water often turns fish on
+  return FLOW_POINTS[flowState(pct)];
+}
+
+/** scoreComponents(species, waterType, derived, { tempShiftF })
+ * Raw points per factor: { temp, wind, cloud, pressure, turbidity, lunar, phase, flow }
+ */
+export function scoreComponents(species, waterType, derived, { tempShiftF = 0 } = {}) {
+  return {
+    temp: tempComponent(derived.waterTempF, species, tempShiftF),
+    wind: windComponent(derived.windMph, waterType),
+    cloud: cloudComponent(derived.cloudPct, species),
+    pressure: pressureComponent(derived.barometerInHg, derived.pressureTrend),
+    turbidity: turbidityComponent(derived.turbidityFnu, species),
+    lunar: lunarComponent(derived.lunar),
+    phase: phaseComponent(species, derived),
+    flow: flowComponent(derived.flowPercentile, waterType),
+  };
+}
+
 /** successScore(species, waterType, derived)
- * derived = { waterTempF, windMph, cloudPct, barometerInHg, turbidityFnu }
+ * derived = { waterTempF, windMph, cloudPct, barometerInHg, turbidityFnu, pressureTrend?, lunar?, time?, lat?, flowPercentile? }
  */
 export function successScore(species, waterType, derived) {
   if (!species || !derived) return null;
-  const t = tempComponent(derived.waterTempF, species);
-  const w = windComponent(derived.windMph, waterType);
-  const c = cloudComponent(derived.cloudPct, species);
-  const p = pressureComponent(derived.barometerInHg);
-  const u = turbidityComponent(derived.turbidityFnu, species);
-  const raw = t + w + c + p + u; // ~0–115
-  return Math.round(clamp(raw, 0, 100));
+  const c = scoreComponents(species, waterType, derived);
+  const raw = c.temp + c.wind + c.cloud + c.pressure + c.turbidity + c.lunar + c.phase + c.flow; // ~8–137
+  return Math.round(clamp(raw, 0, 100)); // the scale is 0–100 whatever the optional terms add
+}
+
+// ------------------------- Score Breakdown -------------------------
+
+export const FACTOR_LABELS = {
+  temp: "Water temperature",
+  wind: "Wind",
+  cloud: "Cloud cover",
+  pressure: "Pressure",
+  turbidity: "Water clarity",
+  lunar: "Moon & solunar",
+  phase: "Seasonal phase",
+  flow: "River flow",
+};
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+function moonName(phase) {
+  if (!Number.isFinite(phase)) return t("moon phase unknown");
+  if (phase < 0.125 || phase >= 0.875) return t("near the new moon");
+  if (phase >= 0.375 && phase < 0.625) return t("near the full moon");
+  return t("quarter moon");
+}
+
+/** The input each factor reads from derived, and a plain-language reason for its points
+ *  (in the active locale, i18n.js) */
+const FACTOR_INPUTS = {
+  temp: {
+    input: (d) => d.waterTempF, unit: "°F",
+    reason: (v, { species, tempShiftF, units }) => {
+      const p = speciesProfile(species).tempF;
+      const lo = p.optimalLow + tempShiftF, hi = p.optimalHigh + tempShiftF;
+      const vars = { temp: fmt("temp", v, units), range: fmtRange("temp", lo, hi, units), species: speciesName(species) };
+      if (v >= lo && v <= hi) return t("{temp} water is in {species}'s {range} sweet spot", vars);
+      if (v < p.tolerableLow + tempShiftF) return t("{temp} water is colder than {species} tolerate well — they want {range}", vars);
+      if (v > p.tolerableHigh + tempShiftF) return t("{temp} water is warmer than {species} tolerate well — they want {range}", vars);
+      return v < lo ? t("{temp} water is a little cool; best is {range}", vars) : t("{temp} water is a little warm; best is {range}", vars);
+    },
+  },
+  wind: {
+    input: (d) => d.windMph, unit: "mph",
+    reason: (w, { waterType, units }) => {
+      const river = /river|stream/i.test(String(waterType || ""));
+      const sweet = river ? 3 : 6;
+      const vars = { speed: fmt("speed", w, units), target: fmt("speed", sweet, units), water: river ? t("a river") : t("still water") };
+      if (Math.abs(w - sweet) <= 2) return t("{speed} is close to the ~{target} that suits {water}", vars);
+      return w < sweet
+        ? t("{speed} is calmer than the ~{target} that suits {water}", vars)
+        : t("{speed} is windier than the ~{target} that suits {water}", vars);
+    },
+  },
+  cloud: {
+    input: (d) => d.cloudPct, unit: "%",
+    reason: (c, { species }) => {
+      const light = speciesProfile(species).light;
+      return t("{pct}% cloud; {species} prefer {light} (about {target}% cover)", {
+        pct: Math.round(c), species: speciesName(species), light: t(`${light} light`), target: CLOUD_TARGET[light] ?? 45,
+      });
+    },
+  },
+  pressure: {
+    input: (d) => d.barometerInHg, unit: "inHg",
+    reason: (p, { derived, units }) => {
+      const level = Math.abs(p - 29.95) <= 0.15 ? t("a moderate reading") : p > 29.95 ? t("high") : t("low");
+      const note = derived.pressureTrend?.note && t(derived.pressureTrend.note);
+      return `${t("{pressure} is {level}", { pressure: fmt("pressure", p, units), level })}${note ? `; ${note.charAt(0).toLowerCase()}${note.slice(1)}` : ""}`;
+    },
+  },
+  turbidity: {
+    input: (d) => d.turbidityFnu, unit: "FNU",
+    reason: (f, { species }) => {
+      const { idealFnu } = speciesProfile(species).turbidity;
+      const vars = { fnu: round1(f), ideal: idealFnu, species: speciesName(species) };
+      if (Math.abs(f - idealFnu) <= idealFnu * 0.5 + 2) return t("{fnu} FNU is close to the ~{ideal} FNU {species} like", vars);
+      return f < idealFnu
+        ? t("{fnu} FNU is clearer than the ~{ideal} FNU {species} like", vars)
+        : t("{fnu} FNU is murkier than the ~{ideal} FNU {species} like", vars);
+    },
+  },
+  lunar: {
+    input: (d) => d.lunar?.activity ?? null,
+    reason: (a, { derived }) => {
+      const moon = moonName(derived.lunar.phase);
+      if (!a) return t("Between solunar periods, {moon}", { moon });
+      return a === "major" ? t("Major solunar period this hour, {moon}", { moon }) : t("Minor solunar period this hour, {moon}", { moon });
+    },
+  },
+  phase: {
+    input: (d, species) => seasonalPhase(species, d),
+    reason: (ph, { species }) => t("{phase} for {species}", { phase: t(PHASE_LABELS[ph]), species: speciesName(species) }),
+  },
+  flow: {
+    input: (d) => d.flowPercentile, unit: "pct",
+    reason: (pct) => t("{pct} percentile flow for the date — {state}", { pct: ordinal(Math.round(pct)), state: t(flowState(pct)) }),
+  },
+};
+
+/** Whether a factor counts at all here (the optional terms score 0 when they don't apply) */
+function factorApplies(key, derived, waterType, species) {
+  if (key === "lunar") return !!derived.lunar;
+  if (key === "phase") return !!seasonalPhase(species, derived);
+  if (key === "flow") return /river|stream/i.test(String(waterType || "")) && Number.isFinite(derived.flowPercentile);
+  return true;
+}
+
+/** scoreBreakdown(species, waterType, derived, { tempShiftF, units }) → { score, raw, factors } | null
+ * successScore with its working shown. factors (in FACTOR_LABELS order):
+ * { key, label, points, min, max, input, unit, source, fallback, reason }
+ * input/unit stay canonical (°F, mph, inHg…); reasons are worded in `units` (units.js)
+ * and, like labels, in the active locale (i18n.js).
+ * source: "measured" (gauge) | "estimated" (forecast or model) | "default" (no data;
+ *   an assumed value) | "calculated" (moon, season) | "manual" (on-site reading) |
+ *   "what-if" (a slider), from derived.sources where given.
+ * fallback: the factor had no input and scored its fixed "unknown → middling" points.
+ */
+export function scoreBreakdown(species, waterType, derived, { tempShiftF = 0, units = "imperial" } = {}) {
+  if (!species || !derived) return null;
+  const c = scoreComponents(species, waterType, derived, { tempShiftF });
+  const raw = Object.values(c).reduce((a, b) => a + b, 0);
+  const ctx = { species, waterType, derived, tempShiftF, units };
+  const factors = Object.keys(FACTOR_LABELS)
+    .filter((key) => factorApplies(key, derived, waterType, species))
+    .map((key) => {
+      const spec = FACTOR_INPUTS[key];
+      const input = spec.input(derived, species);
+      const calculated = key === "lunar" || key === "phase";
+      const fallback = !calculated && !Number.isFinite(input);
+      const source = fallback ? "default" : calculated ? "calculated" : derived.sources?.[key] ?? "estimated";
+      let reason = fallback ? t("No data — given a fixed {points} points", { points: round1(c[key]) }) : spec.reason(input, ctx);
+      if (source === "default" && !fallback) reason += t(" (no data; assumed)");
+      return {
+        key,
+        label: t(FACTOR_LABELS[key]),
+        points: round1(c[key]),
+        ...COMPONENT_RANGES[key],
+        input: fallback ? null : input,
+        unit: spec.unit ?? null,
+        source,
+        fallback,
+        reason,
+      };
+    });
+  return { score: Math.round(clamp(raw, 0, 100)), raw: round1(raw), factors };
+}
+
+// -------------------------- River Flow --------------------------
+
+/** flowPercentile(flowCfs, stats)
+ * stats = one calendar day of USGS daily statistics { min, p05 … p95, max }.
+ * Linear interpolation between the published percentiles → 0–100.
+ */
+export function flowPercentile(flowCfs, stats) {
+  if (!Number.isFinite(flowCfs) || !stats) return null;
+  const pts = [
+    [0, stats.min], [5, stats.p05], [10, stats.p10], [20, stats.p20], [25, stats.p25], [50, stats.p50],
+    [75, stats.p75], [80, stats.p80], [90, stats.p90], [95, stats.p95], [100, stats.max],
+  ].filter(([, v]) => Number.isFinite(v));
+  if (pts.length < 3) return null;
+  if (flowCfs <= pts[0][1]) return pts[0][0];
+  if (flowCfs >= pts[pts.length - 1][1]) return pts[pts.length - 1][0];
+  for (let i = 1; i < pts.length; i++) {
+    const [p0, v0] = pts[i - 1], [p1, v1] = pts[i];
+    if (flowCfs <= v1) return v1 === v0 ? p1 : p0 + ((flowCfs - v0) / (v1 - v0)) * (p1 - p0);
+  }
+  return null;
+}
+
+/** flowState(pct) → "blown out" | "high and muddy" | "normal" | "low and clear" */
+export function flowState(pct) {
+  if (!Number.isFinite(pct)) return null;
+  if (pct >= 95) return "blown out";
+  if (pct > 80) return "high and muddy";
+  if (pct < 20) return "low and clear";
+  return "normal";
+}
+
+// ------------------------ Seasonal Phase ------------------------
+
+export const PHASE_LABELS = {
+  "pre-spawn": "Pre-spawn", spawn: "Spawn", "post-spawn": "Post-spawn",
+  summer: "Summer pattern", fall: "Fall feed", winter: "Winter",
+};
+
+/** Calendar season, pushed later in spring / earlier in fall as latitude rises
+ *  (~2 days per degree beyond 30°), flipped for the southern hemisphere.
+ */
+function calendarSeason(date, lat) {
+  const d = new Date(date);
+  let doy = Math.floor((d - new Date(d.getFullYear(), 0, 0)) / 86400000);
+  if (lat < 0) doy = (doy + 182) % 365;
+  const shift = Math.max(0, Math.abs(lat) - 30) * 2;
+  const adj = doy <= 196 ? doy - shift : doy + shift;
+  if (adj < 60 || adj >= 335) return { season: "winter", adj };
+  if (adj < 152) return { season: "spring", adj };
+  if (adj < 244) return { season: "summer", adj };
+  return { season: "fall", adj };
+}
+
+/** seasonalPhase(species, { waterTempF, time, lat })
+ * Water temp against the species' spawning window (species.js), read in the
+ * context of the latitude-adjusted calendar season.
+ * returns "pre-spawn" | "spawn" | "post-spawn" | "summer" | "fall" | "winter",
+ * or null when there is no time to place it in the year.
+ */
+export function seasonalPhase(species, { waterTempF, time, lat } = {}) {
+  if (!species || !time) return null;
+  const { season, adj } = calendarSeason(time, Number.isFinite(lat) ? lat : 40);
+  const spawn = speciesProfile(species).spawn;
+  const t = waterTempF;
+  if (!spawn) return season === "spring" ? "summer" : season;
+  const [lo, hi] = spawn.tempF;
+
+  if (!Number.isFinite(t)) {
+    // no temperature: best guess from the calendar alone
+    if (season === spawn.season) return "spawn";
+    return season === "spring" ? "summer" : season;
+  }
+
+  if (spawn.season === "spring") {
+    if (season === "spring" || (season === "summer" && adj < 196)) {
+      if (t < lo - 12) return season === "spring" ? "winter" : "pre-spawn";
+      if (t < lo) return "pre-spawn";
+      if (t <= hi) return "spawn";
+      if (t <= hi + 8) return "post-spawn";
+      return "summer";
+    }
+    if (season === "winter" && t >= lo - 6 && t < lo) return "pre-spawn"; // early warm-up
+    return season;
+  }
+
+  if (spawn.season === "fall") {
+    if (season === "fall") {
+      if (t > hi + 12) return "summer";
+      if (t > hi) return "pre-spawn";
+      if (t >= lo) return "spawn";
+      return "post-spawn";
+    }
+    if (season === "winter" && adj >= 335 && t < lo) return "post-spawn";
+    return season === "spring" ? "summer" : season;
+  }
+
+  // winter spawners (burbot): under-ice spawn in the coldest water
+  if (season === "winter") return t <= hi ? "spawn" : "pre-spawn";
+  if (season === "fall") return t <= hi + 6 ? "pre-spawn" : "fall";
+  if (season === "spring" && t < lo + 12) return "post-spawn";
+  return season === "spring" ? "summer" : season;
+}
+
+/** Spawn-time ethics note for species commonly protected while spawning, else null */
+export function spawnEthicsNote(species, phase) {
+  if (phase !== "spawn" || !speciesProfile(species).spawn?.protected) return null;
+  return t("Spawning season: many waters close or go catch-and-release for this species now. Check local regulations, steer clear of beds and redds, and release fish quickly.");
+}
+
+// ------------------------ Pressure Trend ------------------------
+
+const HPA_TO_INHG = 0.02953;
+
+function angleDiff(from, to) {
+  // signed clockwise change in degrees, −180…180 (positive = veering)
+  return ((to - from + 540) % 360) - 180;
+}
+
+/** pressureTrend(series, atTs)
+ * series = [{ time, pressure_msl (hPa), windDirDeg, cloudPct }] hourly, spanning
+ * at least the 48 h before atTs (see fetchWeather).
+ * returns {
+ *   tendency: "rising" | "falling" | "stable",
+ *   change3hInHg, change24hInHg,
+ *   front: "approaching" | "passed" | null,
+ *   bluebird: boolean,  // clear skies behind a front
+ *   note: string
+ * } or null when there is not enough history.
+ */
+export function pressureTrend(series, atTs) {
+  if (!series || series.length === 0 || !Number.isFinite(atTs)) return null;
+  const pts = series
+    .map((h) => ({ ...h, ts: new Date(h.time).getTime() }))
+    .filter((h) => Number.isFinite(h.pressure_msl) && h.ts <= atTs + 30 * 60 * 1000);
+  if (pts.length < 4) return null;
+  const H = 60 * 60 * 1000;
+  const nearest = (ts) => pts.reduce((a, b) => (Math.abs(b.ts - ts) < Math.abs(a.ts - ts) ? b : a));
+  const now = pts[pts.length - 1];
+  const ago3 = nearest(atTs - 3 * H);
+  const ago24 = nearest(atTs - 24 * H);
+  const d3 = now.pressure_msl - ago3.pressure_msl;   // hPa
+  const d24 = now.pressure_msl - ago24.pressure_msl; // hPa
+
+  // WMO-style tendency: ±1 hPa over 3 h is the "steady" band
+  let tendency = d3 >= 1 ? "rising" : d3 <= -1 ? "falling" : "stable";
+
+  // Front approaching: sustained fall, ideally with a southerly wind ahead of it
+  const southerly = Number.isFinite(now.windDirDeg) ? now.windDirDeg >= 90 && now.windDirDeg <= 250 : true;
+  let front = null;
+  if ((d3 <= -1.5 || (d24 <= -4 && d3 < 0)) && southerly) {
+    front = "approaching";
+    tendency = "falling";
+  }
+
+  // Front passed: pressure bottomed out 3–36 h ago, has since climbed, and the wind veered
+  const recent = pts.filter((h) => h.ts >= atTs - 36 * H);
+  if (!front && recent.length > 0) {
+    const low = recent.reduce((a, b) => (b.pressure_msl < a.pressure_msl ? b : a));
+    const hoursSinceLow = (now.ts - low.ts) / H;
+    const rise = now.pressure_msl - low.pressure_msl;
+    const before = nearest(low.ts - 6 * H); // wind ahead of the front
+    const veered = Number.isFinite(before.windDirDeg) && Number.isFinite(now.windDirDeg)
+      ? angleDiff(before.windDirDeg, now.windDirDeg) >= 45
+      : rise >= 5;
+    if (hoursSinceLow >= 3 && rise >= 3 && veered) front = "passed";
+  }
+  const bluebird = front === "passed" && (now.cloudPct ?? 50) <= 25;
+
+  let note = "Steady pressure";
+  if (front === "approaching") note = "Falling ahead of a front — fish often feed hard";
+  else if (bluebird) note = "Bluebird sky behind a front — expect a tough bite";
+  else if (front === "passed") note = "Front just passed — fish may be sluggish";
+  else if (tendency === "falling") note = "Slowly falling — good feeding trend";
+  else if (tendency === "rising") note = "Rising — bite may slow";
+
+  return {
+    tendency,
+    change3hInHg: Math.round(d3 * HPA_TO_INHG * 100) / 100,
+    change24hInHg: Math.round(d24 * HPA_TO_INHG * 100) / 100,
+    front,
+    bluebird,
+    note,
+  };
 }
 
 // ---------------------------- Gear ----------------------------
 
 function arr(...xs) { return xs.filter(Boolean); }
 
-function stdTackle(species, waterType, conditions) {
-  const s = String(species || "").toLowerCase();
+// Seasonal swaps: phase → band → lures, phase → lake/river → locations.
+// Summer (and anything missing here) keeps the base sets below.
+const PHASE_LURES = {
+  "pre-spawn": {
+    warm: ["Suspending jerkbait", "Lipless crankbait (red/craw)", "Jig & craw trailer", "Slow-rolled spinnerbait"],
+    cool: ["Jig & minnow (slow)", "Suspending jerkbait", "Blade bait", "Live minnow under a slip float"],
+    cold: ["Small spoon", "Inline spinner", "Minnow plug (natural)"],
+  },
+  spawn: {
+    warm: ["Wacky-rigged stick worm", "Soft plastic lizard/creature bait", "Weightless fluke"],
+    cool: ["Small jig & soft plastic (off the spawning areas)", "Crankbait on adjacent breaks"],
+    cold: ["Small spinner or spoon in deeper runs below spawning gravel"],
+  },
+  "post-spawn": {
+    warm: ["Walking topwater", "Weightless fluke", "Swimbait (shad)", "Shaky-head worm"],
+    cool: ["Swimbait (natural)", "Jig & minnow", "Shallow crankbait"],
+    cold: ["Egg pattern drift", "Inline spinner", "Small spoon"],
+  },
+  fall: {
+    warm: ["Lipless crankbait", "Squarebill crank", "Spinnerbait (shad)", "Topwater early/late"],
+    cool: ["Large swimbait", "Jerkbait", "Big bucktail", "Jig & minnow"],
+    cold: ["Egg pattern drift", "Minnow plug", "Spoon"],
+  },
+  winter: {
+    warm: ["Blade bait", "Jigging spoon", "Hair jig (slow)", "Drop-shot minnow"],
+    cool: ["Jigging rap / swimming jig", "Blade bait", "Live minnow (tip-up or slip float)"],
+    cold: ["Small jig & wax worm", "Jigging spoon", "Slow-drifted nymph/egg under a float"],
+  },
+};
+
+const PHASE_LOCATIONS = {
+  "pre-spawn": {
+    lake: ["Secondary points near spawning bays", "Channel swings & first breaks", "Sun-warmed north-shore pockets"],
+    river: ["Slack water below dams & riffles", "Eddies next to spawning gravel", "Tributary mouths"],
+  },
+  spawn: {
+    lake: ["Protected shallow bays & flats (sight-fish, don’t target beds)", "Hard-bottom shallows", "Outside edges of spawning areas"],
+    river: ["Runs below spawning gravel (leave redds alone)", "Slow side channels", "Backwater edges"],
+  },
+  "post-spawn": {
+    lake: ["First drop-off beside spawning flats", "Docks & shade", "Emerging weedlines"],
+    river: ["Deeper runs below shallows", "Current seams near spawning areas", "Shade under overhanging cover"],
+  },
+  fall: {
+    lake: ["Creek arms following baitfish", "Windblown points", "Remaining green weeds"],
+    river: ["Deep outside bends", "Wintering-hole edges", "Slack water near bait schools"],
+  },
+  winter: {
+    lake: ["Deep basins & steep breaks", "Main-lake humps", "Around warm-water discharges"],
+    river: ["Deep slow pools", "Below dams (warmer, oxygenated)", "Eddies out of the main current"],
+  },
+};
+
+// Fly swaps by phase and band like PHASE_LURES, so bass don't get egg patterns and
+// muskie don't get midges
+const SLOW_STRIPS = "Slow strips with long pauses along staging breaks";
+const LEAVE_BEDS = "Fish the edges and deeper water; leave spawning fish on beds/redds alone";
+const DEAD_DRIFT = "Dead-drift nymphs; swing buggers; dry flies at hatch or low light";
+const COVER_WATER = "Bigger streamers; fish follow baitfish — cover water";
+const DEEP_SLOW = "Deep and slow: indicator nymphing or hand-twist retrieves";
+const PHASE_FLIES = {
+  "pre-spawn": {
+    warm: { flies: ["Crayfish (slow-stripped)", "Clouser Minnow", "Bunny Leech"], presentation: SLOW_STRIPS },
+    cool: { flies: ["Bunny Leech", "Clouser Minnow (heavy eyes)", "Large Deceiver"], presentation: SLOW_STRIPS },
+    cold: { flies: ["Small Woolly Bugger", "Pheasant Tail Nymph", "Egg pattern"], presentation: DEAD_DRIFT },
+  },
+  spawn: {
+    warm: { flies: ["Small Woolly Bugger", "Damsel nymph"], presentation: LEAVE_BEDS },
+    cool: { flies: ["Small Woolly Bugger", "Bunny Leech"], presentation: LEAVE_BEDS },
+    cold: { flies: ["Egg pattern (behind spawning trout/salmon)", "Small Pheasant Tail"], presentation: LEAVE_BEDS },
+  },
+  "post-spawn": {
+    warm: { flies: ["Foam Popper", "Deceiver", "Crayfish (tan/olive)"], presentation: "Topwater early, then baitfish patterns over the first drop" },
+    cool: { flies: ["Deceiver", "Bunny Leech", "Clouser Minnow"], presentation: "Count-down streamers along breaks; steady strip with pauses" },
+    cold: { flies: ["Egg pattern (behind spawning trout/salmon)", "Pheasant Tail Nymph", "Woolly Bugger (olive/black)"], presentation: DEAD_DRIFT },
+  },
+  fall: {
+    warm: { flies: ["Clouser Minnow", "Deceiver", "Game Changer"], presentation: COVER_WATER },
+    cool: { flies: ["Game Changer", "Large Deceiver", "Flashabou Pike Fly (natural)"], presentation: COVER_WATER },
+    cold: { flies: ["Sculpin streamer", "Egg pattern", "Woolly Bugger (olive/black)"], presentation: COVER_WATER },
+  },
+  winter: {
+    warm: { flies: ["Crayfish (slow-stripped)", "Slow-sinking leech", "Clouser Minnow (heavy eyes)"], presentation: DEEP_SLOW },
+    cool: { flies: ["Bunny Leech", "Slow-sinking leech", "Clouser Minnow (heavy eyes)"], presentation: DEEP_SLOW },
+    cold: { flies: ["Zebra Midge", "Small Pheasant Tail", "Slow-sinking leech"], presentation: DEEP_SLOW },
+  },
+};
+
+function stdTackle(species, waterType, conditions, units) {
+  const profile = speciesProfile(species);
   const isRiver = String(waterType || "").toLowerCase().includes("river");
-  const warm = bandForSpecies(species) === "warm";
-  const cool = bandForSpecies(species) === "cool";
-  const cold = bandForSpecies(species) === "cold";
+  const warm = profile.band === "warm";
+  const cool = profile.band === "cool";
+  const cold = profile.band === "cold";
   const stained = (conditions?.turbidityFnu ?? 0) > 15;
 
   // Rod & line
-  let rodAndLine = "Medium spinning rod, 8–12 lb line";
-  if (cold) rodAndLine = "Light/medium-light spinning rod, 4–8 lb line";
-  if (cool) rodAndLine = "Medium or medium-heavy rod, 8–12 lb line";
-  if (/musk|pike/.test(s)) rodAndLine = "Heavy rod, 30–60 lb braid + leader";
+  let rodAndLine = t("Medium spinning rod, {line} line", { line: lineRating([8, 12], units) });
+  if (cold) rodAndLine = t("Light/medium-light spinning rod, {line} line", { line: lineRating([4, 8], units) });
+  if (cool) rodAndLine = t("Medium or medium-heavy rod, {line} line", { line: lineRating([8, 12], units) });
+  if (profile.group === "pike") rodAndLine = t("Heavy rod, {line} braid + leader", { line: lineRating([30, 60], units, { braid: true }) });
 
   // Lures
   let lures = [];
@@ -162,28 +647,44 @@ function stdTackle(species, waterType, conditions) {
 
   // Locations
   let locations = [];
-  if (isRiver) {
+  if (isRiver && (profile.current === "still" || profile.current === "slow")) {
+    locations = ["Backwaters & oxbows", "Slack water behind wood/rock", "Deep outside bends", "Creek mouths"];
+  } else if (isRiver) {
     locations = ["Current breaks", "Eddy seams", "Deep pools", "Riffle tails at first/last light"];
   } else {
     locations = ["Points & windblown banks", "Weedlines", "Drop-offs", "Shallow flats (low light)"];
   }
 
-  return { rodAndLine, lures, locations };
+  // Seasonal phase swaps the lure and location sets
+  const phase = seasonalPhase(species, conditions || {});
+  if (phase && PHASE_LURES[phase]?.[profile.band]) lures = PHASE_LURES[phase][profile.band];
+  if (phase && PHASE_LOCATIONS[phase]) locations = PHASE_LOCATIONS[phase][isRiver ? "river" : "lake"];
+
+  // When this species feeds hardest
+  const feeding = t("Feeds mostly: {periods}", { periods: profile.feeding.map((p) => t(p)).join(", ") });
+
+  return { rodAndLine, lures: lures.map((l) => t(l)), locations: locations.map((l) => t(l)), feeding, phase };
+}
+
+/** Leader length: 9’ / 9–12’ in feet, else in the system's depth unit */
+function leaderLength(lo, hi, units) {
+  if (units === "imperial") return hi ? `${lo}–${hi}’` : `${lo}’`;
+  return hi ? fmtRange("depth", lo, hi, units) : fmt("depth", lo, units);
 }
 
-function flyRecs(species, waterType, conditions) {
-  const s = String(species || "").toLowerCase();
+function flyRecs(species, waterType, conditions, units) {
+  const profile = speciesProfile(species);
   const isRiver = String(waterType || "").toLowerCase().includes("river");
-  const band = bandForSpecies(species);
-  const cold = band === "cold";
-  const warm = band === "warm";
+  const cold = profile.band === "cold";
+  const warm = profile.band === "warm";
   const stained = (conditions?.turbidityFnu ?? 0) > 15;
 
   // Default fly tackle
-  let flySetup = "5wt medium-fast, WF floating line, 9’ leader";
-  if (/musk|pike/.test(s)) flySetup = "8–10wt, WF floating or intermediate, 6–9’ 30–60 lb bite leader";
-  else if (/walleye|sauger/.test(s)) flySetup = "6–7wt, floating/sink-tip, 9’ leader";
-  else if (cold) flySetup = "4–5wt, WF floating, 9–12’ leader";
+  let flySetup = t("5wt medium-fast, WF floating line, {leader} leader", { leader: leaderLength(9, null, units) });
+  if (profile.group === "pike") {
+    flySetup = t("8–10wt, WF floating or intermediate, {leader} {line} bite leader", { leader: leaderLength(6, 9, units), line: lineRating([30, 60], units) });
+  } else if (profile.group === "walleye") flySetup = t("6–7wt, floating/sink-tip, {leader} leader", { leader: leaderLength(9, null, units) });
+  else if (cold) flySetup = t("4–5wt, WF floating, {leader} leader", { leader: leaderLength(9, 12, units) });
 
   // Flies
   let flies = [];
@@ -223,16 +724,26 @@ function flyRecs(species, waterType, conditions) {
       : "Count-down streamers along breaks; steady strip with pauses";
   }
 
-  return { flies, flySetup, flyPresentation };
+  // Seasonal phase swaps the fly set for the species' band
+  const phase = seasonalPhase(species, conditions || {});
+  const swap = phase && PHASE_FLIES[phase]?.[profile.band];
+  if (swap) {
+    flies = swap.flies;
+    flyPresentation = swap.presentation;
+  }
+
+  return { flies: flies.map((f) => t(f)), flySetup, flyPresentation: t(flyPresentation) };
 }
 
-/** suggestGear(species, waterType, conditions)
+/** suggestGear(species, waterType, conditions, { units })
  * returns:
- * { rodAndLine, lures[], flies[], flySetup, flyPresentation, locations[] }
+ * { rodAndLine, lures[], flies[], flySetup, flyPresentation, locations[], feeding, phase }
+ * Line ratings and leader lengths are written in `units` (units.js; default imperial),
+ * the text in the active locale (i18n.js).
  */
-export function suggestGear(species, waterType, conditions) {
-  const spin = stdTackle(species, waterType, conditions);
-  const fly = flyRecs(species, waterType, conditions);
+export function suggestGear(species, waterType, conditions, { units = "imperial" } = {}) {
+  const spin = stdTackle(species, waterType, conditions, units);
+  const fly = flyRecs(species, waterType, conditions, units);
   return { ...spin, ...fly };
 }
 
@@ -265,33 +776,54 @@ export function haversineMiles(a, b) {
   return 2 * R * Math.asin(Math.sqrt(h));
 }
 
-// ---------------------------- Cache ------------------------------
+// ----------------------------- Dates -----------------------------
 
-export function cacheGet(key) {
+/** ymd(date) → "2026-10-19", the calendar day on the user's clock. The one day key
+ *  for forecasts, gauges, readings, links and file names, so they all agree. */
+export function ymd(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+// -------------------------- Preferences --------------------------
+// Small settings and running stats in localStorage. API responses live in the
+// IndexedDB cache (cache.js), not here.
+
+export function prefGet(key) {
   try {
     const raw = localStorage.getItem(`fp:${key}`);
-    if (!raw) return null;
-    const { v, exp } = JSON.parse(raw);
-    if (exp && Date.now() > exp) {
-      localStorage.removeItem(`fp:${key}`);
-      return null;
-    }
-    return v;
+    return raw ? JSON.parse(raw).v : null;
   } catch { return null; }
 }
 
-export function cacheSet(key, value, ttlMs) {
+export function prefSet(key, value) {
   try {
-    const exp = ttlMs ? Date.now() + ttlMs : null;
-    localStorage.setItem(`fp:${key}`, JSON.stringify({ v: value, exp }));
-  } catch { /* ignore quota */ }
+    localStorage.setItem(`fp:${key}`, JSON.stringify({ v: value }));
+  } catch (e) {
+    console.warn("[Prefs] Couldn't save", key, e);
+  }
+}
+
+/** Remove response blobs left in localStorage by older versions (everything but prefs) */
+export function dropLegacyCache() {
+  try {
+    Object.keys(localStorage)
+      .filter((k) => k.startsWith("fp:") && !/^fp:(pref|wtval):/.test(k))
+      .forEach((k) => localStorage.removeItem(k));
+  } catch { /* storage blocked */ }
 }
 
 // ------------------------ Best Time Windows ----------------------
 
-/** Simple feeding window estimator using dawn/dusk + low wind */
-export function bestWindows({ sunriseTs, sunsetTs, hourly }) {
+/** Simple feeding window estimator using dawn/dusk + low wind,
+ *  plus solunar major/minor periods when `solunar` (from solunarPeriods) is given
+ *  and the species' own feeding periods (night/day) when `species` is given.
+ *  returns [{ time, score, solunar: "major" | "minor" | null }]
+ */
+export function bestWindows({ sunriseTs, sunsetTs, hourly, solunar, species }) {
   if (!hourly || hourly.length === 0) return [];
+  const feeding = species ? speciesProfile(species).feeding : [];
+  const H = 60 * 60 * 1000;
   const scoreHour = (h) => {
     const wind = h.windMph ?? 5;
     const cloud = h.cloudPct ?? 50;
@@ -302,9 +834,20 @@ export function bestWindows({ sunriseTs, sunsetTs, hourly }) {
     const t = new Date(h.time).getTime();
     if (sunriseTs && Math.abs(t - sunriseTs) <= 90 * 60 * 1000) s += 8;
     if (sunsetTs && Math.abs(t - sunsetTs) <= 90 * 60 * 1000) s += 8;
-    return Math.round(Math.max(0, Math.min(100, s)));
+    // bonus for night-feeders after dark and day-feeders at midday
+    if (sunriseTs && sunsetTs) {
+      const night = t < sunriseTs - H || t > sunsetTs + H;
+      const midday = t > sunriseTs + 2 * H && t < sunsetTs - 2 * H;
+      if (night && feeding.includes("night")) s += 5;
+      if (midday && feeding.includes("day")) s += 3;
+    }
+    // bonus when the hour overlaps a solunar period
+    const period = solunarActivity(solunar, t, t + H - 1);
+    if (period === "major") s += 6;
+    else if (period === "minor") s += 3;
+    return { score: Math.round(Math.max(0, Math.min(100, s))), solunar: period };
   };
-  return hourly.slice(0, 24).map(h => ({ time: h.time, score: scoreHour(h) }))
+  return hourly.slice(0, 24).map(h => ({ time: h.time, ...scoreHour(h) }))
     .filter(x => x.score >= 10)
     .sort((a,b)=>b.score - a.score)
     .slice(0, 6);
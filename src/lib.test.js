@@ -0,0 +1,56 @@
+/* lib.test.js — pressure tendency and fronts from hourly history (node --test) */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { pressureTrend } from "./lib.js";
+
+const H = 60 * 60 * 1000;
+const AT = Date.parse("2026-04-10T12:00:00Z");
+
+/** 48 hourly points ending at AT; fn(hoursAgo) → { pressure_msl, windDirDeg, cloudPct } */
+function series(fn) {
+  return [...Array(49).keys()].reverse().map((ago) => ({
+    time: new Date(AT - ago * H).toISOString(),
+    windDirDeg: 200,
+    cloudPct: 50,
+    ...fn(ago),
+  }));
+}
+
+test("flat pressure is stable with no front", () => {
+  const tr = pressureTrend(series(() => ({ pressure_msl: 1015 })), AT);
+  assert.equal(tr.tendency, "stable");
+  assert.equal(tr.front, null);
+  assert.equal(tr.change3hInHg, 0);
+});
+
+test("a quick fall on a southerly wind is an approaching front", () => {
+  const tr = pressureTrend(series((ago) => ({ pressure_msl: 1015 - (ago <= 3 ? (3 - ago) * 0.7 : 0) })), AT);
+  assert.equal(tr.front, "approaching");
+  assert.equal(tr.tendency, "falling");
+  assert.ok(tr.change3hInHg < 0);
+});
+
+test("the same fall on a north wind is only a falling trend", () => {
+  const tr = pressureTrend(series((ago) => ({ pressure_msl: 1015 - (ago <= 3 ? (3 - ago) * 0.7 : 0), windDirDeg: 10 })), AT);
+  assert.equal(tr.front, null);
+  assert.equal(tr.tendency, "falling");
+});
+
+test("a low behind us, a climb and a veer is a passed front; clear skies make it bluebird", () => {
+  // low 10 h ago, +0.5 hPa/h since; wind swung from south to northwest
+  const passed = (cloudPct) => series((ago) => ({
+    pressure_msl: 1005 + Math.abs(ago - 10) * 0.5,
+    windDirDeg: ago > 10 ? 190 : 300,
+    cloudPct,
+  }));
+  const cloudy = pressureTrend(passed(80), AT);
+  assert.equal(cloudy.front, "passed");
+  assert.equal(cloudy.bluebird, false);
+  assert.equal(pressureTrend(passed(10), AT).bluebird, true);
+});
+
+test("too little history gives no trend", () => {
+  assert.equal(pressureTrend(series(() => ({ pressure_msl: 1015 })).slice(-3), AT), null);
+  assert.equal(pressureTrend([], AT), null);
+});
@@ -2,5 +2,7 @@ import React from 'react'
 import { createRoot } from 'react-dom/client'
 import './styles.css'
 import App from './App.jsx'
+import { registerServiceWorker } from './offline.js'
 const root = createRoot(document.getElementById('root'))
 root.render(<App />)
+registerServiceWorker()
@@ -0,0 +1,101 @@
+/* manual.js — on-site readings that override the fetched conditions (a thermometer,
+   how the water looks, the wind and sky right now), remembered per site for the day,
+   and the what-if overrides that go through the same merge. Pure apart from
+   prefGet/prefSet.
+
+   Readings = { waterTempF, secchiFt, clarity, windMph, sky, hour }
+     every field may be null; hour = when wind/sky were observed (0–23), since those
+     only describe that hour while water temp and clarity hold for the day
+   Values   = { waterTempF, turbidityFnu, windMph, cloudPct, barometerInHg }
+     what applyOverrides writes into derived conditions (successScore's units)
+*/
+
+import { prefGet, prefSet } from "./lib.js";
+
+const KEY = "pref:manualReadings"; // { "<siteId>|<day>": Readings }
+
+export const CLARITY_LEVELS = {
+  clear: { label: "Clear water", fnu: 2 },
+  stained: { label: "Stained", fnu: 12 },
+  muddy: { label: "Muddy", fnu: 50 },
+};
+
+export const SKY_LEVELS = {
+  sunny: { label: "Sunny", cloudPct: 5 },
+  partly: { label: "Partly cloudy", cloudPct: 45 },
+  overcast: { label: "Overcast", cloudPct: 90 },
+};
+
+/** Derived-condition field → the scoreBreakdown factor it feeds */
+const OVERRIDE_FACTORS = {
+  waterTempF: "temp",
+  turbidityFnu: "turbidity",
+  windMph: "wind",
+  cloudPct: "cloud",
+  barometerInHg: "pressure",
+};
+
+const num = (v) => (v === "" || v == null || !Number.isFinite(Number(v)) ? null : Number(v));
+
+/** Secchi depth → turbidity, inverting the lake fit SD(cm) ≈ 244 · NTU^−0.662
+ *  (NTU and FNU agree closely at these levels): 3 ft ≈ 4 FNU, 1 ft ≈ 23 FNU */
+export function secchiToFnu(ft) {
+  if (!Number.isFinite(ft) || ft <= 0) return null;
+  return Math.round(((244 / (ft * 30.48)) ** (1 / 0.662)) * 10) / 10;
+}
+
+/** Clean form input; null when nothing was entered */
+export function normalizeReadings(r) {
+  const out = {
+    waterTempF: num(r?.waterTempF),
+    secchiFt: num(r?.secchiFt),
+    clarity: CLARITY_LEVELS[r?.clarity] ? r.clarity : null,
+    windMph: num(r?.windMph),
+    sky: SKY_LEVELS[r?.sky] ? r.sky : null,
+  };
+  if (Object.values(out).every((v) => v == null)) return null;
+  return { ...out, hour: Number.isInteger(r.hour) ? r.hour : new Date().getHours() };
+}
+
+export function loadReadings(siteId, day) {
+  return (prefGet(KEY) || {})[`${siteId}|${day}`] ?? null;
+}
+
+/** Store (or with null, forget) a site's readings for `day`; other days' are dropped */
+export function saveReadings(siteId, day, readings) {
+  const all = Object.fromEntries(Object.entries(prefGet(KEY) || {}).filter(([k]) => k.endsWith(`|${day}`)));
+  if (readings) all[`${siteId}|${day}`] = readings;
+  else delete all[`${siteId}|${day}`];
+  prefSet(KEY, all);
+}
+
+/** readingValues(readings, { hour }) → Values. Without an hour, only the day-long ones
+ *  (water temp, clarity); wind/sky join in for the hour they were observed.
+ *  A Secchi depth wins over the clear/stained/muddy pick. */
+export function readingValues(r, { hour } = {}) {
+  if (!r) return null;
+  const now = hour != null && hour === r.hour;
+  return {
+    waterTempF: r.waterTempF,
+    turbidityFnu: secchiToFnu(r.secchiFt) ?? CLARITY_LEVELS[r.clarity]?.fnu ?? null,
+    windMph: now ? r.windMph : null,
+    cloudPct: now ? SKY_LEVELS[r.sky]?.cloudPct ?? null : null,
+  };
+}
+
+/** applyOverrides(derived, values, source) → derived with every finite value in place
+ *  and its factor's source set (scoreBreakdown shows it), e.g. "manual" or "what-if" */
+export function applyOverrides(derived, values, source) {
+  if (!derived || !values) return derived;
+  const out = { ...derived, sources: { ...derived.sources } };
+  Object.entries(OVERRIDE_FACTORS).forEach(([field, factor]) => {
+    if (!Number.isFinite(values[field])) return;
+    out[field] = values[field];
+    out.sources[factor] = source;
+  });
+  if (Number.isFinite(values.waterTempF)) {
+    out.estimated = false;
+    out.waterTempRangeF = null;
+  }
+  return out;
+}
@@ -0,0 +1,613 @@
+/* messages-es.js — Spanish catalog for i18n.js: UI text, species common names and
+   gear recommendations, keyed by the English text. */
+
+export default {
+  messages: {
+    // ---- Header, location & dates ----
+    "Freshwater Fishing Predictor": "Predictor de pesca en agua dulce",
+    "Brought to you by Mike Jones and Jim Weaver. May your lure always find a fish! Copyright 2025.": "Presentado por Mike Jones y Jim Weaver. ¡Que tu señuelo siempre encuentre un pez! Copyright 2025.",
+    "Some data couldn’t be refreshed": "No se pudieron actualizar algunos datos",
+    "You’re offline": "Estás sin conexión",
+    "showing cached data from {age} ({time}).": "se muestran datos guardados de {age} ({time}).",
+    "showing cached data.": "se muestran datos guardados.",
+    "Scores reflect those conditions, not live ones.": "Las puntuaciones reflejan esas condiciones, no las actuales.",
+    "Location": "Ubicación",
+    "Use Current Location": "Usar mi ubicación",
+    "Geolocation not supported": "Geolocalización no disponible",
+    "City / State or Landmark (e.g., Marion, Indiana)": "Ciudad / estado o lugar (p. ej., Marion, Indiana)",
+    "City or state or landmark": "Ciudad, estado o lugar",
+    "Find": "Buscar",
+    "Couldn’t find that location. Try city and state (e.g., Boise, Idaho).": "No se encontró esa ubicación. Prueba con ciudad y estado (p. ej., Boise, Idaho).",
+    "Search failed.": "La búsqueda falló.",
+    "Travel radius: {radius}": "Radio de viaje: {radius}",
+    "Radius": "Radio",
+    "Units": "Unidades",
+    "Unit system": "Sistema de unidades",
+    "Imperial (°F, mph, mi)": "Imperial (°F, mph, mi)",
+    "Metric (°C, km/h, km)": "Métrico (°C, km/h, km)",
+    "Mixed (°C, km/h, km; ft, in, lb)": "Mixto (°C, km/h, km; ft, in, lb)",
+    "Language": "Idioma",
+    "Fishing date": "Fecha de pesca",
+    "Date selector": "Selector de fecha",
+    "Today": "Hoy",
+    "Download this area for offline": "Descargar esta zona para usar sin conexión",
+    "Downloading map tiles…": "Descargando teselas del mapa…",
+    "Saved {n} map tiles for offline use": "Se guardaron {n} teselas del mapa para usar sin conexión",
+    "({n} failed)": "({n} fallaron)",
+    "Weather and gauge data for sites you open are cached as you go.": "Los datos meteorológicos y de estaciones de los sitios que abras se guardan sobre la marcha.",
+    "Offline areas:": "Zonas sin conexión:",
+    "Offline mode isn't active yet — reload the page once and try again.": "El modo sin conexión aún no está activo: recarga la página una vez y vuelve a intentarlo.",
+    "unknown age": "antigüedad desconocida",
+    "{n} min ago": "hace {n} min",
+    "{n} h ago": "hace {n} h",
+    "{n} d ago": "hace {n} d",
+
+    // ---- Water body & map ----
+    "Water Body": "Masa de agua",
+    "Map outlines:": "Contornos del mapa:",
+    "Tip: Click a water outline on the map to select it, or anywhere else to set your location manually.": "Consejo: haz clic en el contorno de una masa de agua para seleccionarla, o en cualquier otro punto para fijar tu ubicación a mano.",
+    "Water body selector": "Selector de masa de agua",
+    "Current Location": "Ubicación actual",
+    "No nearby water bodies found.": "No se encontraron masas de agua cercanas.",
+    "gauged": "con estación",
+    "Name:": "Nombre:",
+    "Type:": "Tipo:",
+    "{n} mapped segments": "{n} tramos cartografiados",
+    "Gauge:": "Estación:",
+    "{distance} away": "a {distance}",
+    "Surface area:": "Superficie:",
+    "Length:": "Longitud:",
+    "{length} mapped in the {radius} search area": "{length} cartografiados en el área de búsqueda de {radius}",
+    "Coords:": "Coordenadas:",
+    "Open in Google Maps": "Abrir en Google Maps",
+    "Open in Apple Maps": "Abrir en Apple Maps",
+    "Share this prediction": "Compartir esta predicción",
+    "{species} at {site}": "{species} en {site}",
+    "this spot": "este lugar",
+    "Link copied to clipboard.": "Enlace copiado al portapapeles.",
+    "Copy this link:": "Copia este enlace:",
+    "Map of location and water body": "Mapa de la ubicación y la masa de agua",
+    "Map layers": "Capas del mapa",
+    "Your location": "Tu ubicación",
+    "Directions:": "Cómo llegar:",
+    "Lake": "Lago",
+    "River": "Río",
+    "Reservoir": "Embalse",
+    "Pond": "Estanque",
+    "Water": "Agua",
+    "Boat ramps": "Rampas para botes",
+    "Boat ramp": "Rampa para botes",
+    "Bait & tackle": "Cebos y aparejos",
+    "Bait shop": "Tienda de cebos",
+    "Fishing piers": "Muelles de pesca",
+    "Pier": "Muelle",
+    "Public access": "Acceso público",
+    "Fishing access": "Acceso de pesca",
+    "Parking near water": "Aparcamiento junto al agua",
+    "Parking": "Aparcamiento",
+
+    // ---- Species & score ----
+    "Target Species": "Especie objetivo",
+    "Weather:": "Tiempo:",
+    "Gauge readings:": "Lecturas de la estación:",
+    "Water-temperature estimate:": "Estimación de la temperatura del agua:",
+    "8-day outlook:": "Previsión de 8 días:",
+    "Species selector": "Selector de especie",
+    "Or type a specific fish species": "O escribe una especie concreta",
+    "Type a specific fish species": "Escribe una especie concreta",
+    "Species list estimated for cold-water conditions based on temperature.": "Lista de especies estimada para aguas frías según la temperatura.",
+    "Species list estimated for warm-water conditions based on temperature.": "Lista de especies estimada para aguas templadas según la temperatura.",
+    "Unknown species — using general freshwater model.": "Especie desconocida: se usa el modelo general de agua dulce.",
+    "seasonal phase for {species}": "fase estacional de {species}",
+    "Spawning season: many waters close or go catch-and-release for this species now. Check local regulations, steer clear of beds and redds, and release fish quickly.": "Época de desove: muchas aguas cierran o pasan a captura y suelta para esta especie. Consulta la normativa local, mantente lejos de nidos y frezaderos y suelta los peces rápidamente.",
+    "Calibrated for you:": "Calibrado para ti:",
+    "default {score}%": "predeterminado {score}%",
+    "Conditions at {time} — tap an hour below to change": "Condiciones a las {time}: toca una hora abajo para cambiar",
+    "Excellent": "Excelente",
+    "Good": "Bueno",
+    "Average": "Regular",
+    "Poor": "Malo",
+    "Success {score}% {label}": "Éxito {score}% {label}",
+    "Hourly success score": "Puntuación de éxito por hora",
+    "Why {score}%?": "¿Por qué {score}%?",
+    "{n} points": "{n} puntos",
+    "(capped at 100)": "(limitado a 100)",
+    "1 factor without data": "1 factor sin datos",
+    "{n} factors without data": "{n} factores sin datos",
+    "{label}: {points} of {max} points": "{label}: {points} de {max} puntos",
+    "measured": "medido",
+    "estimated": "estimado",
+    "no data": "sin datos",
+    "calculated": "calculado",
+    "manual": "manual",
+    "what-if": "simulado",
+    "Pre-spawn": "Predesove",
+    "Spawn": "Desove",
+    "Post-spawn": "Posdesove",
+    "Summer pattern": "Patrón de verano",
+    "Fall feed": "Alimentación otoñal",
+    "Winter": "Invierno",
+
+    // ---- Score factors ----
+    "Water temperature": "Temperatura del agua",
+    "Wind": "Viento",
+    "Cloud cover": "Nubosidad",
+    "Pressure": "Presión",
+    "Water clarity": "Claridad del agua",
+    "Turbidity": "Turbidez",
+    "Moon & solunar": "Luna y solunar",
+    "Seasonal phase": "Fase estacional",
+    "River flow": "Caudal del río",
+    "{temp} water is in {species}'s {range} sweet spot": "El agua a {temp} está en el rango ideal de {species} ({range})",
+    "{temp} water is colder than {species} tolerate well — they want {range}": "El agua a {temp} está más fría de lo que {species} tolera bien; prefiere {range}",
+    "{temp} water is warmer than {species} tolerate well — they want {range}": "El agua a {temp} está más caliente de lo que {species} tolera bien; prefiere {range}",
+    "{temp} water is a little cool; best is {range}": "El agua a {temp} está algo fresca; lo ideal es {range}",
+    "{temp} water is a little warm; best is {range}": "El agua a {temp} está algo cálida; lo ideal es {range}",
+    "a river": "un río",
+    "still water": "aguas quietas",
+    "{speed} is close to the ~{target} that suits {water}": "{speed} se acerca a los ~{target} que convienen a {water}",
+    "{speed} is calmer than the ~{target} that suits {water}": "{speed} es más calmado que los ~{target} que convienen a {water}",
+    "{speed} is windier than the ~{target} that suits {water}": "{speed} es más ventoso que los ~{target} que convienen a {water}",
+    "low light": "poca luz",
+    "moderate light": "luz moderada",
+    "bright light": "mucha luz",
+    "{pct}% cloud; {species} prefer {light} (about {target}% cover)": "{pct}% de nubes; {species} prefiere {light} (alrededor de {target}% de cobertura)",
+    "a moderate reading": "un valor moderado",
+    "high": "alto",
+    "low": "bajo",
+    "{pressure} is {level}": "{pressure} es {level}",
+    "{fnu} FNU is close to the ~{ideal} FNU {species} like": "{fnu} FNU se acerca a los ~{ideal} FNU que le gustan a {species}",
+    "{fnu} FNU is clearer than the ~{ideal} FNU {species} like": "{fnu} FNU es más clara que los ~{ideal} FNU que le gustan a {species}",
+    "{fnu} FNU is murkier than the ~{ideal} FNU {species} like": "{fnu} FNU es más turbia que los ~{ideal} FNU que le gustan a {species}",
+    "moon phase unknown": "fase lunar desconocida",
+    "near the new moon": "cerca de la luna nueva",
+    "near the full moon": "cerca de la luna llena",
+    "quarter moon": "luna en cuarto",
+    "Between solunar periods, {moon}": "Entre periodos solunares, {moon}",
+    "Major solunar period this hour, {moon}": "Periodo solunar mayor en esta hora, {moon}",
+    "Minor solunar period this hour, {moon}": "Periodo solunar menor en esta hora, {moon}",
+    "{phase} for {species}": "{phase} de {species}",
+    "{pct} percentile flow for the date — {state}": "Caudal en el percentil {pct} para la fecha: {state}",
+    "No data — given a fixed {points} points": "Sin datos: se asignan {points} puntos fijos",
+    " (no data; assumed)": " (sin datos; supuesto)",
+
+    // ---- Conditions ----
+    "Lag model for a {water} (τ ≈ {tau} days) from {days} days of air temps": "Modelo de retardo para {water} (τ ≈ {tau} días) a partir de {days} días de temperatura del aire",
+    "river": "un río",
+    "small pond": "un estanque pequeño",
+    "lake": "un lago",
+    "large lake": "un lago grande",
+    "est. {range}": "est. {range}",
+    "rough estimate: air − {delta}": "estimación aproximada: aire − {delta}",
+    "model {temp} ({diff} vs gauge)": "modelo {temp} ({diff} frente a la estación)",
+    "Cloud": "Nubes",
+    "Flow": "Caudal",
+    "Median for this date: {flow} ({n} yrs)": "Mediana para esta fecha: {flow} ({n} años)",
+    "{pct} percentile for today — {state}": "percentil {pct} para hoy: {state}",
+    "blown out": "desbordado",
+    "high and muddy": "alto y turbio",
+    "normal": "normal",
+    "low and clear": "bajo y claro",
+    "Steady pressure": "Presión estable",
+    "Falling ahead of a front — fish often feed hard": "Bajando ante un frente: los peces suelen comer con ganas",
+    "Bluebird sky behind a front — expect a tough bite": "Cielo despejado tras un frente: la picada será difícil",
+    "Front just passed — fish may be sluggish": "Acaba de pasar un frente: los peces pueden estar apáticos",
+    "Slowly falling — good feeding trend": "Bajando despacio: buena tendencia para comer",
+    "Rising — bite may slow": "Subiendo: la picada puede bajar",
+    "rising": "subiendo",
+    "falling": "bajando",
+    "stable": "estable",
+    "front approaching": "frente en camino",
+    "front passed": "frente pasado",
+    "Water-temp model vs USGS gauges: ±{err} average error over 1 check ({pct}% inside the range).": "Modelo de temperatura frente a estaciones USGS: error medio de ±{err} en 1 comprobación ({pct}% dentro del rango).",
+    "Water-temp model vs USGS gauges: ±{err} average error over {n} checks ({pct}% inside the range).": "Modelo de temperatura frente a estaciones USGS: error medio de ±{err} en {n} comprobaciones ({pct}% dentro del rango).",
+    "No forecast for this hour.": "No hay previsión para esta hora.",
+    "no forecast": "sin previsión",
+
+    // ---- Gear ----
+    "Rod (conventional):": "Caña (convencional):",
+    "Lures/Baits:": "Señuelos/cebos:",
+    "Locations:": "Zonas:",
+    "Fly Fishing Recommendations": "Recomendaciones para pesca con mosca",
+    "Fly Rod/Line:": "Caña/línea de mosca:",
+    "Flies:": "Moscas:",
+    "Presentation:": "Presentación:",
+    "Medium spinning rod, {line} line": "Caña de spinning media, línea de {line}",
+    "Light/medium-light spinning rod, {line} line": "Caña de spinning ligera/media-ligera, línea de {line}",
+    "Medium or medium-heavy rod, {line} line": "Caña media o media-pesada, línea de {line}",
+    "Heavy rod, {line} braid + leader": "Caña pesada, trenzado de {line} + bajo de línea",
+    "Feeds mostly: {periods}": "Come sobre todo: {periods}",
+    "dawn": "al amanecer",
+    "day": "de día",
+    "dusk": "al atardecer",
+    "night": "de noche",
+    "5wt medium-fast, WF floating line, {leader} leader": "#5 de acción media-rápida, línea WF flotante, bajo de {leader}",
+    "8–10wt, WF floating or intermediate, {leader} {line} bite leader": "#8–10, WF flotante o intermedia, bajo de {leader} con puntera antimordida de {line}",
+    "6–7wt, floating/sink-tip, {leader} leader": "#6–7, flotante/punta hundida, bajo de {leader}",
+    "4–5wt, WF floating, {leader} leader": "#4–5, WF flotante, bajo de {leader}",
+    "Suspending jerkbait": "Jerkbait suspendido",
+    "Lipless crankbait (red/craw)": "Crankbait sin babero (rojo/cangrejo)",
+    "Jig & craw trailer": "Jig con trailer de cangrejo",
+    "Slow-rolled spinnerbait": "Spinnerbait recogido lento",
+    "Jig & minnow (slow)": "Jig con pececillo (lento)",
+    "Blade bait": "Cucharilla vibrante (blade bait)",
+    "Live minnow under a slip float": "Pececillo vivo bajo flotador corredizo",
+    "Small spoon": "Cucharilla ondulante pequeña",
+    "Inline spinner": "Cucharilla giratoria",
+    "Minnow plug (natural)": "Pececillo artificial (natural)",
+    "Wacky-rigged stick worm": "Vinilo stick en montaje wacky",
+    "Soft plastic lizard/creature bait": "Vinilo lagarto/criatura",
+    "Weightless fluke": "Fluke sin plomo",
+    "Small jig & soft plastic (off the spawning areas)": "Jig pequeño con vinilo (fuera de las zonas de desove)",
+    "Crankbait on adjacent breaks": "Crankbait en los cortes cercanos",
+    "Small spinner or spoon in deeper runs below spawning gravel": "Cucharilla pequeña en las corrientes profundas bajo las gravas de desove",
+    "Walking topwater": "Superficie de paseo (walking)",
+    "Swimbait (shad)": "Swimbait (sábalo)",
+    "Shaky-head worm": "Gusano con cabeza shaky",
+    "Swimbait (natural)": "Swimbait (natural)",
+    "Jig & minnow": "Jig con pececillo",
+    "Shallow crankbait": "Crankbait de poca profundidad",
+    "Egg pattern drift": "Imitación de huevo a la deriva",
+    "Lipless crankbait": "Crankbait sin babero",
+    "Squarebill crank": "Crankbait de babero cuadrado",
+    "Spinnerbait (shad)": "Spinnerbait (sábalo)",
+    "Topwater early/late": "Superficie a primera/última hora",
+    "Large swimbait": "Swimbait grande",
+    "Jerkbait": "Jerkbait",
+    "Big bucktail": "Bucktail grande",
+    "Minnow plug": "Pececillo artificial",
+    "Spoon": "Cucharilla ondulante",
+    "Jigging spoon": "Cucharilla de jigging",
+    "Hair jig (slow)": "Jig de pelo (lento)",
+    "Drop-shot minnow": "Pececillo en drop-shot",
+    "Jigging rap / swimming jig": "Jigging rap / jig de natación",
+    "Live minnow (tip-up or slip float)": "Pececillo vivo (tip-up o flotador corredizo)",
+    "Small jig & wax worm": "Jig pequeño con gusano de cera",
+    "Slow-drifted nymph/egg under a float": "Ninfa/huevo a la deriva lenta bajo flotador",
+    "Spinnerbait (chartreuse)": "Spinnerbait (chartreuse)",
+    "Spinnerbait (white)": "Spinnerbait (blanco)",
+    "Texas-rigged worm": "Gusano en montaje texas",
+    "Jig & trailer": "Jig con trailer",
+    "Crankbait (squarebill in shallow cover)": "Crankbait (babero cuadrado en cobertura somera)",
+    "Jerkbait (suspending)": "Jerkbait (suspendido)",
+    "Vibrating blade bait": "Blade bait vibrante",
+    "Bucktail inline spinner": "Cucharilla giratoria con bucktail",
+    "Deep diving crank": "Crankbait de gran profundidad",
+    "Inline spinner (gold/silver)": "Cucharilla giratoria (dorada/plateada)",
+    "Egg pattern drift (float)": "Imitación de huevo a la deriva (flotador)",
+    "Secondary points near spawning bays": "Puntas secundarias cerca de las bahías de desove",
+    "Channel swings & first breaks": "Curvas del canal y primeros cortes",
+    "Sun-warmed north-shore pockets": "Rincones de la orilla norte calentados por el sol",
+    "Slack water below dams & riffles": "Aguas calmas bajo presas y rápidos",
+    "Eddies next to spawning gravel": "Remolinos junto a las gravas de desove",
+    "Tributary mouths": "Desembocaduras de afluentes",
+    "Protected shallow bays & flats (sight-fish, don’t target beds)": "Bahías y planos someros protegidos (pesca a la vista, sin ir a por los nidos)",
+    "Hard-bottom shallows": "Bajos de fondo duro",
+    "Outside edges of spawning areas": "Bordes exteriores de las zonas de desove",
+    "Runs below spawning gravel (leave redds alone)": "Corrientes bajo las gravas de desove (deja los frezaderos en paz)",
+    "Slow side channels": "Canales laterales lentos",
+    "Backwater edges": "Bordes de los remansos",
+    "First drop-off beside spawning flats": "Primer desnivel junto a los planos de desove",
+    "Docks & shade": "Embarcaderos y sombra",
+    "Emerging weedlines": "Líneas de vegetación incipientes",
+    "Deeper runs below shallows": "Corrientes más profundas bajo los bajíos",
+    "Current seams near spawning areas": "Líneas de corriente cerca de las zonas de desove",
+    "Shade under overhanging cover": "Sombra bajo la vegetación colgante",
+    "Creek arms following baitfish": "Brazos de arroyo siguiendo al pez pasto",
+    "Windblown points": "Puntas batidas por el viento",
+    "Remaining green weeds": "Vegetación aún verde",
+    "Deep outside bends": "Curvas exteriores profundas",
+    "Wintering-hole edges": "Bordes de las pozas de invernada",
+    "Slack water near bait schools": "Aguas calmas cerca de los bancos de pez pasto",
+    "Deep basins & steep breaks": "Cuencas profundas y cortes pronunciados",
+    "Main-lake humps": "Montículos del lago principal",
+    "Around warm-water discharges": "Alrededor de vertidos de agua templada",
+    "Deep slow pools": "Pozas profundas y lentas",
+    "Below dams (warmer, oxygenated)": "Bajo las presas (más templado y oxigenado)",
+    "Eddies out of the main current": "Remolinos fuera de la corriente principal",
+    "Backwaters & oxbows": "Remansos y meandros abandonados",
+    "Slack water behind wood/rock": "Aguas calmas tras troncos/rocas",
+    "Creek mouths": "Desembocaduras de arroyos",
+    "Current breaks": "Rompientes de corriente",
+    "Eddy seams": "Líneas de remolino",
+    "Deep pools": "Pozas profundas",
+    "Riffle tails at first/last light": "Colas de rápidos a primera/última luz",
+    "Points & windblown banks": "Puntas y orillas batidas por el viento",
+    "Weedlines": "Líneas de vegetación",
+    "Drop-offs": "Desniveles",
+    "Shallow flats (low light)": "Planos someros (con poca luz)",
+    "Bunny Leech": "Bunny Leech",
+    "Clouser Minnow": "Clouser Minnow",
+    "Crayfish (slow-stripped)": "Cangrejo (recogida lenta)",
+    "Slow strips with long pauses along staging breaks": "Tirones lentos con pausas largas en los cortes de concentración",
+    "Small Woolly Bugger": "Woolly Bugger pequeño",
+    "Damsel nymph": "Ninfa de caballito del diablo",
+    "Fish the edges and deeper water; leave spawning fish on beds/redds alone": "Pesca los bordes y el agua más profunda; deja en paz a los peces en nidos/frezaderos",
+    "Foam Popper": "Popper de foam",
+    "Deceiver": "Deceiver",
+    "Egg pattern (behind spawning trout/salmon)": "Imitación de huevo (detrás de truchas/salmones en freza)",
+    "Topwater early, then baitfish patterns over the first drop": "Superficie temprano, luego imitaciones de pez pasto sobre el primer desnivel",
+    "Game Changer": "Game Changer",
+    "Sculpin streamer": "Streamer de cavilat",
+    "Egg pattern": "Imitación de huevo",
+    "Bigger streamers; fish follow baitfish — cover water": "Streamers más grandes; los peces siguen al pez pasto: cubre mucha agua",
+    "Zebra Midge": "Zebra Midge",
+    "Small Pheasant Tail": "Pheasant Tail pequeña",
+    "Slow-sinking leech": "Sanguijuela de hundimiento lento",
+    "Deep and slow: indicator nymphing or hand-twist retrieves": "Profundo y lento: ninfa con indicador o recogida a mano",
+    "Woolly Bugger (olive/black)": "Woolly Bugger (oliva/negro)",
+    "Pheasant Tail Nymph": "Ninfa Pheasant Tail",
+    "Hare’s Ear Nymph": "Ninfa Hare’s Ear",
+    "Elk Hair Caddis": "Elk Hair Caddis",
+    "Adams Parachute": "Adams Parachute",
+    "Dead-drift nymphs; swing buggers; dry flies at hatch or low light": "Ninfas a la deriva natural; buggers en swing; secas en eclosión o con poca luz",
+    "Slow hand-twist retrieves near drop-offs; wind lanes at dawn/dusk": "Recogida lenta a mano junto a desniveles; líneas de viento al amanecer/atardecer",
+    "Foam Popper (bright)": "Popper de foam (vivo)",
+    "Foam Popper (natural)": "Popper de foam (natural)",
+    "Crayfish (tan/olive)": "Cangrejo (canela/oliva)",
+    "Popper over seams; strip streamers across current; target wood/rock": "Popper sobre las líneas de corriente; streamers a tirones a través de la corriente; busca troncos/rocas",
+    "Popper over weed edges; strip-baitfish over points and flats": "Popper sobre bordes de vegetación; imitaciones de pez pasto a tirones sobre puntas y planos",
+    "Large Deceiver": "Deceiver grande",
+    "Flashabou Pike Fly (bright)": "Mosca para lucio de Flashabou (viva)",
+    "Flashabou Pike Fly (natural)": "Mosca para lucio de Flashabou (natural)",
+    "Clouser Minnow (heavy eyes)": "Clouser Minnow (ojos pesados)",
+    "Big streamers across current breaks; pace retrieves; rest in eddies": "Streamers grandes a través de las rompientes; varía el ritmo; pausas en los remolinos",
+    "Count-down streamers along breaks; steady strip with pauses": "Streamers contados en profundidad a lo largo de los cortes; tirones constantes con pausas",
+
+    // ---- Ranking & outlook ----
+    "Where Should I Go?": "¿Adónde voy?",
+    "Rank all {n} water bodies": "Clasificar las {n} masas de agua",
+    "Distance": "Distancia",
+    "Ignore distance": "Ignorar la distancia",
+    "Prefer closer": "Preferir las cercanas",
+    "Stay close": "Quedarse cerca",
+    "Loading {what}…": "Cargando {what}…",
+    "Weather": "Tiempo",
+    "Air-temperature history": "Historial de temperatura del aire",
+    "Gauges": "Estaciones",
+    "{provider} has no batch lookup, so sites within about {cell} share one forecast and only the nearest {n} areas are fetched. River-flow percentiles aren’t part of the ranking; open a site to see them.": "{provider} no admite consultas por lotes, así que los sitios a menos de unos {cell} comparten una previsión y solo se consultan las {n} zonas más cercanas. Los percentiles de caudal no forman parte de la clasificación; abre un sitio para verlos.",
+    "Each site’s forecast is fetched for its own location in small throttled batches and cached. River-flow percentiles aren’t part of the ranking; open a site to see them.": "La previsión de cada sitio se obtiene para su propia ubicación en pequeños lotes espaciados y se guarda. Los percentiles de caudal no forman parte de la clasificación; abre un sitio para verlos.",
+    "Water body": "Masa de agua",
+    "Peak score": "Puntuación máxima",
+    "Rank": "Clasificación",
+    "No weather for this spot": "Sin datos meteorológicos para este lugar",
+    "estimated water temperature": "temperatura del agua estimada",
+    "Rank = peak score minus the distance penalty": "Clasificación = puntuación máxima menos la penalización por distancia",
+    "Species you might try today (If available in your area)": "Especies que podrías probar hoy (si están en tu zona)",
+    "No standouts right now. Try adjusting time, radius, or target water.": "Nada destaca ahora mismo. Prueba a cambiar la hora, el radio o la masa de agua.",
+    "8-Day Outlook": "Previsión de 8 días",
+    "Tap a day to load it above. ★ marks the best day to go.": "Toca un día para cargarlo arriba. ★ marca el mejor día para ir.",
+    "Day": "Día",
+    "Peak": "Máximo",
+    "Best window": "Mejor franja",
+    "Moon": "Luna",
+    "major": "mayor",
+    "minor": "menor",
+
+    // ---- Nearby access & best times ----
+    "Nearby Access": "Accesos cercanos",
+    "From OpenStreetMap via Overpass (free), within {radius} ({parking} for parking). Use the map layer toggles to filter.": "De OpenStreetMap mediante Overpass (gratis), en un radio de {radius} ({parking} para aparcamientos). Usa las capas del mapa para filtrar.",
+    "No public access information is currently available. Check local regulations and fishery management for public access information.": "No hay información de acceso público disponible. Consulta la normativa local y la gestión pesquera para informarte sobre los accesos.",
+    "Best Times (today)": "Mejores horas (hoy)",
+    "score {score}": "puntuación {score}",
+    "solunar major": "solunar mayor",
+    "solunar minor": "solunar menor",
+    "Moon:": "Luna:",
+    "{pct}% illuminated": "{pct}% iluminada",
+    "Major periods:": "Periodos mayores:",
+    "Minor periods:": "Periodos menores:",
+    "none": "ninguno",
+    "moon overhead": "luna en el cénit",
+    "moon underfoot": "luna en el nadir",
+    "moonrise": "salida de la luna",
+    "moonset": "puesta de la luna",
+    "New Moon": "Luna nueva",
+    "Waxing Crescent": "Luna creciente",
+    "First Quarter": "Cuarto creciente",
+    "Waxing Gibbous": "Gibosa creciente",
+    "Full Moon": "Luna llena",
+    "Waning Gibbous": "Gibosa menguante",
+    "Last Quarter": "Cuarto menguante",
+    "Waning Crescent": "Luna menguante",
+
+    // ---- Favorites & alerts ----
+    "Favorite Spots": "Lugares favoritos",
+    "Save this spot": "Guardar este lugar",
+    "Export JSON": "Exportar JSON",
+    "Import JSON": "Importar JSON",
+    "That spot has no position to save.": "Ese lugar no tiene una posición que guardar.",
+    "Remove {name} from favorites?": "¿Quitar {name} de favoritos?",
+    "Imported 1 favorite.": "Se importó 1 favorito.",
+    "Imported {n} favorites.": "Se importaron {n} favoritos.",
+    "Import failed — expected a favorites JSON exported by this app.": "La importación falló: se esperaba un JSON de favoritos exportado por esta aplicación.",
+    "Name": "Nombre",
+    "Species": "Especie",
+    "Notes": "Notas",
+    "Launch spots, what worked, regulations…": "Puntos de botadura, lo que funcionó, normativa…",
+    "Point {coords}": "Punto {coords}",
+    "No favorites yet. Pick a water body (or click the map) and save it here.": "Aún no hay favoritos. Elige una masa de agua (o haz clic en el mapa) y guárdala aquí.",
+    "Custom point": "Punto personalizado",
+    "{label} now": "{label} ahora",
+    "Open": "Abrir",
+    "Edit": "Editar",
+    "Remove": "Quitar",
+    "Save": "Guardar",
+    "Cancel": "Cancelar",
+    "Alerts": "Alertas",
+    "Add alert": "Añadir alerta",
+    "Enable notifications": "Activar notificaciones",
+    "Checking forecasts…": "Comprobando previsiones…",
+    "Checked {age}": "Comprobado {age}",
+    "Alert check: {error}": "Comprobación de alertas: {error}",
+    "Save a favorite spot to set alerts on it.": "Guarda un lugar favorito para crear alertas en él.",
+    "Notifications are blocked for this site — alerts still land in the history below.": "Las notificaciones están bloqueadas para este sitio; las alertas siguen llegando al historial de abajo.",
+    "This browser can't show notifications — alerts still land in the history below.": "Este navegador no puede mostrar notificaciones; las alertas siguen llegando al historial de abajo.",
+    "Spot": "Lugar",
+    "When": "Cuándo",
+    "Score ≥": "Puntuación ≥",
+    "Days": "Días",
+    "Score reaches": "La puntuación alcanza",
+    "Pressure falling ahead of a front": "La presión baja ante un frente",
+    "Removed spot": "Lugar eliminado",
+    "Alert history": "Historial de alertas",
+    "Clear": "Borrar",
+    "not shown as a notification": "no se mostró como notificación",
+    "next 24 h": "próximas 24 h",
+    "next {n} days": "próximos {n} días",
+    "Score ≥ {score}%": "Puntuación ≥ {score}%",
+    "{spot}: front on the way": "{spot}: se acerca un frente",
+    "Pressure falling ahead of a front {span} — {species} often feed hard ({score}%).": "La presión baja ante un frente {span}: {species} suele comer con ganas ({score}%).",
+    "{span} at or above your {score}% alert.": "{span} en o por encima de tu alerta del {score}%.",
+
+    // ---- On-site readings & what-if ----
+    "My readings": "Mis lecturas",
+    "On-site readings describe today — switch the date to Today to enter them.": "Las lecturas in situ describen el día de hoy: cambia la fecha a Hoy para introducirlas.",
+    "Water temp ({unit})": "Temp. del agua ({unit})",
+    "Clarity": "Claridad",
+    "Clear water": "Clara",
+    "Stained": "Teñida",
+    "Muddy": "Turbia",
+    "Secchi depth ({unit})": "Profundidad Secchi ({unit})",
+    "Wind ({unit})": "Viento ({unit})",
+    "Sky": "Cielo",
+    "Sunny": "Soleado",
+    "Partly cloudy": "Parcialmente nublado",
+    "Overcast": "Cubierto",
+    "Saved for this spot today. Water temp and clarity apply all day; wind and sky to the {hour}:00 hour.": "Guardado para este lugar hoy. La temperatura y la claridad del agua valen todo el día; el viento y el cielo, para la hora de las {hour}:00.",
+    "Saved for this spot today. Water temp and clarity apply all day.": "Guardado para este lugar hoy. La temperatura y la claridad del agua valen todo el día.",
+    "Secchi depth is used over the clarity pick.": "La profundidad Secchi tiene prioridad sobre la claridad elegida.",
+    "What-if mode": "Modo hipotético",
+    "Reset to current": "Volver a lo actual",
+    "Exploring — the gauge, breakdown and gear show these made-up conditions, not the forecast.": "Explorando: el indicador, el desglose y el equipo muestran estas condiciones inventadas, no la previsión.",
+    "Water temp": "Temp. del agua",
+
+    // ---- Catch log & calibration ----
+    "Catch Log": "Diario de capturas",
+    "Saved on this device. Each entry keeps a snapshot of the conditions and score shown when you logged it.": "Guardado en este dispositivo. Cada entrada conserva las condiciones y la puntuación que se mostraban al registrarla.",
+    "Log a catch": "Registrar una captura",
+    "Export CSV": "Exportar CSV",
+    "Export GPX": "Exportar GPX",
+    "Import CSV/GPX": "Importar CSV/GPX",
+    "Catch log unavailable in this browser (IndexedDB blocked).": "El diario de capturas no está disponible en este navegador (IndexedDB bloqueado).",
+    "Couldn’t save that entry.": "No se pudo guardar esa entrada.",
+    "Couldn’t delete that entry.": "No se pudo eliminar esa entrada.",
+    "Delete {species} on {date}?": "¿Eliminar {species} del {date}?",
+    "Imported 1 entry.": "Se importó 1 entrada.",
+    "Imported {n} entries.": "Se importaron {n} entradas.",
+    "Import failed — expected a CSV or GPX exported by this app or a mapping tool.": "La importación falló: se esperaba un CSV o GPX exportado por esta aplicación o por una herramienta de mapas.",
+    "Count (0 = skunked)": "Cantidad (0 = bolo)",
+    "Length ({unit})": "Longitud ({unit})",
+    "Weight ({unit})": "Peso ({unit})",
+    "Lure / fly": "Señuelo / mosca",
+    "Lat": "Lat",
+    "Lon": "Lon",
+    "Conditions snapshot: score {score}% · water {temp} at {site}": "Condiciones guardadas: puntuación {score}% · agua a {temp} en {site}",
+    "No catches logged yet.": "Aún no hay capturas registradas.",
+    "Catch": "Captura",
+    "Size": "Tamaño",
+    "Score then": "Puntuación entonces",
+    "Skunked ({species})": "Bolo ({species})",
+    "Delete": "Eliminar",
+    "Score Calibration": "Calibración de la puntuación",
+    "Show a calibrated score learned from my logged trips": "Mostrar una puntuación calibrada a partir de mis salidas registradas",
+    "Based on 1 trip so far — log at least {min} (including skunked trips, count 0) to calibrate.": "Basado en 1 salida por ahora: registra al menos {min} (incluidas las de bolo, cantidad 0) para calibrar.",
+    "Based on {n} trips so far — log at least {min} (including skunked trips, count 0) to calibrate.": "Basado en {n} salidas por ahora: registra al menos {min} (incluidas las de bolo, cantidad 0) para calibrar.",
+    "Based on {n} trips ({fish} with fish, {skunks} skunked) at {water}.": "Basado en {n} salidas ({fish} con peces, {skunks} de bolo) en {water}.",
+    "Based on {n} trips ({fish} with fish, {skunks} skunked) across all your waters.": "Basado en {n} salidas ({fish} con peces, {skunks} de bolo) en todas tus aguas.",
+    "Log skunked trips too so factor weights can be learned.": "Registra también las salidas de bolo para poder aprender el peso de cada factor.",
+    "Temperature bands:": "Rangos de temperatura:",
+
+    // ---- Weather source & cache ----
+    "Weather Source": "Fuente meteorológica",
+    "Worldwide, includes the past few days": "Todo el mundo, incluye los últimos días",
+    "United States only, forecast days only": "Solo Estados Unidos, solo días de previsión",
+    "no pressure data, so no front detection": "sin datos de presión, así que no detecta frentes",
+    "Base URL": "URL base",
+    "{provider} base URL": "URL base de {provider}",
+    "Reset": "Restablecer",
+    "Compare providers side by side": "Comparar proveedores lado a lado",
+    "Provider": "Proveedor",
+    "Score": "Puntuación",
+    "Air": "Aire",
+    "in use": "en uso",
+    "Loading…": "Cargando…",
+    "NWS has no forecast grid for this location (US only)": "El NWS no tiene cuadrícula de previsión para esta ubicación (solo EE. UU.)",
+    "Cached Data": "Datos guardados",
+    "Responses are kept on this device and shown right away; anything past its fresh window is refreshed in the background. Least-recently-used entries are dropped once the cache passes 20 MB.": "Las respuestas se guardan en este dispositivo y se muestran al instante; lo que ha caducado se actualiza en segundo plano. Las entradas menos usadas se descartan cuando la caché supera los 20 MB.",
+    "Cache unavailable in this browser (IndexedDB blocked).": "La caché no está disponible en este navegador (IndexedDB bloqueado).",
+    "Cleared {source}.": "Se borró {source}.",
+    "Cleared all cached data.": "Se borraron todos los datos guardados.",
+    "Cleared offline map tiles.": "Se borraron las teselas del mapa sin conexión.",
+    "Cleared offline copies of API responses.": "Se borraron las copias sin conexión de las respuestas de la API.",
+    "Couldn’t clear the cached data.": "No se pudieron borrar los datos guardados.",
+    "Couldn’t clear the offline copies.": "No se pudieron borrar las copias sin conexión.",
+    "Source": "Fuente",
+    "Fresh for": "Válido durante",
+    "Entries": "Entradas",
+    "Oldest": "Más antiguo",
+    "Total": "Total",
+    "Clear all": "Borrar todo",
+    "Browser storage in use: {used} of {quota}": "Almacenamiento del navegador en uso: {used} de {quota}",
+    "Clear offline map tiles": "Borrar teselas del mapa sin conexión",
+    "Clear offline API copies": "Borrar copias sin conexión de la API",
+    "{n} h": "{n} h",
+    "{n} d": "{n} d",
+    "Water body lists (USGS / OSM)": "Listas de masas de agua (USGS / OSM)",
+    "USGS gauge readings": "Lecturas de estaciones USGS",
+    "USGS flow statistics": "Estadísticas de caudal USGS",
+    "Open-Meteo forecasts": "Previsiones de Open-Meteo",
+    "Air temperature history": "Historial de temperatura del aire",
+    "Nearby access (Overpass)": "Accesos cercanos (Overpass)",
+    "Water body outlines (OSM)": "Contornos de masas de agua (OSM)",
+    "Data: Open-Meteo, National Weather Service, USGS, OpenStreetMap. Some values may be estimated when hydrology is unavailable.": "Datos: Open-Meteo, National Weather Service, USGS, OpenStreetMap. Algunos valores pueden ser estimados cuando no hay datos hidrológicos.",
+
+    // ---- Errors & units ----
+    "The data service": "El servicio de datos",
+    "{source} didn’t respond in time. Try again shortly.": "{source} no respondió a tiempo. Vuelve a intentarlo en breve.",
+    "Couldn’t reach {source} — check your connection.": "No se pudo conectar con {source}: revisa tu conexión.",
+    "{source} is rate-limiting requests. Wait a minute and retry.": "{source} está limitando las solicitudes. Espera un minuto y vuelve a intentarlo.",
+    "{source} is having trouble (HTTP {status}).": "{source} tiene problemas (HTTP {status}).",
+    "{source} rejected the request (HTTP {status}).": "{source} rechazó la solicitud (HTTP {status}).",
+    "{source} sent a response we couldn’t read.": "{source} envió una respuesta que no pudimos leer.",
+    "Something went wrong loading data.": "Algo salió mal al cargar los datos.",
+    "{n} sq mi": "{n} mi²",
+    "{n} acres": "{n} acres",
+  },
+
+  species: {
+    "Largemouth Bass": "Lobina negra",
+    "Smallmouth Bass": "Lobina de boca chica",
+    "Striped Bass": "Lubina estriada",
+    "White Bass": "Lobina blanca",
+    "Walleye": "Lucioperca americana",
+    "Sauger": "Lucioperca canadiense",
+    "Northern Pike": "Lucio",
+    "Muskellunge": "Muskellunge",
+    "Chain Pickerel": "Lucio cadena",
+    "Crappie": "Crappie",
+    "Bluegill": "Mojarra oreja azul",
+    "Sunfish": "Pez sol",
+    "Yellow Perch": "Perca amarilla",
+    "White Perch": "Perca blanca",
+    "Channel Catfish": "Bagre de canal",
+    "Flathead Catfish": "Bagre cabeza plana",
+    "Blue Catfish": "Bagre azul",
+    "Common Carp": "Carpa común",
+    "Rainbow Trout": "Trucha arcoíris",
+    "Brown Trout": "Trucha común",
+    "Brook Trout": "Trucha de arroyo",
+    "Lake Trout": "Trucha de lago",
+    "Cutthroat Trout": "Trucha degollada",
+    "Steelhead": "Steelhead",
+    "Kokanee Salmon": "Salmón kokanee",
+    "Chinook Salmon": "Salmón chinook",
+    "Coho Salmon": "Salmón coho",
+    "Sockeye Salmon": "Salmón rojo",
+    "Burbot": "Lota",
+    "Whitefish": "Corégono",
+    "Grayling": "Tímalo",
+    "Gar": "Pejelagarto",
+    "Bowfin": "Amia",
+    "Hybrid Striper": "Lubina híbrida",
+  },
+};
@@ -0,0 +1,613 @@
+/* messages-fr.js — French catalog for i18n.js: UI text, species common names
+   (Quebec usage) and gear recommendations, keyed by the English text. */
+
+export default {
+  messages: {
+    // ---- Header, location & dates ----
+    "Freshwater Fishing Predictor": "Prévisions de pêche en eau douce",
+    "Brought to you by Mike Jones and Jim Weaver. May your lure always find a fish! Copyright 2025.": "Proposé par Mike Jones et Jim Weaver. Que votre leurre trouve toujours un poisson ! Copyright 2025.",
+    "Some data couldn’t be refreshed": "Certaines données n’ont pas pu être actualisées",
+    "You’re offline": "Vous êtes hors ligne",
+    "showing cached data from {age} ({time}).": "affichage des données en cache d’il y a {age} ({time}).",
+    "showing cached data.": "affichage des données en cache.",
+    "Scores reflect those conditions, not live ones.": "Les scores reflètent ces conditions, pas les conditions actuelles.",
+    "Location": "Emplacement",
+    "Use Current Location": "Utiliser ma position",
+    "Geolocation not supported": "Géolocalisation non prise en charge",
+    "City / State or Landmark (e.g., Marion, Indiana)": "Ville / État ou lieu (p. ex. Marion, Indiana)",
+    "City or state or landmark": "Ville, État ou lieu",
+    "Find": "Chercher",
+    "Couldn’t find that location. Try city and state (e.g., Boise, Idaho).": "Emplacement introuvable. Essayez ville et État (p. ex. Boise, Idaho).",
+    "Search failed.": "La recherche a échoué.",
+    "Travel radius: {radius}": "Rayon de déplacement : {radius}",
+    "Radius": "Rayon",
+    "Units": "Unités",
+    "Unit system": "Système d’unités",
+    "Imperial (°F, mph, mi)": "Impérial (°F, mph, mi)",
+    "Metric (°C, km/h, km)": "Métrique (°C, km/h, km)",
+    "Mixed (°C, km/h, km; ft, in, lb)": "Mixte (°C, km/h, km ; pi, po, lb)",
+    "Language": "Langue",
+    "Fishing date": "Date de pêche",
+    "Date selector": "Sélecteur de date",
+    "Today": "Aujourd’hui",
+    "Download this area for offline": "Télécharger cette zone pour le mode hors ligne",
+    "Downloading map tiles…": "Téléchargement des tuiles de carte…",
+    "Saved {n} map tiles for offline use": "{n} tuiles de carte enregistrées pour le mode hors ligne",
+    "({n} failed)": "({n} en échec)",
+    "Weather and gauge data for sites you open are cached as you go.": "Les données météo et de station des sites que vous ouvrez sont mises en cache au fur et à mesure.",
+    "Offline areas:": "Zones hors ligne :",
+    "Offline mode isn't active yet — reload the page once and try again.": "Le mode hors ligne n’est pas encore actif — rechargez la page une fois puis réessayez.",
+    "unknown age": "âge inconnu",
+    "{n} min ago": "il y a {n} min",
+    "{n} h ago": "il y a {n} h",
+    "{n} d ago": "il y a {n} j",
+
+    // ---- Water body & map ----
+    "Water Body": "Plan d’eau",
+    "Map outlines:": "Contours sur la carte :",
+    "Tip: Click a water outline on the map to select it, or anywhere else to set your location manually.": "Astuce : cliquez sur le contour d’un plan d’eau pour le sélectionner, ou ailleurs pour définir votre position manuellement.",
+    "Water body selector": "Sélecteur de plan d’eau",
+    "Current Location": "Position actuelle",
+    "No nearby water bodies found.": "Aucun plan d’eau trouvé à proximité.",
+    "gauged": "avec station",
+    "Name:": "Nom :",
+    "Type:": "Type :",
+    "{n} mapped segments": "{n} tronçons cartographiés",
+    "Gauge:": "Station :",
+    "{distance} away": "à {distance}",
+    "Surface area:": "Superficie :",
+    "Length:": "Longueur :",
+    "{length} mapped in the {radius} search area": "{length} cartographiés dans la zone de recherche de {radius}",
+    "Coords:": "Coordonnées :",
+    "Open in Google Maps": "Ouvrir dans Google Maps",
+    "Open in Apple Maps": "Ouvrir dans Plans d’Apple",
+    "Share this prediction": "Partager cette prévision",
+    "{species} at {site}": "{species} à {site}",
+    "this spot": "ce coin",
+    "Link copied to clipboard.": "Lien copié dans le presse-papiers.",
+    "Copy this link:": "Copiez ce lien :",
+    "Map of location and water body": "Carte de la position et du plan d’eau",
+    "Map layers": "Calques de la carte",
+    "Your location": "Votre position",
+    "Directions:": "Itinéraire :",
+    "Lake": "Lac",
+    "River": "Rivière",
+    "Reservoir": "Réservoir",
+    "Pond": "Étang",
+    "Water": "Plan d’eau",
+    "Boat ramps": "Rampes de mise à l’eau",
+    "Boat ramp": "Rampe de mise à l’eau",
+    "Bait & tackle": "Appâts et articles de pêche",
+    "Bait shop": "Boutique d’appâts",
+    "Fishing piers": "Quais de pêche",
+    "Pier": "Quai",
+    "Public access": "Accès public",
+    "Fishing access": "Accès de pêche",
+    "Parking near water": "Stationnement près de l’eau",
+    "Parking": "Stationnement",
+
+    // ---- Species & score ----
+    "Target Species": "Espèce visée",
+    "Weather:": "Météo :",
+    "Gauge readings:": "Relevés de la station :",
+    "Water-temperature estimate:": "Estimation de la température de l’eau :",
+    "8-day outlook:": "Tendance sur 8 jours :",
+    "Species selector": "Sélecteur d’espèce",
+    "Or type a specific fish species": "Ou saisissez une espèce précise",
+    "Type a specific fish species": "Saisissez une espèce précise",
+    "Species list estimated for cold-water conditions based on temperature.": "Liste d’espèces estimée pour des eaux froides selon la température.",
+    "Species list estimated for warm-water conditions based on temperature.": "Liste d’espèces estimée pour des eaux chaudes selon la température.",
+    "Unknown species — using general freshwater model.": "Espèce inconnue — modèle général d’eau douce utilisé.",
+    "seasonal phase for {species}": "phase saisonnière du {species}",
+    "Spawning season: many waters close or go catch-and-release for this species now. Check local regulations, steer clear of beds and redds, and release fish quickly.": "Période de fraie : de nombreux plans d’eau ferment ou passent en remise à l’eau pour cette espèce. Consultez la réglementation locale, évitez les nids et les frayères et remettez les poissons à l’eau rapidement.",
+    "Calibrated for you:": "Calibré pour vous :",
+    "default {score}%": "par défaut {score} %",
+    "Conditions at {time} — tap an hour below to change": "Conditions à {time} — touchez une heure ci-dessous pour changer",
+    "Excellent": "Excellent",
+    "Good": "Bon",
+    "Average": "Moyen",
+    "Poor": "Faible",
+    "Success {score}% {label}": "Succès {score} % {label}",
+    "Hourly success score": "Score de succès horaire",
+    "Why {score}%?": "Pourquoi {score} % ?",
+    "{n} points": "{n} points",
+    "(capped at 100)": "(plafonné à 100)",
+    "1 factor without data": "1 facteur sans données",
+    "{n} factors without data": "{n} facteurs sans données",
+    "{label}: {points} of {max} points": "{label} : {points} sur {max} points",
+    "measured": "mesuré",
+    "estimated": "estimé",
+    "no data": "aucune donnée",
+    "calculated": "calculé",
+    "manual": "manuel",
+    "what-if": "simulé",
+    "Pre-spawn": "Préfraie",
+    "Spawn": "Fraie",
+    "Post-spawn": "Postfraie",
+    "Summer pattern": "Régime d’été",
+    "Fall feed": "Alimentation d’automne",
+    "Winter": "Hiver",
+
+    // ---- Score factors ----
+    "Water temperature": "Température de l’eau",
+    "Wind": "Vent",
+    "Cloud cover": "Couverture nuageuse",
+    "Pressure": "Pression",
+    "Water clarity": "Clarté de l’eau",
+    "Turbidity": "Turbidité",
+    "Moon & solunar": "Lune et solunaire",
+    "Seasonal phase": "Phase saisonnière",
+    "River flow": "Débit de la rivière",
+    "{temp} water is in {species}'s {range} sweet spot": "Une eau à {temp} est dans la plage idéale du {species} ({range})",
+    "{temp} water is colder than {species} tolerate well — they want {range}": "Une eau à {temp} est plus froide que ce que tolère bien le {species} — il préfère {range}",
+    "{temp} water is warmer than {species} tolerate well — they want {range}": "Une eau à {temp} est plus chaude que ce que tolère bien le {species} — il préfère {range}",
+    "{temp} water is a little cool; best is {range}": "Une eau à {temp} est un peu fraîche ; l’idéal est {range}",
+    "{temp} water is a little warm; best is {range}": "Une eau à {temp} est un peu chaude ; l’idéal est {range}",
+    "a river": "une rivière",
+    "still water": "une eau calme",
+    "{speed} is close to the ~{target} that suits {water}": "{speed} est proche des ~{target} qui conviennent à {water}",
+    "{speed} is calmer than the ~{target} that suits {water}": "{speed} est plus calme que les ~{target} qui conviennent à {water}",
+    "{speed} is windier than the ~{target} that suits {water}": "{speed} est plus venteux que les ~{target} qui conviennent à {water}",
+    "low light": "une faible luminosité",
+    "moderate light": "une luminosité moyenne",
+    "bright light": "une forte luminosité",
+    "{pct}% cloud; {species} prefer {light} (about {target}% cover)": "{pct} % de nuages ; le {species} préfère {light} (environ {target} % de couverture)",
+    "a moderate reading": "une valeur modérée",
+    "high": "élevé",
+    "low": "bas",
+    "{pressure} is {level}": "{pressure}, c’est {level}",
+    "{fnu} FNU is close to the ~{ideal} FNU {species} like": "{fnu} FNU est proche des ~{ideal} FNU qu’aime le {species}",
+    "{fnu} FNU is clearer than the ~{ideal} FNU {species} like": "{fnu} FNU est plus clair que les ~{ideal} FNU qu’aime le {species}",
+    "{fnu} FNU is murkier than the ~{ideal} FNU {species} like": "{fnu} FNU est plus trouble que les ~{ideal} FNU qu’aime le {species}",
+    "moon phase unknown": "phase lunaire inconnue",
+    "near the new moon": "près de la nouvelle lune",
+    "near the full moon": "près de la pleine lune",
+    "quarter moon": "lune en quartier",
+    "Between solunar periods, {moon}": "Entre deux périodes solunaires, {moon}",
+    "Major solunar period this hour, {moon}": "Période solunaire majeure à cette heure, {moon}",
+    "Minor solunar period this hour, {moon}": "Période solunaire mineure à cette heure, {moon}",
+    "{phase} for {species}": "{phase} du {species}",
+    "{pct} percentile flow for the date — {state}": "Débit au {pct} centile pour la date — {state}",
+    "No data — given a fixed {points} points": "Aucune donnée — {points} points fixes attribués",
+    " (no data; assumed)": " (aucune donnée ; supposé)",
+
+    // ---- Conditions ----
+    "Lag model for a {water} (τ ≈ {tau} days) from {days} days of air temps": "Modèle à retard pour {water} (τ ≈ {tau} jours) à partir de {days} jours de températures de l’air",
+    "river": "une rivière",
+    "small pond": "un petit étang",
+    "lake": "un lac",
+    "large lake": "un grand lac",
+    "est. {range}": "est. {range}",
+    "rough estimate: air − {delta}": "estimation grossière : air − {delta}",
+    "model {temp} ({diff} vs gauge)": "modèle {temp} ({diff} par rapport à la station)",
+    "Cloud": "Nuages",
+    "Flow": "Débit",
+    "Median for this date: {flow} ({n} yrs)": "Médiane pour cette date : {flow} ({n} ans)",
+    "{pct} percentile for today — {state}": "{pct} centile pour aujourd’hui — {state}",
+    "blown out": "en crue",
+    "high and muddy": "haut et boueux",
+    "normal": "normal",
+    "low and clear": "bas et clair",
+    "Steady pressure": "Pression stable",
+    "Falling ahead of a front — fish often feed hard": "En baisse avant un front — les poissons se nourrissent souvent activement",
+    "Bluebird sky behind a front — expect a tough bite": "Ciel bleu derrière un front — attendez-vous à des touches difficiles",
+    "Front just passed — fish may be sluggish": "Un front vient de passer — les poissons peuvent être apathiques",
+    "Slowly falling — good feeding trend": "En lente baisse — bonne tendance alimentaire",
+    "Rising — bite may slow": "En hausse — les touches peuvent ralentir",
+    "rising": "en hausse",
+    "falling": "en baisse",
+    "stable": "stable",
+    "front approaching": "front en approche",
+    "front passed": "front passé",
+    "Water-temp model vs USGS gauges: ±{err} average error over 1 check ({pct}% inside the range).": "Modèle de température de l’eau vs stations USGS : erreur moyenne de ±{err} sur 1 vérification ({pct} % dans la plage).",
+    "Water-temp model vs USGS gauges: ±{err} average error over {n} checks ({pct}% inside the range).": "Modèle de température de l’eau vs stations USGS : erreur moyenne de ±{err} sur {n} vérifications ({pct} % dans la plage).",
+    "No forecast for this hour.": "Aucune prévision pour cette heure.",
+    "no forecast": "aucune prévision",
+
+    // ---- Gear ----
+    "Rod (conventional):": "Canne (conventionnelle) :",
+    "Lures/Baits:": "Leurres/appâts :",
+    "Locations:": "Endroits :",
+    "Fly Fishing Recommendations": "Recommandations pour la pêche à la mouche",
+    "Fly Rod/Line:": "Canne/soie à mouche :",
+    "Flies:": "Mouches :",
+    "Presentation:": "Présentation :",
+    "Medium spinning rod, {line} line": "Canne à lancer léger moyenne, fil de {line}",
+    "Light/medium-light spinning rod, {line} line": "Canne à lancer léger légère/moyenne-légère, fil de {line}",
+    "Medium or medium-heavy rod, {line} line": "Canne moyenne ou moyenne-lourde, fil de {line}",
+    "Heavy rod, {line} braid + leader": "Canne lourde, tresse de {line} + bas de ligne",
+    "Feeds mostly: {periods}": "Se nourrit surtout : {periods}",
+    "dawn": "à l’aube",
+    "day": "le jour",
+    "dusk": "au crépuscule",
+    "night": "la nuit",
+    "5wt medium-fast, WF floating line, {leader} leader": "Soie 5 action moyenne-rapide, soie WF flottante, bas de ligne {leader}",
+    "8–10wt, WF floating or intermediate, {leader} {line} bite leader": "Soie 8–10, WF flottante ou intermédiaire, bas de ligne {leader} avec avançon anti-coupure de {line}",
+    "6–7wt, floating/sink-tip, {leader} leader": "Soie 6–7, flottante/à pointe plongeante, bas de ligne {leader}",
+    "4–5wt, WF floating, {leader} leader": "Soie 4–5, WF flottante, bas de ligne {leader}",
+    "Suspending jerkbait": "Jerkbait suspendu",
+    "Lipless crankbait (red/craw)": "Crankbait sans bavette (rouge/écrevisse)",
+    "Jig & craw trailer": "Jig avec trailer écrevisse",
+    "Slow-rolled spinnerbait": "Spinnerbait ramené lentement",
+    "Jig & minnow (slow)": "Jig et ménés (lent)",
+    "Blade bait": "Leurre à lame vibrante",
+    "Live minnow under a slip float": "Méné vivant sous flotteur coulissant",
+    "Small spoon": "Petite cuillère ondulante",
+    "Inline spinner": "Cuillère tournante",
+    "Minnow plug (natural)": "Poisson-nageur (naturel)",
+    "Wacky-rigged stick worm": "Ver stick monté wacky",
+    "Soft plastic lizard/creature bait": "Leurre souple lézard/créature",
+    "Weightless fluke": "Fluke sans plomb",
+    "Small jig & soft plastic (off the spawning areas)": "Petit jig et leurre souple (hors des frayères)",
+    "Crankbait on adjacent breaks": "Crankbait sur les cassures voisines",
+    "Small spinner or spoon in deeper runs below spawning gravel": "Petite cuillère dans les veines plus profondes sous les graviers de fraie",
+    "Walking topwater": "Leurre de surface walking",
+    "Swimbait (shad)": "Swimbait (alose)",
+    "Shaky-head worm": "Ver sur tête shaky",
+    "Swimbait (natural)": "Swimbait (naturel)",
+    "Jig & minnow": "Jig et méné",
+    "Shallow crankbait": "Crankbait peu plongeant",
+    "Egg pattern drift": "Imitation d’œuf à la dérive",
+    "Lipless crankbait": "Crankbait sans bavette",
+    "Squarebill crank": "Crankbait à bavette carrée",
+    "Spinnerbait (shad)": "Spinnerbait (alose)",
+    "Topwater early/late": "Surface tôt/tard",
+    "Large swimbait": "Gros swimbait",
+    "Jerkbait": "Jerkbait",
+    "Big bucktail": "Gros bucktail",
+    "Minnow plug": "Poisson-nageur",
+    "Spoon": "Cuillère ondulante",
+    "Jigging spoon": "Cuillère à jigger",
+    "Hair jig (slow)": "Jig en poils (lent)",
+    "Drop-shot minnow": "Méné en drop-shot",
+    "Jigging rap / swimming jig": "Jigging rap / jig nageur",
+    "Live minnow (tip-up or slip float)": "Méné vivant (brimbale ou flotteur coulissant)",
+    "Small jig & wax worm": "Petit jig et ver de cire",
+    "Slow-drifted nymph/egg under a float": "Nymphe/œuf en dérive lente sous flotteur",
+    "Spinnerbait (chartreuse)": "Spinnerbait (chartreuse)",
+    "Spinnerbait (white)": "Spinnerbait (blanc)",
+    "Texas-rigged worm": "Ver monté texan",
+    "Jig & trailer": "Jig et trailer",
+    "Crankbait (squarebill in shallow cover)": "Crankbait (bavette carrée dans les abris peu profonds)",
+    "Jerkbait (suspending)": "Jerkbait (suspendu)",
+    "Vibrating blade bait": "Leurre à lame vibrante",
+    "Bucktail inline spinner": "Cuillère tournante bucktail",
+    "Deep diving crank": "Crankbait très plongeant",
+    "Inline spinner (gold/silver)": "Cuillère tournante (or/argent)",
+    "Egg pattern drift (float)": "Imitation d’œuf à la dérive (flotteur)",
+    "Secondary points near spawning bays": "Pointes secondaires près des baies de fraie",
+    "Channel swings & first breaks": "Courbes du chenal et premières cassures",
+    "Sun-warmed north-shore pockets": "Anses de la rive nord réchauffées par le soleil",
+    "Slack water below dams & riffles": "Eaux calmes sous les barrages et les rapides",
+    "Eddies next to spawning gravel": "Remous près des graviers de fraie",
+    "Tributary mouths": "Embouchures des affluents",
+    "Protected shallow bays & flats (sight-fish, don’t target beds)": "Baies et hauts-fonds abrités (pêche à vue, sans viser les nids)",
+    "Hard-bottom shallows": "Hauts-fonds à fond dur",
+    "Outside edges of spawning areas": "Bordures extérieures des frayères",
+    "Runs below spawning gravel (leave redds alone)": "Veines sous les graviers de fraie (laissez les frayères tranquilles)",
+    "Slow side channels": "Chenaux secondaires lents",
+    "Backwater edges": "Bordures des eaux mortes",
+    "First drop-off beside spawning flats": "Première cassure près des hauts-fonds de fraie",
+    "Docks & shade": "Quais et ombre",
+    "Emerging weedlines": "Herbiers naissants",
+    "Deeper runs below shallows": "Veines plus profondes sous les hauts-fonds",
+    "Current seams near spawning areas": "Lignes de courant près des frayères",
+    "Shade under overhanging cover": "Ombre sous la végétation en surplomb",
+    "Creek arms following baitfish": "Bras de ruisseau, en suivant les poissons-fourrage",
+    "Windblown points": "Pointes battues par le vent",
+    "Remaining green weeds": "Herbiers encore verts",
+    "Deep outside bends": "Méandres extérieurs profonds",
+    "Wintering-hole edges": "Bordures des fosses d’hivernage",
+    "Slack water near bait schools": "Eaux calmes près des bancs de poissons-fourrage",
+    "Deep basins & steep breaks": "Bassins profonds et cassures abruptes",
+    "Main-lake humps": "Bosses du lac principal",
+    "Around warm-water discharges": "Autour des rejets d’eau chaude",
+    "Deep slow pools": "Fosses profondes et lentes",
+    "Below dams (warmer, oxygenated)": "Sous les barrages (plus chaud, oxygéné)",
+    "Eddies out of the main current": "Remous à l’écart du courant principal",
+    "Backwaters & oxbows": "Eaux mortes et bras morts",
+    "Slack water behind wood/rock": "Eaux calmes derrière le bois/les roches",
+    "Creek mouths": "Embouchures de ruisseaux",
+    "Current breaks": "Cassures de courant",
+    "Eddy seams": "Lignes de remous",
+    "Deep pools": "Fosses profondes",
+    "Riffle tails at first/last light": "Queues de rapides aux premières/dernières lueurs",
+    "Points & windblown banks": "Pointes et berges battues par le vent",
+    "Weedlines": "Bordures d’herbiers",
+    "Drop-offs": "Tombants",
+    "Shallow flats (low light)": "Hauts-fonds (faible luminosité)",
+    "Bunny Leech": "Bunny Leech",
+    "Clouser Minnow": "Clouser Minnow",
+    "Crayfish (slow-stripped)": "Écrevisse (ramenée lentement)",
+    "Slow strips with long pauses along staging breaks": "Tirées lentes avec longues pauses le long des cassures de rassemblement",
+    "Small Woolly Bugger": "Petit Woolly Bugger",
+    "Damsel nymph": "Nymphe de demoiselle",
+    "Fish the edges and deeper water; leave spawning fish on beds/redds alone": "Pêchez les bordures et l’eau plus profonde ; laissez tranquilles les poissons sur les nids/frayères",
+    "Foam Popper": "Popper en mousse",
+    "Deceiver": "Deceiver",
+    "Egg pattern (behind spawning trout/salmon)": "Imitation d’œuf (derrière les truites/saumons en fraie)",
+    "Topwater early, then baitfish patterns over the first drop": "Surface tôt, puis imitations de poissons-fourrage sur la première cassure",
+    "Game Changer": "Game Changer",
+    "Sculpin streamer": "Streamer chabot",
+    "Egg pattern": "Imitation d’œuf",
+    "Bigger streamers; fish follow baitfish — cover water": "Streamers plus gros ; les poissons suivent les poissons-fourrage — couvrez du terrain",
+    "Zebra Midge": "Zebra Midge",
+    "Small Pheasant Tail": "Petite Pheasant Tail",
+    "Slow-sinking leech": "Sangsue à coulée lente",
+    "Deep and slow: indicator nymphing or hand-twist retrieves": "Profond et lent : nymphe sous indicateur ou récupération à la main",
+    "Woolly Bugger (olive/black)": "Woolly Bugger (olive/noir)",
+    "Pheasant Tail Nymph": "Nymphe Pheasant Tail",
+    "Hare’s Ear Nymph": "Nymphe Hare’s Ear",
+    "Elk Hair Caddis": "Elk Hair Caddis",
+    "Adams Parachute": "Adams Parachute",
+    "Dead-drift nymphs; swing buggers; dry flies at hatch or low light": "Nymphes en dérive naturelle ; buggers en swing ; sèches pendant les éclosions ou en faible luminosité",
+    "Slow hand-twist retrieves near drop-offs; wind lanes at dawn/dusk": "Récupération lente à la main près des tombants ; couloirs de vent à l’aube/au crépuscule",
+    "Foam Popper (bright)": "Popper en mousse (vif)",
+    "Foam Popper (natural)": "Popper en mousse (naturel)",
+    "Crayfish (tan/olive)": "Écrevisse (beige/olive)",
+    "Popper over seams; strip streamers across current; target wood/rock": "Popper sur les lignes de courant ; streamers tirés en travers du courant ; visez le bois/les roches",
+    "Popper over weed edges; strip-baitfish over points and flats": "Popper sur les bordures d’herbiers ; imitations de poissons-fourrage tirées sur les pointes et hauts-fonds",
+    "Large Deceiver": "Gros Deceiver",
+    "Flashabou Pike Fly (bright)": "Mouche à brochet Flashabou (vive)",
+    "Flashabou Pike Fly (natural)": "Mouche à brochet Flashabou (naturelle)",
+    "Clouser Minnow (heavy eyes)": "Clouser Minnow (yeux lourds)",
+    "Big streamers across current breaks; pace retrieves; rest in eddies": "Gros streamers en travers des cassures de courant ; variez le rythme ; pauses dans les remous",
+    "Count-down streamers along breaks; steady strip with pauses": "Streamers comptés en profondeur le long des cassures ; tirées régulières avec pauses",
+
+    // ---- Ranking & outlook ----
+    "Where Should I Go?": "Où aller ?",
+    "Rank all {n} water bodies": "Classer les {n} plans d’eau",
+    "Distance": "Distance",
+    "Ignore distance": "Ignorer la distance",
+    "Prefer closer": "Préférer les plus proches",
+    "Stay close": "Rester à proximité",
+    "Loading {what}…": "Chargement : {what}…",
+    "Weather": "Météo",
+    "Air-temperature history": "Historique de température de l’air",
+    "Gauges": "Stations",
+    "{provider} has no batch lookup, so sites within about {cell} share one forecast and only the nearest {n} areas are fetched. River-flow percentiles aren’t part of the ranking; open a site to see them.": "{provider} n’accepte pas les requêtes groupées : les sites distants de moins d’environ {cell} partagent une même prévision et seules les {n} zones les plus proches sont récupérées. Les centiles de débit ne comptent pas dans le classement ; ouvrez un site pour les voir.",
+    "Each site’s forecast is fetched for its own location in small throttled batches and cached. River-flow percentiles aren’t part of the ranking; open a site to see them.": "La prévision de chaque site est récupérée pour son propre emplacement, par petits lots espacés, et mise en cache. Les centiles de débit ne comptent pas dans le classement ; ouvrez un site pour les voir.",
+    "Water body": "Plan d’eau",
+    "Peak score": "Score maximal",
+    "Rank": "Classement",
+    "No weather for this spot": "Aucune météo pour ce coin",
+    "estimated water temperature": "température de l’eau estimée",
+    "Rank = peak score minus the distance penalty": "Classement = score maximal moins la pénalité de distance",
+    "Species you might try today (If available in your area)": "Espèces à essayer aujourd’hui (si présentes dans votre région)",
+    "No standouts right now. Try adjusting time, radius, or target water.": "Rien ne se démarque pour l’instant. Essayez de changer l’heure, le rayon ou le plan d’eau.",
+    "8-Day Outlook": "Tendance sur 8 jours",
+    "Tap a day to load it above. ★ marks the best day to go.": "Touchez un jour pour l’afficher ci-dessus. ★ marque le meilleur jour pour y aller.",
+    "Day": "Jour",
+    "Peak": "Maximum",
+    "Best window": "Meilleur créneau",
+    "Moon": "Lune",
+    "major": "majeure",
+    "minor": "mineure",
+
+    // ---- Nearby access & best times ----
+    "Nearby Access": "Accès à proximité",
+    "From OpenStreetMap via Overpass (free), within {radius} ({parking} for parking). Use the map layer toggles to filter.": "Données OpenStreetMap via Overpass (gratuit), dans un rayon de {radius} ({parking} pour le stationnement). Utilisez les calques de la carte pour filtrer.",
+    "No public access information is currently available. Check local regulations and fishery management for public access information.": "Aucune information d’accès public n’est disponible. Consultez la réglementation locale et les gestionnaires de la pêche pour connaître les accès publics.",
+    "Best Times (today)": "Meilleures heures (aujourd’hui)",
+    "score {score}": "score {score}",
+    "solunar major": "solunaire majeure",
+    "solunar minor": "solunaire mineure",
+    "Moon:": "Lune :",
+    "{pct}% illuminated": "{pct} % éclairée",
+    "Major periods:": "Périodes majeures :",
+    "Minor periods:": "Périodes mineures :",
+    "none": "aucune",
+    "moon overhead": "lune au zénith",
+    "moon underfoot": "lune au nadir",
+    "moonrise": "lever de lune",
+    "moonset": "coucher de lune",
+    "New Moon": "Nouvelle lune",
+    "Waxing Crescent": "Premier croissant",
+    "First Quarter": "Premier quartier",
+    "Waxing Gibbous": "Gibbeuse croissante",
+    "Full Moon": "Pleine lune",
+    "Waning Gibbous": "Gibbeuse décroissante",
+    "Last Quarter": "Dernier quartier",
+    "Waning Crescent": "Dernier croissant",
+
+    // ---- Favorites & alerts ----
+    "Favorite Spots": "Coins favoris",
+    "Save this spot": "Enregistrer ce coin",
+    "Export JSON": "Exporter en JSON",
+    "Import JSON": "Importer un JSON",
+    "That spot has no position to save.": "Ce coin n’a pas de position à enregistrer.",
+    "Remove {name} from favorites?": "Retirer {name} des favoris ?",
+    "Imported 1 favorite.": "1 favori importé.",
+    "Imported {n} favorites.": "{n} favoris importés.",
+    "Import failed — expected a favorites JSON exported by this app.": "Échec de l’importation — un JSON de favoris exporté par cette application était attendu.",
+    "Name": "Nom",
+    "Species": "Espèce",
+    "Notes": "Notes",
+    "Launch spots, what worked, regulations…": "Mises à l’eau, ce qui a fonctionné, réglementation…",
+    "Point {coords}": "Point {coords}",
+    "No favorites yet. Pick a water body (or click the map) and save it here.": "Aucun favori pour l’instant. Choisissez un plan d’eau (ou cliquez sur la carte) et enregistrez-le ici.",
+    "Custom point": "Point personnalisé",
+    "{label} now": "{label} actuellement",
+    "Open": "Ouvrir",
+    "Edit": "Modifier",
+    "Remove": "Retirer",
+    "Save": "Enregistrer",
+    "Cancel": "Annuler",
+    "Alerts": "Alertes",
+    "Add alert": "Ajouter une alerte",
+    "Enable notifications": "Activer les notifications",
+    "Checking forecasts…": "Vérification des prévisions…",
+    "Checked {age}": "Vérifié {age}",
+    "Alert check: {error}": "Vérification des alertes : {error}",
+    "Save a favorite spot to set alerts on it.": "Enregistrez un coin favori pour y définir des alertes.",
+    "Notifications are blocked for this site — alerts still land in the history below.": "Les notifications sont bloquées pour ce site — les alertes apparaissent quand même dans l’historique ci-dessous.",
+    "This browser can't show notifications — alerts still land in the history below.": "Ce navigateur ne peut pas afficher de notifications — les alertes apparaissent quand même dans l’historique ci-dessous.",
+    "Spot": "Coin",
+    "When": "Quand",
+    "Score ≥": "Score ≥",
+    "Days": "Jours",
+    "Score reaches": "Le score atteint",
+    "Pressure falling ahead of a front": "Pression en baisse avant un front",
+    "Removed spot": "Coin supprimé",
+    "Alert history": "Historique des alertes",
+    "Clear": "Effacer",
+    "not shown as a notification": "non affichée en notification",
+    "next 24 h": "dans les 24 h",
+    "next {n} days": "dans les {n} jours",
+    "Score ≥ {score}%": "Score ≥ {score} %",
+    "{spot}: front on the way": "{spot} : un front approche",
+    "Pressure falling ahead of a front {span} — {species} often feed hard ({score}%).": "Pression en baisse avant un front {span} — le {species} se nourrit souvent activement ({score} %).",
+    "{span} at or above your {score}% alert.": "{span} à ou au-dessus de votre alerte de {score} %.",
+
+    // ---- On-site readings & what-if ----
+    "My readings": "Mes relevés",
+    "On-site readings describe today — switch the date to Today to enter them.": "Les relevés sur place décrivent aujourd’hui — passez la date à Aujourd’hui pour les saisir.",
+    "Water temp ({unit})": "Temp. de l’eau ({unit})",
+    "Clarity": "Clarté",
+    "Clear water": "Claire",
+    "Stained": "Teintée",
+    "Muddy": "Boueuse",
+    "Secchi depth ({unit})": "Profondeur Secchi ({unit})",
+    "Wind ({unit})": "Vent ({unit})",
+    "Sky": "Ciel",
+    "Sunny": "Ensoleillé",
+    "Partly cloudy": "Partiellement nuageux",
+    "Overcast": "Couvert",
+    "Saved for this spot today. Water temp and clarity apply all day; wind and sky to the {hour}:00 hour.": "Enregistré pour ce coin aujourd’hui. La température et la clarté de l’eau valent pour toute la journée ; le vent et le ciel pour l’heure de {hour} h.",
+    "Saved for this spot today. Water temp and clarity apply all day.": "Enregistré pour ce coin aujourd’hui. La température et la clarté de l’eau valent pour toute la journée.",
+    "Secchi depth is used over the clarity pick.": "La profondeur Secchi l’emporte sur la clarté choisie.",
+    "What-if mode": "Mode simulation",
+    "Reset to current": "Revenir aux conditions actuelles",
+    "Exploring — the gauge, breakdown and gear show these made-up conditions, not the forecast.": "Exploration — la jauge, le détail et l’équipement reflètent ces conditions fictives, pas la prévision.",
+    "Water temp": "Temp. de l’eau",
+
+    // ---- Catch log & calibration ----
+    "Catch Log": "Carnet de prises",
+    "Saved on this device. Each entry keeps a snapshot of the conditions and score shown when you logged it.": "Enregistré sur cet appareil. Chaque entrée conserve les conditions et le score affichés au moment de la saisie.",
+    "Log a catch": "Noter une prise",
+    "Export CSV": "Exporter en CSV",
+    "Export GPX": "Exporter en GPX",
+    "Import CSV/GPX": "Importer un CSV/GPX",
+    "Catch log unavailable in this browser (IndexedDB blocked).": "Carnet de prises indisponible dans ce navigateur (IndexedDB bloqué).",
+    "Couldn’t save that entry.": "Impossible d’enregistrer cette entrée.",
+    "Couldn’t delete that entry.": "Impossible de supprimer cette entrée.",
+    "Delete {species} on {date}?": "Supprimer {species} du {date} ?",
+    "Imported 1 entry.": "1 entrée importée.",
+    "Imported {n} entries.": "{n} entrées importées.",
+    "Import failed — expected a CSV or GPX exported by this app or a mapping tool.": "Échec de l’importation — un CSV ou GPX exporté par cette application ou un outil de cartographie était attendu.",
+    "Count (0 = skunked)": "Nombre (0 = bredouille)",
+    "Length ({unit})": "Longueur ({unit})",
+    "Weight ({unit})": "Poids ({unit})",
+    "Lure / fly": "Leurre / mouche",
+    "Lat": "Lat",
+    "Lon": "Lon",
+    "Conditions snapshot: score {score}% · water {temp} at {site}": "Conditions enregistrées : score {score} % · eau à {temp} à {site}",
+    "No catches logged yet.": "Aucune prise notée pour l’instant.",
+    "Catch": "Prise",
+    "Size": "Taille",
+    "Score then": "Score à ce moment",
+    "Skunked ({species})": "Bredouille ({species})",
+    "Delete": "Supprimer",
+    "Score Calibration": "Calibrage du score",
+    "Show a calibrated score learned from my logged trips": "Afficher un score calibré d’après mes sorties notées",
+    "Based on 1 trip so far — log at least {min} (including skunked trips, count 0) to calibrate.": "D’après 1 sortie pour l’instant — notez-en au moins {min} (y compris les sorties bredouilles, nombre 0) pour calibrer.",
+    "Based on {n} trips so far — log at least {min} (including skunked trips, count 0) to calibrate.": "D’après {n} sorties pour l’instant — notez-en au moins {min} (y compris les sorties bredouilles, nombre 0) pour calibrer.",
+    "Based on {n} trips ({fish} with fish, {skunks} skunked) at {water}.": "D’après {n} sorties ({fish} avec prises, {skunks} bredouilles) à {water}.",
+    "Based on {n} trips ({fish} with fish, {skunks} skunked) across all your waters.": "D’après {n} sorties ({fish} avec prises, {skunks} bredouilles) sur tous vos plans d’eau.",
+    "Log skunked trips too so factor weights can be learned.": "Notez aussi les sorties bredouilles pour que le poids des facteurs puisse être appris.",
+    "Temperature bands:": "Plages de température :",
+
+    // ---- Weather source & cache ----
+    "Weather Source": "Source météo",
+    "Worldwide, includes the past few days": "Monde entier, inclut les derniers jours",
+    "United States only, forecast days only": "États-Unis seulement, jours de prévision seulement",
+    "no pressure data, so no front detection": "aucune donnée de pression, donc pas de détection de front",
+    "Base URL": "URL de base",
+    "{provider} base URL": "URL de base de {provider}",
+    "Reset": "Réinitialiser",
+    "Compare providers side by side": "Comparer les fournisseurs côte à côte",
+    "Provider": "Fournisseur",
+    "Score": "Score",
+    "Air": "Air",
+    "in use": "utilisé",
+    "Loading…": "Chargement…",
+    "NWS has no forecast grid for this location (US only)": "Le NWS n’a pas de grille de prévision pour cet emplacement (États-Unis seulement)",
+    "Cached Data": "Données en cache",
+    "Responses are kept on this device and shown right away; anything past its fresh window is refreshed in the background. Least-recently-used entries are dropped once the cache passes 20 MB.": "Les réponses sont conservées sur cet appareil et affichées immédiatement ; celles qui ont expiré sont actualisées en arrière-plan. Les entrées les moins récemment utilisées sont supprimées quand le cache dépasse 20 Mo.",
+    "Cache unavailable in this browser (IndexedDB blocked).": "Cache indisponible dans ce navigateur (IndexedDB bloqué).",
+    "Cleared {source}.": "{source} : effacé.",
+    "Cleared all cached data.": "Toutes les données en cache ont été effacées.",
+    "Cleared offline map tiles.": "Tuiles de carte hors ligne effacées.",
+    "Cleared offline copies of API responses.": "Copies hors ligne des réponses d’API effacées.",
+    "Couldn’t clear the cached data.": "Impossible d’effacer les données en cache.",
+    "Couldn’t clear the offline copies.": "Impossible d’effacer les copies hors ligne.",
+    "Source": "Source",
+    "Fresh for": "Valide pendant",
+    "Entries": "Entrées",
+    "Oldest": "Plus ancienne",
+    "Total": "Total",
+    "Clear all": "Tout effacer",
+    "Browser storage in use: {used} of {quota}": "Stockage du navigateur utilisé : {used} sur {quota}",
+    "Clear offline map tiles": "Effacer les tuiles de carte hors ligne",
+    "Clear offline API copies": "Effacer les copies d’API hors ligne",
+    "{n} h": "{n} h",
+    "{n} d": "{n} j",
+    "Water body lists (USGS / OSM)": "Listes de plans d’eau (USGS / OSM)",
+    "USGS gauge readings": "Relevés des stations USGS",
+    "USGS flow statistics": "Statistiques de débit USGS",
+    "Open-Meteo forecasts": "Prévisions Open-Meteo",
+    "Air temperature history": "Historique de température de l’air",
+    "Nearby access (Overpass)": "Accès à proximité (Overpass)",
+    "Water body outlines (OSM)": "Contours des plans d’eau (OSM)",
+    "Data: Open-Meteo, National Weather Service, USGS, OpenStreetMap. Some values may be estimated when hydrology is unavailable.": "Données : Open-Meteo, National Weather Service, USGS, OpenStreetMap. Certaines valeurs peuvent être estimées quand l’hydrologie n’est pas disponible.",
+
+    // ---- Errors & units ----
+    "The data service": "Le service de données",
+    "{source} didn’t respond in time. Try again shortly.": "{source} n’a pas répondu à temps. Réessayez sous peu.",
+    "Couldn’t reach {source} — check your connection.": "Impossible de joindre {source} — vérifiez votre connexion.",
+    "{source} is rate-limiting requests. Wait a minute and retry.": "{source} limite le nombre de requêtes. Attendez une minute puis réessayez.",
+    "{source} is having trouble (HTTP {status}).": "{source} rencontre un problème (HTTP {status}).",
+    "{source} rejected the request (HTTP {status}).": "{source} a refusé la requête (HTTP {status}).",
+    "{source} sent a response we couldn’t read.": "{source} a envoyé une réponse illisible.",
+    "Something went wrong loading data.": "Un problème est survenu lors du chargement des données.",
+    "{n} sq mi": "{n} mi²",
+    "{n} acres": "{n} acres",
+  },
+
+  species: {
+    "Largemouth Bass": "Achigan à grande bouche",
+    "Smallmouth Bass": "Achigan à petite bouche",
+    "Striped Bass": "Bar rayé",
+    "White Bass": "Bar blanc",
+    "Walleye": "Doré jaune",
+    "Sauger": "Doré noir",
+    "Northern Pike": "Grand brochet",
+    "Muskellunge": "Maskinongé",
+    "Chain Pickerel": "Brochet maillé",
+    "Crappie": "Marigane",
+    "Bluegill": "Crapet arlequin",
+    "Sunfish": "Crapet",
+    "Yellow Perch": "Perchaude",
+    "White Perch": "Bar-perche",
+    "Channel Catfish": "Barbue de rivière",
+    "Flathead Catfish": "Barbue à tête plate",
+    "Blue Catfish": "Barbue bleue",
+    "Common Carp": "Carpe commune",
+    "Rainbow Trout": "Truite arc-en-ciel",
+    "Brown Trout": "Truite brune",
+    "Brook Trout": "Omble de fontaine",
+    "Lake Trout": "Touladi",
+    "Cutthroat Trout": "Truite fardée",
+    "Steelhead": "Truite steelhead",
+    "Kokanee Salmon": "Saumon kokani",
+    "Chinook Salmon": "Saumon chinook",
+    "Coho Salmon": "Saumon coho",
+    "Sockeye Salmon": "Saumon rouge",
+    "Burbot": "Lotte",
+    "Whitefish": "Grand corégone",
+    "Grayling": "Ombre arctique",
+    "Gar": "Lépisosté",
+    "Bowfin": "Poisson-castor",
+    "Hybrid Striper": "Bar hybride",
+  },
+};
@@ -0,0 +1,203 @@
+/* offline.js — service worker registration, "download this area" and notification helpers
+   Browser-only. The worker itself lives in public/sw.js so it's served unhashed
+   next to index.html, which keeps its scope equal to the app's base path on
+   GitHub Pages (…/Fishing-Predictor/) as well as at a domain root.
+*/
+
+import { prefGet, prefSet } from "./lib.js";
+import { t } from "./i18n.js";
+
+const AREAS_KEY = "pref:offlineAreas";
+const AREA_ZOOMS = [9, 10, 11, 12, 13, 14];
+const MAX_AREA_TILES = 250; // kept small for the OSM tile usage policy; public/sw.js enforces it too
+
+// --------------------------- Registration ---------------------------
+
+/** Register ./sw.js relative to the page (production builds only; vite dev has no sw.js) */
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || typeof navigator === "undefined" || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    const url = new URL("sw.js", document.baseURI);
+    navigator.serviceWorker
+      .register(url, { scope: "./" })
+      .then((reg) => console.info("[SW] Registered, scope:", reg.scope))
+      .catch((e) => console.warn("[SW] Registration failed:", e));
+  });
+}
+
+/** Subscribe to worker messages; returns an unsubscribe function */
+export function onWorkerMessage(fn) {
+  if (typeof navigator === "undefined" || !("serviceWorker" in navigator)) return () => {};
+  const handler = (e) => e.data?.type?.startsWith("fp:") && fn(e.data);
+  navigator.serviceWorker.addEventListener("message", handler);
+  return () => navigator.serviceWorker.removeEventListener("message", handler);
+}
+
+// --------------------------- Notifications ---------------------------
+
+const ALERT_SYNC_TAG = "fp-alerts";
+const ALERT_SYNC_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+/** "granted" | "denied" | "default" | "unsupported" */
+export function notificationPermission() {
+  return typeof Notification === "undefined" ? "unsupported" : Notification.permission;
+}
+
+/** Ask for permission (call from a click); resolves with notificationPermission() */
+export async function requestNotifications() {
+  if (typeof Notification === "undefined") return "unsupported";
+  try {
+    return await Notification.requestPermission();
+  } catch (e) {
+    console.warn("[SW] Notification permission request failed:", e);
+    return Notification.permission;
+  }
+}
+
+/** showNotification(title, { body, tag, hash }) → true if a notification was shown
+ * Goes through the worker when one is active, so it works from a background tab
+ * and a click focuses the app at `hash` (a deepLink.js link).
+ */
+export async function showNotification(title, { body, tag, hash } = {}) {
+  if (notificationPermission() !== "granted") return false;
+  const icon = new URL("icons/icon-192.png", document.baseURI).href;
+  try {
+    const reg = "serviceWorker" in navigator ? await navigator.serviceWorker.getRegistration() : null;
+    if (reg) await reg.showNotification(title, { body, tag, icon, data: { hash } });
+    else new Notification(title, { body, tag, icon });
+    return true;
+  } catch (e) {
+    console.warn("[SW] Notification failed:", e);
+    return false;
+  }
+}
+
+/** Periodic Background Sync (installed Chromium PWAs): the worker wakes every few
+ *  hours and asks any open window to re-check alerts, or with none open fires the
+ *  queued ones (queueBackgroundAlerts). Elsewhere a no-op → false. */
+export async function setAlertSync(on) {
+  if (typeof navigator === "undefined" || !("serviceWorker" in navigator)) return false;
+  try {
+    const reg = await navigator.serviceWorker.getRegistration();
+    if (!reg?.periodicSync) return false;
+    if (on) await reg.periodicSync.register(ALERT_SYNC_TAG, { minInterval: ALERT_SYNC_INTERVAL_MS });
+    else await reg.periodicSync.unregister(ALERT_SYNC_TAG);
+    return true;
+  } catch (e) {
+    console.info("[SW] Periodic sync unavailable:", e.message);
+    return false;
+  }
+}
+
+// -------------------------- Background alerts --------------------------
+
+/* The worker can't score a forecast, so each check hands it the matches still beyond
+   their rule's horizon (alerts.js Queued); a periodic sync with the app closed fires
+   those that have come due. Both sides use Cache Storage under the app's scope. */
+const ALERT_CACHE = "fp-alerts";
+const alertQueueUrl = (name) => new URL(`__fp/alerts-${name}`, document.baseURI).href;
+
+/** Replace the worker's queue with `alerts` ([] when alerts are off) */
+export async function queueBackgroundAlerts(alerts) {
+  if (typeof caches === "undefined") return;
+  try {
+    const cache = await caches.open(ALERT_CACHE);
+    await cache.put(alertQueueUrl("pending"), new Response(JSON.stringify(alerts), { headers: { "content-type": "application/json" } }));
+  } catch (e) {
+    console.info("[SW] Couldn't queue background alerts:", e.message);
+  }
+}
+
+/** Alerts the worker fired while the app was closed (each returned once) → [Alert] */
+export async function takeBackgroundAlerts() {
+  if (typeof caches === "undefined") return [];
+  try {
+    const cache = await caches.open(ALERT_CACHE);
+    const res = await cache.match(alertQueueUrl("fired"));
+    if (!res) return [];
+    await cache.delete(alertQueueUrl("fired"));
+    return await res.json();
+  } catch (e) {
+    console.info("[SW] Couldn't read background alerts:", e.message);
+    return [];
+  }
+}
+
+// ------------------------------ Tiles ------------------------------
+
+function lonToTileX(lon, z) { return Math.floor(((lon + 180) / 360) * 2 ** z); }
+function latToTileY(lat, z) {
+  const r = (lat * Math.PI) / 180;
+  return Math.floor(((1 - Math.log(Math.tan(r) + 1 / Math.cos(r)) / Math.PI) / 2) * 2 ** z);
+}
+
+/** tileUrlsForBbox(bbox) → OSM tile URLs covering bbox, dropping the deepest
+ *  zooms until the count fits MAX_AREA_TILES
+ */
+export function tileUrlsForBbox(bbox) {
+  let zooms = [...AREA_ZOOMS];
+  const build = () => zooms.flatMap((z) => {
+    const x0 = lonToTileX(bbox.minLon, z), x1 = lonToTileX(bbox.maxLon, z);
+    const y0 = latToTileY(bbox.maxLat, z), y1 = latToTileY(bbox.minLat, z);
+    const urls = [];
+    for (let x = x0; x <= x1; x++) for (let y = y0; y <= y1; y++) urls.push(`https://tile.openstreetmap.org/${z}/${x}/${y}.png`);
+    return urls;
+  });
+  let urls = build();
+  while (urls.length > MAX_AREA_TILES && zooms.length > 1) {
+    zooms = zooms.slice(0, -1);
+    urls = build();
+  }
+  return { urls, maxZoom: zooms[zooms.length - 1] };
+}
+
+// ------------------------------ Areas ------------------------------
+
+/** Saved offline areas: [{ id, name, lat, lon, radiusMi, tiles, savedAt }] */
+export function savedAreas() {
+  return prefGet(AREAS_KEY) || [];
+}
+
+/** Forget saved areas (after their tiles were cleared) */
+export function forgetAreas() {
+  prefSet(AREAS_KEY, []);
+}
+
+function saveArea(area) {
+  const rest = savedAreas().filter((a) => a.id !== area.id);
+  prefSet(AREAS_KEY, [area, ...rest].slice(0, 10));
+}
+
+/** downloadArea({ name, lat, lon, radiusMi, bbox }, onProgress)
+ * Hands the tile list to the worker and resolves with { done, failed, total }.
+ * Weather/USGS/Overpass responses for the selected site are already kept by the
+ * worker as they're fetched, so only the map needs an explicit download.
+ */
+export function downloadArea({ name, lat, lon, radiusMi, bbox }, onProgress) {
+  return new Promise((resolve, reject) => {
+    const ctl = typeof navigator !== "undefined" && navigator.serviceWorker?.controller;
+    if (!ctl) { reject(new Error(t("Offline mode isn't active yet — reload the page once and try again."))); return; }
+    const id = `${lat.toFixed(3)},${lon.toFixed(3)}:${radiusMi}`;
+    const { urls } = tileUrlsForBbox(bbox);
+    const off = onWorkerMessage((m) => {
+      if (m.id !== id) return;
+      if (m.type === "fp:area-progress") onProgress && onProgress(m.done, m.total);
+      if (m.type === "fp:area-done") {
+        off();
+        saveArea({ id, name, lat, lon, radiusMi, tiles: m.total - m.failed, savedAt: Date.now() });
+        resolve(m);
+      }
+    });
+    console.info("[SW] Downloading area:", name, urls.length, "tiles");
+    ctl.postMessage({ type: "fp:download-area", id, tiles: urls });
+  });
+}
+
+/** "5 min ago" / "3 h ago" / "2 d ago" */
+export function formatAge(ts, now = Date.now()) {
+  if (!ts) return t("unknown age");
+  const min = Math.max(0, Math.round((now - ts) / 60000));
+  if (min < 60) return t("{n} min ago", { n: min });
+  if (min < 48 * 60) return t("{n} h ago", { n: Math.round(min / 60) });
+  return t("{n} d ago", { n: Math.round(min / 1440) });
+}
@@ -0,0 +1,110 @@
+/* poi.js — fishing access points from OpenStreetMap: what counts, how it's drawn,
+   and a small grid clusterer for the map. Pure and browser-safe.
+
+   POI = { id: "node/1", lat, lon, name, type: key of POI_TYPES }
+*/
+
+/** Layer registry; order is the toggle order. `query(A)` gets the around() filter;
+ *  `unnamed` labels features without a name tag. */
+export const POI_TYPES = {
+  ramp: {
+    label: "Boat ramps", unnamed: "Boat ramp", glyph: "⛵", color: "#2563eb",
+    query: (A) => `nwr["leisure"="slipway"]${A}; nwr["amenity"="boat_ramp"]${A};`,
+  },
+  bait: {
+    label: "Bait & tackle", unnamed: "Bait shop", glyph: "🪱", color: "#d97706",
+    query: (A) => `nwr["shop"="fishing"]${A}; nwr["shop"="bait"]${A};`,
+  },
+  pier: {
+    label: "Fishing piers", unnamed: "Pier", glyph: "🎣", color: "#0d9488",
+    query: (A) => `nwr["man_made"="pier"]["fishing"!="no"]${A};`,
+  },
+  access: {
+    label: "Public access", unnamed: "Fishing access", glyph: "🚶", color: "#16a34a",
+    query: (A) => `nwr["leisure"="fishing"]["access"!~"private|no"]${A};`,
+  },
+  parking: {
+    label: "Parking near water", unnamed: "Parking", glyph: "P", color: "#64748b",
+    // lots within PARKING_NEAR_WATER_M of the .water set built in poiQuery
+    query: () => `nwr["amenity"="parking"]["access"!~"private|no|customers"](around.water:${PARKING_NEAR_WATER_M});`,
+  },
+};
+
+const PARKING_NEAR_WATER_M = 150;
+/** Parking lots are everywhere; past this the "near water" join gets slow */
+export const PARKING_RADIUS_MI = 10;
+
+/** Which layer an OSM element belongs to (first match wins) */
+export function poiType(tags = {}) {
+  if (tags.shop === "fishing" || tags.shop === "bait") return "bait";
+  if (tags.leisure === "slipway" || tags.amenity === "boat_ramp") return "ramp";
+  if (tags.man_made === "pier") return "pier";
+  if (tags.leisure === "fishing") return "access";
+  if (tags.amenity === "parking") return "parking";
+  return null;
+}
+
+/** One Overpass query for every layer; elements come back with centers + tags */
+export function poiQuery(lat, lon, radiusMi) {
+  const around = (mi) => `(around:${Math.floor(mi * 1609.344)},${lat},${lon})`;
+  const A = around(radiusMi);
+  const P = around(Math.min(radiusMi, PARKING_RADIUS_MI));
+  return `[out:json][timeout:25];
+    (way["natural"="water"]${P}; way["waterway"="river"]${P};)->.water;
+    (
+      ${Object.values(POI_TYPES).map((t) => t.query(A)).join("\n      ")}
+    );
+    out center tags;`;
+}
+
+/** Overpass elements → POIs (deduped, unnamed ones labelled by type) */
+export function parsePois(elements) {
+  const seen = new Set();
+  const out = [];
+  (elements || []).forEach((e) => {
+    const type = poiType(e.tags);
+    const lat = e.lat ?? e.center?.lat, lon = e.lon ?? e.center?.lon;
+    const id = `${e.type}/${e.id}`;
+    if (!type || seen.has(id) || !Number.isFinite(lat) || !Number.isFinite(lon)) return;
+    seen.add(id);
+    out.push({ id, lat, lon, type, name: e.tags?.name || e.tags?.brand || POI_TYPES[type].unnamed });
+  });
+  return out;
+}
+
+/** Turn-by-turn links for a point */
+export function navLinks(lat, lon) {
+  const q = `${lat},${lon}`;
+  return {
+    google: `https://www.google.com/maps/dir/?api=1&destination=${q}`,
+    apple: `https://maps.apple.com/?daddr=${q}`,
+    osm: `https://www.openstreetmap.org/directions?to=${q}`,
+  };
+}
+
+// ---------------------------- Clustering ----------------------------
+
+/** Web-Mercator pixel position at a zoom level (256 px tiles) */
+function project(lat, lon, zoom) {
+  const scale = 256 * 2 ** zoom;
+  const s = Math.sin((Math.max(-85, Math.min(85, lat)) * Math.PI) / 180);
+  return { x: ((lon + 180) / 360) * scale, y: (0.5 - Math.log((1 + s) / (1 - s)) / (4 * Math.PI)) * scale };
+}
+
+/** clusterPoints(points, zoom, cellPx) → [{ lat, lon, items: [point] }]
+ *  Points sharing a cellPx grid cell at this zoom become one cluster at their mean position.
+ */
+export function clusterPoints(points, zoom, cellPx = 56) {
+  const cells = new Map();
+  points.forEach((p) => {
+    const { x, y } = project(p.lat, p.lon, zoom);
+    const key = `${Math.floor(x / cellPx)}:${Math.floor(y / cellPx)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(p);
+  });
+  return [...cells.values()].map((items) => ({
+    lat: items.reduce((a, p) => a + p.lat, 0) / items.length,
+    lon: items.reduce((a, p) => a + p.lon, 0) / items.length,
+    items,
+  }));
+}
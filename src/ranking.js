@@ -0,0 +1,67 @@
+/* ranking.js — "Where should I go?": every nearby water body scored for one day,
+   traded off against driving distance. Pure; App.jsx does the fetching and scoring.
+
+   Row = { site, distMi, score (the day's peak hour, null if no weather),
+           peakTime, waterTempF, estimated, value }
+*/
+
+/** Sites this close share one air-history lookup, and one forecast with providers that
+ *  have no batch endpoint (~7 mi; finer than the forecast grids matter for) */
+export const RANK_CELL_DEG = 0.1;
+
+/** How much a mile of driving costs in score points */
+export const DISTANCE_WEIGHTS = {
+  none: { label: "Ignore distance", perMile: 0 },
+  some: { label: "Prefer closer", perMile: 0.15 },
+  strong: { label: "Stay close", perMile: 0.4 },
+};
+
+/** Weather cell for a point: { key, lat, lon } at the cell's center */
+export function weatherCell(lat, lon, deg = RANK_CELL_DEG) {
+  const i = Math.floor(lat / deg), j = Math.floor(lon / deg);
+  return { key: `${i}:${j}`, lat: (i + 0.5) * deg, lon: (j + 0.5) * deg };
+}
+
+/** Where a site's forecast comes from: its own point when the provider can batch many
+ *  points per request, else its shared weatherCell */
+export function weatherPoint(site, perSite = true) {
+  if (!perSite) return weatherCell(site.lat, site.lon);
+  return { key: `${site.lat.toFixed(3)},${site.lon.toFixed(3)}`, lat: site.lat, lon: site.lon };
+}
+
+/** Distinct forecast points (weatherPoint) for a list of sites, in site order */
+export function weatherPoints(sites, perSite = true) {
+  const points = new Map();
+  sites.forEach((s) => {
+    const p = weatherPoint(s, perSite);
+    if (!points.has(p.key)) points.set(p.key, p);
+  });
+  return [...points.values()];
+}
+
+/** Distinct cells covering a list of sites */
+export function weatherCells(sites) {
+  return weatherPoints(sites, false);
+}
+
+export function rankValue(score, distMi, weight = "some") {
+  if (score == null) return null;
+  return Math.round(score - (DISTANCE_WEIGHTS[weight]?.perMile ?? 0) * distMi);
+}
+
+const SORTERS = {
+  value: (r) => r.value,
+  score: (r) => r.score,
+  distMi: (r) => r.distMi,
+  name: (r) => r.site.name.toLowerCase(),
+};
+
+/** sortRows(rows, key, dir) — dir 1 ascending, -1 descending; unscored rows always last */
+export function sortRows(rows, key = "value", dir = -1) {
+  const get = SORTERS[key] || SORTERS.value;
+  return [...rows].sort((a, b) => {
+    if ((a.score == null) !== (b.score == null)) return a.score == null ? 1 : -1;
+    const x = get(a), y = get(b);
+    return (x < y ? -1 : x > y ? 1 : 0) * dir;
+  });
+}
@@ -0,0 +1,172 @@
+/* request.js — shared fetch layer for every remote source
+   - cancellation: pass an AbortSignal (effects abort theirs on cleanup)
+   - per-source timeouts and retry counts (REQUEST_POLICIES)
+   - exponential backoff with full jitter on network errors, timeouts, 429 and 5xx
+   - throttled() for bulk lookups (the site ranking)
+   - typed errors the UI can explain (errorMessage, in the active locale)
+*/
+
+import { t } from "./i18n.js";
+
+export const REQUEST_POLICIES = {
+  usgs: { label: "USGS", timeoutMs: 15000, retries: 2 },
+  openmeteo: { label: "Open-Meteo", timeoutMs: 12000, retries: 2 },
+  nws: { label: "National Weather Service", timeoutMs: 15000, retries: 2 },
+  overpass: { label: "OpenStreetMap (Overpass)", timeoutMs: 30000, retries: 1 },
+  nominatim: { label: "OpenStreetMap (Nominatim)", timeoutMs: 10000, retries: 1 },
+};
+
+const BACKOFF_BASE_MS = 600;
+const BACKOFF_MAX_MS = 8000;
+
+// ------------------------------ Errors ------------------------------
+
+export class RequestError extends Error {
+  constructor(message, { source, url, cause } = {}) {
+    super(message);
+    this.name = "RequestError";
+    this.source = source;
+    this.url = url;
+    if (cause) this.cause = cause;
+  }
+}
+
+export class HttpError extends RequestError {
+  constructor(status, opts) {
+    super(`HTTP ${status}`, opts);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+export class TimeoutError extends RequestError {
+  constructor(ms, opts) {
+    super(`Timed out after ${Math.round(ms / 1000)} s`, opts);
+    this.name = "TimeoutError";
+  }
+}
+
+export class NetworkError extends RequestError {
+  constructor(opts) {
+    super("Network unreachable", opts);
+    this.name = "NetworkError";
+  }
+}
+
+export class ParseError extends RequestError {
+  constructor(opts) {
+    super("Unexpected response format", opts);
+    this.name = "ParseError";
+  }
+}
+
+/** True for cancellations (ours or the browser's); these are never shown to the user */
+export function isAbort(e) {
+  return e?.name === "AbortError";
+}
+
+function abortError() {
+  return new DOMException("Request cancelled", "AbortError");
+}
+
+/** One-line, user-facing explanation of a failed request */
+export function errorMessage(e) {
+  const label = REQUEST_POLICIES[e?.source]?.label || t("The data service");
+  if (e instanceof TimeoutError) return t("{source} didn’t respond in time. Try again shortly.", { source: label });
+  if (e instanceof NetworkError) return t("Couldn’t reach {source} — check your connection.", { source: label });
+  if (e instanceof HttpError) {
+    if (e.status === 429) return t("{source} is rate-limiting requests. Wait a minute and retry.", { source: label });
+    if (e.status >= 500) return t("{source} is having trouble (HTTP {status}).", { source: label, status: e.status });
+    return t("{source} rejected the request (HTTP {status}).", { source: label, status: e.status });
+  }
+  if (e instanceof ParseError) return t("{source} sent a response we couldn’t read.", { source: label });
+  return e?.message ? t(e.message) : t("Something went wrong loading data.");
+}
+
+// ------------------------------ Request ------------------------------
+
+function retryable(e) {
+  return e instanceof NetworkError || e instanceof TimeoutError || (e instanceof HttpError && (e.status === 429 || e.status >= 500));
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) { reject(abortError()); return; }
+    const t = setTimeout(() => { signal?.removeEventListener("abort", onAbort); resolve(); }, ms);
+    const onAbort = () => { clearTimeout(t); reject(abortError()); };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+async function attempt(source, url, init, as, timeoutMs, signal) {
+  const ctl = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => { timedOut = true; ctl.abort(); }, timeoutMs);
+  const onAbort = () => ctl.abort();
+  signal?.addEventListener("abort", onAbort, { once: true });
+  const opts = { source, url };
+  try {
+    let r;
+    try {
+      r = await fetch(url, { ...init, signal: ctl.signal });
+    } catch (e) {
+      if (timedOut) throw new TimeoutError(timeoutMs, opts);
+      if (signal?.aborted) throw abortError();
+      throw new NetworkError({ ...opts, cause: e });
+    }
+    if (!r.ok) throw new HttpError(r.status, opts);
+    try {
+      return as === "text" ? await r.text() : await r.json();
+    } catch (e) {
+      if (timedOut) throw new TimeoutError(timeoutMs, opts);
+      if (signal?.aborted) throw abortError();
+      throw new ParseError({ ...opts, cause: e });
+    }
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+/** request(source, url, { signal, init, as, timeoutMs, retries })
+ * source = key of REQUEST_POLICIES; as = "json" (default) | "text".
+ * Resolves with the parsed body; rejects with a RequestError subclass, or an
+ * AbortError when `signal` fires.
+ */
+export async function request(source, url, { signal, init, as = "json", ...overrides } = {}) {
+  const { timeoutMs, retries } = { ...REQUEST_POLICIES[source], ...overrides };
+  for (let i = 0; ; i++) {
+    if (signal?.aborted) throw abortError();
+    try {
+      return await attempt(source, url, init, as, timeoutMs, signal);
+    } catch (e) {
+      if (isAbort(e) || !retryable(e) || i >= retries) throw e;
+      const delay = Math.random() * Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** i);
+      console.warn(`[Net] ${source} ${e.message}; retry ${i + 1}/${retries} in ${Math.round(delay)} ms`);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+/** throttled(items, fn, { concurrency, gapMs, signal })
+ * Runs fn(item) for every item, at most `concurrency` at a time and with starts
+ * at least gapMs apart, so bulk lookups stay polite. Errors thrown by fn
+ * propagate (catch inside fn to keep going); rejects with an AbortError when
+ * `signal` fires.
+ */
+export async function throttled(items, fn, { concurrency = 2, gapMs = 0, signal } = {}) {
+  const queue = [...items];
+  let nextStart = 0;
+  const worker = async () => {
+    while (queue.length) {
+      if (signal?.aborted) throw abortError();
+      const item = queue.shift();
+      const now = Date.now();
+      const wait = nextStart - now;
+      nextStart = Math.max(now, nextStart) + gapMs;
+      if (wait > 0) await sleep(wait, signal);
+      await fn(item);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+}
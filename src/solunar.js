@@ -0,0 +1,202 @@
+/* solunar.js — offline moon ephemeris + solunar periods for Fishing Predictor
+   Low-precision lunar/solar formulas (Meeus-style, arc-minute level), which is
+   plenty for fishing windows. Pure and browser-safe. No external deps. */
+
+// ---------------------------- Constants ----------------------------
+
+const RAD = Math.PI / 180;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const OBLIQUITY = RAD * 23.4397;
+const SUN_DIST_KM = 149598000;
+const MOON_H0 = RAD * 0.133; // apparent horizon for the moon’s centre (parallax/refraction)
+
+const MAJOR_HALF_MS = HOUR_MS; // majors: ±1 h around transit/underfoot
+const MINOR_HALF_MS = 30 * 60 * 1000; // minors: ±30 min around rise/set
+const SCAN_STEP_MS = 10 * 60 * 1000;
+
+// ------------------------ Astronomy helpers ------------------------
+
+function toDays(ms) { return ms / DAY_MS - 0.5 + J1970 - J2000; }
+
+function rightAscension(l, b) {
+  return Math.atan2(Math.sin(l) * Math.cos(OBLIQUITY) - Math.tan(b) * Math.sin(OBLIQUITY), Math.cos(l));
+}
+
+function declination(l, b) {
+  return Math.asin(Math.sin(b) * Math.cos(OBLIQUITY) + Math.cos(b) * Math.sin(OBLIQUITY) * Math.sin(l));
+}
+
+function siderealTime(d, lw) { return RAD * (280.16 + 360.9856235 * d) - lw; }
+
+function altitude(H, phi, dec) {
+  return Math.asin(Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(H));
+}
+
+function sunCoords(d) {
+  const M = RAD * (357.5291 + 0.98560028 * d);
+  const C = RAD * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+  const L = M + C + RAD * 102.9372 + Math.PI; // ecliptic longitude
+  return { dec: declination(L, 0), ra: rightAscension(L, 0) };
+}
+
+function moonCoords(d) {
+  const L = RAD * (218.316 + 13.176396 * d); // mean longitude
+  const M = RAD * (134.963 + 13.064993 * d); // mean anomaly
+  const F = RAD * (93.272 + 13.22935 * d);   // mean distance from node
+  const l = L + RAD * 6.289 * Math.sin(M);
+  const b = RAD * 5.128 * Math.sin(F);
+  return { ra: rightAscension(l, b), dec: declination(l, b), distKm: 385001 - 20905 * Math.cos(M) };
+}
+
+/** Moon altitude (rad) and local hour angle (rad, −π..π) at a timestamp */
+function moonPosition(ms, lat, lon) {
+  const d = toDays(ms);
+  const c = moonCoords(d);
+  const H = siderealTime(d, RAD * -lon) - c.ra;
+  return {
+    altitude: altitude(H, RAD * lat, c.dec),
+    hourAngle: Math.atan2(Math.sin(H), Math.cos(H)),
+  };
+}
+
+/** Midnight opening the spot's calendar day for `date` (the date as picked, in the
+ *  browser), placed by the spot's longitude rather than the browser's time zone:
+ *  civil zones sit within about an hour of lon/15 */
+function startOfLocalDay(date, lon) {
+  const d = new Date(date);
+  return Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()) - Math.round(lon / 15) * HOUR_MS;
+}
+
+// ------------------------------ Phase ------------------------------
+
+const PHASE_NAMES = [
+  "New Moon", "Waxing Crescent", "First Quarter", "Waxing Gibbous",
+  "Full Moon", "Waning Gibbous", "Last Quarter", "Waning Crescent",
+];
+
+/** moonPhase(date)
+ * returns { phase, illumination, name }
+ *   phase: 0 = new, 0.25 = first quarter, 0.5 = full, 0.75 = last quarter
+ *   illumination: lit fraction 0–1
+ */
+export function moonPhase(date = new Date()) {
+  const d = toDays(new Date(date).getTime());
+  const s = sunCoords(d);
+  const m = moonCoords(d);
+  const phi = Math.acos(
+    Math.sin(s.dec) * Math.sin(m.dec) + Math.cos(s.dec) * Math.cos(m.dec) * Math.cos(s.ra - m.ra)
+  );
+  const inc = Math.atan2(SUN_DIST_KM * Math.sin(phi), m.distKm - SUN_DIST_KM * Math.cos(phi));
+  const angle = Math.atan2(
+    Math.cos(s.dec) * Math.sin(s.ra - m.ra),
+    Math.sin(s.dec) * Math.cos(m.dec) - Math.cos(s.dec) * Math.sin(m.dec) * Math.cos(s.ra - m.ra)
+  );
+  const phase = 0.5 + (0.5 * inc * (angle < 0 ? -1 : 1)) / Math.PI;
+  const illumination = (1 + Math.cos(inc)) / 2;
+  const name = PHASE_NAMES[Math.round(phase * 8) % 8];
+  return { phase, illumination, name };
+}
+
+// ------------------------------ Times ------------------------------
+
+/** moonTimes(lat, lon, date)
+ * Scans the spot's calendar day for `date` (see startOfLocalDay).
+ * returns { rise, set, transit, underfoot } as ms timestamps (null if the event
+ * does not occur that day — the moon skips one rise/set roughly monthly).
+ */
+export function moonTimes(lat, lon, date = new Date()) {
+  const t0 = startOfLocalDay(date, lon);
+  const out = { rise: null, set: null, transit: null, underfoot: null };
+  let prevT = t0;
+  let prev = moonPosition(prevT, lat, lon);
+  for (let t = t0 + SCAN_STEP_MS; t <= t0 + DAY_MS; t += SCAN_STEP_MS) {
+    const cur = moonPosition(t, lat, lon);
+    const a0 = prev.altitude - MOON_H0, a1 = cur.altitude - MOON_H0;
+    if (a0 < 0 && a1 >= 0 && out.rise == null) out.rise = interp(prevT, t, a0, a1);
+    if (a0 >= 0 && a1 < 0 && out.set == null) out.set = interp(prevT, t, a0, a1);
+
+    // transit: hour angle crosses 0 (moon due south/north); underfoot: crosses ±π
+    const s0 = Math.sin(prev.hourAngle), s1 = Math.sin(cur.hourAngle);
+    if (s0 < 0 && s1 >= 0 && Math.cos(cur.hourAngle) > 0 && out.transit == null) {
+      out.transit = interp(prevT, t, s0, s1);
+    }
+    if (s0 > 0 && s1 <= 0 && Math.cos(cur.hourAngle) < 0 && out.underfoot == null) {
+      out.underfoot = interp(prevT, t, s0, s1);
+    }
+    prevT = t;
+    prev = cur;
+  }
+  return out;
+}
+
+function interp(t0, t1, v0, v1) {
+  const f = v0 === v1 ? 0 : v0 / (v0 - v1);
+  return Math.round(t0 + f * (t1 - t0));
+}
+
+// ------------------------------- Sun -------------------------------
+
+const SUN_H0 = RAD * -0.833; // upper limb on the horizon, with refraction
+const J0 = 0.0009;
+
+function solarTransitJ(ds, M, L) { return J2000 + ds + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L); }
+
+/** sunTimes(lat, lon, ms)
+ * Sunrise/sunset for the solar day nearest `ms` (pass local noon).
+ * returns { sunriseTs, sunsetTs } (nulls during polar day/night)
+ */
+export function sunTimes(lat, lon, ms) {
+  const lw = RAD * -lon;
+  const n = Math.round(toDays(ms) - J0 - lw / (2 * Math.PI));
+  const ds = J0 + lw / (2 * Math.PI) + n;
+  const M = RAD * (357.5291 + 0.98560028 * ds);
+  const C = RAD * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+  const L = M + C + RAD * 102.9372 + Math.PI;
+  const dec = declination(L, 0);
+  const cosW = (Math.sin(SUN_H0) - Math.sin(RAD * lat) * Math.sin(dec)) / (Math.cos(RAD * lat) * Math.cos(dec));
+  if (Math.abs(cosW) > 1) return { sunriseTs: null, sunsetTs: null };
+  const jNoon = solarTransitJ(ds, M, L);
+  const jSet = solarTransitJ(J0 + (Math.acos(cosW) + lw) / (2 * Math.PI) + n, M, L);
+  const fromJ = (j) => Math.round((j + 0.5 - J1970) * DAY_MS);
+  return { sunriseTs: fromJ(jNoon - (jSet - jNoon)), sunsetTs: fromJ(jSet) };
+}
+
+// ----------------------------- Solunar -----------------------------
+
+/** solunarPeriods(lat, lon, date)
+ * returns {
+ *   moon: { phase, illumination, name },
+ *   times: { rise, set, transit, underfoot },
+ *   major: [{ kind: "transit"|"underfoot", start, end, peak }],
+ *   minor: [{ kind: "rise"|"set", start, end, peak }]
+ * }
+ */
+export function solunarPeriods(lat, lon, date = new Date()) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+  const times = moonTimes(lat, lon, date);
+  const noon = startOfLocalDay(date, lon) + DAY_MS / 2;
+  const period = (kind, peak, half) => ({ kind, peak, start: peak - half, end: peak + half });
+  const major = ["transit", "underfoot"]
+    .filter((k) => times[k] != null)
+    .map((k) => period(k, times[k], MAJOR_HALF_MS));
+  const minor = ["rise", "set"]
+    .filter((k) => times[k] != null)
+    .map((k) => period(k, times[k], MINOR_HALF_MS));
+  const byStart = (a, b) => a.start - b.start;
+  return { moon: moonPhase(noon), times, major: major.sort(byStart), minor: minor.sort(byStart) };
+}
+
+/** solunarActivity(solunar, fromTs, toTs = fromTs)
+ * Which solunar period (if any) overlaps the [fromTs, toTs] span.
+ * returns "major" | "minor" | null
+ */
+export function solunarActivity(solunar, fromTs, toTs = fromTs) {
+  if (!solunar || !Number.isFinite(fromTs)) return null;
+  const hit = (p) => p.start <= toTs && p.end >= fromTs;
+  if (solunar.major.some(hit)) return "major";
+  if (solunar.minor.some(hit)) return "minor";
+  return null;
+}
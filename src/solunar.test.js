@@ -0,0 +1,67 @@
+/* solunar.test.js — moon phase, sun times and solunar days against reference dates (node --test) */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { moonPhase, sunTimes, moonTimes, solunarPeriods } from "./solunar.js";
+
+const MIN = 60 * 1000;
+const HOUR = 60 * MIN;
+
+/** Within `tolMs` of an ISO instant */
+function near(ts, iso, tolMs) {
+  assert.ok(Math.abs(ts - Date.parse(iso)) <= tolMs, `${new Date(ts).toISOString()} vs ${iso}`);
+}
+
+/** Run fn with the process in another time zone, as if the browser were there */
+function inZone(tz, fn) {
+  const was = process.env.TZ;
+  process.env.TZ = tz;
+  try { return fn(); } finally { if (was === undefined) delete process.env.TZ; else process.env.TZ = was; }
+}
+
+test("moon phase at known new, first-quarter and full moons", () => {
+  const newMoon = moonPhase(new Date("2024-04-08T18:21:00Z")); // the total eclipse
+  assert.ok(newMoon.phase < 0.01 || newMoon.phase > 0.99);
+  assert.ok(newMoon.illumination < 0.01);
+  assert.equal(newMoon.name, "New Moon");
+
+  const quarter = moonPhase(new Date("2024-04-15T19:13:00Z"));
+  assert.ok(Math.abs(quarter.phase - 0.25) < 0.01);
+  assert.equal(quarter.name, "First Quarter");
+
+  const full = moonPhase(new Date("2024-04-23T23:49:00Z"));
+  assert.ok(Math.abs(full.phase - 0.5) < 0.01);
+  assert.ok(full.illumination > 0.99);
+  assert.equal(full.name, "Full Moon");
+});
+
+test("sunrise and sunset match published times to a few minutes", () => {
+  // London, summer solstice 2024: 04:43 / 21:21 BST
+  const london = sunTimes(51.5074, -0.1278, Date.parse("2024-06-21T12:00:00Z"));
+  near(london.sunriseTs, "2024-06-21T03:43:00Z", 3 * MIN);
+  near(london.sunsetTs, "2024-06-21T20:21:00Z", 3 * MIN);
+
+  // New York, winter solstice 2024: 07:17 / 16:32 EST
+  const nyc = sunTimes(40.7128, -74.006, Date.parse("2024-12-21T17:00:00Z"));
+  near(nyc.sunriseTs, "2024-12-21T12:17:00Z", 3 * MIN);
+  near(nyc.sunsetTs, "2024-12-21T21:32:00Z", 3 * MIN);
+});
+
+test("no sunrise or sunset in the midnight sun", () => {
+  assert.deepEqual(sunTimes(78.22, 15.65, Date.parse("2024-06-21T12:00:00Z")), { sunriseTs: null, sunsetTs: null });
+});
+
+test("a spot's solunar day doesn't depend on the browser's time zone", () => {
+  const tokyo = (tz) => inZone(tz, () => solunarPeriods(35.68, 139.69, new Date(2024, 3, 23, 12)));
+  const here = tokyo("Asia/Tokyo");
+  assert.deepEqual(tokyo("America/Los_Angeles"), here);
+  assert.deepEqual(tokyo("UTC"), here);
+
+  // every event falls inside Tokyo's April 23 (UTC+9 by longitude), not California's
+  const dayStart = Date.parse("2024-04-22T15:00:00Z");
+  const times = inZone("America/Los_Angeles", () => moonTimes(35.68, 139.69, new Date(2024, 3, 23, 12)));
+  Object.values(times).filter((ts) => ts != null).forEach((ts) => {
+    assert.ok(ts >= dayStart && ts <= dayStart + 24 * HOUR, new Date(ts).toISOString());
+  });
+  assert.equal(here.moon.name, "Full Moon");
+});
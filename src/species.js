@@ -0,0 +1,287 @@
+/* species.js — per-species profiles for Fishing Predictor
+   Keyed on the ALL_GAME_FISH names in lib.js. Pure data + lookups; the only dep is
+   i18n.js, whose localized common names resolve like aliases.
+
+   Profile fields:
+     band      gear family for stdTackle/flyRecs: "warm" | "cool" | "cold"
+     group     finer family for rod/fly overrides (bass, panfish, catfish, pike, walleye, trout, ...)
+     tempF     water temps (°F): lethal/tolerable/optimal lows and highs
+     light     preferred light: "low" (overcast/dim) | "moderate" | "bright"
+     turbidity { idealFnu, toleranceFnu } — how far from ideal still scores
+     current   preferred flow: "still" | "slow" | "moderate" | "fast"
+     feeding   main feeding periods: any of "dawn", "day", "dusk", "night"
+     spawn     { season: "spring" | "fall" | "winter", tempF: [low, high], protected }
+               protected = commonly closed or catch-and-release-only while spawning
+     rank      popularity rank per water type for the species pickers (null = not listed)
+     aliases   other common names people type
+*/
+
+import { localizedSpeciesNames } from "./i18n.js";
+
+function temps(lethalLow, tolerableLow, optimalLow, optimalHigh, tolerableHigh, lethalHigh) {
+  return { lethalLow, tolerableLow, optimalLow, optimalHigh, tolerableHigh, lethalHigh };
+}
+
+export const SPECIES_PROFILES = {
+  "Largemouth Bass": {
+    band: "warm", group: "bass", tempF: temps(35, 50, 68, 80, 88, 96), light: "low",
+    turbidity: { idealFnu: 10, toleranceFnu: 40 }, current: "still", feeding: ["dawn", "dusk"],
+    rank: { lake: 1, river: 2 }, spawn: { season: "spring", tempF: [60, 72], protected: true },
+    aliases: ["bucketmouth", "largemouth", "lmb", "black bass"],
+  },
+  "Smallmouth Bass": {
+    band: "warm", group: "bass", tempF: temps(33, 50, 65, 75, 82, 92), light: "moderate",
+    turbidity: { idealFnu: 5, toleranceFnu: 20 }, current: "moderate", feeding: ["dawn", "day", "dusk"],
+    rank: { lake: 2, river: 1 }, spawn: { season: "spring", tempF: [58, 68], protected: true },
+    aliases: ["smallmouth", "smallie", "bronzeback", "smb"],
+  },
+  "Striped Bass": {
+    band: "warm", group: "temperate bass", tempF: temps(40, 50, 60, 72, 78, 90), light: "low",
+    turbidity: { idealFnu: 8, toleranceFnu: 25 }, current: "moderate", feeding: ["dawn", "dusk", "night"],
+    rank: { lake: 6, river: null }, spawn: { season: "spring", tempF: [58, 68], protected: false },
+    aliases: ["striper", "rockfish", "linesider"],
+  },
+  "White Bass": {
+    band: "warm", group: "temperate bass", tempF: temps(38, 50, 65, 75, 82, 92), light: "moderate",
+    turbidity: { idealFnu: 10, toleranceFnu: 30 }, current: "moderate", feeding: ["dawn", "dusk"],
+    rank: { lake: 7, river: 20 }, spawn: { season: "spring", tempF: [55, 65], protected: false },
+    aliases: ["sand bass", "silver bass"],
+  },
+  "Walleye": {
+    band: "cool", group: "walleye", tempF: temps(33, 45, 60, 70, 76, 86), light: "low",
+    turbidity: { idealFnu: 15, toleranceFnu: 40 }, current: "moderate", feeding: ["dawn", "dusk", "night"],
+    rank: { lake: 3, river: 3 }, spawn: { season: "spring", tempF: [42, 50], protected: true },
+    aliases: ["walleyed pike", "yellow pike", "doré"],
+  },
+  "Sauger": {
+    band: "cool", group: "walleye", tempF: temps(33, 42, 58, 68, 76, 86), light: "low",
+    turbidity: { idealFnu: 25, toleranceFnu: 60 }, current: "fast", feeding: ["dusk", "night"],
+    rank: { lake: null, river: 4 }, spawn: { season: "spring", tempF: [42, 52], protected: true },
+    aliases: ["sand pike", "spotted pike"],
+  },
+  "Northern Pike": {
+    band: "cool", group: "pike", tempF: temps(33, 40, 55, 68, 75, 86), light: "bright",
+    turbidity: { idealFnu: 5, toleranceFnu: 20 }, current: "still", feeding: ["day"],
+    rank: { lake: 4, river: 5 }, spawn: { season: "spring", tempF: [38, 48], protected: true },
+    aliases: ["pike", "northern", "jackfish", "snake"],
+  },
+  "Muskellunge": {
+    band: "cool", group: "pike", tempF: temps(33, 45, 62, 72, 80, 90), light: "moderate",
+    turbidity: { idealFnu: 8, toleranceFnu: 25 }, current: "still", feeding: ["day", "dusk"],
+    rank: { lake: 5, river: 6 }, spawn: { season: "spring", tempF: [50, 60], protected: true },
+    aliases: ["muskie", "musky", "musk", "tiger muskie"],
+  },
+  "Chain Pickerel": {
+    band: "cool", group: "pike", tempF: temps(33, 45, 60, 72, 80, 88), light: "moderate",
+    turbidity: { idealFnu: 5, toleranceFnu: 20 }, current: "still", feeding: ["day"],
+    rank: { lake: null, river: null }, spawn: { season: "spring", tempF: [45, 55], protected: false },
+    aliases: ["pickerel", "jack pickerel"],
+  },
+  "Crappie": {
+    band: "warm", group: "panfish", tempF: temps(35, 50, 62, 72, 80, 90), light: "low",
+    turbidity: { idealFnu: 10, toleranceFnu: 30 }, current: "still", feeding: ["dawn", "dusk", "night"],
+    rank: { lake: 8, river: 10 }, spawn: { season: "spring", tempF: [58, 68], protected: false },
+    aliases: ["black crappie", "white crappie", "papermouth", "slab", "speckled perch"],
+  },
+  "Bluegill": {
+    band: "warm", group: "panfish", tempF: temps(35, 55, 70, 80, 88, 95), light: "bright",
+    turbidity: { idealFnu: 5, toleranceFnu: 25 }, current: "still", feeding: ["day"],
+    rank: { lake: 9, river: 11 }, spawn: { season: "spring", tempF: [68, 80], protected: false },
+    aliases: ["bream", "brim", "sunny"],
+  },
+  "Sunfish": {
+    band: "warm", group: "panfish", tempF: temps(35, 55, 70, 82, 88, 95), light: "bright",
+    turbidity: { idealFnu: 5, toleranceFnu: 25 }, current: "still", feeding: ["day"],
+    rank: { lake: 10, river: 12 }, spawn: { season: "spring", tempF: [68, 80], protected: false },
+    aliases: ["pumpkinseed", "redear", "shellcracker", "green sunfish", "longear sunfish"],
+  },
+  "Yellow Perch": {
+    band: "warm", group: "panfish", tempF: temps(33, 45, 62, 72, 78, 86), light: "moderate",
+    turbidity: { idealFnu: 5, toleranceFnu: 25 }, current: "still", feeding: ["day"],
+    rank: { lake: 11, river: 19 }, spawn: { season: "spring", tempF: [45, 52], protected: false },
+    aliases: ["perch", "ringed perch", "jumbo perch"],
+  },
+  "White Perch": {
+    band: "warm", group: "panfish", tempF: temps(35, 50, 64, 76, 85, 92), light: "moderate",
+    turbidity: { idealFnu: 10, toleranceFnu: 30 }, current: "slow", feeding: ["dusk", "night"],
+    rank: { lake: 12, river: null }, spawn: { season: "spring", tempF: [55, 65], protected: false },
+    aliases: [],
+  },
+  "Channel Catfish": {
+    band: "warm", group: "catfish", tempF: temps(35, 55, 75, 85, 90, 95), light: "low",
+    turbidity: { idealFnu: 30, toleranceFnu: 100 }, current: "slow", feeding: ["dusk", "night"],
+    rank: { lake: 13, river: 7 }, spawn: { season: "spring", tempF: [70, 84], protected: false },
+    aliases: ["catfish", "channel cat", "cat"],
+  },
+  "Flathead Catfish": {
+    band: "warm", group: "catfish", tempF: temps(40, 60, 75, 86, 90, 95), light: "low",
+    turbidity: { idealFnu: 25, toleranceFnu: 100 }, current: "slow", feeding: ["night"],
+    rank: { lake: 14, river: 8 }, spawn: { season: "spring", tempF: [72, 82], protected: false },
+    aliases: ["flathead", "shovelhead", "mud cat", "yellow cat"],
+  },
+  "Blue Catfish": {
+    band: "warm", group: "catfish", tempF: temps(35, 50, 70, 82, 88, 95), light: "low",
+    turbidity: { idealFnu: 25, toleranceFnu: 100 }, current: "moderate", feeding: ["day", "night"],
+    rank: { lake: 15, river: 9 }, spawn: { season: "spring", tempF: [70, 82], protected: false },
+    aliases: ["blue cat", "blues"],
+  },
+  "Common Carp": {
+    band: "warm", group: "carp", tempF: temps(35, 50, 68, 82, 90, 96), light: "moderate",
+    turbidity: { idealFnu: 30, toleranceFnu: 100 }, current: "still", feeding: ["day", "dusk"],
+    rank: { lake: 16, river: 13 }, spawn: { season: "spring", tempF: [62, 75], protected: false },
+    aliases: ["carp", "german carp", "mirror carp"],
+  },
+  "Rainbow Trout": {
+    band: "cold", group: "trout", tempF: temps(33, 40, 52, 62, 68, 77), light: "low",
+    turbidity: { idealFnu: 3, toleranceFnu: 10 }, current: "fast", feeding: ["dawn", "dusk"],
+    rank: { lake: 17, river: 14 }, spawn: { season: "spring", tempF: [42, 55], protected: true },
+    aliases: ["rainbow", "bow", "redband"],
+  },
+  "Brown Trout": {
+    band: "cold", group: "trout", tempF: temps(33, 40, 54, 64, 70, 80), light: "low",
+    turbidity: { idealFnu: 4, toleranceFnu: 12 }, current: "moderate", feeding: ["dusk", "night"],
+    rank: { lake: 18, river: 15 }, spawn: { season: "fall", tempF: [44, 52], protected: true },
+    aliases: ["brown", "brownie", "german brown"],
+  },
+  "Brook Trout": {
+    band: "cold", group: "trout", tempF: temps(33, 38, 50, 60, 66, 75), light: "low",
+    turbidity: { idealFnu: 2, toleranceFnu: 8 }, current: "fast", feeding: ["dawn", "dusk"],
+    rank: { lake: null, river: 16 }, spawn: { season: "fall", tempF: [40, 50], protected: true },
+    aliases: ["brookie", "speckled trout", "squaretail"],
+  },
+  "Lake Trout": {
+    band: "cold", group: "trout", tempF: temps(33, 38, 46, 54, 60, 70), light: "low",
+    turbidity: { idealFnu: 2, toleranceFnu: 8 }, current: "still", feeding: ["day"],
+    rank: { lake: 19, river: null }, spawn: { season: "fall", tempF: [44, 54], protected: true },
+    aliases: ["laker", "mackinaw", "togue"],
+  },
+  "Cutthroat Trout": {
+    band: "cold", group: "trout", tempF: temps(33, 40, 50, 60, 66, 75), light: "low",
+    turbidity: { idealFnu: 2, toleranceFnu: 8 }, current: "fast", feeding: ["dawn", "day", "dusk"],
+    rank: { lake: null, river: null }, spawn: { season: "spring", tempF: [42, 55], protected: true },
+    aliases: ["cutthroat", "cutty", "cutbow"],
+  },
+  "Steelhead": {
+    band: "cold", group: "trout", tempF: temps(33, 38, 48, 58, 66, 75), light: "low",
+    turbidity: { idealFnu: 5, toleranceFnu: 15 }, current: "fast", feeding: ["dawn", "dusk"],
+    rank: { lake: null, river: 17 }, spawn: { season: "spring", tempF: [42, 55], protected: true },
+    aliases: ["steelie", "chrome"],
+  },
+  "Kokanee Salmon": {
+    band: "cold", group: "salmon", tempF: temps(33, 40, 48, 56, 62, 72), light: "low",
+    turbidity: { idealFnu: 2, toleranceFnu: 8 }, current: "still", feeding: ["dawn", "day"],
+    rank: { lake: 20, river: null }, spawn: { season: "fall", tempF: [42, 54], protected: true },
+    aliases: ["kokanee", "silver trout", "landlocked sockeye"],
+  },
+  "Chinook Salmon": {
+    band: "cold", group: "salmon", tempF: temps(33, 40, 48, 58, 64, 75), light: "low",
+    turbidity: { idealFnu: 5, toleranceFnu: 15 }, current: "moderate", feeding: ["dawn", "dusk"],
+    rank: { lake: null, river: null }, spawn: { season: "fall", tempF: [42, 56], protected: true },
+    aliases: ["king salmon", "king", "chinook"],
+  },
+  "Coho Salmon": {
+    band: "cold", group: "salmon", tempF: temps(33, 40, 50, 58, 64, 75), light: "low",
+    turbidity: { idealFnu: 5, toleranceFnu: 15 }, current: "moderate", feeding: ["dawn", "dusk"],
+    rank: { lake: null, river: null }, spawn: { season: "fall", tempF: [40, 52], protected: true },
+    aliases: ["silver salmon", "coho"],
+  },
+  "Sockeye Salmon": {
+    band: "cold", group: "salmon", tempF: temps(33, 40, 48, 56, 62, 72), light: "low",
+    turbidity: { idealFnu: 3, toleranceFnu: 10 }, current: "moderate", feeding: ["dawn", "day"],
+    rank: { lake: null, river: null }, spawn: { season: "fall", tempF: [45, 55], protected: true },
+    aliases: ["red salmon", "sockeye", "blueback"],
+  },
+  "Burbot": {
+    band: "cool", group: "burbot", tempF: temps(33, 33, 40, 52, 60, 75), light: "low",
+    turbidity: { idealFnu: 5, toleranceFnu: 25 }, current: "slow", feeding: ["night"],
+    rank: { lake: null, river: 18 }, spawn: { season: "winter", tempF: [33, 38], protected: false },
+    aliases: ["eelpout", "lawyer", "ling", "lingcod (freshwater)", "mariah"],
+  },
+  "Whitefish": {
+    band: "cold", group: "whitefish", tempF: temps(33, 36, 45, 55, 62, 72), light: "low",
+    turbidity: { idealFnu: 3, toleranceFnu: 10 }, current: "moderate", feeding: ["day"],
+    rank: { lake: null, river: null }, spawn: { season: "fall", tempF: [38, 46], protected: false },
+    aliases: ["mountain whitefish", "lake whitefish", "cisco"],
+  },
+  "Grayling": {
+    band: "cold", group: "whitefish", tempF: temps(33, 36, 44, 54, 60, 68), light: "moderate",
+    turbidity: { idealFnu: 2, toleranceFnu: 8 }, current: "fast", feeding: ["day"],
+    rank: { lake: null, river: null }, spawn: { season: "spring", tempF: [40, 50], protected: true },
+    aliases: ["arctic grayling"],
+  },
+  "Gar": {
+    band: "warm", group: "gar", tempF: temps(40, 60, 75, 88, 92, 97), light: "bright",
+    turbidity: { idealFnu: 20, toleranceFnu: 80 }, current: "slow", feeding: ["day"],
+    rank: { lake: null, river: null }, spawn: { season: "spring", tempF: [68, 80], protected: false },
+    aliases: ["longnose gar", "spotted gar", "shortnose gar", "alligator gar"],
+  },
+  "Bowfin": {
+    band: "warm", group: "bowfin", tempF: temps(38, 55, 72, 85, 90, 97), light: "low",
+    turbidity: { idealFnu: 20, toleranceFnu: 80 }, current: "still", feeding: ["dusk", "night"],
+    rank: { lake: null, river: null }, spawn: { season: "spring", tempF: [60, 70], protected: false },
+    aliases: ["dogfish", "grinnel", "mudfish", "choupique"],
+  },
+  "Hybrid Striper": {
+    band: "warm", group: "temperate bass", tempF: temps(40, 52, 64, 76, 84, 92), light: "low",
+    turbidity: { idealFnu: 10, toleranceFnu: 30 }, current: "moderate", feeding: ["dawn", "dusk"],
+    rank: { lake: null, river: null }, spawn: null, // hybrids rarely spawn successfully
+    aliases: ["wiper", "hybrid striped bass", "sunshine bass"],
+  },
+};
+
+/** Fallback for names we don't know: the old generic warm-water band */
+const GENERIC_PROFILE = {
+  band: "warm", group: "general", tempF: temps(35, 55, 66, 72, 82, 92), light: "moderate",
+  turbidity: { idealFnu: 15, toleranceFnu: 25 }, current: "slow", feeding: ["dawn", "dusk"],
+  rank: { lake: null, river: null }, spawn: { season: "spring", tempF: [60, 72], protected: false },
+  aliases: [],
+};
+
+// accents folded so "truite arc-en-ciel" / "trucha arcoiris" / "dore" match as typed
+function normName(s) {
+  return (s || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+// words only, so a name matches whole: "pike" is not in "pikeminnow"
+function wordsOf(s) {
+  return s.replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+const LOOKUP = new Map();     // names, localized names and aliases → canonical name
+const NAME_LOOKUP = new Map(); // names and localized names only
+Object.keys(SPECIES_PROFILES).forEach((name) => NAME_LOOKUP.set(normName(name), name));
+// common names in every shipped language, whichever one the UI is in
+localizedSpeciesNames().forEach(([local, name]) => { if (!NAME_LOOKUP.has(normName(local))) NAME_LOOKUP.set(normName(local), name); });
+NAME_LOOKUP.forEach((name, key) => LOOKUP.set(key, name));
+Object.entries(SPECIES_PROFILES).forEach(([name, p]) => {
+  p.aliases.forEach((a) => { if (!LOOKUP.has(normName(a))) LOOKUP.set(normName(a), name); });
+});
+
+/** resolveSpecies(name) → canonical ALL_GAME_FISH name, or null if unknown */
+export function resolveSpecies(name) {
+  const n = normName(name);
+  if (!n) return null;
+  if (LOOKUP.has(n)) return LOOKUP.get(n);
+  // "rainbow trout (stocked)": the longest full species name among the words. Aliases
+  // only match exactly — "brown bullhead" or "rainbow smelt" are other fish.
+  const words = ` ${wordsOf(n)} `;
+  let best = null, bestLen = 0;
+  NAME_LOOKUP.forEach((canon, key) => {
+    const k = wordsOf(key);
+    if (k.length > bestLen && words.includes(` ${k} `)) { best = canon; bestLen = k.length; }
+  });
+  return best;
+}
+
+/** speciesKey(name) → the English name when `name` is exactly a species' name in any
+ *  language, else the text as typed; what favorites, alerts and the log store */
+export function speciesKey(name) {
+  return NAME_LOOKUP.get(normName(name)) ?? String(name || "").trim();
+}
+
+/** speciesProfile(name) → { name, known, ...profile }; unknown names get the generic profile */
+export function speciesProfile(name) {
+  const canon = resolveSpecies(name);
+  if (!canon) return { name: String(name || ""), known: false, ...GENERIC_PROFILE };
+  return { name: canon, known: true, ...SPECIES_PROFILES[canon] };
+}
@@ -0,0 +1,23 @@
+/* species.test.js — typed species names → profiles (node --test) */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { resolveSpecies, speciesProfile } from "./species.js";
+
+test("names, aliases and localized names resolve exactly", () => {
+  assert.equal(resolveSpecies("Rainbow Trout"), "Rainbow Trout");
+  assert.equal(resolveSpecies("smallie"), "Smallmouth Bass");
+  assert.equal(resolveSpecies("truite arc-en-ciel"), "Rainbow Trout");
+});
+
+test("a whole species name inside longer text resolves", () => {
+  assert.equal(resolveSpecies("rainbow trout (stocked)"), "Rainbow Trout");
+  assert.equal(resolveSpecies("Largemouth Bass!"), "Largemouth Bass");
+});
+
+test("other fish sharing a word or alias stay unknown", () => {
+  for (const name of ["brown bullhead", "rainbow smelt", "snakehead"]) {
+    assert.equal(resolveSpecies(name), null, name);
+    assert.equal(speciesProfile(name).known, false, name);
+  }
+});
@@ -0,0 +1,122 @@
+/* units.js — imperial / metric / mixed display units. Scoring, storage, caches and
+   links stay in one canonical unit per quantity (°F, mph, inHg, miles, feet, cfs, lb,
+   inches); values are converted only on the way to the screen and back from inputs.
+   Pure apart from the active locale's number format (i18n.js); the chosen system is
+   kept in the "pref:units" preference by App.jsx.
+
+   Quantity kinds: temp, tempDelta, speed, pressure, distance, depth, flow, fishLength,
+   weight, line. "mixed" is the Canadian habit: metric weather and distances,
+   feet / inches / pounds on the water.
+*/
+
+import { t, fmtNumber } from "./i18n.js";
+
+/** Canonical → unit: { symbol, to(v), from(v), digits(v) }; `space` puts a space before the symbol */
+const UNITS = {
+  degF: { symbol: "°F", to: (v) => v, from: (v) => v, digits: () => 0 },
+  degC: { symbol: "°C", to: (v) => ((v - 32) * 5) / 9, from: (v) => (v * 9) / 5 + 32, digits: () => 0 },
+  dF: { symbol: "°F", to: (v) => v, from: (v) => v, digits: () => 1 },
+  dC: { symbol: "°C", to: (v) => (v * 5) / 9, from: (v) => (v * 9) / 5, digits: () => 1 },
+  mph: { symbol: "mph", space: true, to: (v) => v, from: (v) => v, digits: () => 0 },
+  kmh: { symbol: "km/h", space: true, to: (v) => v * 1.609344, from: (v) => v / 1.609344, digits: () => 0 },
+  inHg: { symbol: "inHg", space: true, to: (v) => v, from: (v) => v, digits: () => 2 },
+  hPa: { symbol: "hPa", space: true, to: (v) => v * 33.8639, from: (v) => v / 33.8639, digits: () => 0 },
+  kPa: { symbol: "kPa", space: true, to: (v) => v * 3.38639, from: (v) => v / 3.38639, digits: () => 1 },
+  mi: { symbol: "mi", space: true, to: (v) => v, from: (v) => v, digits: (v) => (Math.abs(v) < 100 ? 1 : 0) },
+  km: { symbol: "km", space: true, to: (v) => v * 1.609344, from: (v) => v / 1.609344, digits: (v) => (Math.abs(v) < 100 ? 1 : 0) },
+  ft: { symbol: "ft", space: true, to: (v) => v, from: (v) => v, digits: () => 1 },
+  m: { symbol: "m", space: true, to: (v) => v * 0.3048, from: (v) => v / 0.3048, digits: () => 1 },
+  cfs: { symbol: "cfs", space: true, to: (v) => v, from: (v) => v, digits: () => 0 },
+  cms: { symbol: "m³/s", space: true, to: (v) => v * 0.0283168, from: (v) => v / 0.0283168, digits: (v) => (Math.abs(v) < 10 ? 2 : Math.abs(v) < 100 ? 1 : 0) },
+  in: { symbol: "in", space: true, to: (v) => v, from: (v) => v, digits: () => 1 },
+  cm: { symbol: "cm", space: true, to: (v) => v * 2.54, from: (v) => v / 2.54, digits: () => 0 },
+  lb: { symbol: "lb", space: true, to: (v) => v, from: (v) => v, digits: () => 1 },
+  kg: { symbol: "kg", space: true, to: (v) => v * 0.45359237, from: (v) => v / 0.45359237, digits: () => 1 },
+};
+
+export const UNIT_SYSTEMS = {
+  imperial: {
+    label: "Imperial (°F, mph, mi)",
+    units: { temp: "degF", tempDelta: "dF", speed: "mph", pressure: "inHg", distance: "mi", depth: "ft", flow: "cfs", fishLength: "in", weight: "lb", line: "lb" },
+  },
+  metric: {
+    label: "Metric (°C, km/h, km)",
+    units: { temp: "degC", tempDelta: "dC", speed: "kmh", pressure: "hPa", distance: "km", depth: "m", flow: "cms", fishLength: "cm", weight: "kg", line: "kg" },
+  },
+  mixed: {
+    label: "Mixed (°C, km/h, km; ft, in, lb)",
+    units: { temp: "degC", tempDelta: "dC", speed: "kmh", pressure: "kPa", distance: "km", depth: "ft", flow: "cms", fishLength: "in", weight: "lb", line: "lb" },
+  },
+};
+
+function unitFor(kind, system) {
+  return UNITS[(UNIT_SYSTEMS[system] || UNIT_SYSTEMS.imperial).units[kind]];
+}
+
+const roundTo = (v, digits) => Math.round(v * 10 ** digits) / 10 ** digits;
+
+/** Canonical value → the system's unit, rounded to its display precision or `digits` */
+export function toUnit(kind, v, system, { digits } = {}) {
+  if (!Number.isFinite(v)) return null;
+  const u = unitFor(kind, system);
+  const out = u.to(v);
+  return roundTo(out, digits ?? u.digits(out));
+}
+
+/** A value typed/slid in the system's unit → canonical */
+export function fromUnit(kind, v, system) {
+  const n = Number(v);
+  if (v === "" || v == null || !Number.isFinite(n)) return null;
+  return unitFor(kind, system).from(n);
+}
+
+export function unitSymbol(kind, system) {
+  return unitFor(kind, system).symbol;
+}
+
+/** fmt(kind, v, system, { digits }) → "16°C", "5 mph", "—" when missing */
+export function fmt(kind, v, system, { digits } = {}) {
+  const x = toUnit(kind, v, system, { digits });
+  if (x == null) return "—";
+  const u = unitFor(kind, system);
+  return `${fmtNumber(x)}${u.space ? " " : ""}${u.symbol}`;
+}
+
+/** fmtRange(kind, lo, hi, system) → "16–21°C" */
+export function fmtRange(kind, lo, hi, system) {
+  const u = unitFor(kind, system);
+  return `${fmtNumber(toUnit(kind, lo, system))}–${fmtNumber(toUnit(kind, hi, system))}${u.space ? " " : ""}${u.symbol}`;
+}
+
+/** Surface area: acres / sq mi, or hectares / km² */
+export function fmtArea(acres, system) {
+  if (!Number.isFinite(acres)) return "—";
+  if (unitFor("distance", system).symbol === "mi") {
+    return acres >= 640 ? t("{n} sq mi", { n: fmtNumber(roundTo(acres / 640, 1)) }) : t("{n} acres", { n: fmtNumber(Math.round(acres)) });
+  }
+  const ha = acres * 0.40468564;
+  return ha >= 100 ? `${fmtNumber(roundTo(ha / 100, 1))} km²` : `${fmtNumber(Math.round(ha))} ha`;
+}
+
+/** Approximate diameter (mm) of a line by breaking strength: nylon mono ≈ 0.09·√lb,
+ *  braid about half that */
+function lineDiameterMm(lb, braid) {
+  return Math.round((braid ? 0.05 : 0.09) * Math.sqrt(lb) * 100) / 100;
+}
+
+/** lineRating([lo, hi] lb, system, { braid }) → "8–12 lb" or "3.6–5.4 kg (0.25–0.31 mm)" */
+export function lineRating([lo, hi], system, { braid = false } = {}) {
+  if (unitFor("line", system).symbol === "lb") return `${lo}–${hi} lb`;
+  const kg = (v) => fmtNumber(roundTo(UNITS.kg.to(v), 1));
+  const mm = (v) => fmtNumber(lineDiameterMm(v, braid));
+  return `${kg(lo)}–${kg(hi)} kg (${mm(lo)}–${mm(hi)} mm)`;
+}
+
+// ------------------------------ Default ------------------------------
+
+/** US (and the two other holdouts) default to imperial, Canada to mixed, everyone else metric */
+export function defaultUnitSystem(locale = typeof navigator !== "undefined" ? navigator.language : "en-US") {
+  const region = String(locale || "").split(/[-_]/)[1]?.toUpperCase();
+  if (!region || ["US", "LR", "MM"].includes(region)) return "imperial";
+  return region === "CA" ? "mixed" : "metric";
+}
@@ -0,0 +1,50 @@
+/* units.test.js — display-unit conversion, and metric radii through favorites and links (node --test) */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { toUnit, fromUnit, fmt, fmtRange, lineRating, defaultUnitSystem } from "./units.js";
+import { normalizeFavorite } from "./favorites.js";
+import { encodeLink, decodeLink } from "./deepLink.js";
+
+test("formats canonical values in each system", () => {
+  assert.equal(fmt("temp", 68, "imperial"), "68°F");
+  assert.equal(fmt("temp", 68, "metric"), "20°C");
+  assert.equal(fmt("tempDelta", 9, "metric"), "5°C");
+  assert.equal(fmt("pressure", 29.92, "mixed"), "101.3 kPa");
+  assert.equal(fmt("depth", 10, "mixed"), "10 ft");
+  assert.equal(fmtRange("temp", 50, 59, "metric"), "10–15°C");
+  assert.equal(fmt("temp", null, "metric"), "—");
+});
+
+test("inputs convert back to canonical; blanks stay empty", () => {
+  assert.equal(fromUnit("temp", "20", "metric"), 68);
+  assert.equal(fromUnit("temp", "", "metric"), null);
+  assert.equal(fromUnit("temp", "abc", "metric"), null);
+  assert.ok(Math.abs(fromUnit("speed", toUnit("speed", 12, "metric", { digits: 4 }), "metric") - 12) < 1e-3);
+});
+
+test("line ratings add kg and diameter outside imperial", () => {
+  assert.equal(lineRating([8, 12], "imperial"), "8–12 lb");
+  assert.equal(lineRating([8, 12], "metric"), "3.6–5.4 kg (0.25–0.31 mm)");
+  assert.equal(lineRating([8, 12], "mixed"), "8–12 lb");
+});
+
+test("default system follows the region", () => {
+  assert.equal(defaultUnitSystem("en-US"), "imperial");
+  assert.equal(defaultUnitSystem("en-CA"), "mixed");
+  assert.equal(defaultUnitSystem("fr-FR"), "metric");
+  assert.equal(defaultUnitSystem("en"), "imperial");
+});
+
+test("every metric radius survives a favorite and a shared link", () => {
+  for (let km = 10; km <= 160; km += 5) {
+    // as the travel-radius slider stores it (App.jsx)
+    const mi = Math.round(fromUnit("distance", km, "metric") * 100) / 100;
+    const fav = normalizeFavorite({ lat: 45, lon: -75, radiusMi: mi });
+    const link = decodeLink(encodeLink({ center: { lat: 45, lon: -75 }, radius: mi }));
+    for (const back of [fav.radiusMi, link.radius]) {
+      assert.equal(back, mi, `${km} km`);
+      assert.equal(Math.round(toUnit("distance", back, "metric", { digits: 2 }) / 5) * 5, km);
+    }
+  }
+});
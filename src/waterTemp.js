@@ -0,0 +1,109 @@
+/* waterTemp.js — water temperature estimate from air-temperature history
+   Used when no USGS 00010 gauge reading exists. Pure and browser-safe.
+
+   Water lags air: each day the water closes a fraction 1/τ of the gap to that
+   day's mean air temp (first-order thermal lag / exponential smoothing). τ is
+   short for rivers, longer for ponds, and weeks for big lakes. Ice caps the low
+   end at 32°F, and summer surface water rarely runs far above the warmest air.
+*/
+
+// ---------------------------- Constants ----------------------------
+
+/** Lag (days) and base ± uncertainty (°F) per water body class */
+export const WATER_CLASSES = {
+  river: { tauDays: 3.5, baseErrF: 3, label: "river" },
+  pond: { tauDays: 7, baseErrF: 4, label: "small pond" },
+  lake: { tauDays: 14, baseErrF: 5, label: "lake" },
+  "large lake": { tauDays: 25, baseErrF: 6, label: "large lake" },
+};
+
+const MIN_HISTORY_DAYS = 14;   // below this the lag model hasn't spun up
+const FREEZE_F = 32;
+const SMALL_POND_KM2 = 0.1;
+const LARGE_LAKE_KM2 = 25;
+
+// --------------------------- Classification ---------------------------
+
+/** waterClass(site) → "river" | "pond" | "lake" | "large lake"
+ *  Uses site.areaKm2 when known; otherwise Lake/Reservoir → lake, anything else
+ *  (e.g. a map-clicked point) → pond.
+ */
+export function waterClass(site) {
+  const type = String(site?.type || "").toLowerCase();
+  if (/river|stream/.test(type)) return "river";
+  const area = site?.areaKm2;
+  if (Number.isFinite(area)) {
+    if (area < SMALL_POND_KM2) return "pond";
+    if (area >= LARGE_LAKE_KM2) return "large lake";
+    return "lake";
+  }
+  if (/lake|reservoir/.test(type)) return "lake";
+  return "pond";
+}
+
+// ---------------------------- Estimator ----------------------------
+
+function stddev(xs) {
+  if (xs.length < 2) return 0;
+  const m = xs.reduce((a, b) => a + b, 0) / xs.length;
+  return Math.sqrt(xs.reduce((a, b) => a + (b - m) ** 2, 0) / (xs.length - 1));
+}
+
+/** estimateWaterTemp(dailyAir, dayStr, klass, { biasF })
+ * dailyAir = [{ date: "YYYY-MM-DD", airTempF }] ascending, covering weeks before dayStr
+ * biasF = learned gauge-vs-model offset for this site (see validateEstimate)
+ * returns { tempF, lowF, highF, tauDays, klass, days } or null without enough history
+ */
+export function estimateWaterTemp(dailyAir, dayStr, klass = "lake", { biasF = 0 } = {}) {
+  const cfg = WATER_CLASSES[klass] || WATER_CLASSES.lake;
+  const days = (dailyAir || []).filter((d) => d.date <= dayStr && Number.isFinite(d.airTempF));
+  if (days.length < MIN_HISTORY_DAYS) return null;
+
+  // spin up from the mean of the first week so a cold snap on day 1 doesn't dominate
+  const seed = days.slice(0, 7).reduce((a, d) => a + d.airTempF, 0) / Math.min(7, days.length);
+  const warmest = Math.max(...days.slice(-30).map((d) => d.airTempF));
+  let tw = Math.max(FREEZE_F, seed);
+  days.forEach((d) => {
+    tw += (d.airTempF - tw) / cfg.tauDays;
+    tw = Math.max(FREEZE_F, Math.min(tw, warmest + 2));
+  });
+  tw = Math.max(FREEZE_F, tw + biasF); // the correction can't take it under the ice
+
+  // wider band when air has been swinging or history is short
+  const swing = stddev(days.slice(-7).map((d) => d.airTempF));
+  const shortHistory = Math.max(0, 30 - days.length) * 0.1;
+  const err = cfg.baseErrF + swing * 0.3 + shortHistory;
+  return {
+    tempF: Math.round(tw * 10) / 10,
+    lowF: Math.round(Math.max(FREEZE_F, tw - err)),
+    highF: Math.round(tw + err),
+    tauDays: cfg.tauDays,
+    klass,
+    days: days.length,
+  };
+}
+
+// ---------------------------- Validation ----------------------------
+
+/** validateEstimate(est, measuredF)
+ * Compare the uncorrected model (biasF 0) with a USGS 00010 reading for the same site/day.
+ * returns { errorF, withinRange } (errorF = model − gauge)
+ */
+export function validateEstimate(est, measuredF) {
+  if (!est || !Number.isFinite(measuredF)) return null;
+  const errorF = Math.round((est.tempF - measuredF) * 10) / 10;
+  return { errorF, withinRange: measuredF >= est.lowF && measuredF <= est.highF };
+}
+
+/** Fold a new gauge check into running stats: { n, meanErrF, meanAbsErrF, hits } */
+export function addValidation(stats, check) {
+  const s = stats || { n: 0, meanErrF: 0, meanAbsErrF: 0, hits: 0 };
+  if (!check) return s;
+  const n = s.n + 1;
+  return {
+    n,
+    meanErrF: Math.round(((s.meanErrF * s.n + check.errorF) / n) * 10) / 10,
+    meanAbsErrF: Math.round(((s.meanAbsErrF * s.n + Math.abs(check.errorF)) / n) * 10) / 10,
+    hits: s.hits + (check.withinRange ? 1 : 0),
+  };
+}
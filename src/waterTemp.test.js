@@ -0,0 +1,64 @@
+/* waterTemp.test.js — the air-lag water temperature model and its gauge check (node --test) */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { estimateWaterTemp, validateEstimate, addValidation } from "./waterTemp.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const LAST = "2026-03-31";
+
+/** n days of air temps ending on LAST; fn(i) → °F, i = 0 oldest */
+function air(n, fn) {
+  const end = Date.parse(`${LAST}T00:00:00Z`);
+  return [...Array(n).keys()].map((i) => ({
+    date: new Date(end - (n - 1 - i) * DAY).toISOString().slice(0, 10),
+    airTempF: fn(i),
+  }));
+}
+
+test("needs two weeks of history", () => {
+  assert.equal(estimateWaterTemp(air(13, () => 50), LAST), null);
+  assert.ok(estimateWaterTemp(air(14, () => 50), LAST));
+});
+
+test("ice floors the estimate and its range at 32°F", () => {
+  const est = estimateWaterTemp(air(40, () => 5), LAST, "pond");
+  assert.equal(est.tempF, 32);
+  assert.equal(est.lowF, 32);
+  assert.equal(estimateWaterTemp(air(40, () => 5), LAST, "pond", { biasF: -4 }).tempF, 32);
+});
+
+test("rivers follow a warm spell faster than big lakes", () => {
+  const spell = air(40, (i) => (i < 30 ? 45 : 70));
+  const river = estimateWaterTemp(spell, LAST, "river");
+  const lake = estimateWaterTemp(spell, LAST, "large lake");
+  assert.ok(river.tempF > lake.tempF);
+  assert.ok(river.tempF <= 72); // never far above the warmest air
+});
+
+test("days after dayStr are ignored", () => {
+  const hist = air(40, () => 50);
+  const withFuture = [...hist, { date: "2026-04-01", airTempF: 90 }];
+  assert.deepEqual(estimateWaterTemp(withFuture, LAST), estimateWaterTemp(hist, LAST));
+});
+
+test("errorF is model minus gauge, and −meanErrF as biasF corrects toward the gauge", () => {
+  const hist = air(40, (i) => 50 + (i % 5));
+  const est = estimateWaterTemp(hist, LAST, "lake");
+  const gaugeF = est.tempF - 3; // the model runs 3°F warm
+  const check = validateEstimate(est, gaugeF);
+  assert.equal(check.errorF, 3);
+  assert.equal(check.withinRange, true);
+
+  let stats = null;
+  for (let i = 0; i < 3; i++) stats = addValidation(stats, check);
+  assert.deepEqual(stats, { n: 3, meanErrF: 3, meanAbsErrF: 3, hits: 3 });
+  assert.equal(estimateWaterTemp(hist, LAST, "lake", { biasF: -stats.meanErrF }).tempF, gaugeF);
+});
+
+test("a missing reading leaves the stats alone", () => {
+  assert.equal(validateEstimate(null, 50), null);
+  assert.equal(validateEstimate({ tempF: 50, lowF: 45, highF: 55 }, NaN), null);
+  const stats = { n: 2, meanErrF: 1, meanAbsErrF: 1, hits: 2 };
+  assert.equal(addValidation(stats, null), stats);
+});
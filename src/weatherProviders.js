@@ -0,0 +1,203 @@
+/* weatherProviders.js — pluggable weather sources behind one normalized shape
+   Browser-safe; network goes through request.js.
+
+   Adapter interface:
+   {
+     id, label, defaultBaseUrl, coverage, hasPressure,
+     fetchRange(lat, lon, startStr, endStr, { baseUrl, signal }) → Forecast,
+     fetchBatch?(points [{ lat, lon }], startStr, endStr, { baseUrl, signal }) → [Forecast]
+   }
+   fetchBatch is optional: providers without it are called once per point.
+   Forecast = {
+     provider,
+     series: [{ time: "YYYY-MM-DDTHH:mm" (site-local), airTempF, windMph, windDirDeg, cloudPct, pressure_msl (hPa | null) }],
+     days: { "YYYY-MM-DD": { sunriseTs, sunsetTs } },
+   }
+   forecastForDay(fc, dayStr) slices it into the { date, hourly, daily, series }
+   the rest of the app scores.
+*/
+
+import { request } from "./request.js";
+import { sunTimes } from "./solunar.js";
+import { prefGet, prefSet } from "./lib.js";
+
+const SETTINGS_KEY = "pref:weather";
+
+// ---------------------------- Open-Meteo ----------------------------
+
+function openMeteoParams(lats, lons, startStr, endStr) {
+  return new URLSearchParams({
+    latitude: lats, longitude: lons,
+    hourly: "temperature_2m,cloudcover,windspeed_10m,winddirection_10m,pressure_msl",
+    daily: "sunrise,sunset",
+    start_date: startStr,
+    end_date: endStr,
+    timezone: "auto",
+  });
+}
+
+function parseOpenMeteo(j) {
+  const series = (j?.hourly?.time || []).map((t, i) => ({
+    time: t,
+    airTempF: Math.round(((j.hourly.temperature_2m?.[i] ?? 0) * 9) / 5 + 32),
+    windMph: Math.round((j.hourly.windspeed_10m?.[i] ?? 0) * 0.621371),
+    windDirDeg: j.hourly.winddirection_10m?.[i] ?? null,
+    cloudPct: Math.round(j.hourly.cloudcover?.[i] ?? 0),
+    pressure_msl: j.hourly.pressure_msl?.[i] ?? null,
+  }));
+  const days = {};
+  (j?.daily?.time || []).forEach((d, i) => {
+    const rise = j.daily.sunrise?.[i], set = j.daily.sunset?.[i];
+    days[d] = { sunriseTs: rise ? new Date(rise).getTime() : null, sunsetTs: set ? new Date(set).getTime() : null };
+  });
+  return { provider: "openmeteo", series, days };
+}
+
+async function fetchOpenMeteoRange(lat, lon, startStr, endStr, { baseUrl, signal }) {
+  const params = openMeteoParams(lat, lon, startStr, endStr);
+  console.info("[WX] Open-Meteo:", lat.toFixed(3), lon.toFixed(3), startStr, "→", endStr);
+  return parseOpenMeteo(await request("openmeteo", `${baseUrl}/v1/forecast?${params.toString()}`, { signal }));
+}
+
+/** Many points in one request (comma-separated coordinates → array of results, same order) */
+async function fetchOpenMeteoBatch(points, startStr, endStr, { baseUrl, signal }) {
+  const params = openMeteoParams(
+    points.map((p) => p.lat.toFixed(4)).join(","), points.map((p) => p.lon.toFixed(4)).join(","), startStr, endStr
+  );
+  console.info("[WX] Open-Meteo batch:", points.length, "points", startStr, "→", endStr);
+  const j = await request("openmeteo", `${baseUrl}/v1/forecast?${params.toString()}`, { signal });
+  return (Array.isArray(j) ? j : [j]).map(parseOpenMeteo);
+}
+
+// ------------------------------- NWS -------------------------------
+// api.weather.gov: /points/{lat},{lon} → gridpoint URL + time zone, then the raw
+// gridpoint layers. Values are ISO-8601 intervals ("…T12:00:00+00:00/PT3H") in
+// metric units. US only, forecast only (no past days), and no surface pressure.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function durationHours(iso) {
+  const m = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?)?/.exec(iso || "");
+  return m ? Number(m[1] || 0) * 24 + Number(m[2] || 0) : 1;
+}
+
+/** Expand a gridpoint layer to Map(hourTs → value), converting with `conv` */
+function expandLayer(layer, conv = (v) => v) {
+  const out = new Map();
+  (layer?.values || []).forEach(({ validTime, value }) => {
+    if (value == null) return;
+    const [start, dur] = String(validTime).split("/");
+    const t0 = new Date(start).getTime();
+    for (let h = 0; h < Math.max(1, durationHours(dur)); h++) out.set(t0 + h * HOUR_MS, conv(value, layer.uom));
+  });
+  return out;
+}
+
+const toF = (v, uom) => (/degF/.test(uom || "") ? v : (v * 9) / 5 + 32);
+const toMph = (v, uom) => (/km_h/.test(uom || "") ? v * 0.621371 : /m_s/.test(uom || "") ? v * 2.23694 : v);
+
+/** "YYYY-MM-DDTHH:00" in the site's time zone, matching Open-Meteo's local times */
+function localHour(ts, fmt) {
+  const p = Object.fromEntries(fmt.formatToParts(new Date(ts)).map((x) => [x.type, x.value]));
+  return `${p.year}-${p.month}-${p.day}T${p.hour}:00`;
+}
+
+/** Point the absolute gridpoint URL at a configured base (for stand-in servers) */
+function rebase(url, baseUrl) {
+  const u = new URL(url);
+  return `${baseUrl}${u.pathname}${u.search}`;
+}
+
+async function fetchNwsRange(lat, lon, startStr, endStr, { baseUrl, signal }) {
+  const init = { headers: { Accept: "application/geo+json" } };
+  console.info("[WX] NWS:", lat.toFixed(3), lon.toFixed(3), startStr, "→", endStr);
+  const pt = await request("nws", `${baseUrl}/points/${lat.toFixed(4)},${lon.toFixed(4)}`, { signal, init });
+  const gridUrl = pt?.properties?.forecastGridData;
+  if (!gridUrl) throw new Error("NWS has no forecast grid for this location (US only)");
+  const tz = pt.properties.timeZone || "UTC";
+  const g = await request("nws", rebase(gridUrl, baseUrl), { signal, init });
+  const p = g?.properties || {};
+  const temp = expandLayer(p.temperature, toF);
+  const wind = expandLayer(p.windSpeed, toMph);
+  const dir = expandLayer(p.windDirection);
+  const sky = expandLayer(p.skyCover);
+  const pres = expandLayer(p.pressure, (v) => v / 100); // Pa → hPa, when the office publishes it
+
+  const fmt = new Intl.DateTimeFormat("en-CA", {
+    timeZone: tz, year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", hourCycle: "h23",
+  });
+  const series = [...temp.keys()].sort((a, b) => a - b)
+    .map((ts) => ({
+      time: localHour(ts, fmt),
+      airTempF: Math.round(temp.get(ts)),
+      windMph: Math.round(wind.get(ts) ?? 0),
+      windDirDeg: dir.get(ts) ?? null,
+      cloudPct: Math.round(sky.get(ts) ?? 0),
+      pressure_msl: pres.get(ts) ?? null,
+    }))
+    .filter((h) => h.time.slice(0, 10) >= startStr && h.time.slice(0, 10) <= endStr);
+
+  const days = {};
+  new Set(series.map((h) => h.time.slice(0, 10))).forEach((d) => {
+    // solar noon is close enough to "local noon" for picking the right day
+    days[d] = sunTimes(lat, lon, Date.parse(`${d}T12:00:00Z`) - (lon / 15) * HOUR_MS);
+  });
+  return { provider: "nws", series, days };
+}
+
+// ----------------------------- Registry -----------------------------
+
+export const WEATHER_PROVIDERS = {
+  openmeteo: {
+    id: "openmeteo",
+    label: "Open-Meteo",
+    defaultBaseUrl: "https://api.open-meteo.com",
+    coverage: "Worldwide, includes the past few days",
+    hasPressure: true,
+    fetchRange: fetchOpenMeteoRange,
+    fetchBatch: fetchOpenMeteoBatch,
+  },
+  nws: {
+    id: "nws",
+    label: "National Weather Service",
+    defaultBaseUrl: "https://api.weather.gov",
+    coverage: "United States only, forecast days only",
+    hasPressure: false,
+    fetchRange: fetchNwsRange,
+  },
+};
+
+/** forecastForDay(fc, dayStr) → { date, hourly (that day), daily: { sunriseTs, sunsetTs }, series, provider } */
+export function forecastForDay(fc, dayStr) {
+  const hourly = fc.series.filter((h) => h.time.startsWith(dayStr));
+  const daily = fc.days[dayStr] || { sunriseTs: null, sunsetTs: null };
+  return { date: dayStr, hourly, daily, series: fc.series, provider: fc.provider };
+}
+
+// ----------------------------- Settings -----------------------------
+
+/** { provider, baseUrls: { [id]: url }, compare } from preferences */
+export function weatherSettings() {
+  const s = prefGet(SETTINGS_KEY) || {};
+  return {
+    provider: WEATHER_PROVIDERS[s.provider] ? s.provider : "openmeteo",
+    baseUrls: s.baseUrls || {},
+    compare: s.compare === true,
+  };
+}
+
+export function saveWeatherSettings(settings) {
+  prefSet(SETTINGS_KEY, settings);
+}
+
+/** Configured base URL for a provider (no trailing slash) */
+export function providerBaseUrl(settings, id) {
+  const url = (settings?.baseUrls?.[id] || "").trim() || WEATHER_PROVIDERS[id].defaultBaseUrl;
+  return url.replace(/\/+$/, "");
+}
+
+/** Cache-key fragment: provider id, plus the base URL when it isn't the default */
+export function providerKey(settings, id) {
+  const url = providerBaseUrl(settings, id);
+  return url === WEATHER_PROVIDERS[id].defaultBaseUrl ? id : `${id}@${url}`;
+}
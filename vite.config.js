@@ -1,6 +1,35 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readFileSync, writeFileSync } from 'node:fs'
+import { resolve } from 'node:path'
+
+// Stamp public/sw.js's VERSION with a hash of the build's files, so every deploy gets
+// a fresh shell cache and the worker deletes the previous one on activate
+function swVersion() {
+  let outDir
+  let version = 'dev'
+  return {
+    name: 'sw-version',
+    apply: 'build',
+    configResolved(config) {
+      outDir = resolve(config.root, config.build.outDir)
+    },
+    generateBundle(_, bundle) {
+      const hash = createHash('sha256')
+      Object.keys(bundle).sort().forEach((name) => hash.update(name))
+      if (bundle['index.html']) hash.update(String(bundle['index.html'].source))
+      version = hash.digest('hex').slice(0, 12)
+    },
+    writeBundle() {
+      const file = resolve(outDir, 'sw.js')
+      const src = readFileSync(file, 'utf8')
+      writeFileSync(file, src.replace(/const VERSION = "[^"]*";/, `const VERSION = "${version}";`))
+    },
+  }
+}
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), swVersion()],
   base: './'
 })